@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+// ssf — run the toolkit's models over CSV/JSON parameter sets from the command line.
+// Evaluates the same src/core code as the web tools. Run `ssf help` for usage.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { MODELS, parseParameterSets, runBatch } from '../src/core/index.js';
+import { formatCSV } from '../src/lib/csv.js';
+
+// Short names used on the command line
+const ALIASES = {
+  te: 'collectorEfficiency',
+  eps: 'epsRegression',
+  ecft: 'extendedCFTRegression',
+  'ecft-mech': 'extendedCFT',
+  layer: 'layers',
+  'filter-run': 'filterRun'
+};
+
+const USAGE = `Usage:
+  ssf run <model> <input.csv|input.json|-> [options]
+  ssf models
+  ssf describe <model>
+
+Models: ${Object.keys(MODELS).map((id) => Object.keys(ALIASES).find((a) => ALIASES[a] === id) || id).join(', ')}
+
+Options for run:
+  -o, --output <file>     write results to a file (.csv or .json); default stdout
+  -f, --format <csv|json> output format when writing to stdout (default csv)
+  --input-format <csv|json>  input format for stdin (default: from the file extension, else csv)
+  --variant <value>       model variant, e.g. pilot.C for eps, rt for te, cryptosporidium for qmra
+  --set <input=value>     input shared by every row unless the row sets it (repeatable)
+
+Input columns that are not model inputs (e.g. a scenario name) are copied to the output.
+Omitted inputs take the defaults listed by \`ssf describe\`.`;
+
+const fail = (message) => {
+  process.stderr.write(`ssf: ${message}\n`);
+  process.exit(2);
+};
+
+const resolveModel = (name) => {
+  const id = ALIASES[name] || name;
+  if (!MODELS[id]) fail(`unknown model "${name}". Run \`ssf models\` for the list.`);
+  return id;
+};
+
+// The single string input (correlation, regression model, pathogen) that --variant sets
+const variantInput = (id) => Object.entries(MODELS[id].inputs).find(([, spec]) => spec.options)?.[0];
+
+const parseArgs = (argv) => {
+  const positional = [];
+  const options = { set: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) fail(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '-o' || arg === '--output') options.output = next();
+    else if (arg === '-f' || arg === '--format') options.format = next();
+    else if (arg === '--input-format') options.inputFormat = next();
+    else if (arg === '--variant') options.variant = next();
+    else if (arg === '--set') {
+      const [key, ...rest] = next().split('=');
+      if (rest.length === 0) fail(`--set expects input=value, got "${key}"`);
+      options.set[key] = rest.join('=');
+    } else if (arg.startsWith('-') && arg !== '-') fail(`unknown option ${arg}`);
+    else positional.push(arg);
+  }
+  return { positional, options };
+};
+
+const describe = (id) => {
+  const m = MODELS[id];
+  const lines = [`${id} — ${m.name}`, `Reference: ${m.reference}`, '', 'Inputs:'];
+  Object.entries(m.inputs).forEach(([key, spec]) => {
+    const unit = spec.unit ? ` [${spec.unit}]` : '';
+    const options = spec.options ? ` (one of: ${spec.options.join(', ')})` : '';
+    const positive = spec.positive ? ' (> 0)' : '';
+    lines.push(`  ${key}${unit} = ${spec.default}  ${spec.description}${positive}${options}`);
+  });
+  lines.push('', 'Outputs:');
+  Object.entries(m.outputs).forEach(([key, spec]) => {
+    lines.push(`  ${key}${spec.unit ? ` [${spec.unit}]` : ''}  ${spec.description}`);
+  });
+  return lines.join('\n');
+};
+
+const run = ({ positional, options }) => {
+  const [name, inputPath] = positional;
+  if (!name || !inputPath) fail('run needs a model and an input file\n\n' + USAGE);
+  const id = resolveModel(name);
+
+  const inputFormat = options.inputFormat || (extname(inputPath).toLowerCase() === '.json' ? 'json' : 'csv');
+  const text = readFileSync(inputPath === '-' ? 0 : inputPath, 'utf8');
+  const constants = { ...options.set };
+  if (options.variant) {
+    const key = variantInput(id);
+    if (!key) fail(`model "${name}" has no variants`);
+    constants[key] = options.variant;
+  }
+
+  let batch;
+  try {
+    batch = runBatch(id, parseParameterSets(text, inputFormat), constants);
+  } catch (e) {
+    fail(e.message);
+  }
+  const { columns, results, labelColumns } = batch;
+  if (labelColumns.length > 0) {
+    process.stderr.write(`ssf: not model inputs, copied through: ${labelColumns.join(', ')}\n`);
+  }
+
+  const format = options.output ? (extname(options.output).toLowerCase() === '.json' ? 'json' : 'csv') : (options.format || 'csv');
+  const output = format === 'json'
+    ? JSON.stringify(results.map((r) => Object.fromEntries(columns.filter((c) => c in r).map((c) => [c, r[c]]))), null, 2)
+    : formatCSV(columns, results);
+  if (options.output) writeFileSync(options.output, output + '\n');
+  else process.stdout.write(output + '\n');
+
+  const failed = results.filter((r) => r.error).length;
+  process.stderr.write(`ssf: ${results.length - failed} of ${results.length} parameter sets evaluated with ${id}\n`);
+  if (failed > 0) process.exit(1);
+};
+
+const [command, ...rest] = process.argv.slice(2);
+const args = parseArgs(rest);
+if (command === 'run') run(args);
+else if (command === 'models') {
+  Object.entries(MODELS).forEach(([id, m]) => {
+    const alias = Object.keys(ALIASES).find((a) => ALIASES[a] === id);
+    process.stdout.write(`${(alias || id).padEnd(12)} ${m.name}${alias ? ` (${id})` : ''}\n`);
+  });
+} else if (command === 'describe' && args.positional[0]) process.stdout.write(describe(resolveModel(args.positional[0])) + '\n');
+else if (!command || command === 'help' || command === '--help' || command === '-h') process.stdout.write(USAGE + '\n');
+else fail(`unknown command "${command}"\n\n${USAGE}`);
@@ -1,4 +1,16 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { parseRoute, formatRoute } from './lib/urlState';
+import { createScenario } from './lib/scenarios';
+import { useScenarios } from './hooks/useScenarios';
+import { getKeyOutputs } from './hooks/useKeyOutputs';
+import { getScenarioData, restoreScenarioData } from './hooks/useScenarioData';
+import { getCalculationReport } from './hooks/useCalculationReport';
+import { buildReportHTML } from './lib/report';
+import { chartSVG } from './lib/chartImage';
+import { downloadFile } from './lib/download';
+import { version } from '../package.json';
+import ScenarioManager from './components/ScenarioManager';
+import SaveScenarioDialog from './components/SaveScenarioDialog';
 
 // Import all tool components
 import SSFModelExplorer from './tools/SSFModelExplorer';
@@ -7,10 +19,86 @@ import EPSRemovalPredictor from './tools/EPSRemovalPredictor';
 import ScaleDependentPredictor from './tools/ScaleDependentPredictor';
 import LayerContributionExplorer from './tools/LayerContributionExplorer';
 import TufenkjiElimelech from './tools/TufenkjiElimelech';
+import QMRACalculator from './tools/QMRACalculator';
+import FilterRunScheduler from './tools/FilterRunScheduler';
 
 // SSF Toolkit - Unified Dashboard
 const SSFToolkit = () => {
-  const [activeTool, setActiveTool] = useState('home');
+  // The active tool follows the URL hash (#/tool-id?params) so tools can be linked and
+  // back/forward moves between them
+  const [activeTool, setActiveToolState] = useState(() => parseRoute(window.location.hash).tool);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [scenarios, setScenarios, scenarioStorageError] = useScenarios();
+  const [savingScenario, setSavingScenario] = useState(false);
+  const [scenarioSaved, setScenarioSaved] = useState(false);
+
+  useEffect(() => {
+    const onNavigate = () => setActiveToolState(parseRoute(window.location.hash).tool);
+    window.addEventListener('hashchange', onNavigate);
+    window.addEventListener('popstate', onNavigate);
+    return () => {
+      window.removeEventListener('hashchange', onNavigate);
+      window.removeEventListener('popstate', onNavigate);
+    };
+  }, []);
+
+  const setActiveTool = (tool) => {
+    if (tool === activeTool) return;
+    window.history.pushState(null, '', formatRoute(tool));
+    setActiveToolState(tool);
+    window.scrollTo(0, 0);
+  };
+
+  const openScenario = (scenario) => {
+    restoreScenarioData(scenario.data);
+    window.history.pushState(null, '', formatRoute(scenario.tool, scenario.params));
+    setActiveToolState(scenario.tool);
+    window.scrollTo(0, 0);
+  };
+
+  // The saved parameter set is the tool's URL state and data sets, plus the key outputs it currently shows
+  const saveScenario = ({ name, notes }) => {
+    setScenarios((current) => [...current, createScenario({
+      tool: activeTool,
+      name,
+      notes,
+      params: parseRoute(window.location.hash).params,
+      data: getScenarioData(),
+      outputs: getKeyOutputs()
+    })]);
+    setSavingScenario(false);
+    setScenarioSaved(true);
+    setTimeout(() => setScenarioSaved(false), 1500);
+  };
+
+  // Printable calculation report of the tool on screen, opened in a new tab (downloaded when
+  // pop-ups are blocked); the charts are the ones currently rendered on the page
+  const openReport = () => {
+    const tool = tools[activeTool];
+    const charts = Array.from(document.querySelectorAll('main [data-chart-title]'))
+      .map((el) => ({ title: el.dataset.chartTitle, svg: chartSVG(el, el.dataset.chartTitle)?.text }))
+      .filter((c) => c.svg);
+    const html = buildReportHTML({
+      tool,
+      generated: new Date().toISOString(),
+      link: window.location.href,
+      version,
+      ...getCalculationReport(),
+      outputs: getKeyOutputs(),
+      charts
+    });
+    const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    if (!window.open(url, '_blank')) downloadFile(`${tool.id}-report.html`, blob);
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  };
+
+  const copyLink = () => {
+    navigator.clipboard?.writeText(window.location.href).then(() => {
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 1500);
+    });
+  };
 
   const tools = {
     'te-efficiency': {
@@ -78,6 +166,28 @@ const SSFToolkit = () => {
       icon: '🌿',
       color: '#10b981',
       component: LayerContributionExplorer
+    },
+    'qmra': {
+      id: 'qmra',
+      name: 'QMRA Annual Infection Risk',
+      shortName: 'QMRA',
+      description: 'Annual infection risk from filter log removal vs the Dutch 10⁻⁴ target',
+      source: 'Schijven et al. (2013); Dutch Drinking Water Decree',
+      chapter: 'Application',
+      icon: '🛡️',
+      color: '#d97706',
+      component: QMRACalculator
+    },
+    'filter-run': {
+      id: 'filter-run',
+      name: 'Filter-Run Scheduler',
+      shortName: 'Scheduler',
+      description: 'Multi-year removal and headloss through scraping cycles',
+      source: 'Schijven et al. (2013); Bai, Samari-Kermani et al. (2025)',
+      chapter: 'Application',
+      icon: '🗓️',
+      color: '#6366f1',
+      component: FilterRunScheduler
     }
   };
 
@@ -85,9 +195,20 @@ const SSFToolkit = () => {
     if (activeTool === 'home') {
       return <HomePage tools={tools} setActiveTool={setActiveTool} />;
     }
+    if (activeTool === 'scenarios') {
+      return (
+        <ScenarioManager
+          tools={tools}
+          scenarios={scenarios}
+          setScenarios={setScenarios}
+          storageError={scenarioStorageError}
+          onOpen={openScenario}
+        />
+      );
+    }
     const ToolComponent = tools[activeTool]?.component;
     if (ToolComponent) {
-      return <ToolComponent />;
+      return <ToolComponent key={activeTool} />;
     }
     return <HomePage tools={tools} setActiveTool={setActiveTool} />;
   };
@@ -124,22 +245,69 @@ const SSFToolkit = () => {
               ))}
             </div>
 
-            <a
-              href="https://github.com/PorousLab/ssf-toolkit"
-              target="_blank"
-              rel="noopener noreferrer"
-              className="text-gray-500 hover:text-gray-700 transition-colors"
-            >
-              <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24">
-                <path fillRule="evenodd" d="M12 2C6.477 2 2 6.484 2 12.017c0 4.425 2.865 8.18 6.839 9.504.5.092.682-.217.682-.483 0-.237-.008-.868-.013-1.703-2.782.605-3.369-1.343-3.369-1.343-.454-1.158-1.11-1.466-1.11-1.466-.908-.62.069-.608.069-.608 1.003.07 1.531 1.032 1.531 1.032.892 1.53 2.341 1.088 2.91.832.092-.647.35-1.088.636-1.338-2.22-.253-4.555-1.113-4.555-4.951 0-1.093.39-1.988 1.029-2.688-.103-.253-.446-1.272.098-2.65 0 0 .84-.27 2.75 1.026A9.564 9.564 0 0112 6.844c.85.004 1.705.115 2.504.337 1.909-1.296 2.747-1.027 2.747-1.027.546 1.379.202 2.398.1 2.651.64.7 1.028 1.595 1.028 2.688 0 3.848-2.339 4.695-4.566 4.943.359.309.678.92.678 1.855 0 1.338-.012 2.419-.012 2.747 0 .268.18.58.688.482A10.019 10.019 0 0022 12.017C22 6.484 17.522 2 12 2z" clipRule="evenodd" />
-              </svg>
-            </a>
+            <div className="flex items-center gap-2">
+              {tools[activeTool] && (
+                <button
+                  onClick={() => setSavingScenario(true)}
+                  title="Save the current parameters as a named scenario"
+                  className="px-2 py-1 text-xs rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-100 whitespace-nowrap"
+                >
+                  {scenarioSaved ? '✓ Saved' : '💾 Save'}
+                </button>
+              )}
+              <button
+                onClick={() => setActiveTool('scenarios')}
+                title="Saved scenarios"
+                className={`px-2 py-1 text-xs rounded-lg border whitespace-nowrap ${
+                  activeTool === 'scenarios' ? 'border-gray-700 bg-gray-700 text-white' : 'border-gray-200 text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                📁 {scenarios.length}
+              </button>
+              {tools[activeTool] && (
+                <button
+                  onClick={openReport}
+                  title="Generate a printable calculation report (inputs, equations, outputs, charts)"
+                  className="px-2 py-1 text-xs rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-100 whitespace-nowrap"
+                >
+                  📄 Report
+                </button>
+              )}
+              {tools[activeTool] && (
+                <button
+                  onClick={copyLink}
+                  title="Copy a link to this tool with the current parameters"
+                  className="px-2 py-1 text-xs rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-100 whitespace-nowrap"
+                >
+                  {linkCopied ? '✓ Copied' : '🔗 Link'}
+                </button>
+              )}
+              <a
+                href="https://github.com/PorousLab/ssf-toolkit"
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-gray-500 hover:text-gray-700 transition-colors"
+              >
+                <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 24 24">
+                  <path fillRule="evenodd" d="M12 2C6.477 2 2 6.484 2 12.017c0 4.425 2.865 8.18 6.839 9.504.5.092.682-.217.682-.483 0-.237-.008-.868-.013-1.703-2.782.605-3.369-1.343-3.369-1.343-.454-1.158-1.11-1.466-1.11-1.466-.908-.62.069-.608.069-.608 1.003.07 1.531 1.032 1.531 1.032.892 1.53 2.341 1.088 2.91.832.092-.647.35-1.088.636-1.338-2.22-.253-4.555-1.113-4.555-4.951 0-1.093.39-1.988 1.029-2.688-.103-.253-.446-1.272.098-2.65 0 0 .84-.27 2.75 1.026A9.564 9.564 0 0112 6.844c.85.004 1.705.115 2.504.337 1.909-1.296 2.747-1.027 2.747-1.027.546 1.379.202 2.398.1 2.651.64.7 1.028 1.595 1.028 2.688 0 3.848-2.339 4.695-4.566 4.943.359.309.678.92.678 1.855 0 1.338-.012 2.419-.012 2.747 0 .268.18.58.688.482A10.019 10.019 0 0022 12.017C22 6.484 17.522 2 12 2z" clipRule="evenodd" />
+                </svg>
+              </a>
+            </div>
           </div>
         </div>
       </nav>
 
       <main>{renderContent()}</main>
 
+      {savingScenario && tools[activeTool] && (
+        <SaveScenarioDialog
+          tool={tools[activeTool]}
+          outputCount={getKeyOutputs().length}
+          onSave={saveScenario}
+          onClose={() => setSavingScenario(false)}
+        />
+      )}
+
       {activeTool === 'home' && (
         <footer className="bg-white border-t border-gray-200 py-8 mt-8">
           <div className="max-w-7xl mx-auto px-4 text-center text-sm text-gray-500">
@@ -0,0 +1,198 @@
+import React, { useMemo } from 'react';
+import { BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { CORRELATIONS, collectorEfficiency } from '../lib/collectorEfficiency';
+import { alphaFromRemoval, alphaStatistics, parseColumnExperiments, EXAMPLE_COLUMN_EXPERIMENTS } from '../lib/alphaInversion';
+import ExportableChart from './ExportableChart';
+import { useUrlState } from '../hooks/useUrlState';
+import { useScenarioData } from '../hooks/useScenarioData';
+
+// Inverse mode for the TE calculator: sticking efficiency α from observed column removal.
+// Particle properties and the correlation follow the calculator; each column brings its own bed.
+
+const formatAlpha = (a) => (a >= 0.01 && a < 100 ? a.toFixed(3) : a.toExponential(2));
+
+// Declared at module level so the input keeps focus across re-renders
+const NumberField = ({ label, value, setValue, step, unit }) => (
+  <label className="flex items-center justify-between text-sm mb-2 gap-2">
+    <span className="text-gray-700">{label}</span>
+    <span className="flex items-center gap-1">
+      <input
+        type="number"
+        value={value}
+        step={step}
+        onChange={(e) => setValue(parseFloat(e.target.value) || 0)}
+        className="w-24 p-1 border border-gray-200 rounded text-right font-mono text-xs"
+      />
+      <span className="text-xs text-gray-500 w-8">{unit}</span>
+    </span>
+  </label>
+);
+
+const AlphaInversionPanel = ({ correlation, dp, rhoP, temp, hamaker, porosity, bedDepth, filterCoefficientPerAlpha, onApply }) => {
+  const [observedLog, setObservedLog] = useUrlState('alphaObservedLog', 2);
+  const [csvText, setCsvText] = useScenarioData('alphaColumns');
+
+  // Current bed: λ scales linearly with α, so α = λ_observed / (λ/α)
+  const currentAlpha = filterCoefficientPerAlpha > 0
+    ? (observedLog * Math.LN10) / (bedDepth * filterCoefficientPerAlpha)
+    : NaN;
+  const alphaApplied = Math.max(0.001, Math.min(1, Math.round(currentAlpha * 1000) / 1000));
+
+  const experiments = useMemo(() => {
+    const dpM = dp * 1e-6;
+    const T_K = temp + 273.15;
+    const A = hamaker * 1e-20;
+    return parseColumnExperiments(csvText, porosity).map((e) => {
+      const { eta0 } = collectorEfficiency(correlation, dpM, e.grainSize * 1e-3, e.velocity / 3600, e.porosity, rhoP, T_K, A);
+      return { ...e, eta0, logRemoval: -Math.log10(e.cc0), alpha: alphaFromRemoval({ ...e, eta0 }) };
+    });
+  }, [csvText, correlation, dp, rhoP, temp, hamaker, porosity]);
+
+  const stats = useMemo(() => alphaStatistics(experiments.map((e) => e.alpha)), [experiments]);
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setCsvText(String(reader.result));
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+      <h2 className="text-sm font-semibold text-gray-700 mb-3">Inverse Mode: α from Observed Removal</h2>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <div className="text-xs font-semibold text-gray-600 mb-2">Current bed</div>
+          <NumberField label="Observed log₁₀ removal" value={observedLog} setValue={setObservedLog} step={0.1} unit="log" />
+          <p className="text-xs text-gray-500 mb-2">
+            C/C₀ = {Math.pow(10, -observedLog).toExponential(2)} over L = {bedDepth} m with the grain-size distribution,
+            flow and η₀ above.
+          </p>
+          {Number.isFinite(currentAlpha) && (
+            <>
+              <div className="text-sm text-gray-700">
+                α = <strong className="font-mono">{formatAlpha(currentAlpha)}</strong>
+              </div>
+              {currentAlpha > 1 ? (
+                <p className="text-xs text-amber-700 mt-1">
+                  α &gt; 1: observed removal exceeds what CFT can deliver — straining, ripening, biofilm or predation likely contribute.
+                </p>
+              ) : (
+                <button
+                  onClick={() => onApply(alphaApplied)}
+                  className="text-xs px-3 py-2 mt-2 rounded-lg bg-cyan-600 text-white hover:bg-cyan-700"
+                >
+                  Use α = {alphaApplied.toPrecision(3)} in TE calculation
+                </button>
+              )}
+            </>
+          )}
+        </div>
+        <div className="md:col-span-2">
+          <div className="text-xs font-semibold text-gray-600 mb-2">Column experiments</div>
+          <input type="file" accept=".csv,.txt,.tsv" onChange={handleFile} className="text-xs mb-2 w-full" />
+          <textarea
+            value={csvText}
+            onChange={(e) => setCsvText(e.target.value)}
+            placeholder={'column,C/C0,L_m,dc_mm,U_m_h,porosity\nSand A,0.01,0.5,0.21,0.2,0.38\n...'}
+            rows={5}
+            className="w-full p-2 border border-gray-200 rounded font-mono text-xs"
+          />
+          <div className="flex justify-between items-center mt-1">
+            <p className="text-xs text-gray-500">
+              Porosity is optional (defaults to f = {porosity}); name the second column “log…” to enter log₁₀ removal.
+            </p>
+            <button onClick={() => setCsvText(EXAMPLE_COLUMN_EXPERIMENTS)} className="text-xs text-cyan-700 hover:underline">
+              Load example
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {experiments.length > 0 && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-gray-500 border-b border-gray-200">
+                <th className="text-left py-1">Column</th>
+                <th className="text-right py-1">log₁₀ rem.</th>
+                <th className="text-right py-1">d_c (mm)</th>
+                <th className="text-right py-1">η₀</th>
+                <th className="text-right py-1">α</th>
+              </tr>
+            </thead>
+            <tbody>
+              {experiments.map((e, i) => (
+                <tr key={i} className={`border-b border-gray-100 ${e.alpha > 1 ? 'bg-amber-50' : ''}`}>
+                  <td className="py-1">{e.label}</td>
+                  <td className="py-1 text-right font-mono">{e.logRemoval.toFixed(2)}</td>
+                  <td className="py-1 text-right font-mono">{e.grainSize}</td>
+                  <td className="py-1 text-right font-mono">{e.eta0.toExponential(2)}</td>
+                  <td className={`py-1 text-right font-mono font-semibold ${e.alpha > 1 ? 'text-amber-700' : ''}`}>
+                    {formatAlpha(e.alpha)}{e.alpha > 1 ? ' ⚠' : ''}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div>
+            <ExportableChart title="Fitted α per Column Experiment" data={experiments}>
+              <ResponsiveContainer width="100%" height={180}>
+                <BarChart data={experiments} margin={{ top: 10, right: 10, left: 10, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                  <XAxis dataKey="label" fontSize={10} interval={0} tick={false} />
+                  <YAxis
+                    scale="log"
+                    domain={['auto', 'auto']}
+                    allowDataOverflow
+                    fontSize={11}
+                    tickFormatter={(v) => formatAlpha(v)}
+                    label={{ value: 'α', angle: -90, position: 'insideLeft', fontSize: 12 }}
+                  />
+                  <Tooltip formatter={(value) => [formatAlpha(value), 'α']} contentStyle={{ fontSize: '12px' }} />
+                  <ReferenceLine y={1} stroke="#ef4444" strokeDasharray="5 5"
+                    label={{ value: 'α = 1', position: 'right', fontSize: 10, fill: '#ef4444' }} />
+                  <Bar dataKey="alpha">
+                    {experiments.map((e, i) => <Cell key={i} fill={e.alpha > 1 ? '#f59e0b' : '#06b6d4'} />)}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            </ExportableChart>
+            {stats && (
+              <div className="grid grid-cols-2 gap-x-4 text-xs mt-2">
+                <div className="flex justify-between border-b border-gray-100 py-1">
+                  <span className="text-gray-600">Median</span>
+                  <span className="font-mono">{formatAlpha(stats.median)}</span>
+                </div>
+                <div className="flex justify-between border-b border-gray-100 py-1">
+                  <span className="text-gray-600">Geometric mean</span>
+                  <span className="font-mono">{formatAlpha(stats.geometricMean)}</span>
+                </div>
+                <div className="flex justify-between border-b border-gray-100 py-1">
+                  <span className="text-gray-600">Range</span>
+                  <span className="font-mono">{formatAlpha(stats.min)} – {formatAlpha(stats.max)}</span>
+                </div>
+                <div className="flex justify-between border-b border-gray-100 py-1">
+                  <span className="text-gray-600">α &gt; 1</span>
+                  <span className={`font-mono ${stats.aboveOne > 0 ? 'text-amber-700' : ''}`}>{stats.aboveOne} of {stats.n}</span>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+      {stats?.aboveOne > 0 && (
+        <p className="text-xs text-amber-700 mt-2">
+          {stats.aboveOne} column{stats.aboveOne > 1 ? 's' : ''} removed more than clean-bed filtration allows (α &gt; 1);
+          mechanisms outside CFT such as straining, ripening, biofilm attachment or predation are indicated.
+        </p>
+      )}
+      <p className="text-xs text-gray-500 mt-2">
+        α = −(2/3) d_c ln(C/C₀) / ((1 − f) L η₀), with η₀ from {CORRELATIONS[correlation].shortName} for each column.
+      </p>
+    </div>
+  );
+};
+
+export default AlphaInversionPanel;
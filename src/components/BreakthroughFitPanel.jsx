@@ -0,0 +1,332 @@
+import React, { useState, useMemo } from 'react';
+import { ComposedChart, Line, Scatter, ScatterChart, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { parseXYColumns } from '../lib/csv';
+import { fitBreakthrough, simulateBreakthrough, SITE_PARAMETERS } from '../lib/schijven';
+import ExportableChart from './ExportableChart';
+import NumberInput from './NumberInput';
+import { useUrlState } from '../hooks/useUrlState';
+import { useScenarioData } from '../hooks/useScenarioData';
+
+// Inverse modelling panel for the SSF Model Explorer
+// Fits two-site kinetic rates to a measured column breakthrough curve (time vs C/C₀).
+// initial holds the rates as they act in the explorer (temperature- and age-corrected);
+// onApply receives fitted rates on the same basis and converts them back to slider values.
+
+const PARAMETER_LABELS = {
+  kAtt1: 'katt,1', kDet1: 'kdet,1', muS1: 'μs,1',
+  kAtt2: 'katt,2', kDet2: 'kdet,2', muS2: 'μs,2',
+  muL: 'μl'
+};
+
+const TIME_UNITS = {
+  min: { label: 'minutes', toDays: 1 / 1440 },
+  h: { label: 'hours', toDays: 1 / 24 },
+  d: { label: 'days', toDays: 1 }
+};
+
+// Declared at module level so inputs keep focus across re-renders
+const NumberField = ({ label, value, setValue, step, unit }) => (
+  <label className="flex items-center justify-between text-sm mb-2 gap-2">
+    <span className="text-gray-700">{label}</span>
+    <span className="flex items-center gap-1">
+      <NumberInput value={value} setValue={setValue} step={step} />
+      <span className="text-xs text-gray-500 w-8">{unit}</span>
+    </span>
+  </label>
+);
+
+const BreakthroughFitPanel = ({ initial, onApply }) => {
+  // Column setup (defaults to the explorer's current operating point). Setup and fit
+  // configuration are kept in the URL (fit* keys); the data set is saved with scenarios.
+  const [velocity, setVelocity] = useUrlState('fitVelocity', initial.velocity);
+  const [dispersivity, setDispersivity] = useUrlState('fitDispersivity', initial.dispersivity);
+  const [columnLength, setColumnLength] = useUrlState('fitLength', initial.filterDepth);
+  const [inputType, setInputType] = useUrlState('fitInputType', 'pulse');
+  const [pulseDuration, setPulseDuration] = useUrlState('fitPulseDuration', 0.2); // d
+
+  // Data
+  const [csvText, setCsvText] = useScenarioData('fitData');
+  const [timeUnit, setTimeUnit] = useUrlState('fitTimeUnit', 'h');
+
+  // Fit configuration
+  const [guesses, setGuesses] = useUrlState('fitGuesses', Object.fromEntries(SITE_PARAMETERS.map((k) => [k, initial[k]])));
+  const [fitKeys, setFitKeys] = useUrlState('fitKeys', ['kAtt1', 'kAtt2', 'kDet2']);
+  const [residualScale, setResidualScale] = useUrlState('fitResidualScale', 'log');
+  const [result, setResult] = useState(null);
+  const [fitting, setFitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const observations = useMemo(() => {
+    const { points } = parseXYColumns(csvText);
+    return points
+      .map((p) => ({ time: p.x * TIME_UNITS[timeUnit].toDays, concentration: p.y }))
+      .filter((p) => p.time > 0)
+      .sort((a, b) => a.time - b.time);
+  }, [csvText, timeUnit]);
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => { setCsvText(String(reader.result)); setResult(null); };
+    reader.readAsText(file);
+  };
+
+  // Synthetic curve from the explorer's current parameters with 10% multiplicative noise
+  const loadExample = () => {
+    const sim = simulateBreakthrough({
+      ...initial, velocity, dispersivity, length: columnLength,
+      input: inputType, pulseDuration, duration: 3, outputPoints: 60
+    });
+    const toUnit = 1 / TIME_UNITS[timeUnit].toDays;
+    const lines = ['time,C/C0', ...sim.data.slice(1).map((d) =>
+      `${(d.time * toUnit).toPrecision(5)},${(d.concentration * (1 + 0.1 * (Math.random() - 0.5))).toExponential(4)}`)];
+    setCsvText(lines.join('\n'));
+    setResult(null);
+  };
+
+  const toggleFitKey = (key) => {
+    setFitKeys(fitKeys.includes(key) ? fitKeys.filter((k) => k !== key) : [...fitKeys, key]);
+  };
+
+  const runFit = () => {
+    if (observations.length <= fitKeys.length) {
+      setError(`Need more data points (${observations.length}) than fitted parameters (${fitKeys.length}).`);
+      return;
+    }
+    if (fitKeys.length === 0) {
+      setError('Select at least one parameter to fit.');
+      return;
+    }
+    setError(null);
+    setFitting(true);
+    // Yield to the browser so the "Fitting…" state renders before the solver blocks
+    setTimeout(() => {
+      try {
+        const setup = { ...guesses, velocity, dispersivity, length: columnLength, input: inputType, pulseDuration };
+        setResult(fitBreakthrough(observations, setup, fitKeys, { residualScale }));
+      } catch (err) {
+        setError(err.message);
+      }
+      setFitting(false);
+    }, 20);
+  };
+
+  const applyToExplorer = () => {
+    try {
+      onApply({ ...guesses, ...result.values, velocity, dispersivity, filterDepth: columnLength });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const fitChartData = useMemo(() => {
+    if (!result) return [];
+    return result.curve.filter((d) => d.time > 0);
+  }, [result]);
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+      {/* Inputs */}
+      <div className="lg:col-span-1 space-y-4">
+        <div className="bg-white rounded-lg shadow-sm p-4">
+          <h2 className="text-sm font-semibold text-gray-700 mb-3">Breakthrough Data</h2>
+          <input type="file" accept=".csv,.txt,.tsv" onChange={handleFile} className="text-xs mb-2 w-full" />
+          <textarea
+            value={csvText}
+            onChange={(e) => { setCsvText(e.target.value); setResult(null); }}
+            placeholder={'time,C/C0\n0.5,0.001\n1.0,0.12\n...'}
+            rows={6}
+            className="w-full p-2 border border-gray-200 rounded font-mono text-xs"
+          />
+          <div className="flex items-center justify-between mt-2 text-xs">
+            <label className="flex items-center gap-1 text-gray-600">
+              Time column in
+              <select value={timeUnit} onChange={(e) => setTimeUnit(e.target.value)} className="border border-gray-200 rounded p-1">
+                {Object.entries(TIME_UNITS).map(([key, u]) => <option key={key} value={key}>{u.label}</option>)}
+              </select>
+            </label>
+            <button onClick={loadExample} className="text-blue-600 hover:underline">Load synthetic example</button>
+          </div>
+          <p className="text-xs text-gray-500 mt-2">
+            {observations.length} valid points — first column time, second column C/C₀.
+          </p>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm p-4">
+          <h2 className="text-sm font-semibold text-gray-700 mb-3">Column Setup</h2>
+          <NumberField label="Pore velocity (v)" value={velocity} setValue={setVelocity} step={0.1} unit="m/d" />
+          <NumberField label="Column length (L)" value={columnLength} setValue={setColumnLength} step={0.01} unit="m" />
+          <NumberField label="Dispersivity (αL)" value={dispersivity} setValue={setDispersivity} step={0.001} unit="m" />
+          <div className="flex gap-1 mt-2">
+            {[['step', 'Step input'], ['pulse', 'Pulse input']].map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => { setInputType(key); setResult(null); }}
+                className={`flex-1 text-xs p-1 rounded border ${
+                  inputType === key ? 'bg-blue-100 border-blue-400 text-blue-700' : 'bg-gray-50 border-gray-200 text-gray-600'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {inputType === 'pulse' && (
+            <div className="mt-2">
+              <NumberField label="Pulse duration" value={pulseDuration} setValue={setPulseDuration} step={0.01} unit="d" />
+            </div>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm p-4">
+          <h2 className="text-sm font-semibold text-gray-700 mb-1">Parameters</h2>
+          <p className="text-xs text-gray-500 mb-3">
+            Tick the rates to fit; the others stay fixed at the value shown. Rates apply at the explorer's
+            water temperature and bed age; applying them converts back to T_ref and k_att,max.
+          </p>
+          {SITE_PARAMETERS.map((key) => (
+            <div key={key} className="flex items-center justify-between text-sm mb-2">
+              <label className="flex items-center gap-2 text-gray-700">
+                <input type="checkbox" checked={fitKeys.includes(key)} onChange={() => toggleFitKey(key)} />
+                {PARAMETER_LABELS[key]}
+              </label>
+              <span className="flex items-center gap-1">
+                <NumberInput
+                  value={guesses[key]}
+                  setValue={(v) => setGuesses((g) => ({ ...g, [key]: v }))}
+                  step={0.01}
+                  allowMin
+                />
+                <span className="text-xs text-gray-500 w-8">d⁻¹</span>
+              </span>
+            </div>
+          ))}
+          <div className="flex items-center justify-between text-xs mt-3">
+            <span className="text-gray-600">Residuals on</span>
+            <select value={residualScale} onChange={(e) => setResidualScale(e.target.value)} className="border border-gray-200 rounded p-1">
+              <option value="linear">C/C₀</option>
+              <option value="log">log₁₀(C/C₀) — weights the tail</option>
+            </select>
+          </div>
+          <button
+            onClick={runFit}
+            disabled={fitting}
+            className="w-full mt-3 py-2 rounded-lg text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            {fitting ? 'Fitting…' : 'Run Levenberg–Marquardt fit'}
+          </button>
+          {error && <p className="text-xs text-red-600 mt-2">{error}</p>}
+        </div>
+      </div>
+
+      {/* Results */}
+      <div className="lg:col-span-2 space-y-4">
+        <div className="bg-white rounded-lg shadow-sm p-4">
+          <div className="flex justify-between items-center mb-3">
+            <h2 className="text-sm font-semibold text-gray-700">Best-Fit Parameters</h2>
+            {result && (
+              <button onClick={applyToExplorer} className="text-xs px-3 py-1 rounded bg-green-600 text-white hover:bg-green-700">
+                Apply to explorer →
+              </button>
+            )}
+          </div>
+          {result ? (
+            <>
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-gray-500 border-b border-gray-100">
+                    <th className="text-left py-1">Parameter</th>
+                    <th className="text-right py-1">Estimate (d⁻¹)</th>
+                    <th className="text-right py-1">Std. error</th>
+                    <th className="text-right py-1">95% CI</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.estimates.map((e) => (
+                    <tr key={e.key} className="border-b border-gray-50 font-mono">
+                      <td className="py-1 font-sans text-gray-700">{PARAMETER_LABELS[e.key]}</td>
+                      <td className="text-right">{e.value.toPrecision(4)}</td>
+                      <td className="text-right">{Number.isFinite(e.standardError) ? e.standardError.toPrecision(3) : '—'}</td>
+                      <td className="text-right">
+                        {Number.isFinite(e.lower) ? `${e.lower.toPrecision(3)} – ${e.upper.toPrecision(3)}` : 'not identifiable'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="flex gap-4 text-xs text-gray-600 mt-3">
+                <span>R² = {result.rSquared.toFixed(4)}</span>
+                <span>RMSE = {result.rmse.toExponential(2)}</span>
+                <span>{result.iterations} iterations{result.converged ? '' : ' (not converged)'}</span>
+                <span>{result.dof} degrees of freedom</span>
+              </div>
+            </>
+          ) : (
+            <p className="text-xs text-gray-500">Load data and run the fit to estimate parameters.</p>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm p-4">
+          <h2 className="text-sm font-semibold text-gray-700 mb-3">Observed vs Fitted Breakthrough</h2>
+          <ExportableChart title="Observed vs Fitted Breakthrough" data={[...observations.map((p) => ({ series: 'observed', ...p })), ...(result ? fitChartData.map((p) => ({ series: 'fitted', ...p })) : [])]}>
+            <ResponsiveContainer width="100%" height={280}>
+              <ComposedChart margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis
+                  dataKey="time"
+                  type="number"
+                  domain={[0, 'auto']}
+                  label={{ value: 'Time (d)', position: 'bottom', offset: 0, fontSize: 12 }}
+                  tickFormatter={(v) => v.toFixed(2)}
+                  fontSize={11}
+                />
+                <YAxis
+                  scale={residualScale === 'log' ? 'log' : 'linear'}
+                  domain={residualScale === 'log' ? [1e-6, 1] : [0, 'auto']}
+                  allowDataOverflow
+                  label={{ value: 'C/C₀ (–)', angle: -90, position: 'insideLeft', offset: 10, fontSize: 12 }}
+                  tickFormatter={(v) => (residualScale === 'log' ? v.toExponential(0) : v.toFixed(2))}
+                  fontSize={11}
+                />
+                <Tooltip formatter={(value) => value.toExponential(3)} labelFormatter={(label) => `t = ${Number(label).toFixed(3)} d`} />
+                <Legend verticalAlign="top" height={36} />
+                <Scatter data={observations} dataKey="concentration" fill="#1f2937" name="Observed" />
+                {result && (
+                  <Line data={fitChartData} dataKey="concentration" stroke="#2563eb" strokeWidth={2.5} dot={false} isAnimationActive={false} name="Fitted" />
+                )}
+              </ComposedChart>
+            </ResponsiveContainer>
+          </ExportableChart>
+        </div>
+
+        {result && (
+          <div className="bg-white rounded-lg shadow-sm p-4">
+            <h2 className="text-sm font-semibold text-gray-700 mb-3">
+              Residuals ({residualScale === 'log' ? 'log₁₀ C/C₀' : 'C/C₀'}, fitted − observed)
+            </h2>
+            <ExportableChart title="Breakthrough Fit Residuals" data={result.residuals}>
+              <ResponsiveContainer width="100%" height={200}>
+                <ScatterChart margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                  <XAxis
+                    dataKey="time"
+                    type="number"
+                    label={{ value: 'Time (d)', position: 'bottom', offset: 0, fontSize: 12 }}
+                    tickFormatter={(v) => v.toFixed(2)}
+                    fontSize={11}
+                  />
+                  <YAxis dataKey="residual" type="number" fontSize={11} tickFormatter={(v) => v.toFixed(2)} />
+                  <Tooltip formatter={(value) => Number(value).toExponential(3)} />
+                  <ReferenceLine y={0} stroke="#94a3b8" />
+                  <Scatter data={result.residuals} fill="#ef4444" name="Residual" />
+                </ScatterChart>
+              </ResponsiveContainer>
+            </ExportableChart>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BreakthroughFitPanel;
@@ -0,0 +1,157 @@
+import React, { useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { DLVO_DEFAULTS, dlvoAssessment } from '../lib/dlvo';
+import ExportableChart from './ExportableChart';
+import { useUrlState } from '../hooks/useUrlState';
+
+// DLVO / XDLVO sphere–plate energy profile and Maxwell-model α estimate for the TE calculator.
+// Particle size, Hamaker constant and temperature follow the calculator; onApply receives α.
+
+// Declared at module level so the controls keep focus across re-renders
+const RangeField = ({ label, value, setValue, min, max, step, unit, format = (v) => v }) => (
+  <div className="mb-3">
+    <div className="flex justify-between text-sm mb-1">
+      <span className="text-gray-700 font-medium">{label}</span>
+      <span className="font-mono text-cyan-700 font-semibold">{format(value)} {unit}</span>
+    </div>
+    <input
+      type="range" min={min} max={max} step={step} value={value}
+      onChange={(e) => setValue(parseFloat(e.target.value))}
+      className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-cyan-600"
+    />
+  </div>
+);
+
+const formatEnergy = (point) => (point ? `${point.energy.toFixed(1)} kT at ${point.h.toFixed(2)} nm` : 'none');
+
+const DLVOPanel = ({ particleDiameter, hamaker, temperature, onApply }) => {
+  const [particleZeta, setParticleZeta] = useUrlState('dlvoParticleZeta', DLVO_DEFAULTS.particleZeta);
+  const [collectorZeta, setCollectorZeta] = useUrlState('dlvoCollectorZeta', DLVO_DEFAULTS.collectorZeta);
+  const [logIonicStrength, setLogIonicStrength] = useUrlState('dlvoLogIonicStrength', Math.log10(DLVO_DEFAULTS.ionicStrength));
+  const [acidBase, setAcidBase] = useUrlState('dlvoAcidBase', DLVO_DEFAULTS.acidBase);
+  const ionicStrength = Math.pow(10, logIonicStrength);
+
+  const result = useMemo(() => dlvoAssessment({
+    particleZeta,
+    collectorZeta,
+    ionicStrength,
+    hamaker,
+    acidBase,
+    particleRadius: particleDiameter / 2,
+    temperature
+  }), [particleZeta, collectorZeta, ionicStrength, hamaker, acidBase, particleDiameter, temperature]);
+
+  // Keep the barrier and secondary well in view; the primary minimum diverges at contact
+  const yDomain = useMemo(() => {
+    const top = Math.max(20, (result.barrier?.energy || 0) * 1.2);
+    const bottom = -Math.max(10, 3 * Math.abs(result.secondaryMinimum?.energy || 0));
+    return [Math.round(bottom), Math.round(top)];
+  }, [result]);
+
+  // Snapped to the calculator slider (0.001–1, step 0.001)
+  const alphaApplied = Math.max(0.001, Math.min(1, Math.round(result.alpha * 1000) / 1000));
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+      <h2 className="text-sm font-semibold text-gray-700 mb-3">Sticking Efficiency from DLVO / XDLVO</h2>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <RangeField label="Particle ζ-potential" value={particleZeta} setValue={setParticleZeta} min={-80} max={20} step={1} unit="mV" />
+          <RangeField label="Collector ζ-potential" value={collectorZeta} setValue={setCollectorZeta} min={-80} max={20} step={1} unit="mV" />
+          <RangeField
+            label="Ionic strength"
+            value={logIonicStrength}
+            setValue={setLogIonicStrength}
+            min={-1} max={3} step={0.05}
+            unit="mM"
+            format={() => (ionicStrength < 10 ? ionicStrength.toFixed(2) : ionicStrength.toFixed(0))}
+          />
+          <RangeField label="Acid–base ΔG_AB(h₀)" value={acidBase} setValue={setAcidBase} min={-40} max={40} step={1} unit="mJ/m²" />
+          <p className="text-xs text-gray-500">
+            a = {(particleDiameter / 2).toFixed(3)} µm, A = {hamaker} ×10⁻²⁰ J, T = {temperature} °C from the calculator.
+            ΔG_AB &lt; 0 adds hydrophobic attraction (XDLVO); 0 gives classical DLVO.
+          </p>
+        </div>
+        <div className="md:col-span-2">
+          <ExportableChart title="Sticking Efficiency from DLVO" data={result.data}>
+            <ResponsiveContainer width="100%" height={240}>
+              <LineChart data={result.data} margin={{ top: 10, right: 20, left: 10, bottom: 20 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis
+                  dataKey="h"
+                  type="number"
+                  scale="log"
+                  domain={['dataMin', 'dataMax']}
+                  ticks={[0.2, 0.5, 1, 2, 5, 10, 20, 50, 100, 200]}
+                  label={{ value: 'Separation h (nm)', position: 'bottom', offset: 0, fontSize: 12 }}
+                  fontSize={11}
+                />
+                <YAxis
+                  domain={yDomain}
+                  allowDataOverflow
+                  fontSize={11}
+                  label={{ value: 'Energy (kT)', angle: -90, position: 'insideLeft', fontSize: 12 }}
+                />
+                <Tooltip
+                  formatter={(value, name) => [value.toFixed(2), name]}
+                  labelFormatter={(label) => `h = ${parseFloat(label).toFixed(2)} nm`}
+                />
+                <Legend verticalAlign="top" height={30} />
+                <ReferenceLine y={0} stroke="#9ca3af" />
+                <Line type="monotone" dataKey="vdw" stroke="#3b82f6" strokeWidth={1.5} dot={false} name="van der Waals" />
+                <Line type="monotone" dataKey="edl" stroke="#f59e0b" strokeWidth={1.5} dot={false} name="Double layer" />
+                {acidBase !== 0 && (
+                  <Line type="monotone" dataKey="ab" stroke="#8b5cf6" strokeWidth={1.5} dot={false} name="Acid–base" />
+                )}
+                <Line type="monotone" dataKey="total" stroke="#111827" strokeWidth={2.5} dot={false} name="Total" />
+              </LineChart>
+            </ResponsiveContainer>
+          </ExportableChart>
+          <div className="grid grid-cols-2 gap-x-4 text-xs mt-2">
+            <div className="flex justify-between border-b border-gray-100 py-1">
+              <span className="text-gray-600">Debye length κ⁻¹</span>
+              <span className="font-mono">{result.debyeLength.toFixed(2)} nm</span>
+            </div>
+            <div className="flex justify-between border-b border-gray-100 py-1">
+              <span className="text-gray-600">Energy barrier</span>
+              <span className="font-mono">{formatEnergy(result.barrier)}</span>
+            </div>
+            <div className="flex justify-between border-b border-gray-100 py-1">
+              <span className="text-gray-600">Secondary minimum</span>
+              <span className="font-mono">{formatEnergy(result.secondaryMinimum)}</span>
+            </div>
+            <div className="flex justify-between border-b border-gray-100 py-1">
+              <span className="text-gray-600">Primary minimum</span>
+              <span className="font-mono">{formatEnergy(result.primaryMinimum)}</span>
+            </div>
+            <div className="flex justify-between border-b border-gray-100 py-1">
+              <span className="text-gray-600">α primary (over barrier)</span>
+              <span className="font-mono">{result.alphaPrimary.toExponential(2)}</span>
+            </div>
+            <div className="flex justify-between border-b border-gray-100 py-1">
+              <span className="text-gray-600">α secondary (Maxwell)</span>
+              <span className="font-mono">{result.alphaSecondary.toExponential(2)}</span>
+            </div>
+          </div>
+          <div className="flex items-center justify-between mt-3">
+            <span className="text-sm text-gray-700">
+              Estimated α = <strong className="font-mono">{result.alpha.toPrecision(3)}</strong>
+            </span>
+            <button
+              onClick={() => onApply(alphaApplied)}
+              className="text-xs px-3 py-2 rounded-lg bg-cyan-600 text-white hover:bg-cyan-700"
+            >
+              Use α = {alphaApplied.toPrecision(3)} in TE calculation
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 mt-2">
+            Maxwell model (Shen et al., 2007): α = α_pri + (1 − α_pri)·α_sec, with α_sec the fraction of Maxwell-distributed
+            kinetic energies below the secondary-minimum depth. Surface charge heterogeneity and hydrodynamic torque are ignored.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DLVOPanel;
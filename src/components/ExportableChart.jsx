@@ -0,0 +1,101 @@
+import React, { useRef, useState, useEffect } from 'react';
+import { chartCSV, chartXLSX, exportFilename } from '../lib/chartExport';
+import { parseRoute } from '../lib/urlState';
+import { downloadFile } from '../lib/download';
+import { chartSVG, svgToPNG, PNG_SCALE } from '../lib/chartImage';
+import { getUrlStateSnapshot } from '../hooks/useUrlState';
+
+// Wraps a Recharts chart with an export menu: the figure as SVG or PNG, the data as CSV or XLSX.
+// Every file carries the tool's current parameters (all URL state values) as header metadata.
+//
+// title:    chart title, used for the file names and metadata
+// data:     rows behind the chart; without it only the figure can be exported
+// columns:  optional [{ key, label, unit }] for the table (default: every plain-valued key)
+// metadata: extra header entries, e.g. panel settings that are not part of the URL
+
+const ExportableChart = ({ title, data, columns, metadata, children }) => {
+  const containerRef = useRef(null);
+  const menuRef = useRef(null);
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const close = (e) => {
+      if (!menuRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', close);
+    return () => document.removeEventListener('mousedown', close);
+  }, [open]);
+
+  const stem = exportFilename(title);
+  const hasData = Array.isArray(data) && data.length > 0;
+
+  const fileMetadata = () => ({
+    chart: title,
+    tool: parseRoute(window.location.hash).tool,
+    exported: new Date().toISOString(),
+    link: window.location.href,
+    ...metadata,
+    ...getUrlStateSnapshot()
+  });
+
+  const run = (format) => {
+    setOpen(false);
+    setError(null);
+    const meta = fileMetadata();
+    if (format === 'csv') {
+      downloadFile(`${stem}.csv`, chartCSV({ data, columns, metadata: meta }), 'text/csv;charset=utf-8');
+    } else if (format === 'xlsx') {
+      downloadFile(`${stem}.xlsx`, chartXLSX({ data, columns, metadata: meta, sheetName: title }),
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    } else {
+      const svg = chartSVG(containerRef.current, title, meta);
+      if (!svg) {
+        setError('Chart not rendered yet');
+        return;
+      }
+      if (format === 'svg') downloadFile(`${stem}.svg`, svg.text, 'image/svg+xml');
+      else svgToPNG(svg).then((blob) => downloadFile(`${stem}.png`, blob), (e) => setError(e.message));
+    }
+  };
+
+  const formats = [
+    { key: 'svg', label: 'SVG figure', enabled: true },
+    { key: 'png', label: `PNG figure (${PNG_SCALE}×)`, enabled: true },
+    { key: 'csv', label: 'CSV data', enabled: hasData },
+    { key: 'xlsx', label: 'XLSX data', enabled: hasData }
+  ];
+
+  return (
+    <div ref={containerRef} data-chart-title={title} className="relative">
+      {children}
+      <div ref={menuRef} className="absolute top-0 right-0">
+        <button
+          onClick={() => setOpen(!open)}
+          title="Export figure or data"
+          className="px-1.5 py-0.5 text-xs rounded border border-gray-200 bg-white/80 text-gray-500 hover:text-gray-700 hover:bg-gray-100"
+        >
+          ⤓
+        </button>
+        {open && (
+          <div className="absolute right-0 mt-1 w-36 bg-white border border-gray-200 rounded-lg shadow-lg z-20 py-1">
+            {formats.map((f) => (
+              <button
+                key={f.key}
+                onClick={() => run(f.key)}
+                disabled={!f.enabled}
+                className="block w-full text-left px-3 py-1 text-xs text-gray-700 hover:bg-gray-100 disabled:text-gray-300 disabled:hover:bg-white"
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+        )}
+        {error && <div className="absolute right-0 mt-1 text-xs text-red-600 whitespace-nowrap bg-white">{error}</div>}
+      </div>
+    </div>
+  );
+};
+
+export default ExportableChart;
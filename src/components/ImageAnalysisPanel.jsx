@@ -0,0 +1,337 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { decodeTIFF } from '../lib/tiff';
+import {
+  PHASE, PHASE_ORDERS, analyzeImage, downsampleImage, grayHistogram, multiOtsu, normalizeImage
+} from '../lib/imageAnalysis';
+import { computeFlowProperties } from '../lib/poreFlow';
+import { useUrlState } from '../hooks/useUrlState';
+
+// Derives Extended CFT inputs (θ, τ, HC, SVR, f_shape, f_concave) from a micrograph or CT slice
+// and pushes them into the calculator via onApply
+
+const MAX_ANALYSIS_SIZE = 384; // px along the longer side; larger images are box-averaged
+
+const PHASE_COLORS = {
+  [PHASE.pore]: [219, 234, 254],
+  [PHASE.biofilm]: [34, 197, 94],
+  [PHASE.grain]: [180, 140, 90]
+};
+
+// Luminance of an RGBA browser image via an offscreen canvas
+const decodeBrowserImage = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  const { data } = ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+  const gray = new Float32Array(bitmap.width * bitmap.height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[4 * i] + 0.587 * data[4 * i + 1] + 0.114 * data[4 * i + 2];
+  }
+  return { width: bitmap.width, height: bitmap.height, data: gray };
+};
+
+// Synthetic slice: hexagonally packed grains with a biofilm rim
+const syntheticImage = () => {
+  const width = 240;
+  const height = 160;
+  const data = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let v = 40;
+      for (let row = 0; row * 34 < height + 34; row++) {
+        for (let col = -1; col * 40 < width + 40; col++) {
+          const cx = col * 40 + (row % 2 ? 20 : 0) + 20;
+          const cy = row * 34 + 17;
+          const r = Math.hypot(x - cx, y - cy) * (1 + 0.08 * Math.sin(5 * Math.atan2(y - cy, x - cx)));
+          if (r < 13) v = 210;
+          else if (r < 16.5 && v < 210) v = 125;
+        }
+      }
+      data[y * width + x] = v + 12 * Math.sin(x * 1.7 + y * 2.3);
+    }
+  }
+  return { width, height, data };
+};
+
+const ImageCanvas = ({ width, height, paint }) => {
+  const ref = useRef(null);
+  useEffect(() => {
+    const canvas = ref.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const img = ctx.createImageData(width, height);
+    paint(img.data);
+    ctx.putImageData(img, 0, 0);
+  }, [width, height, paint]);
+  return <canvas ref={ref} width={width} height={height} className="w-full border border-gray-200 rounded" style={{ imageRendering: 'pixelated' }} />;
+};
+
+const ImageAnalysisPanel = ({ onApply }) => {
+  const [image, setImage] = useState(null); // { gray, width, height, factor, name }
+  // Segmentation and flow settings are kept in the URL (img* keys); the image itself is not,
+  // and loading one resets the thresholds to its multi-Otsu values
+  const [thresholds, setThresholds] = useUrlState('imgThresholds', [85, 170]);
+  const [order, setOrder] = useUrlState('imgOrder', 'pore-biofilm-grain');
+  const [pixelSize, setPixelSize] = useUrlState('imgPixelSize', 1.0); // µm per original pixel
+  const [direction, setDirection] = useUrlState('imgDirection', 'x');
+  const [error, setError] = useState(null);
+  const [biofilmPermeability, setBiofilmPermeability] = useUrlState('imgBiofilmPermeability', 0); // px², relative to a²/12 in open pores
+  const [flow, setFlow] = useState(null); // { source, ...computeFlowProperties }
+  const [solving, setSolving] = useState(false);
+
+  const loadImage = (decoded, name) => {
+    const small = downsampleImage(decoded.data, decoded.width, decoded.height, MAX_ANALYSIS_SIZE);
+    const gray = normalizeImage(small.data);
+    setImage({ gray, width: small.width, height: small.height, factor: small.factor, name });
+    setThresholds(multiOtsu(grayHistogram(gray)));
+    setError(null);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const isTiff = /\.tiff?$/i.test(file.name) || file.type === 'image/tiff';
+      const decoded = isTiff ? decodeTIFF(await file.arrayBuffer()) : await decodeBrowserImage(file);
+      loadImage(decoded, file.name);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const result = useMemo(() => {
+    if (!image) return null;
+    return analyzeImage(image.gray, image.width, image.height, {
+      thresholds, order, pixelSize: pixelSize * image.factor, direction
+    });
+  }, [image, thresholds, order, pixelSize, direction]);
+
+  const paintGray = useMemo(() => (pixels) => {
+    image.gray.forEach((v, i) => {
+      pixels[4 * i] = v; pixels[4 * i + 1] = v; pixels[4 * i + 2] = v; pixels[4 * i + 3] = 255;
+    });
+  }, [image]);
+
+  const paintLabels = useMemo(() => (pixels) => {
+    result.labels.forEach((label, i) => {
+      const [r, g, b] = PHASE_COLORS[label];
+      pixels[4 * i] = r; pixels[4 * i + 1] = g; pixels[4 * i + 2] = b; pixels[4 * i + 3] = 255;
+    });
+  }, [result]);
+
+  // Flow results belong to one segmentation; re-run after changing thresholds or settings
+  const flowCurrent = flow && flow.source === result && flow.biofilmPermeability === biofilmPermeability ? flow : null;
+
+  const runFlow = () => {
+    setSolving(true);
+    // Yield so the "Solving…" state renders before the solver blocks
+    setTimeout(() => {
+      try {
+        const res = computeFlowProperties(result.labels, image.width, image.height, {
+          direction, pixelSize: pixelSize * image.factor, biofilmPermeability
+        });
+        setFlow({ ...res, source: result, biofilmPermeability });
+      } catch (err) {
+        setError(err.message);
+      }
+      setSolving(false);
+    }, 20);
+  };
+
+  const paintSpeed = useMemo(() => (pixels) => {
+    let max = 0;
+    flowCurrent.speed.forEach((v) => { if (v > max) max = v; });
+    flowCurrent.speed.forEach((v, i) => {
+      const t = max > 0 ? Math.sqrt(v / max) : 0;
+      const solid = result.labels[i] !== PHASE.pore;
+      pixels[4 * i] = solid ? 60 : 255 * t;
+      pixels[4 * i + 1] = solid ? 60 : 80 + 120 * t * (1 - t);
+      pixels[4 * i + 2] = solid ? 60 : 255 * (1 - t);
+      pixels[4 * i + 3] = 255;
+    });
+  }, [flowCurrent, result]);
+
+  const setThreshold = (k, value) => {
+    const next = [...thresholds];
+    next[k] = value;
+    if (next[0] >= next[1]) return;
+    setThresholds(next);
+  };
+
+  const apply = () => {
+    onApply({
+      porosity: result.porosity,
+      cleanPorosity: result.cleanPorosity,
+      tortuosity: flowCurrent ? flowCurrent.tortuosity : result.tortuosity,
+      hydraulicCond: flowCurrent ? flowCurrent.hcRatio : undefined,
+      svr: result.svr,
+      fShape: result.fShape,
+      fConcave: result.fConcave
+    });
+  };
+
+  const metrics = result ? [
+    ['Porosity θ (open pore)', result.porosity.toFixed(3), ''],
+    ['Clean porosity θ₀ (pore + biofilm)', result.cleanPorosity.toFixed(3), ''],
+    ['Biofilm fraction', result.fractions.biofilm.toFixed(3), ''],
+    ['SVR (biofilm)', result.svr.toFixed(3), 'µm⁻¹'],
+    ['Geometric tortuosity τ', Number.isFinite(result.tortuosity) ? result.tortuosity.toFixed(3) : 'no percolating path', ''],
+    ['f_shape (1/circularity)', result.fShape.toFixed(3), ''],
+    ['f_concave (1 − solidity)', result.fConcave.toFixed(3), ''],
+    ['Solid bodies analysed', result.count, '']
+  ] : [];
+
+  const flowMetrics = flowCurrent ? [
+    ['Permeability k (biofilm)', flowCurrent.permeability.toPrecision(3), 'µm²'],
+    ['Permeability k₀ (biofilm removed)', flowCurrent.cleanPermeability.toPrecision(3), 'µm²'],
+    ['HC = k/k₀', flowCurrent.hcRatio.toPrecision(3), ''],
+    ['Flow-weighted τ', Number.isFinite(flowCurrent.tortuosity) ? flowCurrent.tortuosity.toFixed(3) : 'no flow', ''],
+    ['Flow-weighted τ₀', Number.isFinite(flowCurrent.cleanTortuosity) ? flowCurrent.cleanTortuosity.toFixed(3) : 'no flow', ''],
+    ['CG iterations', `${flowCurrent.iterations}${flowCurrent.converged ? '' : ' (not converged)'}`, '']
+  ] : [];
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+      <h2 className="text-sm font-semibold text-gray-700 mb-3">Image Analysis — Derive Inputs from a Micrograph</h2>
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <div className="space-y-3">
+          <input type="file" accept=".png,.tif,.tiff,.jpg,.jpeg,.bmp,image/*" onChange={handleFile} className="text-xs w-full" />
+          <button onClick={() => loadImage(syntheticImage(), 'synthetic')} className="text-xs text-blue-600 hover:underline">
+            Load synthetic example
+          </button>
+          {error && <p className="text-xs text-red-600">{error}</p>}
+          {image && (
+            <>
+              <p className="text-xs text-gray-500">
+                {image.name}: analysed at {image.width} × {image.height} px
+                {image.factor > 1 ? ` (downsampled ${image.factor}×)` : ''}
+              </p>
+              <label className="flex items-center justify-between text-xs text-gray-600">
+                Intensity order
+                <select value={order} onChange={(e) => setOrder(e.target.value)} className="border border-gray-200 rounded p-1">
+                  {Object.entries(PHASE_ORDERS).map(([key, o]) => <option key={key} value={key}>{o.name}</option>)}
+                </select>
+              </label>
+              {[0, 1].map((k) => (
+                <div key={k}>
+                  <div className="flex justify-between text-xs text-gray-600">
+                    <span>Threshold {k + 1}</span>
+                    <span className="font-mono">{thresholds[k]}</span>
+                  </div>
+                  <input
+                    type="range" min={0} max={255} step={1} value={thresholds[k]}
+                    onChange={(e) => setThreshold(k, parseInt(e.target.value, 10))}
+                    className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
+                  />
+                </div>
+              ))}
+              <button
+                onClick={() => setThresholds(multiOtsu(grayHistogram(image.gray)))}
+                className="text-xs text-blue-600 hover:underline"
+              >
+                Reset to Otsu thresholds
+              </button>
+              <label className="flex items-center justify-between text-xs text-gray-600">
+                Pixel size
+                <span className="flex items-center gap-1">
+                  <input
+                    type="number" value={pixelSize} step={0.1}
+                    onChange={(e) => setPixelSize(parseFloat(e.target.value) || 1)}
+                    className="w-20 p-1 border border-gray-200 rounded text-right font-mono"
+                  />
+                  µm
+                </span>
+              </label>
+              <label className="flex items-center justify-between text-xs text-gray-600">
+                Flow direction
+                <select value={direction} onChange={(e) => setDirection(e.target.value)} className="border border-gray-200 rounded p-1">
+                  <option value="x">Left → right</option>
+                  <option value="y">Top → bottom</option>
+                </select>
+              </label>
+            </>
+          )}
+        </div>
+
+        {image && result && (
+          <>
+            <div className="space-y-2">
+              <ImageCanvas width={image.width} height={image.height} paint={paintGray} />
+              <ImageCanvas width={image.width} height={image.height} paint={paintLabels} />
+              {flowCurrent && <ImageCanvas width={image.width} height={image.height} paint={paintSpeed} />}
+              <div className="flex gap-3 text-xs text-gray-600">
+                {[['Pore', PHASE.pore], ['Biofilm', PHASE.biofilm], ['Grain', PHASE.grain]].map(([label, phase]) => (
+                  <span key={label} className="flex items-center gap-1">
+                    <span className="w-3 h-3 rounded-sm inline-block" style={{ backgroundColor: `rgb(${PHASE_COLORS[phase].join(',')})` }}></span>
+                    {label}
+                  </span>
+                ))}
+              </div>
+            </div>
+            <div>
+              <table className="w-full text-xs">
+                <tbody>
+                  {metrics.map(([label, value, unit]) => (
+                    <tr key={label} className="border-b border-gray-100">
+                      <td className="py-1 text-gray-600">{label}</td>
+                      <td className="py-1 text-right font-mono">{value} {unit}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="mt-3 pt-3 border-t border-gray-100">
+                <div className="text-xs font-semibold text-gray-700 mb-2">Lattice Flow Solver</div>
+                <label className="flex items-center justify-between text-xs text-gray-600 mb-2">
+                  Biofilm permeability
+                  <span className="flex items-center gap-1">
+                    <input
+                      type="number" value={biofilmPermeability} step={0.001} min={0}
+                      onChange={(e) => setBiofilmPermeability(Math.max(0, parseFloat(e.target.value) || 0))}
+                      className="w-20 p-1 border border-gray-200 rounded text-right font-mono"
+                    />
+                    px²
+                  </span>
+                </label>
+                <button
+                  onClick={runFlow}
+                  disabled={solving}
+                  className="w-full text-xs px-3 py-2 rounded-lg border border-blue-300 text-blue-700 bg-blue-50 hover:bg-blue-100 disabled:opacity-50"
+                >
+                  {solving ? 'Solving…' : 'Compute HC and flow tortuosity'}
+                </button>
+                {flowCurrent && (
+                  <table className="w-full text-xs mt-2">
+                    <tbody>
+                      {flowMetrics.map(([label, value, unit]) => (
+                        <tr key={label} className="border-b border-gray-100">
+                          <td className="py-1 text-gray-600">{label}</td>
+                          <td className="py-1 text-right font-mono">{value} {unit}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+              <button
+                onClick={apply}
+                className="mt-3 w-full text-xs px-3 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700"
+              >
+                Apply to calculator
+              </button>
+              <p className="text-xs text-gray-500 mt-2">
+                2D estimates: SVR is biofilm–pore interface length per biofilm area, shape factors use grain plus
+                attached biofilm, and τ is the mean shortest pore path over the straight length. After running the
+                flow solver, HC and the flow-weighted τ are applied instead.
+              </p>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImageAnalysisPanel;
@@ -0,0 +1,292 @@
+import React, { useState } from 'react';
+import { BarChart, Bar, ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { DISTRIBUTION_TYPES, validateDistribution, runMonteCarlo, histogram } from '../lib/monteCarlo';
+import ExportableChart from './ExportableChart';
+import { useUrlState } from '../hooks/useUrlState';
+
+// Monte Carlo uncertainty panel shared by the SSF, EPS and QMRA tools
+//
+// inputs:  [{ key, label, unit, value, lower? }] — value is the tool's current (nominal) setting
+// model:   (params) => { [outputKey]: number, [profileKey]?: number[] }
+// outputs: [{ key, label, unit, log?, digits?, threshold?: { value, label, direction: 'above' | 'below' } }]
+// profile: optional { key, axis: number[], axisLabel, valueLabel } for a percentile-band chart
+//
+// Distributions and run settings are kept in the URL (mc* keys); the results are not.
+
+const SAMPLE_COUNTS = [1000, 5000, 10000, 20000];
+
+// Starting parameters when an input is switched to a new distribution type
+const defaultsFor = (type, value) => {
+  const spread = Math.abs(value) || 1;
+  switch (type) {
+    case 'normal': return { type, mean: value, sd: 0.1 * spread };
+    case 'lognormal': return { type, mean: value > 0 ? value : 1, sd: 0.3 * spread };
+    case 'uniform': return { type, min: value - 0.2 * spread, max: value + 0.2 * spread };
+    case 'triangular': return { type, min: value - 0.2 * spread, mode: value, max: value + 0.2 * spread };
+    case 'empirical': return { type, values: [value], text: String(value) };
+    default: return { type: 'fixed' };
+  }
+};
+
+const formatValue = (value, output) => {
+  if (!Number.isFinite(value)) return '—';
+  if (output.log) return value.toExponential(2);
+  return value.toFixed(output.digits ?? 2);
+};
+
+const MonteCarloPanel = ({ title = 'Monte Carlo Uncertainty', inputs, model, outputs, profile }) => {
+  const [distributions, setDistributions] = useUrlState('mcDistributions', {});
+  const [sampleCount, setSampleCount] = useUrlState('mcSamples', 5000);
+  const [seed, setSeed] = useUrlState('mcSeed', 1);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [selectedOutput, setSelectedOutput] = useUrlState('mcOutput', outputs[0].key);
+
+  // Fixed inputs track the tool's current value
+  const resolved = Object.fromEntries(inputs.map((input) => {
+    const d = distributions[input.key];
+    if (!d || d.type === 'fixed') return [input.key, { type: 'fixed', value: input.value }];
+    return [input.key, input.lower !== undefined ? { ...d, lower: input.lower } : d];
+  }));
+  const errors = Object.fromEntries(
+    Object.entries(resolved).map(([key, d]) => [key, validateDistribution(d)]).filter(([, e]) => e)
+  );
+
+  const setType = (input, type) => {
+    setDistributions({ ...distributions, [input.key]: defaultsFor(type, input.value) });
+  };
+
+  const setField = (key, field, raw) => {
+    const d = distributions[key];
+    if (field === 'values') {
+      const values = raw.split(/[\s,;]+/).map(Number).filter((v) => raw.trim() !== '' && Number.isFinite(v));
+      setDistributions({ ...distributions, [key]: { ...d, values, text: raw } });
+    } else {
+      setDistributions({ ...distributions, [key]: { ...d, [field]: parseFloat(raw) } });
+    }
+  };
+
+  const run = () => {
+    setRunning(true);
+    // Yield so the "Running…" state renders before sampling blocks the thread
+    setTimeout(() => {
+      setResult(runMonteCarlo(model, resolved, { samples: sampleCount, seed }));
+      setRunning(false);
+    }, 20);
+  };
+
+  const output = outputs.find((o) => o.key === selectedOutput) || outputs[0];
+  const histogramData = result ? histogram(result.samples[output.key], 30, { log: output.log }) : [];
+  const exceedance = (o) => {
+    if (!result || !o.threshold) return null;
+    const values = result.samples[o.key];
+    const count = values.filter((v) => (o.threshold.direction === 'below' ? v < o.threshold.value : v > o.threshold.value)).length;
+    return count / values.length;
+  };
+
+  const bandData = result && profile
+    ? profile.axis.map((x, i) => ({
+      x,
+      band: [result.bands[profile.key][i].p5, result.bands[profile.key][i].p95],
+      p50: result.bands[profile.key][i].p50
+    }))
+    : [];
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+      <div className="flex justify-between items-center mb-3">
+        <h2 className="text-sm font-semibold text-gray-700">{title}</h2>
+        <div className="flex items-center gap-2 text-xs">
+          <label className="flex items-center gap-1 text-gray-600">
+            Samples
+            <select value={sampleCount} onChange={(e) => setSampleCount(Number(e.target.value))} className="border border-gray-200 rounded p-1">
+              {SAMPLE_COUNTS.map((n) => <option key={n} value={n}>{n.toLocaleString()}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-1 text-gray-600">
+            Seed
+            <input
+              type="number"
+              value={seed}
+              onChange={(e) => setSeed(parseInt(e.target.value, 10) || 0)}
+              className="w-16 p-1 border border-gray-200 rounded text-right font-mono"
+            />
+          </label>
+          <button
+            onClick={run}
+            disabled={running || Object.keys(errors).length > 0}
+            className="px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            {running ? 'Running…' : 'Run'}
+          </button>
+        </div>
+      </div>
+
+      {/* Input distributions */}
+      <table className="w-full text-xs mb-4">
+        <thead>
+          <tr className="text-gray-500 border-b border-gray-100">
+            <th className="text-left py-1">Input</th>
+            <th className="text-left py-1">Distribution</th>
+            <th className="text-left py-1">Parameters</th>
+          </tr>
+        </thead>
+        <tbody>
+          {inputs.map((input) => {
+            const d = resolved[input.key];
+            return (
+              <tr key={input.key} className="border-b border-gray-50 align-top">
+                <td className="py-1 text-gray-700">{input.label}{input.unit && <span className="text-gray-400"> ({input.unit})</span>}</td>
+                <td className="py-1">
+                  <select value={d.type} onChange={(e) => setType(input, e.target.value)} className="border border-gray-200 rounded p-0.5">
+                    {Object.entries(DISTRIBUTION_TYPES).map(([key, t]) => <option key={key} value={key}>{t.name}</option>)}
+                  </select>
+                </td>
+                <td className="py-1">
+                  {d.type === 'fixed' && <span className="font-mono text-gray-600">{input.value.toPrecision(4)}</span>}
+                  {d.type === 'empirical' && (
+                    <input
+                      type="text"
+                      value={d.text}
+                      onChange={(e) => setField(input.key, 'values', e.target.value)}
+                      placeholder="comma-separated observations"
+                      className="w-full p-0.5 border border-gray-200 rounded font-mono"
+                    />
+                  )}
+                  {d.type !== 'fixed' && d.type !== 'empirical' && (
+                    <span className="flex gap-2 flex-wrap">
+                      {DISTRIBUTION_TYPES[d.type].fields.map((field) => (
+                        <label key={field} className="flex items-center gap-1 text-gray-500">
+                          {field}
+                          <input
+                            type="number"
+                            step="any"
+                            value={Number.isFinite(d[field]) ? d[field] : ''}
+                            onChange={(e) => setField(input.key, field, e.target.value)}
+                            className="w-20 p-0.5 border border-gray-200 rounded text-right font-mono"
+                          />
+                        </label>
+                      ))}
+                    </span>
+                  )}
+                  {errors[input.key] && <div className="text-red-600 mt-0.5">{errors[input.key]}</div>}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {!result && (
+        <p className="text-xs text-gray-500">
+          Assign distributions to uncertain inputs and press Run. Inputs left as "Fixed" use the tool's current value.
+        </p>
+      )}
+
+      {result && (
+        <>
+          {/* Percentile cards */}
+          <div className="space-y-2 mb-4">
+            {outputs.map((o) => {
+              const s = result.summary[o.key];
+              const p = exceedance(o);
+              return (
+                <div key={o.key} className="grid grid-cols-2 md:grid-cols-5 gap-2 text-xs">
+                  <div className="flex items-center font-medium text-gray-700">{o.label}{o.unit && ` (${o.unit})`}</div>
+                  {[['P5', s.p5, 'bg-amber-50 text-amber-800'], ['P50', s.p50, 'bg-blue-50 text-blue-800'], ['P95', s.p95, 'bg-green-50 text-green-800']].map(([label, value, cls]) => (
+                    <div key={label} className={`rounded p-2 ${cls}`}>
+                      <div className="opacity-75">{label}</div>
+                      <div className="text-sm font-bold font-mono">{formatValue(value, o)}</div>
+                    </div>
+                  ))}
+                  <div className="rounded p-2 bg-gray-50 text-gray-700">
+                    {p !== null ? (
+                      <>
+                        <div className="opacity-75">P({o.threshold.direction === 'below' ? '<' : '>'} {o.threshold.label})</div>
+                        <div className="text-sm font-bold font-mono">{(p * 100).toFixed(1)}%</div>
+                      </>
+                    ) : (
+                      <>
+                        <div className="opacity-75">Mean ± SD</div>
+                        <div className="text-sm font-bold font-mono">{formatValue(s.mean, o)} ± {formatValue(s.sd, o)}</div>
+                      </>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          {/* Histogram */}
+          <div className="flex gap-1 mb-2 flex-wrap">
+            {outputs.map((o) => (
+              <button
+                key={o.key}
+                onClick={() => setSelectedOutput(o.key)}
+                className={`text-xs px-2 py-1 rounded border ${
+                  output.key === o.key ? 'bg-blue-100 border-blue-400 text-blue-700' : 'bg-gray-50 border-gray-200 text-gray-600'
+                }`}
+              >
+                {o.label}
+              </button>
+            ))}
+          </div>
+          <ExportableChart title={`${output.label} — Monte Carlo distribution`} data={histogramData} metadata={{ samples: result.samples[output.key].length }}>
+            <ResponsiveContainer width="100%" height={220}>
+              <BarChart data={histogramData} margin={{ top: 10, right: 30, left: 10, bottom: 20 }} barCategoryGap={1}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis
+                  dataKey="x"
+                  tickFormatter={(v) => formatValue(v, output)}
+                  label={{ value: `${output.label}${output.unit ? ` (${output.unit})` : ''}${output.log ? ' — log bins' : ''}`, position: 'bottom', offset: 0, fontSize: 12 }}
+                  fontSize={10}
+                />
+                <YAxis tickFormatter={(v) => `${(v * 100).toFixed(0)}%`} fontSize={11} />
+                <Tooltip
+                  formatter={(value) => [`${(value * 100).toFixed(2)}%`, 'Fraction of samples']}
+                  labelFormatter={(_, payload) => (payload?.[0]
+                    ? `${formatValue(payload[0].payload.lower, output)} – ${formatValue(payload[0].payload.upper, output)}`
+                    : '')}
+                />
+                <Bar dataKey="fraction" fill="#60a5fa" />
+              </BarChart>
+            </ResponsiveContainer>
+          </ExportableChart>
+
+          {/* Percentile band */}
+          {profile && (
+            <>
+              <h3 className="text-xs font-semibold text-gray-600 mt-4 mb-2">{profile.valueLabel} — median and 5–95% band</h3>
+              <ExportableChart title={`${profile.valueLabel} — median and 5–95% band`} data={bandData}>
+                <ResponsiveContainer width="100%" height={240}>
+                  <ComposedChart data={bandData} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis
+                      dataKey="x"
+                      type="number"
+                      domain={['dataMin', 'dataMax']}
+                      tickFormatter={(v) => v.toFixed(2)}
+                      label={{ value: profile.axisLabel, position: 'bottom', offset: 0, fontSize: 12 }}
+                      fontSize={11}
+                    />
+                    <YAxis fontSize={11} tickFormatter={(v) => v.toFixed(1)} />
+                    <Tooltip
+                      formatter={(value, name) => [Array.isArray(value) ? `${value[0].toFixed(3)} – ${value[1].toFixed(3)}` : value.toFixed(3), name]}
+                      labelFormatter={(label) => `${profile.axisLabel}: ${Number(label).toFixed(3)}`}
+                    />
+                    <Legend verticalAlign="top" height={30} />
+                    {profile.threshold !== undefined && <ReferenceLine y={profile.threshold} stroke="#f59e0b" strokeDasharray="5 5" />}
+                    <Area dataKey="band" stroke="none" fill="#93c5fd" fillOpacity={0.5} name="P5–P95" isAnimationActive={false} />
+                    <Line dataKey="p50" stroke="#1d4ed8" strokeWidth={2} dot={false} name="Median" isAnimationActive={false} />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </ExportableChart>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MonteCarloPanel;
@@ -0,0 +1,34 @@
+import React, { useState } from 'react';
+
+// Number field that keeps what is typed but only passes on values above min (or equal to it
+// when allowMin is set); an empty or out-of-range entry is marked and reverts on blur.
+// size sets width and padding, so the field fits both panels and table cells.
+const NumberInput = ({ value, setValue, step, min = 0, allowMin = false, size = 'w-24 p-1 text-xs' }) => {
+  const [draft, setDraft] = useState(String(value));
+  // Value changed from outside (URL restore): show it unless the draft already reads as it
+  const [shown, setShown] = useState(value);
+  if (value !== shown) {
+    setShown(value);
+    if (parseFloat(draft) !== value) setDraft(String(value));
+  }
+  const accepts = (v) => Number.isFinite(v) && (allowMin ? v >= min : v > min);
+  const valid = accepts(parseFloat(draft));
+  return (
+    <input
+      type="number"
+      value={draft}
+      step={step}
+      min={min}
+      onChange={(e) => {
+        setDraft(e.target.value);
+        const v = parseFloat(e.target.value);
+        if (accepts(v)) setValue(v);
+      }}
+      onBlur={() => setDraft(String(value))}
+      title={valid ? undefined : `Must be ${allowMin ? 'at least' : 'greater than'} ${min}; using ${value}`}
+      className={`${size} border rounded text-right font-mono ${valid ? 'border-gray-200' : 'border-red-400 bg-red-50'}`}
+    />
+  );
+};
+
+export default NumberInput;
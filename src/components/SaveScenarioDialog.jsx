@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+
+// Modal asking for a name and notes before the current tool state is saved as a scenario
+const SaveScenarioDialog = ({ tool, outputCount, onSave, onClose }) => {
+  const [name, setName] = useState('');
+  const [notes, setNotes] = useState('');
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (name.trim() === '') return;
+    onSave({ name, notes });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 px-4" onClick={onClose}>
+      <form
+        onSubmit={submit}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white rounded-xl shadow-lg p-5 border border-gray-100 w-full max-w-md"
+      >
+        <h2 className="text-sm font-semibold text-gray-700 mb-1">Save Scenario</h2>
+        <p className="text-xs text-gray-500 mb-3">
+          {tool.icon} {tool.name} — current parameters{outputCount > 0 ? ` and ${outputCount} key outputs` : ''}
+        </p>
+        <label className="block text-xs text-gray-600 mb-1" htmlFor="scenario-name">Name</label>
+        <input
+          id="scenario-name"
+          autoFocus
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g. Winter, mature bed"
+          className="w-full text-sm px-2 py-1 mb-3 border border-gray-200 rounded"
+        />
+        <label className="block text-xs text-gray-600 mb-1" htmlFor="scenario-notes">Notes</label>
+        <textarea
+          id="scenario-notes"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          rows={3}
+          className="w-full text-sm px-2 py-1 mb-4 border border-gray-200 rounded"
+        />
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="px-3 py-1 text-xs rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-100">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={name.trim() === ''}
+            className="px-3 py-1 text-xs rounded-lg border border-blue-600 bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            Save
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default SaveScenarioDialog;
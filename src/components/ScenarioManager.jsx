@@ -0,0 +1,261 @@
+import React, { useState } from 'react';
+import {
+  updateScenario, duplicateScenario, removeScenario, serializeScenarios, parseScenarios, mergeScenarios, compareScenarios
+} from '../lib/scenarios';
+import { downloadFile } from '../lib/download';
+
+// Scenario library page: list, edit, duplicate, delete, JSON import/export, and a side-by-side
+// comparison of the key outputs and parameters of the selected scenarios
+//
+// tools:        the App tool registry (name, shortName, icon, color per id)
+// scenarios:    saved scenarios (lib/scenarios), setScenarios to change them
+// storageError: message when the library could not be written to browser storage
+// onOpen:       (scenario) => void, navigates to the scenario's tool and parameters
+
+const formatNumber = (v) => {
+  if (!Number.isFinite(v)) return '—';
+  if (v === 0) return '0';
+  return Math.abs(v) >= 0.01 && Math.abs(v) < 1e4 ? v.toFixed(3) : v.toExponential(2);
+};
+
+const formatDate = (iso) => new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+const ScenarioManager = ({ tools, scenarios, setScenarios, storageError, onOpen }) => {
+  const [toolFilter, setToolFilter] = useState('all');
+  const [selected, setSelected] = useState([]);
+  const [editing, setEditing] = useState(null); // { id, name, notes }
+  const [message, setMessage] = useState(null); // { text, error }
+
+  const visible = scenarios.filter((s) => toolFilter === 'all' || s.tool === toolFilter);
+  const compared = selected.map((id) => scenarios.find((s) => s.id === id)).filter(Boolean);
+  const comparison = compareScenarios(compared);
+  const toolOf = (s) => tools[s.tool] || { name: s.tool, shortName: s.tool, icon: '❔', color: '#9ca3af' };
+
+  const toggleSelected = (id) => setSelected((current) => (
+    current.includes(id) ? current.filter((x) => x !== id) : [...current, id]
+  ));
+
+  const saveEdit = () => {
+    if (editing.name.trim() === '') return;
+    setScenarios(updateScenario(scenarios, editing.id, { name: editing.name.trim(), notes: editing.notes }));
+    setEditing(null);
+  };
+
+  const remove = (s) => {
+    if (!window.confirm(`Delete scenario "${s.name}"?`)) return;
+    setScenarios(removeScenario(scenarios, s.id));
+    setSelected((current) => current.filter((id) => id !== s.id));
+  };
+
+  const exportScenarios = (list, filename) => downloadFile(filename, serializeScenarios(list), 'application/json');
+
+  const handleImport = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const imported = parseScenarios(String(reader.result));
+        setScenarios(mergeScenarios(scenarios, imported));
+        const unknown = imported.filter((s) => !tools[s.tool]).length;
+        setMessage({
+          text: `Imported ${imported.length} scenario${imported.length === 1 ? '' : 's'} from ${file.name}`
+            + (unknown > 0 ? ` (${unknown} for tools not in this version)` : ''),
+          error: false
+        });
+      } catch (err) {
+        setMessage({ text: `Could not import ${file.name}: ${err.message}`, error: true });
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 py-6 space-y-4">
+      <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+        <div className="flex flex-wrap items-start justify-between gap-3">
+          <div>
+            <h1 className="text-xl font-bold text-gray-800">📁 Scenario Library</h1>
+            <p className="text-sm text-gray-500">
+              Save the current parameters of any tool with 💾 in the header. Scenarios are stored in this browser;
+              export them as JSON to keep a copy or share them.
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <label className="px-3 py-1 text-xs rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-100 cursor-pointer">
+              Import JSON…
+              <input type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+            </label>
+            <button
+              onClick={() => exportScenarios(scenarios, 'ssf-scenarios.json')}
+              disabled={scenarios.length === 0}
+              className="px-3 py-1 text-xs rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-100 disabled:opacity-50"
+            >
+              Export all
+            </button>
+            <button
+              onClick={() => exportScenarios(compared, 'ssf-scenarios-selected.json')}
+              disabled={compared.length === 0}
+              className="px-3 py-1 text-xs rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-100 disabled:opacity-50"
+            >
+              Export selected
+            </button>
+          </div>
+        </div>
+        {message && (
+          <p className={`text-xs mt-3 ${message.error ? 'text-red-600' : 'text-green-700'}`}>{message.text}</p>
+        )}
+        {storageError && (
+          <p className="text-xs mt-3 text-amber-700">
+            Scenarios could not be saved in this browser ({storageError}). Export them before closing the page.
+          </p>
+        )}
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+          <h2 className="text-sm font-semibold text-gray-700">
+            Saved Scenarios <span className="font-normal text-gray-400">({visible.length})</span>
+          </h2>
+          <select
+            value={toolFilter}
+            onChange={(e) => setToolFilter(e.target.value)}
+            className="text-xs px-2 py-1 border border-gray-200 rounded"
+          >
+            <option value="all">All tools</option>
+            {Object.values(tools).map((t) => (
+              <option key={t.id} value={t.id}>{t.icon} {t.shortName}</option>
+            ))}
+          </select>
+        </div>
+
+        {visible.length === 0 ? (
+          <p className="text-sm text-gray-500 py-6 text-center">
+            {scenarios.length === 0 ? 'No scenarios saved yet.' : 'No scenarios for this tool.'}
+          </p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {visible.map((s) => {
+              const tool = toolOf(s);
+              const isEditing = editing?.id === s.id;
+              return (
+                <div key={s.id} className="py-2 flex items-start gap-3">
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(s.id)}
+                    onChange={() => toggleSelected(s.id)}
+                    title="Select for comparison"
+                    className="mt-1"
+                  />
+                  <span className="text-lg" title={tool.name}>{tool.icon}</span>
+                  <div className="flex-1 min-w-0">
+                    {isEditing ? (
+                      <div className="space-y-1">
+                        <input
+                          value={editing.name}
+                          onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                          className="w-full text-sm px-2 py-1 border border-gray-200 rounded"
+                        />
+                        <textarea
+                          value={editing.notes}
+                          onChange={(e) => setEditing({ ...editing, notes: e.target.value })}
+                          rows={2}
+                          className="w-full text-xs px-2 py-1 border border-gray-200 rounded"
+                        />
+                      </div>
+                    ) : (
+                      <>
+                        <div className="text-sm font-medium text-gray-800">{s.name}</div>
+                        {s.notes && <div className="text-xs text-gray-600 whitespace-pre-line">{s.notes}</div>}
+                      </>
+                    )}
+                    <div className="text-xs text-gray-400">
+                      <span style={{ color: tool.color }}>{tool.shortName}</span>
+                      {' · '}{Object.keys(s.params).length} changed parameter{Object.keys(s.params).length === 1 ? '' : 's'}
+                      {' · '}saved {formatDate(s.updated)}
+                    </div>
+                  </div>
+                  <div className="flex flex-wrap justify-end gap-1">
+                    {isEditing ? (
+                      <>
+                        <button onClick={saveEdit} className="px-2 py-1 text-xs rounded-lg border border-blue-600 bg-blue-600 text-white hover:bg-blue-700">Save</button>
+                        <button onClick={() => setEditing(null)} className="px-2 py-1 text-xs rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-100">Cancel</button>
+                      </>
+                    ) : (
+                      <>
+                        <button
+                          onClick={() => onOpen(s)}
+                          disabled={!tools[s.tool]}
+                          className="px-2 py-1 text-xs rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-100 disabled:opacity-50"
+                        >
+                          Open
+                        </button>
+                        <button onClick={() => setEditing({ id: s.id, name: s.name, notes: s.notes })} className="px-2 py-1 text-xs rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-100">Edit</button>
+                        <button onClick={() => setScenarios(duplicateScenario(scenarios, s.id))} className="px-2 py-1 text-xs rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-100">Duplicate</button>
+                        <button onClick={() => exportScenarios([s], `${s.name.replace(/[^\w-]+/g, '_')}.json`)} className="px-2 py-1 text-xs rounded-lg border border-gray-200 text-gray-600 hover:bg-gray-100">Export</button>
+                        <button onClick={() => remove(s)} className="px-2 py-1 text-xs rounded-lg border border-red-200 text-red-600 hover:bg-red-50">Delete</button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+        <h2 className="text-sm font-semibold text-gray-700 mb-1">Compare</h2>
+        {compared.length < 2 ? (
+          <p className="text-xs text-gray-500">Tick two or more scenarios to compare their key outputs and parameters.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <p className="text-xs text-gray-500 mb-2">
+              Outputs are those shown when each scenario was saved. Blank parameters are at the tool default;
+              highlighted rows differ between scenarios.
+            </p>
+            <table className="text-xs w-full">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="text-left py-1 pr-3 font-medium text-gray-500" />
+                  {compared.map((s) => (
+                    <th key={s.id} className="text-right py-1 px-2 font-semibold text-gray-700 whitespace-nowrap">
+                      <span className="mr-1">{toolOf(s).icon}</span>{s.name}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td colSpan={compared.length + 1} className="pt-2 pb-1 font-semibold text-gray-600">Key outputs</td>
+                </tr>
+                {comparison.outputs.map((row) => (
+                  <tr key={`${row.label}|${row.unit}`} className="border-b border-gray-50">
+                    <td className="py-1 pr-3 text-gray-600">{row.label}{row.unit ? ` (${row.unit})` : ''}</td>
+                    {row.values.map((v, i) => (
+                      <td key={compared[i].id} className="py-1 px-2 text-right font-mono">{v === undefined ? '' : formatNumber(v)}</td>
+                    ))}
+                  </tr>
+                ))}
+                <tr>
+                  <td colSpan={compared.length + 1} className="pt-3 pb-1 font-semibold text-gray-600">Parameters</td>
+                </tr>
+                {comparison.params.map((row) => (
+                  <tr key={row.key} className={`border-b border-gray-50 ${row.differs ? 'bg-amber-50' : ''}`}>
+                    <td className="py-1 pr-3 text-gray-600 font-mono">{row.key}</td>
+                    {row.values.map((v, i) => (
+                      <td key={compared[i].id} className="py-1 px-2 text-right font-mono break-all">{v ?? ''}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ScenarioManager;
@@ -0,0 +1,261 @@
+import React, { useMemo } from 'react';
+import { BarChart, Bar, Cell, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { simulateAnnualCycle, MONTHS } from '../lib/schijven';
+import ExportableChart from './ExportableChart';
+import NumberInput from './NumberInput';
+import { useUrlState } from '../hooks/useUrlState';
+
+// Seasonal scenario mode for the SSF Model Explorer
+// Evaluates the steady-state model month by month for a year of operating conditions
+
+const DAYS_PER_MONTH = 365 / 12;
+
+// Sinusoidal monthly series peaking in peakMonth (0 = Jan)
+const sinusoid = (mean, amplitude, peakMonth) =>
+  MONTHS.map((_, m) => mean + amplitude * Math.cos((2 * Math.PI * (m - peakMonth)) / 12));
+
+// Schmutzdecke age at mid-month for one scrape per year (scrapeMonth = null: never scraped)
+const ageSeries = (scrapeMonth) =>
+  MONTHS.map((_, m) => (scrapeMonth === null
+    ? 730
+    : ((m - scrapeMonth + 12) % 12 + 0.5) * DAYS_PER_MONTH));
+
+const TEMPLATES = {
+  dutchRiver: {
+    name: 'Dutch river water',
+    description: 'Rhine/Meuse-fed plant: 3–20 °C, summer demand peak, scraped in October',
+    build: () => ({ temperature: sinusoid(11.5, 8.5, 7), filtrationRate: sinusoid(0.06, 0.02, 6), age: ageSeries(9) })
+  },
+  reservoir: {
+    name: 'Reservoir / lake',
+    description: 'Damped, lagged temperature cycle (5–17 °C), constant rate, never scraped',
+    build: () => ({ temperature: sinusoid(11, 6, 8), filtrationRate: sinusoid(0.05, 0, 0), age: ageSeries(null) })
+  },
+  springScrape: {
+    name: 'Spring scraping',
+    description: 'As Dutch river water but scraped in March, ripening through the warm season',
+    build: () => ({ temperature: sinusoid(11.5, 8.5, 7), filtrationRate: sinusoid(0.06, 0.02, 6), age: ageSeries(2) })
+  },
+  winterScrape: {
+    name: 'Winter scraping',
+    description: 'Scraped in January — immature bed coincides with the coldest water',
+    build: () => ({ temperature: sinusoid(11.5, 8.5, 7), filtrationRate: sinusoid(0.06, 0.02, 6), age: ageSeries(0) })
+  }
+};
+
+const toRows = ({ temperature, filtrationRate, age }) =>
+  MONTHS.map((_, i) => ({
+    temperature: Math.round(temperature[i] * 10) / 10,
+    filtrationRate: Math.round(filtrationRate[i] * 1000) / 1000,
+    age: Math.round(age[i])
+  }));
+
+const MIN_FILTRATION_RATE = 0.01; // m/h
+
+// Editable monthly columns; temperature and age may be 0, the filtration rate must exceed it
+const CELL_FIELDS = [
+  { field: 'temperature', step: 0.5, allowMin: true },
+  { field: 'filtrationRate', step: MIN_FILTRATION_RATE, allowMin: false },
+  { field: 'age', step: 1, allowMin: true }
+];
+
+const SeasonalPanel = ({ rates, dispersivity, filterDepth, temperatureSettings, ripeningTimes }) => {
+  const [rows, setRows] = useUrlState('seasonalRows', toRows(TEMPLATES.dutchRiver.build()));
+  const [activeTemplate, setActiveTemplate] = useUrlState('seasonalTemplate', 'dutchRiver'); // '' once edited
+  const [porosity, setPorosity] = useUrlState('seasonalPorosity', 0.4);
+  const [targetLogRemoval, setTargetLogRemoval] = useUrlState('seasonalTarget', 1.0);
+
+  const applyTemplate = (key) => {
+    setRows(toRows(TEMPLATES[key].build()));
+    setActiveTemplate(key);
+  };
+
+  const updateCell = (index, field, value) => {
+    setRows((current) => current.map((r, i) => (i === index ? { ...r, [field]: value } : r)));
+    setActiveTemplate('');
+  };
+
+  // Rows restored from a link are not checked by the inputs: a month without flow has no
+  // steady-state removal, so rates are held at the smallest step of the rate column
+  const annual = useMemo(() => simulateAnnualCycle(
+    rows.map((r) => ({ ...r, filtrationRate: Math.max(r.filtrationRate, MIN_FILTRATION_RATE) || MIN_FILTRATION_RATE })),
+    rates,
+    { porosity, dispersivity, filterDepth, ...ripeningTimes, temperatureSettings }
+  ), [rows, rates, porosity, dispersivity, filterDepth, ripeningTimes, temperatureSettings]);
+
+  const worst = annual.series[annual.worstIndex];
+  const best = annual.series.reduce((b, m) => (m.logRemoval > b.logRemoval ? m : b), annual.series[0]);
+  const annualMean = annual.series.reduce((s, m) => s + m.logRemoval, 0) / annual.series.length;
+  const monthsBelowTarget = annual.series.filter((m) => m.logRemoval < targetLogRemoval).length;
+
+  // Slider component
+  const Slider = ({ label, value, setValue, min, max, step, unit }) => (
+    <div className="mb-3">
+      <div className="flex justify-between text-sm mb-1">
+        <span className="text-gray-700">{label}</span>
+        <span className="font-mono text-blue-700">{value.toFixed(step < 0.1 ? 2 : step < 1 ? 1 : 0)} {unit}</span>
+      </div>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => setValue(parseFloat(e.target.value))}
+        className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
+      />
+    </div>
+  );
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+      {/* Inputs */}
+      <div className="lg:col-span-1 space-y-4">
+        <div className="bg-white rounded-lg shadow-sm p-4">
+          <h2 className="text-sm font-semibold text-gray-700 mb-3">Annual Templates</h2>
+          <div className="grid grid-cols-2 gap-2">
+            {Object.entries(TEMPLATES).map(([key, t]) => (
+              <button
+                key={key}
+                onClick={() => applyTemplate(key)}
+                className={`text-xs p-2 rounded border transition-colors ${
+                  activeTemplate === key
+                    ? 'bg-blue-100 border-blue-400 text-blue-700'
+                    : 'bg-gray-50 border-gray-200 text-gray-600 hover:border-gray-300'
+                }`}
+              >
+                {t.name}
+              </button>
+            ))}
+          </div>
+          {activeTemplate && (
+            <p className="text-xs text-gray-500 mt-2 italic">{TEMPLATES[activeTemplate].description}</p>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm p-4">
+          <h2 className="text-sm font-semibold text-gray-700 mb-3">Bed & Ripening</h2>
+          <Slider label="Bed porosity (θ)" value={porosity} setValue={setPorosity} min={0.3} max={0.5} step={0.01} unit="" />
+          <Slider label="Target log removal" value={targetLogRemoval} setValue={setTargetLogRemoval} min={0.5} max={4} step={0.1} unit="log" />
+          <p className="text-xs text-gray-500">
+            Site rates, Eₐ values and ripening times (τ₁ = {ripeningTimes.tau1} d, τ₂ = {ripeningTimes.tau2} d) are taken from
+            the Forward Model view; katt,i there are treated as fully ripened values (katt,max).
+          </p>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm p-4">
+          <h2 className="text-sm font-semibold text-gray-700 mb-3">Monthly Conditions</h2>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-gray-500 border-b border-gray-100">
+                <th className="text-left py-1">Month</th>
+                <th className="text-right py-1">T (°C)</th>
+                <th className="text-right py-1">Rate (m/h)</th>
+                <th className="text-right py-1">Age (d)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r, i) => (
+                <tr key={MONTHS[i]} className={i === annual.worstIndex ? 'bg-red-50' : ''}>
+                  <td className="py-0.5 text-gray-700">{MONTHS[i]}</td>
+                  {CELL_FIELDS.map(({ field, step, allowMin }) => (
+                    <td key={field} className="py-0.5 text-right">
+                      <NumberInput
+                        value={r[field]}
+                        setValue={(v) => updateCell(i, field, v)}
+                        step={step}
+                        allowMin={allowMin}
+                        size="w-16 p-0.5"
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Results */}
+      <div className="lg:col-span-2 space-y-4">
+        <div className="bg-white rounded-lg shadow-sm p-4">
+          <h2 className="text-sm font-semibold text-gray-700 mb-3">Annual Summary</h2>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="bg-red-50 rounded p-3">
+              <div className="text-xs text-red-600 mb-1">Worst Month</div>
+              <div className="text-lg font-bold text-red-800">{worst.month} — {worst.logRemoval.toFixed(2)} log</div>
+            </div>
+            <div className="bg-green-50 rounded p-3">
+              <div className="text-xs text-green-600 mb-1">Best Month</div>
+              <div className="text-lg font-bold text-green-800">{best.month} — {best.logRemoval.toFixed(2)} log</div>
+            </div>
+            <div className="bg-blue-50 rounded p-3">
+              <div className="text-xs text-blue-600 mb-1">Annual Mean</div>
+              <div className="text-lg font-bold text-blue-800">{annualMean.toFixed(2)} log</div>
+            </div>
+            <div className="bg-amber-50 rounded p-3">
+              <div className="text-xs text-amber-600 mb-1">Months Below Target</div>
+              <div className="text-lg font-bold text-amber-800">{monthsBelowTarget} / 12</div>
+            </div>
+          </div>
+          <p className="text-xs text-gray-600 mt-3">
+            Worst month conditions: {worst.temperature} °C, {worst.filtrationRate} m/h (v = {worst.velocity.toFixed(2)} m/d),
+            bed age {worst.age} d (site 1 {(worst.ripening * 100).toFixed(0)}% ripened), λ = {worst.lambda.toFixed(2)} d⁻¹.
+          </p>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm p-4">
+          <h2 className="text-sm font-semibold text-gray-700 mb-3">Monthly Log₁₀ Removal</h2>
+          <ExportableChart title="Monthly Log₁₀ Removal" data={annual.series}>
+            <ResponsiveContainer width="100%" height={280}>
+              <BarChart data={annual.series} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="month" fontSize={11} />
+                <YAxis
+                  label={{ value: '-log₁₀(C/C₀)', angle: -90, position: 'insideLeft', offset: 10, fontSize: 12 }}
+                  domain={[0, 'auto']}
+                  tickFormatter={(v) => v.toFixed(1)}
+                  fontSize={11}
+                />
+                <Tooltip
+                  formatter={(value, name, item) => [
+                    `${value.toFixed(3)} (C/C₀ = ${item.payload.effluent.toExponential(2)})`,
+                    'Log Removal'
+                  ]}
+                />
+                <ReferenceLine y={targetLogRemoval} stroke="#f59e0b" strokeDasharray="5 5" label={{ value: 'target', position: 'right', fontSize: 10, fill: '#f59e0b' }} />
+                <Bar dataKey="logRemoval" name="Log removal">
+                  {annual.series.map((m, i) => (
+                    <Cell key={m.month} fill={i === annual.worstIndex ? '#ef4444' : m.logRemoval < targetLogRemoval ? '#f59e0b' : '#059669'} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </ExportableChart>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm p-4">
+          <h2 className="text-sm font-semibold text-gray-700 mb-3">Operating Conditions and λ Through the Year</h2>
+          <ExportableChart title="Operating Conditions and λ Through the Year" data={annual.series}>
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={annual.series} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="month" fontSize={11} />
+                <YAxis yAxisId="left" fontSize={11} label={{ value: 'T (°C) / λ (d⁻¹)', angle: -90, position: 'insideLeft', offset: 10, fontSize: 12 }} />
+                <YAxis yAxisId="right" orientation="right" fontSize={11} label={{ value: 'Rate (m/h)', angle: 90, position: 'insideRight', fontSize: 12 }} />
+                <Tooltip formatter={(value) => value.toFixed(3)} />
+                <Legend verticalAlign="top" height={36} />
+                <ReferenceLine yAxisId="left" x={worst.month} stroke="#ef4444" strokeDasharray="3 3" />
+                <Line yAxisId="left" type="monotone" dataKey="temperature" stroke="#0891b2" strokeWidth={2} name="Temperature (°C)" />
+                <Line yAxisId="left" type="monotone" dataKey="lambda" stroke="#2563eb" strokeWidth={2} name="λ (d⁻¹)" />
+                <Line yAxisId="right" type="monotone" dataKey="filtrationRate" stroke="#9333ea" strokeWidth={2} strokeDasharray="5 3" name="Filtration rate (m/h)" />
+              </LineChart>
+            </ResponsiveContainer>
+          </ExportableChart>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SeasonalPanel;
@@ -0,0 +1,277 @@
+import React, { useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine, ErrorBar } from 'recharts';
+import { tornado, morrisScreening, sobolIndices } from '../lib/sensitivity';
+import ExportableChart from './ExportableChart';
+import { useUrlState } from '../hooks/useUrlState';
+
+// Global sensitivity panel shared by every tool: tornado, Morris screening and Sobol indices
+//
+// inputs:  [{ key, label, unit, value, min, max, log? }] — value is the tool's current setting,
+//          min/max the default range (usually the slider range)
+// model:   (params) => { [outputKey]: number }
+// outputs: [{ key, label, unit }]
+// sampleCounts: optional Sobol base sample choices for slow models; the middle one is the default
+//
+// Ranges and run settings are kept in the URL (sa* keys); the results are not.
+
+const SAMPLE_COUNTS = [256, 1024, 4096];
+const TRAJECTORY_COUNTS = [10, 20, 50];
+
+const formatNumber = (v) => {
+  if (!Number.isFinite(v)) return '—';
+  if (v === 0) return '0';
+  return Math.abs(v) >= 0.01 && Math.abs(v) < 1e4 ? v.toFixed(3) : v.toExponential(2);
+};
+
+const SensitivityPanel = ({ title = 'Global Sensitivity Analysis', inputs, model, outputs, sampleCounts = SAMPLE_COUNTS }) => {
+  const [overrides, setOverrides] = useUrlState('saRanges', {}); // key → { min?, max?, log?, enabled? }
+  const [selectedOutput, setSelectedOutput] = useUrlState('saOutput', outputs[0].key);
+  const [sampleCount, setSampleCount] = useUrlState('saSamples', sampleCounts[Math.floor(sampleCounts.length / 2)]);
+  const [trajectories, setTrajectories] = useUrlState('saTrajectories', 20);
+  const [seed, setSeed] = useUrlState('saSeed', 1);
+  const [logOutput, setLogOutput] = useUrlState('saLogOutput', false);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const settings = Object.fromEntries(inputs.map((input) => {
+    const o = overrides[input.key] || {};
+    return [input.key, {
+      min: o.min ?? input.min,
+      max: o.max ?? input.max,
+      log: o.log ?? !!input.log,
+      enabled: o.enabled ?? true
+    }];
+  }));
+  const errors = Object.fromEntries(inputs.map((input) => {
+    const s = settings[input.key];
+    if (!s.enabled) return [input.key, null];
+    if (!Number.isFinite(s.min) || !Number.isFinite(s.max)) return [input.key, 'min and max must be numbers'];
+    if (!(s.max > s.min)) return [input.key, 'max must exceed min'];
+    if (s.log && s.min <= 0) return [input.key, 'log range needs min > 0'];
+    return [input.key, null];
+  }).filter(([, e]) => e));
+  const varied = inputs.filter((input) => settings[input.key].enabled);
+
+  const setOverride = (key, field, value) => {
+    setOverrides({ ...overrides, [key]: { ...overrides[key], [field]: value } });
+  };
+
+  const run = () => {
+    setRunning(true);
+    // Yield so the "Running…" state renders before sampling blocks the thread
+    setTimeout(() => {
+      const nominal = Object.fromEntries(inputs.map((input) => [input.key, input.value]));
+      const ranges = Object.fromEntries(varied.map((input) => [input.key, settings[input.key]]));
+      // Multiplicative models give heavy-tailed outputs; their logarithm keeps the Sobol estimators stable
+      const f = logOutput
+        ? (params) => Math.log10(model({ ...nominal, ...params })[selectedOutput])
+        : (params) => model({ ...nominal, ...params })[selectedOutput];
+      const output = outputs.find((o) => o.key === selectedOutput);
+      setResult({
+        output: logOutput ? { ...output, label: `log₁₀ ${output.label}` } : output,
+        tornado: tornado(f, ranges, nominal),
+        morris: morrisScreening(f, ranges, { trajectories, seed }),
+        sobol: sobolIndices(f, ranges, { samples: sampleCount, seed })
+      });
+      setRunning(false);
+    }, 20);
+  };
+
+  const labelOf = (key) => inputs.find((input) => input.key === key)?.label || key;
+  const tornadoData = result ? result.tornado.bars.map((b) => ({
+    name: labelOf(b.key),
+    low: b.low - result.tornado.baseline,
+    high: b.high - result.tornado.baseline
+  })) : [];
+  const morrisData = result ? result.morris.results.map((r) => ({ name: labelOf(r.key), muStar: r.muStar, sigma: r.sigma })) : [];
+  const sobolData = result ? result.sobol.results.map((r) => ({
+    name: labelOf(r.key),
+    first: r.first,
+    total: r.total,
+    firstConf: r.firstConf,
+    totalConf: r.totalConf
+  })) : [];
+  const barHeight = Math.max(160, 28 * varied.length + 60);
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+      <div className="flex justify-between items-center mb-3 flex-wrap gap-2">
+        <h2 className="text-sm font-semibold text-gray-700">{title}</h2>
+        <div className="flex items-center gap-2 text-xs flex-wrap">
+          <label className="flex items-center gap-1 text-gray-600">
+            Output
+            <select value={selectedOutput} onChange={(e) => setSelectedOutput(e.target.value)} className="border border-gray-200 rounded p-1">
+              {outputs.map((o) => <option key={o.key} value={o.key}>{o.label}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-1 text-gray-600">
+            <input type="checkbox" checked={logOutput} onChange={(e) => setLogOutput(e.target.checked)} />
+            log₁₀
+          </label>
+          <label className="flex items-center gap-1 text-gray-600">
+            Sobol N
+            <select value={sampleCount} onChange={(e) => setSampleCount(Number(e.target.value))} className="border border-gray-200 rounded p-1">
+              {sampleCounts.map((n) => <option key={n} value={n}>{n.toLocaleString()}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-1 text-gray-600">
+            Morris r
+            <select value={trajectories} onChange={(e) => setTrajectories(Number(e.target.value))} className="border border-gray-200 rounded p-1">
+              {TRAJECTORY_COUNTS.map((n) => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-1 text-gray-600">
+            Seed
+            <input
+              type="number"
+              value={seed}
+              onChange={(e) => setSeed(parseInt(e.target.value, 10) || 0)}
+              className="w-16 p-1 border border-gray-200 rounded text-right font-mono"
+            />
+          </label>
+          <button
+            onClick={run}
+            disabled={running || varied.length === 0 || Object.keys(errors).length > 0}
+            className="px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            {running ? 'Running…' : 'Run'}
+          </button>
+        </div>
+      </div>
+
+      {/* Parameter ranges */}
+      <table className="w-full text-xs mb-2">
+        <thead>
+          <tr className="text-gray-500 border-b border-gray-100">
+            <th className="text-left py-1">Vary</th>
+            <th className="text-left py-1">Input</th>
+            <th className="text-right py-1">Nominal</th>
+            <th className="text-right py-1">Min</th>
+            <th className="text-right py-1">Max</th>
+            <th className="text-center py-1">Log</th>
+          </tr>
+        </thead>
+        <tbody>
+          {inputs.map((input) => {
+            const s = settings[input.key];
+            return (
+              <tr key={input.key} className={`border-b border-gray-50 ${s.enabled ? '' : 'text-gray-400'}`}>
+                <td className="py-1">
+                  <input type="checkbox" checked={s.enabled} onChange={(e) => setOverride(input.key, 'enabled', e.target.checked)} />
+                </td>
+                <td className="py-1">
+                  {input.label}{input.unit && <span className="text-gray-400"> ({input.unit})</span>}
+                  {errors[input.key] && <div className="text-red-600">{errors[input.key]}</div>}
+                </td>
+                <td className="py-1 text-right font-mono">{formatNumber(input.value)}</td>
+                {['min', 'max'].map((field) => (
+                  <td key={field} className="py-1 text-right">
+                    <input
+                      type="number"
+                      step="any"
+                      value={Number.isFinite(s[field]) ? s[field] : ''}
+                      disabled={!s.enabled}
+                      onChange={(e) => setOverride(input.key, field, parseFloat(e.target.value))}
+                      className="w-20 p-0.5 border border-gray-200 rounded text-right font-mono"
+                    />
+                  </td>
+                ))}
+                <td className="py-1 text-center">
+                  <input type="checkbox" checked={s.log} disabled={!s.enabled} onChange={(e) => setOverride(input.key, 'log', e.target.checked)} />
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-500 mb-3">
+        Varied inputs are sampled uniformly over [min, max] (log-uniform when Log is ticked); the others stay at their
+        nominal value. One run costs {(2 * varied.length + 1) + trajectories * (varied.length + 1) + sampleCount * (varied.length + 2)} model
+        evaluations.
+      </p>
+
+      {result && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <h3 className="text-xs font-semibold text-gray-600 mb-1">
+                Tornado — change in {result.output.label} from {formatNumber(result.tornado.baseline)}
+              </h3>
+              <ExportableChart title={`Tornado — ${result.output.label}`} data={tornadoData} metadata={{ baseline: result.tornado.baseline }}>
+                <ResponsiveContainer width="100%" height={barHeight}>
+                  <BarChart data={tornadoData} layout="vertical" margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis type="number" fontSize={11} tickFormatter={formatNumber} />
+                    <YAxis type="category" dataKey="name" width={110} fontSize={11} />
+                    <Tooltip formatter={(value, name) => [formatNumber(value), name]} contentStyle={{ fontSize: '12px' }} />
+                    <Legend verticalAlign="top" height={24} />
+                    <ReferenceLine x={0} stroke="#6b7280" />
+                    <Bar dataKey="low" fill="#f59e0b" name="Input at min" />
+                    <Bar dataKey="high" fill="#3b82f6" name="Input at max" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </ExportableChart>
+            </div>
+            <div>
+              <h3 className="text-xs font-semibold text-gray-600 mb-1">
+                Morris screening — {result.morris.evaluations} runs
+              </h3>
+              <ExportableChart title={`Morris screening — ${result.output.label}`} data={morrisData} metadata={{ runs: result.morris.evaluations }}>
+                <ResponsiveContainer width="100%" height={barHeight}>
+                  <BarChart data={morrisData} layout="vertical" margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis type="number" fontSize={11} tickFormatter={formatNumber} />
+                    <YAxis type="category" dataKey="name" width={110} fontSize={11} />
+                    <Tooltip formatter={(value, name) => [formatNumber(value), name]} contentStyle={{ fontSize: '12px' }} />
+                    <Legend verticalAlign="top" height={24} />
+                    <Bar dataKey="muStar" fill="#0891b2" name="μ* (mean |EE|)" />
+                    <Bar dataKey="sigma" fill="#a5b4fc" name="σ (EE spread)" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </ExportableChart>
+            </div>
+          </div>
+
+          <h3 className="text-xs font-semibold text-gray-600 mt-4 mb-1">
+            Sobol indices — {result.sobol.evaluations.toLocaleString()} runs, 95% bootstrap intervals
+          </h3>
+          {result.sobol.results.length > 0 ? (
+            <ExportableChart title={`Sobol indices — ${result.output.label}`} data={sobolData} metadata={{ runs: result.sobol.evaluations }}>
+              <ResponsiveContainer width="100%" height={240}>
+                <BarChart data={sobolData} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                  <XAxis dataKey="name" fontSize={11} interval={0} />
+                  <YAxis fontSize={11} domain={[0, 'auto']} allowDataOverflow tickFormatter={(v) => v.toFixed(2)} />
+                  <Tooltip formatter={(value, name) => [formatNumber(value), name]} contentStyle={{ fontSize: '12px' }} />
+                  <Legend verticalAlign="top" height={24} />
+                  <Bar dataKey="first" fill="#22c55e" name="First order S₁">
+                    <ErrorBar dataKey="firstConf" width={4} stroke="#166534" />
+                  </Bar>
+                  <Bar dataKey="total" fill="#8b5cf6" name="Total order S_T">
+                    <ErrorBar dataKey="totalConf" width={4} stroke="#4c1d95" />
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            </ExportableChart>
+          ) : (
+            <p className="text-xs text-amber-700">The output did not vary or was not finite over these ranges.</p>
+          )}
+          <p className="text-xs text-gray-500 mt-2">
+            Morris μ* ranks influence per unit of normalised range; a large σ relative to μ* flags non-linearity or
+            interactions. Sobol S₁ is the share of output variance explained by an input alone, S_T includes its
+            interactions, and S_T − S₁ measures how much it acts through other inputs. Wide intervals or S_T &gt; 1 point
+            to a heavy-tailed output; tick log₁₀ to analyse its logarithm instead.
+          </p>
+        </>
+      )}
+
+      {!result && (
+        <p className="text-xs text-gray-500">
+          Set ranges for the inputs to vary, choose an output and press Run.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SensitivityPanel;
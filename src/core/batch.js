@@ -0,0 +1,59 @@
+// Batch evaluation of a registered model over many parameter sets (CSV rows or JSON objects),
+// used by the command-line runner. Columns that are not model inputs are carried through to
+// the results as labels; a row that fails keeps its error message instead of stopping the run.
+
+import { parseCSV } from '../lib/csv.js';
+import { MODELS, resolveInputs } from './models.js';
+
+// Parameter sets from CSV text (header row required) or a JSON array of objects
+export const parseParameterSets = (text, format = 'csv') => {
+  if (format === 'json') {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) throw new Error('JSON input must be an array of parameter objects');
+    return data;
+  }
+  const { header, rows } = parseCSV(text);
+  if (header.length === 0) throw new Error('CSV input needs a header row naming the model inputs');
+  return rows.map((r) => Object.fromEntries(header.map((key, i) => [key, r[i] ?? ''])));
+};
+
+// Convert one raw value to the input's declared type; empty cells fall back to the default
+const coerce = (spec, value) => {
+  if (value === '' || value === null || value === undefined) return undefined;
+  if (spec.type === 'number') return typeof value === 'number' ? value : Number(value);
+  if (spec.type === 'boolean') return typeof value === 'boolean' ? value : /^(true|yes|1)$/i.test(String(value).trim());
+  return String(value);
+};
+
+// `constants` are inputs shared by every row unless the row sets them itself
+export const runBatch = (id, parameterSets, constants = {}) => {
+  const model = MODELS[id];
+  if (!model) throw new Error(`Unknown model "${id}". Available: ${Object.keys(MODELS).join(', ')}`);
+  Object.keys(constants).forEach((key) => {
+    if (!model.inputs[key]) throw new Error(`Unknown input "${key}" for model "${id}"`);
+  });
+
+  const results = parameterSets.map((set) => {
+    const labels = {};
+    const inputs = {};
+    Object.entries({ ...constants, ...set }).forEach(([key, value]) => {
+      if (!model.inputs[key]) {
+        labels[key] = value;
+        return;
+      }
+      const v = coerce(model.inputs[key], value);
+      if (v !== undefined) inputs[key] = v;
+    });
+    try {
+      const resolved = resolveInputs(id, inputs);
+      return { ...labels, ...resolved, ...model.run(resolved) };
+    } catch (e) {
+      return { ...labels, ...inputs, error: e.message };
+    }
+  });
+
+  const labelColumns = [...new Set(parameterSets.flatMap((s) => Object.keys(s)))].filter((k) => !model.inputs[k]);
+  const columns = [...labelColumns, ...Object.keys(model.inputs), ...Object.keys(model.outputs)];
+  if (results.some((r) => r.error)) columns.push('error');
+  return { columns, results, labelColumns };
+};
@@ -0,0 +1,23 @@
+// ssf-toolkit/core — the toolkit's model equations without React, for scripts, notebooks
+// (via Node) and the command line. Units follow each module's comments; MODELS describes
+// the main entry points with explicit input and output units.
+
+export { MODELS, resolveInputs, runModel } from './models.js';
+export { parseParameterSets, runBatch } from './batch.js';
+
+export * from '../lib/schijven.js';
+export * from '../lib/tufenkjiElimelech.js';
+export * from '../lib/collectorEfficiency.js';
+export * from '../lib/grainSize.js';
+export * from '../lib/alphaInversion.js';
+export * from '../lib/dlvo.js';
+export * from '../lib/extendedCFT.js';
+export * from '../lib/hydraulics.js';
+export * from '../lib/regressionModels.js';
+export * from '../lib/layers.js';
+export * from '../lib/qmra.js';
+export * from '../lib/filterRun.js';
+export * from '../lib/monteCarlo.js';
+export * from '../lib/sensitivity.js';
+export * from '../lib/levenbergMarquardt.js';
+export * from '../lib/csv.js';
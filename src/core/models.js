@@ -0,0 +1,345 @@
+// Registry of the toolkit's models with typed inputs, outputs and units, so scripts and the
+// command line can run any of them without the React tools. Every model is a thin wrapper
+// around the framework-free functions in src/lib; the tools call the same functions.
+
+import { computeLambda, steadyStateCoefficient, correctRatesForTemperature, DEFAULT_TEMPERATURE_SETTINGS } from '../lib/schijven.js';
+import { CORRELATIONS, collectorEfficiency } from '../lib/collectorEfficiency.js';
+import { REGRESSION_MODELS, predictRemoval } from '../lib/regressionModels.js';
+import { extendedCFT, extendedCFTRegression, MICROFLUIDIC_DEFAULTS } from '../lib/extendedCFT.js';
+import { normalizedConductivity } from '../lib/hydraulics.js';
+import { PATHOGENS, assessRisk, DEFAULT_CONSUMPTION } from '../lib/qmra.js';
+import { dlvoAssessment, DLVO_DEFAULTS } from '../lib/dlvo.js';
+import { simulateFilterRun } from '../lib/filterRun.js';
+import { estimateLayers } from '../lib/layers.js';
+
+/**
+ * @typedef {Object} InputSpec
+ * @property {'number'|'boolean'|'string'} type
+ * @property {string} unit          SI or field unit; '' for dimensionless
+ * @property {string} description
+ * @property {number|boolean|string} [default]  used when the input is omitted
+ * @property {number} [min]         suggested lower bound (not enforced)
+ * @property {number} [max]         suggested upper bound (not enforced)
+ * @property {boolean} [positive]   value must be > 0 (enforced)
+ * @property {string[]} [options]   allowed values of a string input
+ */
+
+/**
+ * @typedef {Object} OutputSpec
+ * @property {string} unit
+ * @property {string} description
+ */
+
+/**
+ * @typedef {Object} ModelDefinition
+ * @property {string} name
+ * @property {string} reference
+ * @property {Object<string, InputSpec>} inputs
+ * @property {Object<string, OutputSpec>} outputs
+ * @property {(inputs: Object) => Object<string, number|boolean>} run  receives every input, defaults applied
+ */
+
+const num = (unit, description, value, min, max) => ({ type: 'number', unit, description, default: value, min, max });
+const positive = (unit, description, value, min, max) => ({ ...num(unit, description, value, min, max), positive: true });
+const out = (unit, description) => ({ unit, description });
+
+const REGRESSION_KEYS = Object.entries(REGRESSION_MODELS)
+  .flatMap(([dataset, d]) => Object.keys(d.models).map((model) => `${dataset}.${model}`));
+
+/** @type {Object<string, ModelDefinition>} */
+export const MODELS = {
+  schijven: {
+    name: 'Two-site kinetic model, steady state',
+    reference: 'Schijven et al. (2013)',
+    inputs: {
+      velocity: positive('m/d', 'Pore water velocity', 3.6, 0.5, 20),
+      dispersivity: positive('m', 'Longitudinal dispersivity', 0.005, 0.001, 0.1),
+      filterDepth: positive('m', 'Filter bed depth', 0.8, 0.1, 2),
+      kAtt1: num('1/d', 'Attachment rate, site 1', 12, 0, 100),
+      kDet1: num('1/d', 'Detachment rate, site 1', 0.05, 0, 10),
+      muS1: num('1/d', 'Inactivation of attached organisms, site 1', 0.2, 0.001, 5),
+      kAtt2: num('1/d', 'Attachment rate, site 2', 4, 0, 100),
+      kDet2: num('1/d', 'Detachment rate, site 2', 1.5, 0, 10),
+      muS2: num('1/d', 'Inactivation of attached organisms, site 2', 0.2, 0.001, 5),
+      muL: num('1/d', 'Inactivation in the liquid phase', 0.05, 0, 5),
+      temperature: num('°C', 'Water temperature', DEFAULT_TEMPERATURE_SETTINGS.referenceTemperature, 0, 30)
+    },
+    outputs: {
+      lambda: out('1/d', 'Effective removal coefficient'),
+      exponentCoefficient: out('1/m', 'Coefficient of ln(C/C₀) = coeff · x'),
+      logRemoval: out('log₁₀', 'Removal over the filter depth')
+    },
+    run: ({ velocity, dispersivity, filterDepth, temperature, ...rates }) => {
+      const lambda = computeLambda(correctRatesForTemperature(rates, { ...DEFAULT_TEMPERATURE_SETTINGS, temperature }));
+      const exponentCoefficient = steadyStateCoefficient(lambda, velocity, dispersivity);
+      return { lambda, exponentCoefficient, logRemoval: (-exponentCoefficient * filterDepth) / Math.LN10 };
+    }
+  },
+
+  collectorEfficiency: {
+    name: 'Single-collector efficiency and clean-bed removal',
+    reference: 'Tufenkji & Elimelech (2004); Yao et al. (1971)',
+    inputs: {
+      correlation: { type: 'string', unit: '', description: 'Collector-efficiency correlation', default: 'te', options: Object.keys(CORRELATIONS) },
+      particleDiameter: positive('µm', 'Particle diameter', 1.0, 0.01, 10),
+      grainSize: positive('mm', 'Collector (grain) diameter', 0.5, 0.1, 2),
+      velocity: positive('m/h', 'Darcy velocity', 0.5, 0.01, 10),
+      porosity: positive('', 'Bed porosity', 0.4, 0.25, 0.5),
+      particleDensity: num('kg/m³', 'Particle density', 1050, 1000, 2650),
+      temperature: num('°C', 'Water temperature', 20, 0, 40),
+      hamaker: num('×10⁻²⁰ J', 'Hamaker constant', 1.0, 0.1, 10),
+      alpha: num('', 'Sticking efficiency', 0.1, 0.001, 1),
+      bedDepth: num('m', 'Filter bed depth', 0.8, 0.1, 2)
+    },
+    outputs: {
+      eta0: out('', 'Single-collector contact efficiency'),
+      etaD: out('', 'Diffusion term'),
+      etaI: out('', 'Interception term'),
+      etaG: out('', 'Gravity term'),
+      lambda: out('1/m', 'Filter coefficient'),
+      katt: out('1/h', 'Attachment rate coefficient (λ·U)'),
+      logRemoval: out('log₁₀', 'Removal over the bed depth')
+    },
+    run: (p) => {
+      const { etaD, etaI, etaG, eta0 } = collectorEfficiency(p.correlation, p.particleDiameter * 1e-6, p.grainSize * 1e-3,
+        p.velocity / 3600, p.porosity, p.particleDensity, p.temperature + 273.15, p.hamaker * 1e-20);
+      const lambda = (1.5 * (1 - p.porosity) * p.alpha * eta0) / (p.grainSize * 1e-3);
+      return { eta0, etaD, etaI, etaG, lambda, katt: lambda * p.velocity, logRemoval: (lambda * p.bedDepth) / Math.LN10 };
+    }
+  },
+
+  epsRegression: {
+    name: 'EPS and Schmutzdecke regression models',
+    reference: 'Bai, Samari-Kermani et al. (2024, 2025)',
+    inputs: {
+      model: { type: 'string', unit: '', description: 'Dataset and model, e.g. pilot.A', default: 'pilot.A', options: REGRESSION_KEYS },
+      protein: num('µg/g', 'Protein content of the Schmutzdecke', 150, 10, 500),
+      carbohydrate: num('µg/g', 'Carbohydrate content of the Schmutzdecke', 100, 10, 500),
+      biomass: num('copies/g', 'Biomass (16S rRNA gene copies)', 1e8, 1e6, 1e10),
+      sdAge: num('d', 'Schmutzdecke age', 90, 0, 730),
+      grainSize: num('mm', 'Grain size D50', 0.3, 0.1, 1),
+      inoculated: { type: 'boolean', unit: '', description: 'Schmutzdecke inoculated', default: true }
+    },
+    outputs: {
+      logRemoval: out('log₁₀', 'Predicted removal, clipped at zero')
+    },
+    run: ({ model, ...params }) => {
+      const [dataset, key] = model.split('.');
+      return { logRemoval: predictRemoval(dataset, key, params) };
+    }
+  },
+
+  extendedCFTRegression: {
+    name: 'Extended CFT, image-informed regression',
+    reference: 'Samari-Kermani et al. (2025), Eq. 31',
+    inputs: {
+      porosity: num('', 'Biofilm-reduced porosity θ', 0.26, 0.02, 0.45),
+      hydraulicCond: num('', 'Normalised hydraulic conductivity HC/HC₀ (ignored when cleanPorosity is set)', 0.68, 0.0001, 1),
+      cleanPorosity: num('', 'Clean porosity θ₀; derives HC by Kozeny–Carman when > 0', 0, 0, 0.45),
+      tortuosity: num('', 'Tortuosity τ', 1.25, 1, 2),
+      svr: num('1/µm', 'Biofilm surface-to-volume ratio', 0.21, 0, 1.5)
+    },
+    outputs: {
+      lambda: out('ln', 'Predicted ln removal'),
+      log10Removal: out('log₁₀', 'Removal, clipped at zero'),
+      hydraulicCondUsed: out('', 'HC/HC₀ used, from cleanPorosity when set')
+    },
+    run: ({ cleanPorosity, ...p }) => {
+      const hydraulicCond = cleanPorosity > 0 ? normalizedConductivity(p.porosity, cleanPorosity) : p.hydraulicCond;
+      const lambda = extendedCFTRegression({ ...p, hydraulicCond });
+      return { lambda, log10Removal: Math.max(0, lambda / Math.LN10), hydraulicCondUsed: hydraulicCond };
+    }
+  },
+
+  extendedCFT: {
+    name: 'Extended CFT, mechanistic',
+    reference: 'Samari-Kermani et al. (2025)',
+    inputs: {
+      theta: num('', 'Biofilm-reduced porosity θ', 0.26, 0.01, 0.45),
+      theta0: num('', 'Clean porosity θ₀', 0.35, 0.25, 0.45),
+      tau: num('', 'Tortuosity τ', 1.25, 1, 2),
+      svr: num('1/µm', 'Biofilm surface-to-volume ratio', 0.21, 0, 1.5),
+      particleDiameter: num('µm', 'Particle diameter', MICROFLUIDIC_DEFAULTS.particleDiameter, 0.1, 5),
+      particleDensity: num('kg/m³', 'Particle density', MICROFLUIDIC_DEFAULTS.particleDensity, 1000, 2650),
+      cleanGrainDiameter: num('µm', 'Clean grain diameter', MICROFLUIDIC_DEFAULTS.cleanGrainDiameter, 50, 800),
+      cleanThroatDiameter: num('µm', 'Clean throat diameter', MICROFLUIDIC_DEFAULTS.cleanThroatDiameter, 10, 200),
+      channelHeight: num('µm', 'Channel height', MICROFLUIDIC_DEFAULTS.channelHeight, 10, 500),
+      channelLength: num('mm', 'Channel length', MICROFLUIDIC_DEFAULTS.channelLength, 1, 100),
+      darcyVelocity: num('m/h', 'Darcy velocity', MICROFLUIDIC_DEFAULTS.darcyVelocity, 0.05, 2),
+      alpha: num('', 'Sticking efficiency', MICROFLUIDIC_DEFAULTS.alpha, 0.01, 1),
+      temperature: num('°C', 'Water temperature', MICROFLUIDIC_DEFAULTS.temperature, 0, 40),
+      hamaker: num('×10⁻²⁰ J', 'Hamaker constant', MICROFLUIDIC_DEFAULTS.hamaker, 0.1, 10),
+      fShape: num('', 'Grain shape factor', MICROFLUIDIC_DEFAULTS.fShape, 1, 2),
+      fConcave: num('', 'Concave fraction', MICROFLUIDIC_DEFAULTS.fConcave, 0, 0.5),
+      roughnessCoefficient: num('', 'Roughness coefficient R_C', MICROFLUIDIC_DEFAULTS.roughnessCoefficient, 0.5, 5)
+    },
+    outputs: {
+      etaBase: out('', 'Base (TE + modified gravity) efficiency'),
+      eta1: out('', 'Roughness efficiency'),
+      eta2: out('', 'Network efficiency'),
+      eta3: out('', 'Occlusion efficiency'),
+      etaTotal: out('', 'Total efficiency'),
+      hcRatio: out('', 'HC/HC₀ from Kozeny–Carman'),
+      kAtt: out('1/s', 'Attachment rate'),
+      lnRemoval: out('ln', 'Removal over the channel'),
+      log10Removal: out('log₁₀', 'Removal over the channel')
+    },
+    run: (p) => {
+      const r = extendedCFT(p);
+      return {
+        etaBase: r.etaBase, eta1: r.eta1, eta2: r.eta2, eta3: r.eta3, etaTotal: r.etaTotal,
+        hcRatio: r.hcRatio, kAtt: r.kAtt, lnRemoval: r.lnRemoval, log10Removal: r.log10Removal
+      };
+    }
+  },
+
+  qmra: {
+    name: 'Annual infection risk',
+    reference: 'Dutch Drinking Water Decree; dose–response per pathogen',
+    inputs: {
+      pathogen: { type: 'string', unit: '', description: 'Reference pathogen', default: 'campylobacter', options: Object.keys(PATHOGENS) },
+      sourceConcentration: num('1/L', 'Source-water concentration (0: the pathogen\'s default)', 0, 0, 1e6),
+      logRemoval: num('log₁₀', 'Total treatment log removal', 4, 0, 12),
+      consumption: num('L/d', 'Unboiled tap water consumption', DEFAULT_CONSUMPTION, 0.05, 2)
+    },
+    outputs: {
+      dailyDose: out('organisms/d', 'Ingested dose per day'),
+      dailyRisk: out('', 'Daily infection probability'),
+      annualRisk: out('1/(person·year)', 'Annual infection probability'),
+      meetsTarget: out('boolean', 'Annual risk ≤ 10⁻⁴'),
+      requiredLogRemoval: out('log₁₀', 'Log removal that meets the target'),
+      extraLogCredits: out('log₁₀', 'Shortfall against the required removal')
+    },
+    run: ({ pathogen, sourceConcentration, ...p }) => {
+      const r = assessRisk(PATHOGENS[pathogen], { ...p, sourceConcentration: sourceConcentration || undefined });
+      return {
+        dailyDose: r.dailyDose, dailyRisk: r.dailyRisk, annualRisk: r.annualRisk, meetsTarget: r.meetsTarget,
+        requiredLogRemoval: r.requiredLogRemoval, extraLogCredits: r.extraLogCredits
+      };
+    }
+  },
+
+  dlvo: {
+    name: 'DLVO/XDLVO interaction energy and Maxwell α',
+    reference: 'Hogg et al. (1966); Gregory (1981); Shen et al. (2007)',
+    inputs: {
+      particleZeta: num('mV', 'Particle zeta potential', DLVO_DEFAULTS.particleZeta, -80, 20),
+      collectorZeta: num('mV', 'Collector zeta potential', DLVO_DEFAULTS.collectorZeta, -80, 20),
+      ionicStrength: num('mM', 'Ionic strength (1:1 electrolyte)', DLVO_DEFAULTS.ionicStrength, 0.1, 500),
+      hamaker: num('×10⁻²⁰ J', 'Hamaker constant', DLVO_DEFAULTS.hamaker, 0.1, 10),
+      acidBase: num('mJ/m²', 'Acid–base free energy ΔG_AB at h₀', DLVO_DEFAULTS.acidBase, -50, 50),
+      particleRadius: num('µm', 'Particle radius', DLVO_DEFAULTS.particleRadius, 0.01, 5),
+      temperature: num('°C', 'Water temperature', DLVO_DEFAULTS.temperature, 0, 40)
+    },
+    outputs: {
+      debyeLength: out('nm', 'Debye length'),
+      barrier: out('kT', 'Energy barrier height (0 without a barrier)'),
+      secondaryMinimum: out('kT', 'Secondary-minimum depth (0 when absent)'),
+      alpha: out('', 'Maxwell-model sticking efficiency')
+    },
+    run: (p) => {
+      const r = dlvoAssessment(p);
+      return {
+        debyeLength: r.debyeLength,
+        barrier: r.barrier ? r.barrier.energy : 0,
+        secondaryMinimum: r.secondaryMinimum ? r.secondaryMinimum.energy : 0,
+        alpha: r.alpha
+      };
+    }
+  },
+
+  layers: {
+    name: 'Schmutzdecke layer contributions',
+    reference: 'Bai, Samari-Kermani et al. (2025), Chapter 6',
+    inputs: {
+      upperRemoval: num('log₁₀', 'Removal in the upper 10 cm (pilot regression)', 1, 0, 5),
+      sdAge: num('d', 'Schmutzdecke age', 180, 0, 730),
+      inoculated: { type: 'boolean', unit: '', description: 'Schmutzdecke inoculated', default: false }
+    },
+    outputs: {
+      upperFraction: out('', 'Share of removal in the upper 10 cm'),
+      deeperRemoval: out('log₁₀', 'Removal below 10 cm'),
+      totalRemoval: out('log₁₀', 'Removal over the whole bed')
+    },
+    run: ({ upperRemoval, ...params }) => {
+      const r = estimateLayers(params, upperRemoval);
+      return { upperFraction: r.upperFraction, deeperRemoval: r.deeperRemoval, totalRemoval: r.totalRemoval };
+    }
+  },
+
+  filterRun: {
+    name: 'Multi-year filter run with scraping',
+    reference: 'Schijven et al. (2013) rates with ripening and seasonal temperature',
+    inputs: {
+      velocity: positive('m/d', 'Pore water velocity', 3.6, 0.5, 20),
+      dispersivity: positive('m', 'Longitudinal dispersivity', 0.008, 0.001, 0.1),
+      filterDepth: positive('m', 'Filter bed depth', 0.8, 0.1, 2),
+      kAtt1: num('1/d', 'Mature attachment rate, site 1', 15, 0, 100),
+      kDet1: num('1/d', 'Detachment rate, site 1', 0.05, 0, 10),
+      muS1: num('1/d', 'Inactivation of attached organisms, site 1', 0.2, 0.001, 5),
+      kAtt2: num('1/d', 'Mature attachment rate, site 2', 6, 0, 100),
+      kDet2: num('1/d', 'Detachment rate, site 2', 1.2, 0, 10),
+      muS2: num('1/d', 'Inactivation of attached organisms, site 2', 0.2, 0.001, 5),
+      muL: num('1/d', 'Inactivation in the liquid phase', 0.05, 0, 5),
+      scrapeInterval: num('d', 'Days between scrapes (0: only when headloss forces it)', 90, 0, 730),
+      years: num('a', 'Simulated period', 3, 1, 10),
+      maxHeadloss: num('m', 'Headloss that forces a scrape', 1.0, 0.2, 3),
+      headlossRate: num('m/d', 'Headloss build-up', 0.005, 0, 0.05),
+      targetLogRemoval: num('log₁₀', 'Removal target', 1.0, 0, 4)
+    },
+    outputs: {
+      scrapesPerYear: out('1/a', 'Scrapes per year'),
+      forcedScrapes: out('', 'Scrapes forced by headloss'),
+      availability: out('', 'Fraction of days in service'),
+      fractionBelowTarget: out('', 'Fraction of service days below the target'),
+      minLogRemoval: out('log₁₀', 'Lowest in-service removal'),
+      meanLogRemoval: out('log₁₀', 'Mean in-service removal')
+    },
+    run: ({ velocity, dispersivity, filterDepth, scrapeInterval, years, maxHeadloss, headlossRate, targetLogRemoval, ...rates }) => {
+      const { summary } = simulateFilterRun({
+        rates, velocity, dispersivity, filterDepth, years, maxHeadloss, headlossRate, targetLogRemoval,
+        scrapeInterval: scrapeInterval > 0 ? scrapeInterval : null,
+        temperatureSettings: DEFAULT_TEMPERATURE_SETTINGS
+      });
+      return {
+        scrapesPerYear: summary.scrapesPerYear,
+        forcedScrapes: summary.forcedScrapes,
+        availability: summary.availability,
+        fractionBelowTarget: summary.fractionBelowTarget,
+        minLogRemoval: summary.minLogRemoval,
+        meanLogRemoval: summary.meanLogRemoval
+      };
+    }
+  }
+};
+
+// Defaults applied and types checked; throws on an unknown model, unknown input, wrong type
+// or a non-positive value for a positive input
+export const resolveInputs = (id, inputs = {}) => {
+  const model = MODELS[id];
+  if (!model) throw new Error(`Unknown model "${id}". Available: ${Object.keys(MODELS).join(', ')}`);
+  Object.keys(inputs).forEach((key) => {
+    if (!model.inputs[key]) throw new Error(`Unknown input "${key}" for model "${id}"`);
+  });
+  return Object.fromEntries(Object.entries(model.inputs).map(([key, spec]) => {
+    const value = inputs[key] ?? spec.default;
+    if (spec.type === 'number' && !Number.isFinite(value)) throw new Error(`Input "${key}" must be a finite number`);
+    if (spec.positive && !(value > 0)) throw new Error(`Input "${key}" must be greater than 0`);
+    if (spec.type === 'boolean' && typeof value !== 'boolean') throw new Error(`Input "${key}" must be true or false`);
+    if (spec.options && !spec.options.includes(value)) {
+      throw new Error(`Input "${key}" must be one of: ${spec.options.join(', ')}`);
+    }
+    return [key, value];
+  }));
+};
+
+/**
+ * Run a registered model.
+ * @param {string} id      key of MODELS
+ * @param {Object} [inputs] partial inputs in the units of the model's InputSpec
+ * @returns {Object<string, number|boolean>} outputs in the units of the model's OutputSpec
+ */
+export const runModel = (id, inputs) => {
+  const resolved = resolveInputs(id, inputs);
+  return MODELS[id].run(resolved);
+};
@@ -0,0 +1,17 @@
+import { useEffect } from 'react';
+
+// Calculation details of the tool on screen for the printable report (lib/report): inputs with
+// units, equations, intermediate quantities, validity warnings and references. Each tool
+// publishes them on every render; the outputs come from useKeyOutputs.
+let currentReport = null;
+
+export const getCalculationReport = () => currentReport;
+
+export const useCalculationReport = (report) => {
+  useEffect(() => {
+    currentReport = report;
+  });
+  useEffect(() => () => {
+    currentReport = null;
+  }, []);
+};
@@ -0,0 +1,16 @@
+import { useEffect } from 'react';
+
+// Key outputs of the tool on screen, captured with its parameters when a scenario is saved.
+// Each tool publishes a short list of { label, value, unit } on every render.
+let currentOutputs = [];
+
+export const getKeyOutputs = () => currentOutputs;
+
+export const useKeyOutputs = (outputs) => {
+  useEffect(() => {
+    currentOutputs = outputs;
+  });
+  useEffect(() => () => {
+    currentOutputs = [];
+  }, []);
+};
@@ -0,0 +1,41 @@
+import { useState, useEffect } from 'react';
+
+// Text data sets (pasted breakthrough curves, column tables) that would make links several kB
+// long. They stay out of the URL but are saved with a scenario and restored when it is opened.
+// Values outlive the panel, so switching views keeps the data for the session.
+const values = new Map();
+const mounted = new Set();
+const RESTORE_EVENT = 'ssf:scenario-data';
+
+// Data of the panels on screen, for the scenario being saved
+export const getScenarioData = () => Object.fromEntries(
+  [...mounted].filter((key) => values.has(key)).map((key) => [key, values.get(key)])
+);
+
+// Opening a scenario replaces every data set; keys it lacks fall back to their defaults
+export const restoreScenarioData = (data = {}) => {
+  values.clear();
+  Object.entries(data).forEach(([key, value]) => values.set(key, value));
+  window.dispatchEvent(new Event(RESTORE_EVENT));
+};
+
+export const useScenarioData = (key, defaultValue = '') => {
+  const [value, setValue] = useState(() => (values.has(key) ? values.get(key) : defaultValue));
+
+  useEffect(() => {
+    const restore = () => setValue(values.has(key) ? values.get(key) : defaultValue);
+    window.addEventListener(RESTORE_EVENT, restore);
+    mounted.add(key);
+    return () => {
+      window.removeEventListener(RESTORE_EVENT, restore);
+      mounted.delete(key);
+    };
+  }, [key, defaultValue]);
+
+  useEffect(() => {
+    if (value === defaultValue) values.delete(key);
+    else values.set(key, value);
+  }, [key, value, defaultValue]);
+
+  return [value, setValue];
+};
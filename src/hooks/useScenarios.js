@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react';
+import { loadScenarios, storeScenarios, SCENARIO_STORAGE_KEY } from '../lib/scenarios';
+
+const storage = () => {
+  try {
+    return window.localStorage;
+  } catch {
+    return null; // storage disabled (e.g. some private browsing modes)
+  }
+};
+
+// Scenario library kept in localStorage; edits in another tab are picked up via the storage
+// event. The third value is the message of the last failed write (quota, disabled storage).
+export const useScenarios = () => {
+  const [scenarios, setScenarios] = useState(() => loadScenarios(storage()));
+  const [storageError, setStorageError] = useState(null);
+
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key === SCENARIO_STORAGE_KEY) setScenarios(loadScenarios(storage()));
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, []);
+
+  useEffect(() => {
+    try {
+      if (!storage()) throw new Error('Browser storage is not available');
+      storeScenarios(storage(), scenarios);
+      setStorageError(null);
+    } catch (e) {
+      setStorageError(e.message);
+    }
+  }, [scenarios]);
+
+  return [scenarios, setScenarios, storageError];
+};
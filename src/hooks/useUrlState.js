@@ -0,0 +1,49 @@
+import { useState, useEffect, useRef } from 'react';
+import { parseRoute, decodeValue, withParam } from '../lib/urlState';
+
+const readParam = (key, defaultValue) => decodeValue(parseRoute(window.location.hash).params[key], defaultValue);
+
+// Current value of every mounted useUrlState, defaults included (export metadata)
+const currentValues = new Map();
+
+export const getUrlStateSnapshot = () => Object.fromEntries(currentValues);
+
+// Edits less than this far apart share one history entry, so dragging a slider or typing a
+// number adds a single back step instead of one per change
+export const HISTORY_PAUSE = 1000; // ms
+
+let lastWrite = 0;
+
+// Drop-in replacement for useState whose value is mirrored in the URL hash (see lib/urlState).
+// The first edit after a pause pushes a history entry and later edits replace it, so
+// back/forward step through parameter edits as well as tools; pasted links restore the value.
+export const useUrlState = (key, defaultValue) => {
+  const defaultRef = useRef(defaultValue);
+  const [value, setValue] = useState(() => readParam(key, defaultValue));
+
+  useEffect(() => {
+    const restore = () => setValue(readParam(key, defaultRef.current));
+    window.addEventListener('hashchange', restore);
+    window.addEventListener('popstate', restore);
+    return () => {
+      window.removeEventListener('hashchange', restore);
+      window.removeEventListener('popstate', restore);
+    };
+  }, [key]);
+
+  useEffect(() => {
+    currentValues.set(key, value);
+    return () => currentValues.delete(key);
+  }, [key, value]);
+
+  useEffect(() => {
+    const hash = withParam(window.location.hash, key, value, defaultRef.current);
+    if (hash === window.location.hash) return;
+    const now = Date.now();
+    if (now - lastWrite > HISTORY_PAUSE) window.history.pushState(null, '', hash);
+    else window.history.replaceState(window.history.state, '', hash);
+    lastWrite = now;
+  }, [key, value]);
+
+  return [value, setValue];
+};
@@ -0,0 +1,57 @@
+// Tables behind the chart exports: parameter metadata first, then a header row and one row per
+// data point. CSV metadata lines start with '#', which parseCSV skips when a file is read back.
+import { formatCSV } from './csv.js';
+import { buildXLSX } from './xlsx.js';
+
+const isCellValue = (v) => typeof v === 'number' || typeof v === 'string' || typeof v === 'boolean';
+
+// Styling carried on chart rows, left out of the default columns
+const STYLE_KEYS = ['color', 'fill', 'stroke'];
+
+// columns: [{ key, label?, unit? }] or keys; by default every key with a plain value, in the
+// order it first appears in the data
+export const exportColumns = (data, columns) => {
+  if (columns) {
+    return columns.map((c) => (typeof c === 'string' ? { key: c, label: c } : { label: c.key, ...c }));
+  }
+  const keys = [];
+  data.forEach((row) => Object.entries(row).forEach(([key, value]) => {
+    if (isCellValue(value) && !STYLE_KEYS.includes(key) && !keys.includes(key)) keys.push(key);
+  }));
+  return keys.map((key) => ({ key, label: key }));
+};
+
+const headerLabel = (c) => (c.unit ? `${c.label} (${c.unit})` : c.label);
+
+// [[name, text]] for a metadata object; nested values are written as JSON
+export const metadataEntries = (metadata = {}) => Object.entries(metadata)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([key, value]) => [key, typeof value === 'object' ? JSON.stringify(value) : String(value)]);
+
+export const chartCSV = ({ data, columns, metadata }) => {
+  const cols = exportColumns(data, columns);
+  const labels = cols.map(headerLabel);
+  const rows = data.map((row) => Object.fromEntries(cols.map((c, i) => [labels[i], isCellValue(row[c.key]) ? row[c.key] : ''])));
+  const header = metadataEntries(metadata).map(([key, value]) => `# ${key}: ${value.replace(/\r?\n/g, ' ')}`);
+  return [...header, formatCSV(labels, rows)].join('\n');
+};
+
+export const chartXLSX = ({ data, columns, metadata, sheetName }) => {
+  const cols = exportColumns(data, columns);
+  const meta = metadataEntries(metadata);
+  return buildXLSX([
+    ...meta,
+    ...(meta.length > 0 ? [[]] : []),
+    cols.map(headerLabel),
+    ...data.map((row) => cols.map((c) => (isCellValue(row[c.key]) ? row[c.key] : null)))
+  ], { sheetName });
+};
+
+// File name stem from a chart title: "Log₁₀ Removal vs Depth" → "log10-removal-vs-depth"
+export const exportFilename = (title) => title
+  .normalize('NFKD')
+  .replace(/[^\w\s-]/g, '')
+  .trim()
+  .toLowerCase()
+  .replace(/[\s_]+/g, '-')
+  .replace(/-+/g, '-') || 'chart';
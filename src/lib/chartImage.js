@@ -0,0 +1,78 @@
+// Standalone SVG and PNG images of a rendered Recharts chart (browser only), shared by the
+// chart export menu and the calculation report
+
+export const PNG_SCALE = 3; // ≈ 300 dpi at the on-screen size
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const svgElement = (name, attributes) => {
+  const el = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([k, v]) => el.setAttribute(k, v));
+  return el;
+};
+
+// Standalone SVG of the chart: white background, metadata in <desc>, and the HTML legend that
+// Recharts draws outside the SVG redrawn in place as SVG shapes and text
+export const chartSVG = (container, title, metadata = {}) => {
+  const surface = container.querySelector('.recharts-wrapper > svg');
+  if (!surface) return null;
+  const width = Number(surface.getAttribute('width'));
+  const height = Number(surface.getAttribute('height'));
+  const svg = surface.cloneNode(true);
+  svg.setAttribute('xmlns', SVG_NS);
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  svg.setAttribute('font-family', FONT_FAMILY);
+  svg.removeAttribute('style');
+
+  const titleEl = svgElement('title', {});
+  titleEl.textContent = title;
+  svg.insertBefore(svgElement('rect', { x: 0, y: 0, width, height, fill: '#ffffff' }), svg.firstChild);
+  if (Object.keys(metadata).length > 0) {
+    const desc = svgElement('desc', {});
+    desc.textContent = Object.entries(metadata).map(([k, v]) => `${k}: ${typeof v === 'object' ? JSON.stringify(v) : v}`).join('\n');
+    svg.insertBefore(desc, svg.firstChild);
+  }
+  svg.insertBefore(titleEl, svg.firstChild);
+
+  const origin = surface.getBoundingClientRect();
+  container.querySelectorAll('.recharts-legend-item').forEach((item) => {
+    const icon = item.querySelector('svg');
+    const shape = icon?.querySelector('path, line, rect, circle');
+    const label = item.querySelector('.recharts-legend-item-text') || item;
+    if (!icon || !shape) return;
+    const stroke = shape.getAttribute('stroke');
+    const color = stroke && stroke !== 'none' ? stroke : shape.getAttribute('fill') || '#374151';
+    const iconBox = icon.getBoundingClientRect();
+    const labelBox = label.getBoundingClientRect();
+    const x = iconBox.left - origin.left;
+    const y = iconBox.top - origin.top + iconBox.height / 2;
+    const group = svgElement('g', { class: 'legend-item' });
+    group.appendChild(svgElement('rect', { x, y: y - 2, width: iconBox.width, height: 4, fill: color }));
+    const text = svgElement('text', {
+      x: labelBox.left - origin.left,
+      y: y + 4,
+      'font-size': parseFloat(getComputedStyle(label).fontSize) || 12,
+      fill: color
+    });
+    text.textContent = label.textContent;
+    group.appendChild(text);
+    svg.appendChild(group);
+  });
+
+  return { text: new XMLSerializer().serializeToString(svg), width, height };
+};
+
+export const svgToPNG = ({ text, width, height }) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * PNG_SCALE;
+    canvas.height = height * PNG_SCALE;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(PNG_SCALE, PNG_SCALE);
+    ctx.drawImage(image, 0, 0, width, height);
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+  };
+  image.onerror = () => reject(new Error('The chart could not be rendered'));
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(text)}`;
+});
@@ -0,0 +1,114 @@
+// Single-collector contact efficiency correlations for side-by-side comparison with
+// Tufenkji–Elimelech (2004). All take SI inputs: particle and collector diameter [m],
+// Darcy velocity [m/s], porosity, particle density [kg/m³], temperature [K], Hamaker [J].
+
+import { BOLTZMANN, GRAVITY, computeTE } from './tufenkjiElimelech.js';
+
+// Numbers used by the other correlations but not by TE. N_G and N_A come from computeTE,
+// which defines them on the particle radius as all the correlations here do.
+const extraNumbers = (te, dpM, U, rhoParticle, T_K, A) => {
+  const ap = dpM / 2;
+  return {
+    NLo: (4 * A) / (9 * Math.PI * te.mu * dpM * dpM * U),
+    NGr: (4 * Math.PI * ap ** 4 * (rhoParticle - te.rhoF) * GRAVITY) / (3 * BOLTZMANN * T_K)
+  };
+};
+
+const terms = (etaD, etaI, etaG) => ({ etaD, etaI, etaG, eta0: etaD + etaI + etaG });
+
+export const CORRELATIONS = {
+  te: {
+    name: 'Tufenkji–Elimelech (2004)',
+    shortName: 'TE',
+    color: '#06b6d4',
+    reference: 'Tufenkji & Elimelech (2004) Environ. Sci. Technol. 38, 529–536',
+    validity: [
+      { key: 'NR', label: 'N_R', min: 0.01, max: 0.1 },
+      { key: 'NPe', label: 'N_Pe', min: 1e2, max: 1e7 },
+      { key: 'porosity', label: 'f', min: 0.3, max: 0.5 }
+    ],
+    compute: (te) => terms(te.etaD, te.etaI, te.etaG)
+  },
+  rt: {
+    name: 'Rajagopalan–Tien (1976)',
+    shortName: 'RT',
+    color: '#8b5cf6',
+    reference: 'Rajagopalan & Tien (1976) AIChE J. 22, 523–533; Logan et al. (1995) form',
+    validity: [
+      { key: 'NPe', label: 'N_Pe', min: 1e2, max: Infinity },
+      { key: 'porosity', label: 'f', min: 0.3, max: 0.5 }
+    ],
+    compute: (te, x) => terms(
+      4 * Math.pow(te.As, 1 / 3) * Math.pow(te.NPe, -2 / 3),
+      te.As * Math.pow(x.NLo, 1 / 8) * Math.pow(te.NR, 15 / 8),
+      0.00338 * te.As * Math.pow(te.NG, 1.2) * Math.pow(te.NR, -0.4)
+    )
+  },
+  yao: {
+    name: 'Yao (1971)',
+    shortName: 'Yao',
+    color: '#64748b',
+    reference: 'Yao, Habibian & O\'Melia (1971) Environ. Sci. Technol. 5, 1105–1112',
+    validity: [
+      { key: 'NPe', label: 'N_Pe', min: 1e2, max: Infinity }
+    ],
+    compute: (te, x) => terms(
+      4.04 * Math.pow(te.NPe, -2 / 3),
+      1.5 * te.NR * te.NR,
+      te.NG
+    )
+  },
+  nelsonGinn: {
+    name: 'Nelson–Ginn (2011)',
+    shortName: 'NG',
+    color: '#22c55e',
+    reference: 'Nelson & Ginn (2011) Water Resour. Res. 47, W05543 — low-velocity diffusion term; interception and gravity as TE',
+    validity: [
+      { key: 'NR', label: 'N_R', min: 0, max: 0.1 },
+      { key: 'porosity', label: 'f', min: 0.3, max: 0.5 }
+    ],
+    compute: (te, x) => {
+      const NGi = 1 / (x.NGr + 1);
+      return terms(
+        2.4 * Math.pow(te.As, 1 / 3) * Math.pow(te.NPe / (te.NPe + 16), 0.75) * Math.pow(te.NPe, -0.68)
+          * Math.pow(x.NLo, 0.015) * Math.pow(NGi, 0.8),
+        te.etaI,
+        te.etaG
+      );
+    }
+  },
+  maJohnson: {
+    name: 'Ma–Johnson (2009)',
+    shortName: 'MJ',
+    color: '#f97316',
+    reference: 'Ma, Pedel, Fife & Johnson (2009) Environ. Sci. Technol. 43, 8573–8579 — hemispheres-in-cell',
+    validity: [
+      { key: 'NR', label: 'N_R', min: 0, max: 0.1 },
+      { key: 'porosity', label: 'f', min: 0.3, max: 0.5 }
+    ],
+    compute: (te, x) => {
+      const g2 = te.gamma * te.gamma;
+      return terms(
+        g2 * 2.3 * Math.pow(te.As, 1 / 3) * Math.pow(te.NR, -0.08) * Math.pow(te.NPe, -0.65) * Math.pow(te.NA, 0.052),
+        g2 * 0.55 * te.As * Math.pow(te.NR, 1.8) * Math.pow(te.NA, 0.15),
+        g2 * 0.2 * Math.pow(te.NR, -0.1) * Math.pow(te.NG, 1.1) * Math.pow(te.NPe, 0.053) * Math.pow(te.NA, 0.053)
+      );
+    }
+  }
+};
+
+// Efficiency from the chosen correlation, with TE's dimensionless numbers and fluid
+// properties attached so callers can treat every correlation like computeTE
+export const collectorEfficiency = (key, dpM, dcM, U, f, rhoParticle, T_K, A) => {
+  const te = computeTE(dpM, dcM, U, f, rhoParticle, T_K, A);
+  const correlation = CORRELATIONS[key] || CORRELATIONS.te;
+  return { ...te, ...correlation.compute(te, extraNumbers(te, dpM, U, rhoParticle, T_K, A)) };
+};
+
+// Inputs outside the correlation's calibration range: [{ label, value, min, max }]
+export const validityWarnings = (key, res, porosity) => {
+  const values = { NR: res.NR, NPe: res.NPe, porosity };
+  return (CORRELATIONS[key] || CORRELATIONS.te).validity
+    .map((v) => ({ label: v.label, value: values[v.key], min: v.min, max: v.max }))
+    .filter((v) => v.value < v.min || v.value > v.max);
+};
@@ -0,0 +1,60 @@
+// Minimal CSV helpers for user-supplied data files (comma, semicolon or tab separated)
+
+const detectDelimiter = (line) => {
+  const counts = [',', ';', '\t'].map((d) => [d, line.split(d).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 1 ? counts[0][0] : ',';
+};
+
+const splitLine = (line, delimiter) => {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      if (quoted && line[i + 1] === '"') { current += '"'; i++; } else { quoted = !quoted; }
+    } else if (ch === delimiter && !quoted) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+};
+
+// Parse CSV text into { header, rows } where rows are arrays of strings.
+// A first line containing any non-numeric cell is treated as the header.
+// Lines starting with '#' are comments.
+export const parseCSV = (text) => {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim() !== '' && !l.trim().startsWith('#'));
+  if (lines.length === 0) return { header: [], rows: [] };
+  const delimiter = detectDelimiter(lines[0]);
+  const rows = lines.map((l) => splitLine(l, delimiter));
+  const firstIsHeader = rows[0].some((cell) => cell !== '' && !Number.isFinite(Number(cell)));
+  return firstIsHeader
+    ? { header: rows[0], rows: rows.slice(1) }
+    : { header: [], rows };
+};
+
+// Extract two numeric columns as [{ x, y }], skipping rows that do not parse
+export const parseXYColumns = (text, xColumn = 0, yColumn = 1) => {
+  const { header, rows } = parseCSV(text);
+  const points = rows
+    .map((r) => ({ x: Number(r[xColumn]), y: Number(r[yColumn]) }))
+    .filter((p) => Number.isFinite(p.x) && Number.isFinite(p.y));
+  return { header, points };
+};
+
+// Serialise rows of objects to CSV; cells containing the delimiter, quotes or newlines are quoted
+export const formatCSV = (columns, rows, delimiter = ',') => {
+  const cell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows.map((r) => columns.map((c) => r[c]))]
+    .map((line) => line.map(cell).join(delimiter))
+    .join('\n');
+};
@@ -0,0 +1,132 @@
+// Sphere–plate DLVO / XDLVO interaction energy and a Maxwell-model sticking efficiency
+// van der Waals: Gregory (1981) retarded; double layer: Hogg–Healy–Fuerstenau (constant
+// potential); acid–base: van Oss (1993) exponential decay. Energies returned in kT.
+
+import { BOLTZMANN } from './tufenkjiElimelech.js';
+
+export const VACUUM_PERMITTIVITY = 8.854e-12; // F/m
+export const WATER_PERMITTIVITY = 78.5;       // relative, ~25 °C
+const ELEMENTARY_CHARGE = 1.602177e-19;       // C
+const AVOGADRO = 6.02214e23;                  // 1/mol
+
+export const RETARDATION_LENGTH = 100e-9; // m (characteristic wavelength, Gregory 1981)
+export const AB_DECAY_LENGTH = 0.6e-9;    // m (λ_AB for water)
+export const MIN_SEPARATION = 0.158e-9;   // m (h₀, minimum equilibrium cut-off)
+
+// Typical conditions for E. coli near quartz sand in fresh water
+export const DLVO_DEFAULTS = {
+  particleZeta: -35,   // mV
+  collectorZeta: -45,  // mV
+  ionicStrength: 10,   // mM
+  hamaker: 1.0,        // ×10⁻²⁰ J
+  acidBase: 0,         // ΔG_AB at h₀ [mJ/m²]; < 0 hydrophobic attraction, > 0 hydration repulsion
+  particleRadius: 0.5, // µm
+  temperature: 20      // °C
+};
+
+// Debye length [m] for a symmetric 1:1 electrolyte, ionic strength in mM (= mol/m³)
+export const debyeLength = (ionicStrength, temperature = 20) => {
+  const T = temperature + 273.15;
+  return Math.sqrt((WATER_PERMITTIVITY * VACUUM_PERMITTIVITY * BOLTZMANN * T)
+    / (2 * AVOGADRO * ELEMENTARY_CHARGE ** 2 * ionicStrength));
+};
+
+// Component energies [J] at separation h [m]; a in m, potentials in V, A in J, ΔG_AB in J/m²
+export const vdwEnergy = (h, a, A) => (-A * a) / (6 * h * (1 + (14 * h) / RETARDATION_LENGTH));
+
+export const edlEnergy = (h, a, psi1, psi2, kappa) => {
+  const e = Math.exp(-kappa * h);
+  return Math.PI * WATER_PERMITTIVITY * VACUUM_PERMITTIVITY * a
+    * (2 * psi1 * psi2 * Math.log((1 + e) / (1 - e)) + (psi1 ** 2 + psi2 ** 2) * Math.log(1 - e * e));
+};
+
+export const acidBaseEnergy = (h, a, dGab) =>
+  2 * Math.PI * a * AB_DECAY_LENGTH * dGab * Math.exp((MIN_SEPARATION - h) / AB_DECAY_LENGTH);
+
+// Energy profile over log-spaced separations from h₀ to hMax [nm]; energies in kT
+export const interactionProfile = ({
+  particleZeta,
+  collectorZeta,
+  ionicStrength,
+  hamaker,
+  acidBase = 0,
+  particleRadius,
+  temperature = 20
+}, { hMax = 200, points = 300 } = {}) => {
+  const kT = BOLTZMANN * (temperature + 273.15);
+  const a = particleRadius * 1e-6;
+  const A = hamaker * 1e-20;
+  const kappa = 1 / debyeLength(ionicStrength, temperature);
+  const psi1 = particleZeta * 1e-3;
+  const psi2 = collectorZeta * 1e-3;
+  const dGab = acidBase * 1e-3;
+  const logMin = Math.log10(MIN_SEPARATION * 1e9);
+  const logMax = Math.log10(hMax);
+
+  const data = [];
+  for (let i = 0; i < points; i++) {
+    const hNm = Math.pow(10, logMin + ((logMax - logMin) * i) / (points - 1));
+    const h = hNm * 1e-9;
+    const vdw = vdwEnergy(h, a, A) / kT;
+    const edl = edlEnergy(h, a, psi1, psi2, kappa) / kT;
+    const ab = acidBase !== 0 ? acidBaseEnergy(h, a, dGab) / kT : 0;
+    data.push({ h: hNm, vdw, edl, ab, dlvo: vdw + edl, total: vdw + edl + ab });
+  }
+  return { data, debyeLength: 1e9 / kappa };
+};
+
+// Energy barrier (highest local maximum), primary minimum (inside the barrier) and
+// secondary minimum (deepest negative well beyond it). Without a barrier the whole
+// profile is attractive and only the primary minimum is reported.
+export const findExtrema = (data, key = 'total') => {
+  let barrierIndex = -1;
+  for (let i = 1; i < data.length - 1; i++) {
+    const v = data[i][key];
+    if (v > data[i - 1][key] && v >= data[i + 1][key] && v > 0
+      && (barrierIndex < 0 || v > data[barrierIndex][key])) barrierIndex = i;
+  }
+  const minIn = (from, to) => {
+    let best = null;
+    for (let i = from; i < to; i++) if (best === null || data[i][key] < data[best][key]) best = i;
+    return best;
+  };
+  const primary = minIn(0, barrierIndex >= 0 ? barrierIndex : data.length);
+  const secondaryIndex = barrierIndex >= 0 ? minIn(barrierIndex, data.length) : null;
+  const point = (i) => (i === null || i < 0 ? null : { h: data[i].h, energy: data[i][key] });
+  const secondary = point(secondaryIndex);
+  return {
+    barrier: point(barrierIndex),
+    primaryMinimum: point(primary),
+    secondaryMinimum: secondary && secondary.energy < 0 ? secondary : null
+  };
+};
+
+// Abramowitz & Stegun 7.1.26 (|error| < 1.5e-7)
+const erf = (x) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return x >= 0 ? y : -y;
+};
+
+// Fraction of a Maxwell distribution of kinetic energies (in kT) below E:
+// regularised lower incomplete gamma P(3/2, E)
+export const maxwellFractionBelow = (E) =>
+  (E <= 0 ? 0 : erf(Math.sqrt(E)) - 2 * Math.sqrt(E / Math.PI) * Math.exp(-E));
+
+// Maxwell model (Shen et al., 2007): particles with kinetic energy below the secondary-minimum
+// depth are held there; those above the barrier reach the primary minimum.
+export const maxwellAlpha = ({ barrier, secondaryMinimum }) => {
+  const alphaPrimary = barrier ? 1 - maxwellFractionBelow(barrier.energy) : 1;
+  const alphaSecondary = secondaryMinimum ? maxwellFractionBelow(-secondaryMinimum.energy) : 0;
+  return {
+    alphaPrimary,
+    alphaSecondary,
+    alpha: Math.min(1, alphaPrimary + (1 - alphaPrimary) * alphaSecondary)
+  };
+};
+
+export const dlvoAssessment = (params, options) => {
+  const profile = interactionProfile(params, options);
+  const extrema = findExtrema(profile.data);
+  return { ...profile, ...extrema, ...maxwellAlpha(extrema) };
+};
@@ -0,0 +1,10 @@
+// Save text, bytes or a Blob as a file through a temporary object URL (browser only)
+export const downloadFile = (filename, content, type = 'application/octet-stream') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
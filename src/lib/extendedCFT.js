@@ -0,0 +1,174 @@
+// Mechanistic Extended CFT (Chapter 3): biofilm efficiencies η₁ (roughness), η₂ (network)
+// and η₃ (occlusion) weighted by Bernstein-softmax stage weights, on top of the
+// Tufenkji–Elimelech base. See docs/extended-cft.md.
+
+import { computeTE, stokesVelocity } from './tufenkjiElimelech.js';
+import { normalizedConductivity } from './hydraulics.js';
+
+// Calibrated on the microfluidic experiments (8 data points)
+export const EXTENDED_CFT_PARAMETERS = {
+  lambda: 10,      // stage transition sharpness
+  n: 0.948,        // roughness exponent
+  m: -0.416,       // network exponent
+  p: 0.235,        // occlusion exponent
+  gamma: 0.401,    // global scale factor
+  kShrink: 0.45,   // capacity limiter
+  thetaMin: 0,
+  thetaMax: 0.34,
+  GMT1: 1.689,     // geometric means used to normalise the drivers T₁–T₃
+  GMT2: 0.0014,
+  GMT3: 0.00031
+};
+
+// Microfluidic chip and tracer defaults (30 mm × 60 µm channel, 1.5 µm microspheres).
+// Grain, throat and shape descriptors are representative image-analysis values.
+export const MICROFLUIDIC_DEFAULTS = {
+  particleDiameter: 1.5,   // µm
+  particleDensity: 1055,   // kg/m³ (polystyrene)
+  cleanGrainDiameter: 300, // µm
+  cleanThroatDiameter: 60, // µm
+  channelHeight: 60,       // µm
+  channelLength: 30,       // mm
+  darcyVelocity: 0.36,     // m/h
+  alpha: 0.1,
+  temperature: 20,         // °C
+  hamaker: 1.0,            // ×10⁻²⁰ J
+  fShape: 1.25,
+  fConcave: 0.1,
+  roughnessCoefficient: 1.5
+};
+
+// Image-informed regression (Table 6, Eq. 31): λ (ln removal) from porosity θ, normalised
+// hydraulic conductivity HC/HC₀, tortuosity τ and surface-to-volume ratio SVR [µm⁻¹]
+export const EXTENDED_CFT_REGRESSION = {
+  beta0: 18.33,    // Intercept
+  beta1: -13.29,   // Porosity (θ)
+  beta2: -15.34,   // Hydraulic Conductivity (HC)
+  beta3: -10.12,   // Tortuosity (τ)
+  beta4: -0.11,    // Surface-to-Volume Ratio (SVR)
+  rSquared: 0.98
+};
+
+export const extendedCFTRegression = ({ porosity, hydraulicCond, tortuosity, svr }, coefficients = EXTENDED_CFT_REGRESSION) => {
+  const { beta0, beta1, beta2, beta3, beta4 } = coefficients;
+  return beta0 + beta1 * porosity + beta2 * hydraulicCond + beta3 * tortuosity + beta4 * svr;
+};
+
+// Bernstein basis on the stage coordinate t ∈ [0, 1], sharpened by a softmax
+export const stageWeights = (theta, { lambda, thetaMin, thetaMax } = EXTENDED_CFT_PARAMETERS) => {
+  const t = Math.max(0, Math.min(1, (thetaMax - theta) / (thetaMax - thetaMin)));
+  const b = [(1 - t) ** 2, 2 * t * (1 - t), t ** 2];
+  const e = b.map((bi) => Math.exp(lambda * bi));
+  const sum = e[0] + e[1] + e[2];
+  return { t, b1: b[0], b2: b[1], b3: b[2], c1: e[0] / sum, c2: e[1] / sum, c3: e[2] / sum };
+};
+
+// Grain diameter after biofilm coating, conserving grain count: (1−θ) ∝ d_g³
+export const coatedGrainDiameter = (cleanGrainDiameter, theta, theta0) =>
+  cleanGrainDiameter * Math.cbrt((1 - theta) / (1 - theta0));
+
+// Effective throat diameter: the tighter of the grain-growth and porosity estimates
+export const effectiveThroatDiameter = ({ dth0, dg, dg0, theta, theta0 }) => {
+  const dthGrain = (dth0 * dth0) / (dth0 + (dg - dg0));
+  const dthTheta = dth0 * ((theta / (1 - theta)) / (theta0 / (1 - theta0)));
+  return Math.min(dthGrain, dthTheta);
+};
+
+// Flow-aligned and gravity-directed projected areas [1/m]; dg and h in m
+export const projectedAreas = ({ theta, theta0, dg, tau, h }) => ({
+  Avx: ((4 * (1 - theta)) / (Math.PI * dg)) * (theta / theta0) * tau,
+  AG: theta / (h * tau)
+});
+
+// Full model. Lengths in µm except channelLength (mm); darcyVelocity in m/h;
+// hcRatio = HC_bio/HC₀ (derived from θ by Kozeny–Carman when omitted).
+export const extendedCFT = ({
+  theta,
+  theta0,
+  tau,
+  svr,
+  hcRatio,
+  particleDiameter,
+  particleDensity,
+  cleanGrainDiameter,
+  cleanThroatDiameter,
+  channelHeight,
+  channelLength,
+  darcyVelocity,
+  alpha,
+  temperature,
+  hamaker,
+  fShape,
+  fConcave,
+  roughnessCoefficient,
+  parameters = EXTENDED_CFT_PARAMETERS
+}) => {
+  const { n, m, p, gamma, kShrink, GMT1, GMT2, GMT3 } = parameters;
+  const hc = hcRatio ?? normalizedConductivity(theta, theta0);
+  const weights = stageWeights(theta, parameters);
+
+  const dp = particleDiameter;
+  const dg = coatedGrainDiameter(cleanGrainDiameter, theta, theta0);
+  const dthEff = effectiveThroatDiameter({ dth0: cleanThroatDiameter, dg, dg0: cleanGrainDiameter, theta, theta0 });
+
+  // Drivers
+  const T1 = fShape + fConcave; // f₀ = 1
+  const T2 = (svr * dp) / roughnessCoefficient;
+  const T3 = (1 - Math.sqrt(Math.min(1, Math.max(0, hc)))) * dp / (dp + dthEff);
+
+  // Raw efficiencies, bounded by a monotone clip (a zero driver contributes nothing)
+  const raw = (c, T, GM, exponent) => (T > 0 ? c * Math.pow(T / GM, exponent) : 0);
+  const B1 = 1 - Math.exp(-raw(weights.c1, T1, GMT1, n));
+  const B2 = 1 - Math.exp(-raw(weights.c2, T2, GMT2, m));
+  const B3 = 1 - Math.exp(-raw(weights.c3, T3, GMT3, p));
+
+  // Base efficiency: TE diffusion and interception on the coated grain, plus
+  // gravity for flow orthogonal to settling in a channel of height h
+  const U = darcyVelocity / 3600;
+  const T_K = temperature + 273.15;
+  const dpM = dp * 1e-6;
+  const hM = channelHeight * 1e-6;
+  const LM = channelLength * 1e-3;
+  const te = computeTE(dpM, dg * 1e-6, U, theta, particleDensity, T_K, hamaker * 1e-20);
+  const vs = Math.max(0, stokesVelocity(dpM, particleDensity, T_K));
+  const etaGmod = Math.min(1, (vs * LM * theta) / (U * (hM - dpM)));
+  const etaBase = te.etaD + te.etaI + etaGmod;
+
+  // Capacity scaling keeps η_total ≤ 1
+  const cap = Math.max(0, 1 - etaBase);
+  const sumB = B1 + B2 + B3;
+  const s = sumB + kShrink * cap > 0 ? cap / (sumB + kShrink * cap) : 0;
+  const eta1 = B1 * s;
+  const eta2 = B2 * s;
+  const eta3 = B3 * s;
+  const etaTotal = etaBase + eta1 + eta2 + eta3;
+
+  // Attachment rate K_CFT^mod [1/s] and removal over the channel
+  const { Avx, AG } = projectedAreas({ theta, theta0, dg: dg * 1e-6, tau, h: hM });
+  const poreVelocity = U / theta;
+  const kFlow = alpha * (te.etaD + te.etaI + eta1 + eta2 + eta3) * poreVelocity * Avx;
+  const kGravity = alpha * etaGmod * vs * AG;
+  const kAtt = gamma * (kFlow + kGravity);
+  const lnRemoval = (kAtt * LM) / poreVelocity;
+
+  return {
+    weights,
+    drivers: { T1, T2, T3 },
+    dg,
+    dthEff,
+    hcRatio: hc,
+    etaD: te.etaD,
+    etaI: te.etaI,
+    etaGmod,
+    etaBase,
+    eta1,
+    eta2,
+    eta3,
+    etaTotal,
+    Avx,
+    AG,
+    kAtt,
+    lnRemoval,
+    log10Removal: lnRemoval / Math.LN10
+  };
+};
@@ -0,0 +1,124 @@
+// Day-by-day filter-run simulation across successive scraping cycles
+// Combines the Schijven steady-state model (lib/schijven) with post-scraping
+// ripening and linear headloss build-up.
+
+import { computeLambda, steadyStateCoefficient, correctRatesForTemperature, ripeningFactor } from './schijven.js';
+import { upperLayerFraction, UPPER_LAYER_MAX_FRACTION } from './layers.js';
+
+export const RIPENING_MODELS = {
+  exponential: {
+    name: 'Schmutzdecke share + exponential ripening',
+    description: 'katt,i = katt,i,max · [(1 − s) + s · (1 − exp(−age/τi))]; only the share s is removed by scraping'
+  },
+  layer: {
+    name: 'Layer contribution (Chapter 6)',
+    description: 'Deeper bed unaffected by scraping; upper-layer share of removal grows with Schmutzdecke age'
+  }
+};
+
+// Fraction of the fully ripened attachment rate available `age` days after scraping
+export const attachmentMaturity = (age, { ripeningModel = 'exponential', tau, schmutzdeckeShare = 0.9 }) => {
+  if (ripeningModel === 'layer') {
+    // Deeper-layer λ is constant, so λ_total ∝ 1 / (1 − upper fraction)
+    return (1 - UPPER_LAYER_MAX_FRACTION) / (1 - upperLayerFraction(age / 30));
+  }
+  return (1 - schmutzdeckeShare) + schmutzdeckeShare * ripeningFactor(age, tau);
+};
+
+// Sinusoidal water temperature; warmestDay is the day of year of the maximum
+export const seasonalTemperature = (dayOfYear, { mean = 11.5, amplitude = 8.5, warmestDay = 213 } = {}) =>
+  mean + amplitude * Math.cos((2 * Math.PI * (dayOfYear - warmestDay)) / 365);
+
+// Simulate `years` of operation. A scrape happens every `scrapeInterval` days
+// (null: never) or earlier when headloss reaches maxHeadloss. After a scrape the
+// filter is out of service for `offlineDays` and those days are not counted
+// against the removal target.
+export const simulateFilterRun = ({
+  rates,                    // katt,max etc. at the reference temperature [d⁻¹]
+  velocity,                 // pore velocity [m/d]
+  dispersivity,             // [m]
+  filterDepth,              // [m]
+  scrapeInterval = 90,      // d
+  years = 3,
+  startDay = 0,             // day of year the simulation starts (bed freshly scraped)
+  tau1 = 30,                // d
+  tau2 = 14,                // d
+  ripeningModel = 'exponential',
+  schmutzdeckeShare = 0.9,
+  cleanHeadloss = 0.05,     // m
+  headlossRate = 0.005,     // m/d
+  maxHeadloss = 1.0,        // m
+  offlineDays = 2,
+  targetLogRemoval = 1.0,
+  temperatureCycle = {},
+  temperatureSettings = {}
+}) => {
+  const totalDays = Math.round(years * 365);
+  const daily = [];
+  const scrapes = [];
+  let age = 0;
+  let offline = offlineDays;
+
+  for (let day = 0; day < totalDays; day++) {
+    const dayOfYear = (startDay + day) % 365;
+    const temperature = seasonalTemperature(dayOfYear, temperatureCycle);
+    const headloss = cleanHeadloss + headlossRate * age;
+
+    const scheduled = scrapeInterval && age >= scrapeInterval;
+    const forced = headloss >= maxHeadloss;
+    if (day > 0 && (scheduled || forced)) {
+      scrapes.push({ day, forced: forced && !scheduled });
+      age = 0;
+      offline = offlineDays;
+    }
+
+    const m1 = attachmentMaturity(age, { ripeningModel, tau: tau1, schmutzdeckeShare });
+    const m2 = attachmentMaturity(age, { ripeningModel, tau: tau2, schmutzdeckeShare });
+    const corrected = correctRatesForTemperature(
+      { ...rates, kAtt1: rates.kAtt1 * m1, kAtt2: rates.kAtt2 * m2 },
+      { ...temperatureSettings, temperature }
+    );
+    const lambda = computeLambda(corrected);
+    const logRemoval = -steadyStateCoefficient(lambda, velocity, dispersivity) * filterDepth / Math.LN10;
+    const inService = offline <= 0;
+
+    daily.push({
+      day,
+      year: day / 365,
+      temperature,
+      age,
+      headloss: cleanHeadloss + headlossRate * age,
+      lambda,
+      logRemoval,
+      inService,
+      belowTarget: inService && logRemoval < targetLogRemoval
+    });
+
+    age++;
+    offline--;
+  }
+
+  const service = daily.filter((d) => d.inService);
+  const below = service.filter((d) => d.belowTarget).length;
+  return {
+    daily,
+    scrapes,
+    summary: {
+      scrapesPerYear: scrapes.length / years,
+      forcedScrapes: scrapes.filter((s) => s.forced).length,
+      availability: service.length / daily.length,
+      fractionBelowTarget: service.length > 0 ? below / service.length : 0,
+      daysBelowTarget: below,
+      minLogRemoval: service.reduce((m, d) => Math.min(m, d.logRemoval), Infinity),
+      meanLogRemoval: service.reduce((s, d) => s + d.logRemoval, 0) / Math.max(service.length, 1),
+      maxHeadloss: daily.reduce((m, d) => Math.max(m, d.headloss), 0)
+    }
+  };
+};
+
+// Run the same filter under several scraping intervals (null = never scrape)
+export const compareSchedules = (intervals, settings) =>
+  intervals.map((scrapeInterval) => ({
+    scrapeInterval,
+    ...simulateFilterRun({ ...settings, scrapeInterval }).summary
+  }));
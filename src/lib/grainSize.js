@@ -0,0 +1,117 @@
+// Grain-size distributions for graded filter sand: lognormal fits to d10/d50/d60 or
+// a sieve table, discretised into mass-fraction size classes.
+
+import { parseXYColumns } from './csv.js';
+
+// Standard normal quantile of the 10th, 50th and 60th percentiles
+const Z10 = -1.2816;
+const Z60 = 0.2533;
+
+// Standard normal CDF (Abramowitz & Stegun 26.2.17, |error| < 7.5e-8)
+const normalCdf = (z) => {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const poly = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  const p = 1 - (Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI)) * poly;
+  return z >= 0 ? p : 1 - p;
+};
+
+// Least-squares lognormal through d10, d50, d60 [mm]: ln d = μ + σ·z
+export const lognormalFromPercentiles = ({ d10, d50, d60 }) => {
+  const pts = [[Z10, Math.log(d10)], [0, Math.log(d50)], [Z60, Math.log(d60)]];
+  const zMean = pts.reduce((s, p) => s + p[0], 0) / 3;
+  const yMean = pts.reduce((s, p) => s + p[1], 0) / 3;
+  const sigma = pts.reduce((s, p) => s + (p[0] - zMean) * (p[1] - yMean), 0)
+    / pts.reduce((s, p) => s + (p[0] - zMean) ** 2, 0);
+  return { mu: yMean - sigma * zMean, sigma: Math.max(sigma, 1e-6) };
+};
+
+// Size classes [{ d (mm), fraction }] spanning the 1st–99th percentile in equal log steps
+export const lognormalClasses = ({ mu, sigma }, count = 12) => {
+  const zLo = -2.326;
+  const zHi = 2.326;
+  const classes = [];
+  for (let i = 0; i < count; i++) {
+    const a = zLo + ((zHi - zLo) * i) / count;
+    const b = zLo + ((zHi - zLo) * (i + 1)) / count;
+    classes.push({ d: Math.exp(mu + sigma * (a + b) / 2), fraction: normalCdf(b) - normalCdf(a) });
+  }
+  const total = classes.reduce((s, c) => s + c.fraction, 0);
+  return classes.map((c) => ({ ...c, fraction: c.fraction / total }));
+};
+
+// Sieve table text (sieve opening mm, % passing) → size classes between consecutive sieves.
+// Material passing the finest sieve is assigned to half that opening, and material retained
+// on the coarsest sieve to twice that opening, so the fractions cover the whole sample.
+export const sieveClasses = (text) => {
+  const { points } = parseXYColumns(text);
+  const sieves = points
+    .filter((p) => p.x > 0 && p.y >= 0 && p.y <= 100)
+    .sort((a, b) => a.x - b.x);
+  if (sieves.length < 2) return [];
+  const classes = [];
+  if (sieves[0].y > 0) classes.push({ d: sieves[0].x / 2, fraction: sieves[0].y / 100 });
+  for (let i = 1; i < sieves.length; i++) {
+    const fraction = (sieves[i].y - sieves[i - 1].y) / 100;
+    if (fraction > 0) classes.push({ d: Math.sqrt(sieves[i].x * sieves[i - 1].x), fraction });
+  }
+  const top = sieves[sieves.length - 1];
+  if (top.y < 100) classes.push({ d: top.x * 2, fraction: (100 - top.y) / 100 });
+  const total = classes.reduce((s, c) => s + c.fraction, 0);
+  return total > 0 ? classes.map((c) => ({ ...c, fraction: c.fraction / total })) : [];
+};
+
+// Percentile diameter [mm] of a class list by log-linear interpolation of the cumulative curve
+export const classPercentile = (classes, p) => {
+  let cumulative = 0;
+  for (let i = 0; i < classes.length; i++) {
+    const next = cumulative + classes[i].fraction * 100;
+    if (next >= p) {
+      const lo = i > 0 ? Math.sqrt(classes[i - 1].d * classes[i].d) : classes[i].d / Math.SQRT2;
+      const hi = i < classes.length - 1 ? Math.sqrt(classes[i].d * classes[i + 1].d) : classes[i].d * Math.SQRT2;
+      const t = (p - cumulative) / (next - cumulative);
+      return Math.exp(Math.log(lo) + t * (Math.log(hi) - Math.log(lo)));
+    }
+    cumulative = next;
+  }
+  return classes.length ? classes[classes.length - 1].d : NaN;
+};
+
+// Collector surface per bed volume scales with x_i/d_i, so the bed behaves like a single
+// collector of the harmonic (Sauter) mean diameter: 1/d_eq = Σ x_i/d_i
+export const sauterDiameter = (classes) => 1 / classes.reduce((s, c) => s + c.fraction / c.d, 0);
+
+// Clean-bed removal through a graded bed. Collectors per bed volume scale with x_i/d_i³ and
+// each intercepts flux over d_i², so the filter coefficient is
+// λ = (3/2)(1 − f) α Σ x_i η₀,i / d_i. etaOf(d mm) returns η₀ for one size class.
+export const gradedBedRemoval = (classes, etaOf, { porosity, alpha, bedDepth, velocity, points = 41 }) => {
+  const rows = classes.map((c) => {
+    const eta0 = etaOf(c.d);
+    return { ...c, eta0, lambda: (1.5 * (1 - porosity) * alpha * c.fraction * eta0) / (c.d * 1e-3) };
+  });
+  const lambda = rows.reduce((s, r) => s + r.lambda, 0); // 1/m
+  const dEquivalent = sauterDiameter(classes);
+  const profile = [];
+  for (let i = 0; i < points; i++) {
+    const z = (bedDepth * i) / (points - 1);
+    profile.push({ z, logCC0: -(lambda * z) / Math.LN10, cc0: Math.exp(-lambda * z) });
+  }
+  return {
+    classes: rows.map((r) => ({ ...r, share: lambda > 0 ? r.lambda / lambda : 0 })),
+    lambda,
+    katt: lambda * velocity,
+    logRemoval: (lambda * bedDepth) / Math.LN10,
+    dEquivalent,
+    // Single-collector η₀ that gives the same λ in a uniform bed of d_eq
+    etaEquivalent: (lambda * dEquivalent * 1e-3) / (1.5 * (1 - porosity) * alpha),
+    profile
+  };
+};
+
+export const EXAMPLE_SIEVE_TABLE = `sieve_mm,percent_passing
+0.125,2
+0.18,8
+0.25,25
+0.355,55
+0.5,82
+0.71,96
+1.0,100`;
@@ -0,0 +1,53 @@
+// Bed hydraulics — Kozeny–Carman permeability and Darcy headloss for a filter
+// whose upper layer has lost porosity to biofilm growth
+
+import { waterViscosityK } from './tufenkjiElimelech.js';
+
+const RHO_WATER = 999.7; // kg/m³
+const G = 9.81;          // m/s²
+
+// Dynamic viscosity of water [Pa·s] from temperature in °C
+export const waterViscosity = (temperatureC) => waterViscosityK(temperatureC + 273.15);
+
+// Kozeny–Carman porosity function θⁿ/(1−θ)² (n = 3 for the classical form)
+export const kozenyPorosityFactor = (porosity, exponent = 3) =>
+  Math.pow(porosity, exponent) / Math.pow(1 - porosity, 2);
+
+// Hydraulic conductivity [m/s] of a packed bed of grains of diameter d [m]
+export const kozenyCarmanConductivity = (porosity, grainDiameter, { temperature = 10, exponent = 3 } = {}) =>
+  (RHO_WATER * G / waterViscosity(temperature)) * (grainDiameter ** 2 / 180) * kozenyPorosityFactor(porosity, exponent);
+
+// Normalised hydraulic conductivity HC = K(θ)/K(θ₀) when biofilm fills pore space
+// of an otherwise unchanged grain packing
+export const normalizedConductivity = (porosity, cleanPorosity, exponent = 3) =>
+  kozenyPorosityFactor(porosity, exponent) / kozenyPorosityFactor(cleanPorosity, exponent);
+
+// Darcy headloss [m] across a bed with a biofilm-clogged top layer in series
+// with clean sand. filtrationRate in m/h, lengths in m, grainSize in mm.
+export const bedHeadloss = ({
+  filtrationRate,
+  bedDepth,
+  biofilmDepth,
+  porosity,
+  cleanPorosity,
+  grainSize,
+  temperature = 10,
+  exponent = 3
+}) => {
+  const q = filtrationRate / 3600;
+  const d = grainSize / 1000;
+  const kClean = kozenyCarmanConductivity(cleanPorosity, d, { temperature, exponent });
+  const kBiofilm = kClean * normalizedConductivity(porosity, cleanPorosity, exponent);
+  const layer = Math.min(biofilmDepth, bedDepth);
+  const biofilmHeadloss = (q * layer) / kBiofilm;
+  const cleanHeadloss = (q * (bedDepth - layer)) / kClean;
+  return {
+    kClean,
+    kBiofilm,
+    hc: kBiofilm / kClean,
+    biofilmHeadloss,
+    cleanHeadloss,
+    totalHeadloss: biofilmHeadloss + cleanHeadloss,
+    cleanBedHeadloss: (q * bedDepth) / kClean
+  };
+};
@@ -0,0 +1,317 @@
+// Image analysis for Extended CFT inputs: three-phase segmentation (pore, biofilm, grain)
+// of a greyscale micrograph or CT slice, then porosity, biofilm SVR, grain shape
+// descriptors (f_shape, f_concave) and geometric tortuosity.
+
+export const PHASE = { pore: 0, biofilm: 1, grain: 2 };
+
+// Intensity order of the phases from dark to bright
+export const PHASE_ORDERS = {
+  'pore-biofilm-grain': { name: 'Pore dark → grain bright', order: [PHASE.pore, PHASE.biofilm, PHASE.grain] },
+  'grain-biofilm-pore': { name: 'Grain dark → pore bright', order: [PHASE.grain, PHASE.biofilm, PHASE.pore] }
+};
+
+// Rescale any numeric image to 0–255 integers
+export const normalizeImage = (data) => {
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] < min) min = data[i];
+    if (data[i] > max) max = data[i];
+  }
+  const scale = max > min ? 255 / (max - min) : 0;
+  const out = new Uint8Array(data.length);
+  for (let i = 0; i < data.length; i++) out[i] = Math.round((data[i] - min) * scale);
+  return out;
+};
+
+// Box-average down to at most maxSize pixels along the longer side
+export const downsampleImage = (data, width, height, maxSize = 512) => {
+  const factor = Math.ceil(Math.max(width, height) / maxSize);
+  if (factor <= 1) return { data, width, height, factor: 1 };
+  const w = Math.floor(width / factor);
+  const h = Math.floor(height / factor);
+  const out = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let sum = 0;
+      for (let dy = 0; dy < factor; dy++) {
+        for (let dx = 0; dx < factor; dx++) sum += data[(y * factor + dy) * width + x * factor + dx];
+      }
+      out[y * w + x] = sum / (factor * factor);
+    }
+  }
+  return { data: out, width: w, height: h, factor };
+};
+
+export const grayHistogram = (gray) => {
+  const hist = new Float64Array(256);
+  for (let i = 0; i < gray.length; i++) hist[gray[i]]++;
+  return hist;
+};
+
+// Otsu's single threshold: pixels ≤ t form the dark class
+export const otsuThreshold = (hist) => {
+  const total = hist.reduce((s, v) => s + v, 0);
+  const sumAll = hist.reduce((s, v, i) => s + i * v, 0);
+  let wB = 0;
+  let sumB = 0;
+  let best = 0;
+  let threshold = 0;
+  for (let t = 0; t < 255; t++) {
+    wB += hist[t];
+    sumB += t * hist[t];
+    const wF = total - wB;
+    if (wB === 0 || wF === 0) continue;
+    const between = wB * wF * (sumB / wB - (sumAll - sumB) / wF) ** 2;
+    if (between > best) { best = between; threshold = t; }
+  }
+  return threshold;
+};
+
+// Two-threshold Otsu for three classes: maximises between-class variance over t1 < t2
+export const multiOtsu = (hist) => {
+  const P = new Float64Array(257);
+  const S = new Float64Array(257);
+  for (let i = 0; i < 256; i++) {
+    P[i + 1] = P[i] + hist[i];
+    S[i + 1] = S[i] + i * hist[i];
+  }
+  const classTerm = (a, b) => {
+    const w = P[b] - P[a];
+    return w > 0 ? (S[b] - S[a]) ** 2 / w : 0;
+  };
+  let best = -1;
+  let thresholds = [85, 170];
+  for (let t1 = 0; t1 < 254; t1++) {
+    for (let t2 = t1 + 1; t2 < 255; t2++) {
+      const score = classTerm(0, t1 + 1) + classTerm(t1 + 1, t2 + 1) + classTerm(t2 + 1, 256);
+      if (score > best) { best = score; thresholds = [t1, t2]; }
+    }
+  }
+  return thresholds;
+};
+
+// Label each pixel: ≤ t1 → darkest phase, ≤ t2 → middle, else brightest
+export const segmentPhases = (gray, [t1, t2], orderKey = 'pore-biofilm-grain') => {
+  const order = PHASE_ORDERS[orderKey].order;
+  const labels = new Uint8Array(gray.length);
+  for (let i = 0; i < gray.length; i++) {
+    labels[i] = gray[i] <= t1 ? order[0] : gray[i] <= t2 ? order[1] : order[2];
+  }
+  return labels;
+};
+
+export const phaseFractions = (labels) => {
+  const counts = [0, 0, 0];
+  for (let i = 0; i < labels.length; i++) counts[labels[i]]++;
+  return {
+    pore: counts[PHASE.pore] / labels.length,
+    biofilm: counts[PHASE.biofilm] / labels.length,
+    grain: counts[PHASE.grain] / labels.length
+  };
+};
+
+// Edge-count perimeters overestimate curved boundaries by 4/π on a square grid
+const PERIMETER_CORRECTION = Math.PI / 4;
+
+// Biofilm surface-to-volume ratio [1/µm]: biofilm–pore interface length over biofilm area
+export const biofilmSVR = (labels, width, height, pixelSize = 1) => {
+  let area = 0;
+  let edges = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (labels[i] !== PHASE.biofilm) continue;
+      area++;
+      if (x > 0 && labels[i - 1] === PHASE.pore) edges++;
+      if (x < width - 1 && labels[i + 1] === PHASE.pore) edges++;
+      if (y > 0 && labels[i - width] === PHASE.pore) edges++;
+      if (y < height - 1 && labels[i + width] === PHASE.pore) edges++;
+    }
+  }
+  if (area === 0) return 0;
+  return (edges * PERIMETER_CORRECTION * pixelSize) / (area * pixelSize * pixelSize);
+};
+
+// Andrew's monotone chain; returns hull area of a point set
+const convexHullArea = (points) => {
+  if (points.length < 3) return 0;
+  const pts = points.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const lower = [];
+  pts.forEach((p) => {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  });
+  const upper = [];
+  for (let i = pts.length - 1; i >= 0; i--) {
+    const p = pts[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  const hull = lower.slice(0, -1).concat(upper.slice(0, -1));
+  let area = 0;
+  for (let i = 0; i < hull.length; i++) {
+    const [x1, y1] = hull[i];
+    const [x2, y2] = hull[(i + 1) % hull.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return Math.abs(area) / 2;
+};
+
+// Shape of solid bodies (grain plus attached biofilm, as the flow sees them).
+// Area-weighted circularity 4πA/P² and solidity A/A_hull over 4-connected
+// components; bodies cut by the image border are skipped when others exist.
+export const grainShapes = (labels, width, height, { minArea = 20 } = {}) => {
+  const isSolid = (i) => labels[i] !== PHASE.pore;
+  const visited = new Uint8Array(labels.length);
+  const grains = [];
+  const stack = [];
+
+  for (let start = 0; start < labels.length; start++) {
+    if (visited[start] || !isSolid(start)) continue;
+    let area = 0;
+    let edges = 0;
+    let touchesBorder = false;
+    const corners = [];
+    visited[start] = 1;
+    stack.push(start);
+    while (stack.length) {
+      const i = stack.pop();
+      const x = i % width;
+      const y = (i - x) / width;
+      area++;
+      let boundary = false;
+      [[x > 0, i - 1], [x < width - 1, i + 1], [y > 0, i - width], [y < height - 1, i + width]].forEach(([inside, j]) => {
+        if (!inside) { touchesBorder = true; boundary = true; return; }
+        if (!isSolid(j)) { edges++; boundary = true; return; }
+        if (!visited[j]) { visited[j] = 1; stack.push(j); }
+      });
+      if (boundary) corners.push([x, y], [x + 1, y], [x, y + 1], [x + 1, y + 1]);
+    }
+    if (area < minArea) continue;
+    const perimeter = edges * PERIMETER_CORRECTION;
+    const hullArea = convexHullArea(corners);
+    grains.push({
+      area,
+      touchesBorder,
+      circularity: perimeter > 0 ? Math.min(1, (4 * Math.PI * area) / (perimeter * perimeter)) : 1,
+      solidity: hullArea > 0 ? Math.min(1, area / hullArea) : 1
+    });
+  }
+
+  const interior = grains.filter((g) => !g.touchesBorder);
+  const used = interior.length > 0 ? interior : grains;
+  const totalArea = used.reduce((s, g) => s + g.area, 0);
+  if (totalArea === 0) return { count: 0, circularity: 1, solidity: 1, fShape: 1, fConcave: 0 };
+  const weighted = (f) => used.reduce((s, g) => s + f(g) * g.area, 0) / totalArea;
+  return {
+    count: used.length,
+    circularity: weighted((g) => g.circularity),
+    solidity: weighted((g) => g.solidity),
+    fShape: weighted((g) => 1 / g.circularity),
+    fConcave: weighted((g) => 1 - g.solidity)
+  };
+};
+
+// Binary min-heap keyed on a Float64Array of distances
+const createHeap = (dist) => {
+  const items = [];
+  const swap = (a, b) => { const t = items[a]; items[a] = items[b]; items[b] = t; };
+  return {
+    size: () => items.length,
+    push(i) {
+      items.push(i);
+      let k = items.length - 1;
+      while (k > 0) {
+        const parent = (k - 1) >> 1;
+        if (dist[items[parent]] <= dist[items[k]]) break;
+        swap(parent, k);
+        k = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let k = 0;
+        for (;;) {
+          const l = 2 * k + 1;
+          const r = l + 1;
+          let m = k;
+          if (l < items.length && dist[items[l]] < dist[items[m]]) m = l;
+          if (r < items.length && dist[items[r]] < dist[items[m]]) m = r;
+          if (m === k) break;
+          swap(m, k);
+          k = m;
+        }
+      }
+      return top;
+    }
+  };
+};
+
+// Geometric tortuosity: mean shortest pore-space path (8-connected) from the inlet
+// edge to each reachable outlet pixel, divided by the straight-line length.
+// direction 'x' flows left → right, 'y' top → bottom. Returns NaN if pores don't percolate.
+export const geometricTortuosity = (labels, width, height, { direction = 'x' } = {}) => {
+  const along = direction === 'x' ? width : height;
+  const across = direction === 'x' ? height : width;
+  const index = (a, c) => (direction === 'x' ? c * width + a : a * width + c);
+  const dist = new Float64Array(labels.length).fill(Infinity);
+  const heap = createHeap(dist);
+
+  for (let c = 0; c < across; c++) {
+    const i = index(0, c);
+    if (labels[i] === PHASE.pore) { dist[i] = 0; heap.push(i); }
+  }
+
+  const steps = [[1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1], [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]];
+  while (heap.size() > 0) {
+    const i = heap.pop();
+    const x = i % width;
+    const y = (i - x) / width;
+    steps.forEach(([dx, dy, cost]) => {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx < 0 || ny < 0 || nx >= width || ny >= height) return;
+      const j = ny * width + nx;
+      if (labels[j] !== PHASE.pore) return;
+      const d = dist[i] + cost;
+      if (d < dist[j]) { dist[j] = d; heap.push(j); }
+    });
+  }
+
+  let sum = 0;
+  let n = 0;
+  for (let c = 0; c < across; c++) {
+    const d = dist[index(along - 1, c)];
+    if (Number.isFinite(d)) { sum += d; n++; }
+  }
+  return n > 0 ? sum / n / (along - 1) : NaN;
+};
+
+// Full pipeline on an 8-bit greyscale image
+export const analyzeImage = (gray, width, height, {
+  thresholds,
+  order = 'pore-biofilm-grain',
+  pixelSize = 1,
+  direction = 'x',
+  minGrainArea = 20
+} = {}) => {
+  const t = thresholds || multiOtsu(grayHistogram(gray));
+  const labels = segmentPhases(gray, t, order);
+  const fractions = phaseFractions(labels);
+  const shapes = grainShapes(labels, width, height, { minArea: minGrainArea });
+  return {
+    thresholds: t,
+    labels,
+    fractions,
+    porosity: fractions.pore,
+    cleanPorosity: fractions.pore + fractions.biofilm,
+    svr: biofilmSVR(labels, width, height, pixelSize),
+    tortuosity: geometricTortuosity(labels, width, height, { direction }),
+    ...shapes
+  };
+};
@@ -0,0 +1,27 @@
+// Schmutzdecke layer contributions (Bai, Samari-Kermani et al., 2025 — Thesis Chapter 6)
+
+// Share of total removal taking place in the upper 0–10 cm as the Schmutzdecke matures.
+// Logistic-like transition fitted to the pilot observations:
+// 25% for a freshly scraped bed, ~67% at 6 months, ~93% at 24 months, capped at 95%.
+export const UPPER_LAYER_MAX_FRACTION = 0.95;
+
+export const upperLayerFraction = (ageMonths) =>
+  Math.min(UPPER_LAYER_MAX_FRACTION, 0.25 + 0.70 * (1 - Math.exp(-0.15 * ageMonths)));
+
+// Split of removal between the upper 10 cm and the deeper bed. totalRemoval is the pilot
+// regression prediction (upper layer, log₁₀); inoculation brings the transition forward by
+// 10 percentage points, and the deeper bed adds 30% of its proportional share.
+export const estimateLayers = (params, totalRemoval) => {
+  const ageMonths = params.sdAge / 30;
+  const inocBonus = params.inoculated ? 0.1 : 0;
+  const upperFraction = Math.min(0.98, upperLayerFraction(ageMonths) + inocBonus);
+  const deeperRemoval = totalRemoval * (1 - upperFraction) / upperFraction * 0.3;
+
+  return {
+    upperFraction,
+    deeperFraction: 1 - upperFraction,
+    upperRemoval: totalRemoval,
+    deeperRemoval,
+    totalRemoval: totalRemoval + deeperRemoval
+  };
+};
@@ -0,0 +1,128 @@
+// Levenberg–Marquardt nonlinear least squares with a forward-difference Jacobian
+
+// Solve A·x = b by Gaussian elimination with partial pivoting (small dense systems)
+const solveLinear = (A, b) => {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < n; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[pivot][c])) pivot = r;
+    if (Math.abs(M[pivot][c]) < 1e-300) return null;
+    [M[c], M[pivot]] = [M[pivot], M[c]];
+    for (let r = c + 1; r < n; r++) {
+      const f = M[r][c] / M[c][c];
+      for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = M[r][n];
+    for (let k = r + 1; k < n; k++) sum -= M[r][k] * x[k];
+    x[r] = sum / M[r][r];
+  }
+  return x;
+};
+
+export const invertMatrix = (A) => {
+  const n = A.length;
+  const columns = [];
+  for (let j = 0; j < n; j++) {
+    const e = new Array(n).fill(0);
+    e[j] = 1;
+    const col = solveLinear(A, e);
+    if (!col) return null;
+    columns.push(col);
+  }
+  return A.map((_, i) => columns.map((col) => col[i]));
+};
+
+// Two-sided 97.5% Student-t quantile (Cornish–Fisher expansion about the normal)
+export const tQuantile975 = (df) => {
+  const z = 1.959964;
+  if (!Number.isFinite(df) || df <= 0) return NaN;
+  return z
+    + (z ** 3 + z) / (4 * df)
+    + (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * df ** 2)
+    + (3 * z ** 7 + 19 * z ** 5 + 17 * z ** 3 - 15 * z) / (384 * df ** 3);
+};
+
+const sumSquares = (r) => r.reduce((s, v) => s + v * v, 0);
+
+const jacobian = (residualFn, p, r0, relStep) => {
+  return p.map((pj, j) => {
+    const h = relStep * Math.max(Math.abs(pj), 1e-3);
+    const trial = [...p];
+    trial[j] = pj + h;
+    const r = residualFn(trial);
+    return r.map((ri, i) => (ri - r0[i]) / h);
+  }); // column-major: J[j][i] = ∂r_i/∂p_j
+};
+
+// Minimise Σ rᵢ(p)² starting from p0.
+// Returns best-fit parameters, their covariance (s²·(JᵀJ)⁻¹) and fit statistics.
+export const levenbergMarquardt = (residualFn, p0, {
+  maxIterations = 60,
+  tolerance = 1e-8,
+  damping = 1e-2,
+  relStep = 1e-4
+} = {}) => {
+  let p = [...p0];
+  let r = residualFn(p);
+  let cost = sumSquares(r);
+  let lambda = damping;
+  let iterations = 0;
+  let converged = false;
+  let J = jacobian(residualFn, p, r, relStep);
+
+  while (iterations < maxIterations && !converged) {
+    iterations++;
+    const n = p.length;
+    const JtJ = Array.from({ length: n }, (_, a) =>
+      Array.from({ length: n }, (_, b) => J[a].reduce((s, v, i) => s + v * J[b][i], 0)));
+    const Jtr = J.map((col) => col.reduce((s, v, i) => s + v * r[i], 0));
+
+    let improved = false;
+    while (lambda < 1e12) {
+      const A = JtJ.map((row, a) => row.map((v, b) => (a === b ? v * (1 + lambda) + 1e-12 : v)));
+      const delta = solveLinear(A, Jtr.map((g) => -g));
+      if (!delta) { lambda *= 10; continue; }
+      const trial = p.map((v, j) => v + delta[j]);
+      const rTrial = residualFn(trial);
+      const costTrial = sumSquares(rTrial);
+      if (Number.isFinite(costTrial) && costTrial < cost) {
+        const relChange = (cost - costTrial) / Math.max(cost, 1e-300);
+        p = trial;
+        r = rTrial;
+        cost = costTrial;
+        lambda = Math.max(lambda / 10, 1e-12);
+        improved = true;
+        converged = relChange < tolerance;
+        break;
+      }
+      lambda *= 10;
+    }
+    if (!improved) { converged = true; break; }
+    J = jacobian(residualFn, p, r, relStep);
+  }
+
+  const m = r.length;
+  const n = p.length;
+  const dof = m - n;
+  const s2 = dof > 0 ? cost / dof : NaN;
+  const JtJ = Array.from({ length: n }, (_, a) =>
+    Array.from({ length: n }, (_, b) => J[a].reduce((s, v, i) => s + v * J[b][i], 0)));
+  const inv = invertMatrix(JtJ);
+  const covariance = inv ? inv.map((row) => row.map((v) => v * s2)) : null;
+
+  return {
+    params: p,
+    residuals: r,
+    sumSquares: cost,
+    rmse: Math.sqrt(cost / m),
+    dof,
+    covariance,
+    standardErrors: covariance ? covariance.map((row, i) => Math.sqrt(Math.max(row[i], 0))) : p.map(() => NaN),
+    iterations,
+    converged
+  };
+};
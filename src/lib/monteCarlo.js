@@ -0,0 +1,170 @@
+// Monte Carlo uncertainty propagation — seeded sampling, percentiles and histograms
+
+// Mulberry32: small, fast 32-bit PRNG so runs are reproducible for a given seed
+export const createRng = (seed = 1) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal deviate (Box–Muller)
+const standardNormal = (rng) => {
+  let u = 0;
+  while (u === 0) u = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+};
+
+export const DISTRIBUTION_TYPES = {
+  fixed: { name: 'Fixed', fields: ['value'] },
+  normal: { name: 'Normal', fields: ['mean', 'sd'] },
+  lognormal: { name: 'Lognormal', fields: ['mean', 'sd'] },
+  uniform: { name: 'Uniform', fields: ['min', 'max'] },
+  triangular: { name: 'Triangular', fields: ['min', 'mode', 'max'] },
+  empirical: { name: 'Empirical', fields: ['values'] }
+};
+
+// Draw one value. Lognormal takes the arithmetic mean and SD of the variable itself;
+// empirical resamples the supplied values with replacement. Normal draws are
+// clipped at `lower` when given (e.g. 0 for rates).
+export const sampleDistribution = (dist, rng) => {
+  switch (dist.type) {
+    case 'normal': {
+      const x = dist.mean + dist.sd * standardNormal(rng);
+      return dist.lower !== undefined ? Math.max(dist.lower, x) : x;
+    }
+    case 'lognormal': {
+      const s2 = Math.log(1 + (dist.sd / dist.mean) ** 2);
+      const mu = Math.log(dist.mean) - s2 / 2;
+      return Math.exp(mu + Math.sqrt(s2) * standardNormal(rng));
+    }
+    case 'uniform':
+      return dist.min + (dist.max - dist.min) * rng();
+    case 'triangular': {
+      const { min, mode, max } = dist;
+      const u = rng();
+      const fc = (mode - min) / (max - min);
+      return u < fc
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+    case 'empirical':
+      return dist.values[Math.floor(rng() * dist.values.length)];
+    default:
+      return dist.value;
+  }
+};
+
+// Check a distribution definition; returns an error message or null
+export const validateDistribution = (dist) => {
+  const fields = DISTRIBUTION_TYPES[dist.type]?.fields || ['value'];
+  if (dist.type !== 'empirical' && fields.some((f) => !Number.isFinite(dist[f]))) {
+    return 'all parameters must be numbers';
+  }
+  switch (dist.type) {
+    case 'normal':
+      return dist.sd >= 0 ? null : 'SD must be non-negative';
+    case 'lognormal':
+      return dist.mean > 0 && dist.sd >= 0 ? null : 'Lognormal needs mean > 0 and SD ≥ 0';
+    case 'uniform':
+      return dist.max > dist.min ? null : 'max must exceed min';
+    case 'triangular':
+      return dist.min <= dist.mode && dist.mode <= dist.max && dist.max > dist.min ? null : 'need min ≤ mode ≤ max';
+    case 'empirical':
+      return dist.values?.length > 0 ? null : 'enter at least one value';
+    default:
+      return Number.isFinite(dist.value) ? null : 'value must be a number';
+  }
+};
+
+// Linear-interpolated percentile of a sorted array (p in 0–100)
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return NaN;
+  const h = (sorted.length - 1) * (p / 100);
+  const lo = Math.floor(h);
+  const hi = Math.ceil(h);
+  return sorted[lo] + (h - lo) * (sorted[hi] - sorted[lo]);
+};
+
+export const summarize = (values) => {
+  const sorted = Float64Array.from(values).sort();
+  const n = sorted.length;
+  const mean = sorted.reduce((s, v) => s + v, 0) / n;
+  const variance = sorted.reduce((s, v) => s + (v - mean) ** 2, 0) / Math.max(n - 1, 1);
+  return {
+    n,
+    mean,
+    sd: Math.sqrt(variance),
+    min: sorted[0],
+    max: sorted[n - 1],
+    p5: percentile(sorted, 5),
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95)
+  };
+};
+
+// Equal-width histogram; with log = true bins are equal-width in log10(x) (x ≤ 0 dropped)
+export const histogram = (values, bins = 30, { log = false } = {}) => {
+  const xs = log ? Array.from(values).filter((v) => v > 0).map(Math.log10) : Array.from(values);
+  if (xs.length === 0) return [];
+  let lo = Infinity;
+  let hi = -Infinity;
+  xs.forEach((x) => { if (x < lo) lo = x; if (x > hi) hi = x; });
+  if (hi === lo) { lo -= 0.5; hi += 0.5; }
+  const width = (hi - lo) / bins;
+  const counts = new Array(bins).fill(0);
+  xs.forEach((x) => { counts[Math.min(bins - 1, Math.floor((x - lo) / width))]++; });
+  return counts.map((count, i) => {
+    const mid = lo + (i + 0.5) * width;
+    return {
+      x: log ? Math.pow(10, mid) : mid,
+      lower: log ? Math.pow(10, lo + i * width) : lo + i * width,
+      upper: log ? Math.pow(10, lo + (i + 1) * width) : lo + (i + 1) * width,
+      count,
+      fraction: count / xs.length
+    };
+  });
+};
+
+// Propagate input distributions through model(params) → { [output]: number, profile?: number[] }.
+// Returns per-output sample arrays and summaries; profile outputs (arrays) get
+// pointwise P5/P50/P95 bands.
+export const runMonteCarlo = (model, distributions, { samples = 5000, seed = 1 } = {}) => {
+  const rng = createRng(seed);
+  const keys = Object.keys(distributions);
+  const scalars = {};
+  const profiles = {};
+
+  for (let i = 0; i < samples; i++) {
+    const params = {};
+    keys.forEach((k) => { params[k] = sampleDistribution(distributions[k], rng); });
+    const out = model(params);
+    Object.entries(out).forEach(([name, value]) => {
+      if (Array.isArray(value)) {
+        if (!profiles[name]) profiles[name] = value.map(() => new Float64Array(samples));
+        value.forEach((v, j) => { profiles[name][j][i] = v; });
+      } else {
+        if (!scalars[name]) scalars[name] = new Float64Array(samples);
+        scalars[name][i] = value;
+      }
+    });
+  }
+
+  const bands = {};
+  Object.entries(profiles).forEach(([name, columns]) => {
+    bands[name] = columns.map((col) => {
+      const sorted = col.slice().sort();
+      return { p5: percentile(sorted, 5), p50: percentile(sorted, 50), p95: percentile(sorted, 95) };
+    });
+  });
+
+  return {
+    samples: scalars,
+    summary: Object.fromEntries(Object.entries(scalars).map(([name, values]) => [name, summarize(values)])),
+    bands
+  };
+};
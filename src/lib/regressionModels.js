@@ -0,0 +1,164 @@
+// Empirical removal regressions from the thesis (Tables 4.4, 5.4–5.6, 6.3).
+// Each model predicts λ, read by the tools as log₁₀ removal; negative predictions are
+// clipped to zero by predictRemoval. See docs/regression-equations.md.
+
+// Predictor units shared by every regression
+export const PREDICTORS = {
+  protein: { label: 'Protein', unit: 'µg/g' },
+  carbohydrate: { label: 'Carbohydrate', unit: 'µg/g' },
+  biomass: { label: 'Biomass (16S rRNA)', unit: 'copies/g' },
+  sdAge: { label: 'Schmutzdecke age', unit: 'd' },
+  grainSize: { label: 'Grain size D50', unit: 'mm' },
+  inoculated: { label: 'Inoculated', unit: 'boolean' }
+};
+
+const proteinCarbRatio = (params) => params.protein / Math.max(params.carbohydrate, 0.1);
+const inoculation = (params) => (params.inoculated ? 1 : 0);
+
+export const REGRESSION_MODELS = {
+  // Chapter 4: Mini-scale (75 days operation)
+  mini_ch4: {
+    name: 'Mini-scale (Ch. 4)',
+    description: '75-day mini SSF — protein/carbohydrate ratio as key predictor',
+    models: {
+      A: {
+        name: 'Model A (Biochemical)',
+        equation: 'λ = a₀ + a₁ × (protein/carbohydrate)',
+        coefficients: { a0: -0.17, a1: 2.14 },
+        rSquared: 0.81,
+        pValue: 5.62e-4,
+        predictors: ['protein', 'carbohydrate'],
+        calculate: (params) => -0.17 + 2.14 * proteinCarbRatio(params)
+      },
+      B: {
+        name: 'Model B (Abiotic)',
+        equation: 'λ = a₀ + a₁ × grain_size + a₂ × SD_inoc',
+        coefficients: { a0: 0.86, a1: -1.44, a2: 0.64 },
+        rSquared: 0.55,
+        pValue: 0.039,
+        predictors: ['grainSize', 'inoculated'],
+        calculate: (params) => 0.86 + (-1.44) * params.grainSize + 0.64 * inoculation(params)
+      },
+      C: {
+        name: 'Model C (Combined)',
+        equation: 'λ = a₀ + a₁ × (protein/carbohydrate) + a₂ × SD_inoc',
+        coefficients: { a0: -0.22, a1: 1.90, a2: 0.34 },
+        rSquared: 0.89,
+        pValue: 5.97e-4,
+        predictors: ['protein', 'carbohydrate', 'inoculated'],
+        calculate: (params) => -0.22 + 1.90 * proteinCarbRatio(params) + 0.34 * inoculation(params)
+      }
+    }
+  },
+
+  // Chapter 5: Mini-scale (4 months)
+  mini_ch5: {
+    name: 'Mini-scale (Ch. 5)',
+    description: '4-month mini SSF — protein as sole significant predictor',
+    models: {
+      A: {
+        name: 'Model A & C (Protein)',
+        equation: 'λ = a₀ + a₁ × protein',
+        coefficients: { a0: -0.21, a1: 5.71e-3 },
+        rSquared: 0.37,
+        pValue: 0.0477,
+        predictors: ['protein'],
+        calculate: (params) => -0.21 + 5.71e-3 * params.protein
+      }
+    }
+  },
+
+  // Chapter 5: Midi-scale (1 year)
+  midi: {
+    name: 'Midi-scale (Ch. 5)',
+    description: '1-year midi SSF — biomass and age as predictors',
+    models: {
+      A: {
+        name: 'Model A (Biomass)',
+        equation: 'λ = a₀ + a₁ × biomass',
+        coefficients: { a0: 0.128, a1: 1.85e-9 },
+        rSquared: 0.35,
+        pValue: 0.0113,
+        predictors: ['biomass'],
+        calculate: (params) => 0.128 + 1.85e-9 * params.biomass
+      },
+      B: {
+        name: 'Model B & C (Age)',
+        equation: 'λ = a₀ + a₁ × SD_age',
+        coefficients: { a0: -0.0106, a1: 1.36e-3 },
+        rSquared: 0.71,
+        pValue: 4.8e-5,
+        predictors: ['sdAge'],
+        calculate: (params) => -0.0106 + 1.36e-3 * params.sdAge
+      }
+    }
+  },
+
+  // Chapter 5: Combined scales
+  combined: {
+    name: 'Combined Scales (Ch. 5)',
+    description: 'Mini + Midi combined — biomass and age as predictors',
+    models: {
+      A: {
+        name: 'Model A (Biomass)',
+        equation: 'λ = a₀ + a₁ × biomass',
+        coefficients: { a0: 0.0884, a1: 2.10e-9 },
+        rSquared: 0.43,
+        pValue: 3.30e-4,
+        predictors: ['biomass'],
+        calculate: (params) => 0.0884 + 2.10e-9 * params.biomass
+      },
+      B: {
+        name: 'Model B (Age)',
+        equation: 'λ = a₀ + a₁ × SD_age',
+        coefficients: { a0: -0.017, a1: 1.37e-3 },
+        rSquared: 0.70,
+        pValue: 1.9e-7,
+        predictors: ['sdAge'],
+        calculate: (params) => -0.017 + 1.37e-3 * params.sdAge
+      }
+    }
+  },
+
+  // Chapter 6: Pilot-scale (top 10 cm layer)
+  pilot: {
+    name: 'Pilot-scale (Ch. 6)',
+    description: 'Pilot SSF top 10 cm — EPS composition explains 95-99% of variance',
+    models: {
+      A: {
+        name: 'Model A (EPS Components)',
+        equation: 'λ = a₀ + a₁ × carbohydrate + a₂ × protein',
+        coefficients: { a0: -2.1110, a1: 4.16e-3, a2: 0.0133 },
+        rSquared: 0.95,
+        pValue: 0.0059,
+        predictors: ['carbohydrate', 'protein'],
+        calculate: (params) => -2.1110 + 4.16e-3 * params.carbohydrate + 0.0133 * params.protein
+      },
+      B: {
+        name: 'Model B (Age Only)',
+        equation: 'λ = a₀ + a₁ × SD_age',
+        coefficients: { a0: -0.3748, a1: 0.0029 },
+        rSquared: 0.83,
+        pValue: 0.0074,
+        predictors: ['sdAge'],
+        calculate: (params) => -0.3748 + 0.0029 * params.sdAge
+      },
+      C: {
+        name: 'Model C (Full)',
+        equation: 'λ = a₀ + a₁ × carb + a₂ × prot + a₃ × inoc',
+        coefficients: { a0: -2.2556, a1: 4.78e-3, a2: 0.0124, a3: -0.1935 },
+        rSquared: 0.99,
+        pValue: 0.0041,
+        predictors: ['carbohydrate', 'protein', 'inoculated'],
+        calculate: (params) => -2.2556 + 4.78e-3 * params.carbohydrate + 0.0124 * params.protein + (-0.1935) * inoculation(params)
+      }
+    }
+  }
+};
+
+// Log₁₀ removal from one regression, clipped at zero; throws for an unknown dataset or model
+export const predictRemoval = (dataset, modelKey, params) => {
+  const model = REGRESSION_MODELS[dataset]?.models[modelKey];
+  if (!model) throw new Error(`Unknown regression model ${dataset}.${modelKey}`);
+  return Math.max(0, model.calculate(params));
+};
@@ -0,0 +1,107 @@
+// Calculation report for one tool and parameter set, as a single self-contained HTML page:
+// inputs with units, governing equations, intermediate quantities, outputs, charts (inline SVG),
+// validity warnings and references, stamped with the toolkit version and DOI. Printing the page
+// from the browser gives the PDF.
+
+export const TOOLKIT_DOI = '10.5281/zenodo.18704620';
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export const escapeHTML = (text) => String(text).replace(/[&<>"']/g, (c) => HTML_ENTITIES[c]);
+
+// Four significant figures; exponent notation outside 0.001–100000
+export const formatReportValue = (value) => {
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  if (typeof value !== 'number') return value === undefined || value === null || value === '' ? '—' : String(value);
+  if (!Number.isFinite(value)) return '—';
+  if (value === 0) return '0';
+  const abs = Math.abs(value);
+  return abs >= 1e-3 && abs < 1e5 ? String(Number(value.toPrecision(4))) : value.toExponential(3);
+};
+
+const STYLE = `
+  body { font-family: Helvetica, Arial, sans-serif; color: #1f2937; max-width: 52rem; margin: 2rem auto; padding: 0 1rem; font-size: 11pt; line-height: 1.4; }
+  h1 { font-size: 18pt; margin: 0 0 0.25rem; }
+  h2 { font-size: 13pt; margin: 1.5rem 0 0.5rem; border-bottom: 1px solid #d1d5db; padding-bottom: 0.2rem; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 0.2rem 0.5rem; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  th { font-weight: 600; color: #4b5563; }
+  td.value { text-align: right; font-family: 'Courier New', monospace; white-space: nowrap; }
+  .meta td:first-child { color: #6b7280; width: 9rem; }
+  .equation { font-family: 'Courier New', monospace; background: #f9fafb; padding: 0.3rem 0.5rem; margin: 0.2rem 0 0.6rem; white-space: pre-wrap; }
+  .warning { color: #92400e; }
+  figure { margin: 0.5rem 0 1rem; page-break-inside: avoid; break-inside: avoid; }
+  figure svg { max-width: 100%; height: auto; }
+  figcaption { font-size: 9pt; color: #4b5563; }
+  a { color: #1d4ed8; word-break: break-all; }
+  .print { float: right; padding: 0.3rem 0.8rem; font-size: 10pt; cursor: pointer; }
+  @media print { .print { display: none; } body { margin: 0; max-width: none; } h2 { page-break-after: avoid; break-after: avoid; } }
+`;
+
+// rows: [{ label, value, unit }]
+const quantityTable = (rows) => `<table>
+<tr><th>Quantity</th><th style="text-align:right">Value</th><th>Unit</th></tr>
+${rows.map((r) => `<tr><td>${escapeHTML(r.label)}</td><td class="value">${escapeHTML(formatReportValue(r.value))}</td><td>${escapeHTML(r.unit ?? '')}</td></tr>`).join('\n')}
+</table>`;
+
+const section = (title, content) => `<h2>${escapeHTML(title)}</h2>\n${content}`;
+
+// tool:      { name, source, chapter } from the App tool registry
+// generated: ISO timestamp; link: URL that reopens the tool with the same parameters
+// inputs, intermediates, outputs: [{ label, value, unit }]
+// equations: [{ label, expression }], plain text
+// warnings, references: [string]
+// charts:    [{ title, svg }], svg being the standalone markup from chartSVG
+export const buildReportHTML = ({
+  tool, generated, link, version, doi = TOOLKIT_DOI,
+  inputs = [], equations = [], intermediates = [], outputs = [], warnings = [], references = [], charts = []
+}) => {
+  const anchor = (href, text) => `<a href="${escapeHTML(href)}">${escapeHTML(text)}</a>`;
+  const meta = [
+    ['Tool', tool.name && escapeHTML(tool.name)],
+    ['Model source', tool.source && escapeHTML(tool.source)],
+    ['Thesis chapter', tool.chapter && escapeHTML(tool.chapter)],
+    ['Generated', generated && escapeHTML(generated)],
+    ['Toolkit version', version && escapeHTML(version)],
+    ['DOI', anchor(`https://doi.org/${doi}`, doi)],
+    ['Link', link && anchor(link, link)]
+  ].filter(([, html]) => html);
+
+  const parts = [
+    section('1. Inputs', inputs.length > 0 ? quantityTable(inputs) : '<p>No inputs.</p>'),
+    section('2. Governing equations', equations.length > 0
+      ? equations.map((e) => `<div>${escapeHTML(e.label)}</div>\n<div class="equation">${escapeHTML(e.expression)}</div>`).join('\n')
+      : '<p>No equations recorded for this tool.</p>'),
+    section('3. Intermediate quantities', intermediates.length > 0 ? quantityTable(intermediates) : '<p>None.</p>'),
+    section('4. Outputs', outputs.length > 0 ? quantityTable(outputs) : '<p>No outputs.</p>'),
+    section('5. Validity warnings', warnings.length > 0
+      ? `<ul>\n${warnings.map((w) => `<li class="warning">${escapeHTML(w)}</li>`).join('\n')}\n</ul>`
+      : '<p>No validity warnings for these inputs.</p>'),
+    section('6. Charts', charts.length > 0
+      ? charts.map((c, i) => `<figure>\n${c.svg}\n<figcaption>Figure ${i + 1}. ${escapeHTML(c.title)}</figcaption>\n</figure>`).join('\n')
+      : '<p>No charts shown.</p>'),
+    section('7. References', references.length > 0
+      ? `<ol>\n${references.map((r) => `<li>${escapeHTML(r)}</li>`).join('\n')}\n</ol>`
+      : '<p>None.</p>')
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(`Calculation report — ${tool.name}`)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<button class="print" onclick="window.print()">Print / save as PDF</button>
+<h1>Calculation report</h1>
+<table class="meta">
+${meta.map(([label, html]) => `<tr><td>${label}</td><td>${html}</td></tr>`).join('\n')}
+</table>
+${parts.join('\n')}
+<p style="margin-top:2rem;font-size:9pt;color:#6b7280">SSF Toolkit ${escapeHTML(version || '')} — cite as doi:${escapeHTML(doi)}.
+Results are model predictions for the inputs listed above.</p>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,126 @@
+// Saved scenarios: a named parameter set of one tool, with notes and the key outputs the tool
+// showed when it was saved. Parameters are the tool's URL hash params (see lib/urlState), so
+// opening a scenario is navigating to formatRoute(tool, params); values left at their default
+// are not stored. Data sets too large for a link (pasted curves, column tables) travel in
+// data, restored through hooks/useScenarioData. Scenarios persist in localStorage and move
+// between machines as JSON files.
+
+export const SCENARIO_STORAGE_KEY = 'ssf-toolkit:scenarios';
+export const SCENARIO_FILE_VERSION = 1;
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Throws with the offending field so an import can report what is wrong with a file
+export const validateScenario = (s, index = 0) => {
+  const where = `Scenario ${index + 1}`;
+  if (!isPlainObject(s)) throw new Error(`${where} is not an object`);
+  if (typeof s.tool !== 'string' || s.tool === '') throw new Error(`${where} has no tool`);
+  if (typeof s.name !== 'string' || s.name.trim() === '') throw new Error(`${where} has no name`);
+  if (!isPlainObject(s.params) || Object.values(s.params).some((v) => typeof v !== 'string')) {
+    throw new Error(`${where} (${s.name}): params must map names to strings`);
+  }
+  if (s.data !== undefined && (!isPlainObject(s.data) || Object.values(s.data).some((v) => typeof v !== 'string'))) {
+    throw new Error(`${where} (${s.name}): data must map names to strings`);
+  }
+  if (s.outputs !== undefined && (!Array.isArray(s.outputs)
+    || s.outputs.some((o) => !isPlainObject(o) || typeof o.label !== 'string' || typeof o.value !== 'number'))) {
+    throw new Error(`${where} (${s.name}): outputs must be a list of { label, value, unit }`);
+  }
+  return s;
+};
+
+export const createScenario = ({ tool, name, notes = '', params = {}, data = {}, outputs = [] }, now = new Date()) => validateScenario({
+  id: newId(),
+  tool,
+  name: name.trim(),
+  notes,
+  params: { ...params },
+  data: { ...data },
+  outputs: outputs
+    .filter((o) => Number.isFinite(o.value))
+    .map(({ label, value, unit = '' }) => ({ label, value, unit })),
+  created: now.toISOString(),
+  updated: now.toISOString()
+});
+
+export const updateScenario = (scenarios, id, changes, now = new Date()) =>
+  scenarios.map((s) => (s.id === id ? { ...s, ...changes, id, updated: now.toISOString() } : s));
+
+// The copy is inserted right after the original
+export const duplicateScenario = (scenarios, id, now = new Date()) => {
+  const index = scenarios.findIndex((s) => s.id === id);
+  if (index < 0) return scenarios;
+  const original = scenarios[index];
+  const copy = { ...original, id: newId(), name: `${original.name} (copy)`, created: now.toISOString(), updated: now.toISOString() };
+  return [...scenarios.slice(0, index + 1), copy, ...scenarios.slice(index + 1)];
+};
+
+export const removeScenario = (scenarios, id) => scenarios.filter((s) => s.id !== id);
+
+export const serializeScenarios = (scenarios) =>
+  JSON.stringify({ version: SCENARIO_FILE_VERSION, scenarios }, null, 2);
+
+// Accepts an exported file or a bare array of scenarios; throws on malformed content
+export const parseScenarios = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Not a JSON file');
+  }
+  const list = Array.isArray(data) ? data : data?.scenarios;
+  if (!Array.isArray(list)) throw new Error('No scenarios found in file');
+  return list.map((s, i) => {
+    validateScenario(s, i);
+    return { notes: '', data: {}, outputs: [], ...s, id: typeof s.id === 'string' && s.id ? s.id : newId() };
+  });
+};
+
+// Imported scenarios replace saved ones with the same id, so re-importing a backup is harmless
+export const mergeScenarios = (scenarios, imported) => {
+  const byId = new Map(imported.map((s) => [s.id, s]));
+  const kept = scenarios.map((s) => byId.get(s.id) || s);
+  const existing = new Set(scenarios.map((s) => s.id));
+  return [...kept, ...imported.filter((s) => !existing.has(s.id))];
+};
+
+// Unreadable or corrupted storage yields an empty library rather than an error
+export const loadScenarios = (storage) => {
+  try {
+    const text = storage?.getItem(SCENARIO_STORAGE_KEY);
+    return text ? parseScenarios(text) : [];
+  } catch {
+    return [];
+  }
+};
+
+export const storeScenarios = (storage, scenarios) => {
+  storage?.setItem(SCENARIO_STORAGE_KEY, serializeScenarios(scenarios));
+};
+
+// Side-by-side table rows: every output label and parameter used by any of the scenarios,
+// with one value per scenario (undefined where a scenario lacks it; for params that means
+// the tool default)
+export const compareScenarios = (scenarios) => {
+  const outputRows = new Map();
+  const paramKeys = [];
+  scenarios.forEach((s, i) => {
+    s.outputs.forEach((o) => {
+      const key = `${o.label}|${o.unit}`;
+      if (!outputRows.has(key)) outputRows.set(key, { label: o.label, unit: o.unit, values: scenarios.map(() => undefined) });
+      outputRows.get(key).values[i] = o.value;
+    });
+    Object.keys(s.params).forEach((k) => {
+      if (!paramKeys.includes(k)) paramKeys.push(k);
+    });
+  });
+  return {
+    outputs: [...outputRows.values()],
+    params: paramKeys.map((key) => {
+      const values = scenarios.map((s) => s.params[key]);
+      return { key, values, differs: new Set(values).size > 1 };
+    })
+  };
+};
@@ -0,0 +1,142 @@
+// Global sensitivity analysis — tornado (one-at-a-time), Morris elementary effects and
+// Sobol first/total-order indices. model(params) returns a single number; ranges map each
+// varied input to { min, max, log? } and are sampled uniformly (in log space when log is set).
+
+import { createRng } from './monteCarlo.js';
+
+// Map u ∈ [0, 1] onto a parameter range
+export const fromUnit = (u, { min, max, log = false }) => (log
+  ? Math.exp(Math.log(min) + u * (Math.log(max) - Math.log(min)))
+  : min + u * (max - min));
+
+const toParams = (keys, ranges, unitPoint) =>
+  Object.fromEntries(keys.map((k, i) => [k, fromUnit(unitPoint[i], ranges[k])]));
+
+// Output at each end of every range with the other inputs at their nominal values
+export const tornado = (model, ranges, nominal) => {
+  const baseline = model(nominal);
+  const bars = Object.entries(ranges).map(([key, r]) => {
+    const low = model({ ...nominal, [key]: r.min });
+    const high = model({ ...nominal, [key]: r.max });
+    return { key, low, high, swing: Math.abs(high - low) };
+  });
+  bars.sort((a, b) => b.swing - a.swing);
+  return { baseline, bars };
+};
+
+// Morris (1991) screening with r random trajectories on a p-level grid; μ* is the mean
+// absolute elementary effect (Campolongo et al., 2007). Effects are per unit of the
+// normalised range so they compare across inputs with different units.
+export const morrisScreening = (model, ranges, { trajectories = 20, levels = 4, seed = 1 } = {}) => {
+  const rng = createRng(seed);
+  const keys = Object.keys(ranges);
+  const k = keys.length;
+  const delta = levels / (2 * (levels - 1));
+  const baseLevels = Math.floor(levels / 2); // grid points with x + Δ ≤ 1
+  const effects = keys.map(() => []);
+  let evaluations = 0;
+
+  for (let t = 0; t < trajectories; t++) {
+    const x = keys.map(() => Math.floor(rng() * baseLevels) / (levels - 1));
+    const order = keys.map((_, i) => i);
+    for (let i = k - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    // Start half the trajectories from the top of the grid so steps also run downwards
+    const down = rng() < 0.5;
+    if (down) x.forEach((v, i) => { x[i] = v + delta; });
+    let y = model(toParams(keys, ranges, x));
+    evaluations++;
+    order.forEach((i) => {
+      const step = down ? -delta : delta;
+      x[i] += step;
+      const yNext = model(toParams(keys, ranges, x));
+      evaluations++;
+      if (Number.isFinite(y) && Number.isFinite(yNext)) effects[i].push((yNext - y) / step);
+      y = yNext;
+    });
+  }
+
+  const results = keys.map((key, i) => {
+    const ee = effects[i];
+    const n = Math.max(ee.length, 1);
+    const mu = ee.reduce((s, e) => s + e, 0) / n;
+    const muStar = ee.reduce((s, e) => s + Math.abs(e), 0) / n;
+    const sigma = Math.sqrt(ee.reduce((s, e) => s + (e - mu) ** 2, 0) / Math.max(ee.length - 1, 1));
+    return { key, mu, muStar, sigma };
+  });
+  results.sort((a, b) => b.muStar - a.muStar);
+  return { results, evaluations };
+};
+
+const variance = (values) => {
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  return values.reduce((s, v) => s + (v - mean) ** 2, 0) / values.length;
+};
+
+// First-order (Saltelli et al., 2010) and total-order (Jansen, 1999) estimators over the
+// row indices in `rows`; returns [S1, ST] for each input
+const sobolEstimates = (fA, fB, fAB, rows) => {
+  const V = variance(rows.flatMap((j) => [fA[j], fB[j]]));
+  const n = rows.length;
+  return fAB.map((col) => {
+    if (!(V > 0)) return [0, 0];
+    let first = 0;
+    let total = 0;
+    rows.forEach((j) => {
+      first += fB[j] * (col[j] - fA[j]);
+      total += (fA[j] - col[j]) ** 2;
+    });
+    return [first / n / V, total / (2 * n) / V];
+  });
+};
+
+// Sobol indices from N base samples (N·(k + 2) model runs), with bootstrap 95% intervals.
+// Rows where any run is non-finite are dropped.
+export const sobolIndices = (model, ranges, { samples = 1024, seed = 1, bootstrap = 200 } = {}) => {
+  const rng = createRng(seed);
+  const keys = Object.keys(ranges);
+  const k = keys.length;
+  const A = Array.from({ length: samples }, () => keys.map(() => rng()));
+  const B = Array.from({ length: samples }, () => keys.map(() => rng()));
+  const fA = A.map((row) => model(toParams(keys, ranges, row)));
+  const fB = B.map((row) => model(toParams(keys, ranges, row)));
+  const fAB = keys.map((_, i) => A.map((row, j) => {
+    const mixed = row.slice();
+    mixed[i] = B[j][i];
+    return model(toParams(keys, ranges, mixed));
+  }));
+
+  const rows = [];
+  for (let j = 0; j < samples; j++) {
+    if (Number.isFinite(fA[j]) && Number.isFinite(fB[j]) && fAB.every((col) => Number.isFinite(col[j]))) rows.push(j);
+  }
+  if (rows.length < 2) return { results: [], evaluations: samples * (k + 2), validSamples: rows.length };
+
+  const point = sobolEstimates(fA, fB, fAB, rows);
+  const draws = keys.map(() => ({ first: [], total: [] }));
+  for (let b = 0; b < bootstrap; b++) {
+    const resample = rows.map(() => rows[Math.floor(rng() * rows.length)]);
+    sobolEstimates(fA, fB, fAB, resample).forEach(([s1, st], i) => {
+      draws[i].first.push(s1);
+      draws[i].total.push(st);
+    });
+  }
+  const halfWidth = (values) => 1.96 * Math.sqrt(variance(values));
+
+  const results = keys.map((key, i) => ({
+    key,
+    first: point[i][0],
+    total: point[i][1],
+    firstConf: bootstrap > 1 ? halfWidth(draws[i].first) : NaN,
+    totalConf: bootstrap > 1 ? halfWidth(draws[i].total) : NaN
+  }));
+  results.sort((a, b) => b.total - a.total);
+  return {
+    results,
+    evaluations: samples * (k + 2),
+    validSamples: rows.length,
+    variance: variance(rows.flatMap((j) => [fA[j], fB[j]]))
+  };
+};
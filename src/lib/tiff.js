@@ -0,0 +1,142 @@
+// Minimal baseline TIFF decoder for single-channel micrographs and CT slices.
+// Reads the first image: 1/8/16/32-bit greyscale or 8-bit RGB(A), strips or tiles,
+// uncompressed or PackBits. Returns a greyscale Float32Array in row-major order.
+
+const TAGS = {
+  width: 256,
+  height: 257,
+  bitsPerSample: 258,
+  compression: 259,
+  photometric: 262,
+  stripOffsets: 273,
+  samplesPerPixel: 277,
+  rowsPerStrip: 278,
+  stripByteCounts: 279,
+  planarConfig: 284,
+  tileWidth: 322,
+  tileLength: 323,
+  tileOffsets: 324,
+  tileByteCounts: 325,
+  sampleFormat: 339
+};
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+const readValue = (view, type, offset, little) => {
+  switch (type) {
+    case 3: return view.getUint16(offset, little);
+    case 4: return view.getUint32(offset, little);
+    case 8: return view.getInt16(offset, little);
+    case 9: return view.getInt32(offset, little);
+    case 11: return view.getFloat32(offset, little);
+    case 12: return view.getFloat64(offset, little);
+    default: return view.getUint8(offset);
+  }
+};
+
+const readIFD = (view, offset, little) => {
+  const count = view.getUint16(offset, little);
+  const tags = {};
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const n = view.getUint32(entry + 4, little);
+    const size = (TYPE_SIZES[type] || 1) * n;
+    const valueOffset = size <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+    const values = [];
+    for (let j = 0; j < n; j++) values.push(readValue(view, type, valueOffset + j * (TYPE_SIZES[type] || 1), little));
+    tags[tag] = values;
+  }
+  return tags;
+};
+
+// PackBits (compression 32773) run-length decoding
+const unpackBits = (bytes, expected) => {
+  const out = new Uint8Array(expected);
+  let i = 0;
+  let o = 0;
+  while (i < bytes.length && o < expected) {
+    const header = (bytes[i++] << 24) >> 24;
+    if (header >= 0) {
+      for (let k = 0; k <= header && o < expected; k++) out[o++] = bytes[i++];
+    } else if (header !== -128) {
+      const value = bytes[i++];
+      for (let k = 0; k < 1 - header && o < expected; k++) out[o++] = value;
+    }
+  }
+  return out;
+};
+
+export const decodeTIFF = (buffer) => {
+  const view = new DataView(buffer);
+  const order = view.getUint16(0, false);
+  if (order !== 0x4949 && order !== 0x4d4d) throw new Error('Not a TIFF file');
+  const little = order === 0x4949;
+  if (view.getUint16(2, little) !== 42) throw new Error('Unsupported TIFF variant (BigTIFF?)');
+
+  const tags = readIFD(view, view.getUint32(4, little), little);
+  const get = (name, fallback) => (tags[TAGS[name]] ? tags[TAGS[name]] : fallback);
+
+  const width = get('width')[0];
+  const height = get('height')[0];
+  const samples = get('samplesPerPixel', [1])[0];
+  const bits = get('bitsPerSample', [1])[0];
+  const compression = get('compression', [1])[0];
+  const photometric = get('photometric', [1])[0];
+  const sampleFormat = get('sampleFormat', [1])[0];
+  if (compression !== 1 && compression !== 32773) {
+    throw new Error(`Unsupported TIFF compression (${compression}); save as uncompressed or PackBits`);
+  }
+  if (![1, 8, 16, 32].includes(bits)) throw new Error(`Unsupported bit depth (${bits})`);
+  if (samples > 1 && (bits !== 8 || get('planarConfig', [1])[0] !== 1)) {
+    throw new Error('Only interleaved 8-bit colour TIFFs are supported');
+  }
+
+  // Strips are tiles spanning the full width
+  const tiled = Boolean(tags[TAGS.tileOffsets]);
+  const blockWidth = tiled ? get('tileWidth')[0] : width;
+  const blockHeight = tiled ? get('tileLength')[0] : Math.min(get('rowsPerStrip', [height])[0], height);
+  const offsets = tiled ? get('tileOffsets') : get('stripOffsets');
+  const byteCounts = tiled ? get('tileByteCounts') : get('stripByteCounts');
+  const blocksAcross = Math.ceil(width / blockWidth);
+  const rowBytes = Math.ceil((blockWidth * samples * bits) / 8);
+
+  const gray = new Float32Array(width * height);
+  const bytesPerSample = bits / 8;
+
+  offsets.forEach((offset, b) => {
+    const raw = new Uint8Array(buffer, offset, byteCounts[b]);
+    const block = compression === 32773 ? unpackBits(raw, rowBytes * blockHeight) : raw;
+    const blockView = new DataView(block.buffer, block.byteOffset, block.byteLength);
+    const x0 = (b % blocksAcross) * blockWidth;
+    const y0 = Math.floor(b / blocksAcross) * blockHeight;
+
+    for (let y = 0; y < blockHeight && y0 + y < height; y++) {
+      for (let x = 0; x < blockWidth && x0 + x < width; x++) {
+        let v;
+        if (bits === 1) {
+          v = (block[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+        } else if (samples >= 3) {
+          const i = y * rowBytes + x * samples;
+          v = 0.299 * block[i] + 0.587 * block[i + 1] + 0.114 * block[i + 2];
+        } else {
+          const i = y * rowBytes + x * bytesPerSample;
+          if (bits === 8) v = block[i];
+          else if (bits === 16) v = sampleFormat === 2 ? blockView.getInt16(i, little) : blockView.getUint16(i, little);
+          else v = sampleFormat === 3 ? blockView.getFloat32(i, little) : blockView.getUint32(i, little);
+        }
+        gray[(y0 + y) * width + x0 + x] = v;
+      }
+    }
+  });
+
+  // WhiteIsZero images are inverted so that bright always means high intensity
+  if (photometric === 0) {
+    let max = -Infinity;
+    gray.forEach((v) => { if (v > max) max = v; });
+    for (let i = 0; i < gray.length; i++) gray[i] = max - gray[i];
+  }
+
+  return { width, height, data: gray, bitsPerSample: bits };
+};
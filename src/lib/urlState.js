@@ -0,0 +1,52 @@
+// Tool routes and parameter values in the URL hash, so every tool state can be linked and
+// bookmarked on the static build (no server rewrites needed):
+//   #/te-efficiency?dp=0.05&alpha=0.01
+// Values are typed by their default: numbers, booleans ('1'/'0'), strings, and JSON for
+// objects. A null default is treated as an optional string (e.g. the active preset).
+
+export const parseRoute = (hash) => {
+  const text = hash.replace(/^#\/?/, '');
+  const split = text.indexOf('?');
+  const tool = decodeURIComponent(split >= 0 ? text.slice(0, split) : text);
+  const params = Object.fromEntries(new URLSearchParams(split >= 0 ? text.slice(split + 1) : ''));
+  return { tool: tool || 'home', params };
+};
+
+export const formatRoute = (tool, params = {}) => {
+  const query = new URLSearchParams(params).toString();
+  return `#/${tool === 'home' ? '' : encodeURIComponent(tool)}${query ? `?${query}` : ''}`;
+};
+
+export const encodeValue = (value, defaultValue) => {
+  if (typeof defaultValue === 'boolean') return value ? '1' : '0';
+  if (typeof defaultValue === 'number' || typeof defaultValue === 'string' || defaultValue === null) return String(value);
+  return JSON.stringify(value);
+};
+
+// Falls back to the default for values that do not parse to the default's type
+export const decodeValue = (text, defaultValue) => {
+  if (text === undefined) return defaultValue;
+  if (typeof defaultValue === 'number') {
+    const n = Number(text);
+    return text.trim() !== '' && Number.isFinite(n) ? n : defaultValue;
+  }
+  if (typeof defaultValue === 'boolean') return text === '1' || text === 'true';
+  if (typeof defaultValue === 'string' || defaultValue === null) return text;
+  try {
+    const parsed = JSON.parse(text);
+    return parsed !== null && typeof parsed === typeof defaultValue && Array.isArray(parsed) === Array.isArray(defaultValue)
+      ? parsed
+      : defaultValue;
+  } catch {
+    return defaultValue;
+  }
+};
+
+// Route with one parameter set; values equal to the default are left out to keep links short
+export const withParam = (hash, key, value, defaultValue) => {
+  const { tool, params } = parseRoute(hash);
+  const encoded = encodeValue(value, defaultValue);
+  if (encoded === encodeValue(defaultValue, defaultValue)) delete params[key];
+  else params[key] = encoded;
+  return formatRoute(tool, params);
+};
@@ -0,0 +1,114 @@
+// Minimal XLSX writer: one worksheet of numbers and strings packed in an uncompressed (stored)
+// zip. Enough for Excel, LibreOffice and pandas to open exported tables without a dependency.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Zip archive of [{ name, data: string }] with every entry stored (method 0)
+export const zipStored = (files) => {
+  const encoder = new TextEncoder();
+  const DOS_DATE = (1 << 5) | 1; // 1980-01-01; fixed so identical exports are byte-identical
+  const entries = files.map(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const bytes = encoder.encode(data);
+    return { nameBytes, bytes, crc: crc32(bytes) };
+  });
+  const size = entries.reduce((sum, e) => sum + 30 + e.nameBytes.length + e.bytes.length + 46 + e.nameBytes.length, 22);
+  const out = new Uint8Array(size);
+  const view = new DataView(out.buffer);
+  let pos = 0;
+  const u16 = (v) => { view.setUint16(pos, v, true); pos += 2; };
+  const u32 = (v) => { view.setUint32(pos, v, true); pos += 4; };
+  const bytes = (b) => { out.set(b, pos); pos += b.length; };
+
+  const offsets = entries.map((e) => {
+    const offset = pos;
+    u32(0x04034b50); u16(20); u16(0x0800); u16(0); u16(0); u16(DOS_DATE);
+    u32(e.crc); u32(e.bytes.length); u32(e.bytes.length); u16(e.nameBytes.length); u16(0);
+    bytes(e.nameBytes);
+    bytes(e.bytes);
+    return offset;
+  });
+  const directoryStart = pos;
+  entries.forEach((e, i) => {
+    u32(0x02014b50); u16(20); u16(20); u16(0x0800); u16(0); u16(0); u16(DOS_DATE);
+    u32(e.crc); u32(e.bytes.length); u32(e.bytes.length); u16(e.nameBytes.length); u16(0); u16(0);
+    u16(0); u16(0); u32(0); u32(offsets[i]);
+    bytes(e.nameBytes);
+  });
+  const directorySize = pos - directoryStart;
+  u32(0x06054b50); u16(0); u16(0); u16(entries.length); u16(entries.length);
+  u32(directorySize); u32(directoryStart); u16(0);
+  return out;
+};
+
+// Control characters other than tab and newlines are not allowed in XML and are dropped
+const escapeXML = (text) => [...text]
+  .filter((ch) => ch.charCodeAt(0) >= 0x20 || ch === '\t' || ch === '\n' || ch === '\r')
+  .join('')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// A1-style column letters: 0 → A, 25 → Z, 26 → AA
+export const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+};
+
+const cellXML = (value, ref) => {
+  if (value === undefined || value === null || value === '') return '';
+  if (typeof value === 'number') return Number.isFinite(value) ? `<c r="${ref}"><v>${value}</v></c>` : '';
+  if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXML(String(value))}</t></is></c>`;
+};
+
+// Workbook with one sheet; rows are arrays of numbers, strings, booleans or empty cells
+export const buildXLSX = (rows, { sheetName = 'Data' } = {}) => {
+  const sheetRows = rows.map((row, r) => {
+    const cells = row.map((value, c) => cellXML(value, `${columnName(c)}${r + 1}`)).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const ns = 'http://schemas.openxmlformats.org';
+  return zipStored([
+    {
+      name: '[Content_Types].xml',
+      data: `${xmlHeader}<Types xmlns="${ns}/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: `${xmlHeader}<Relationships xmlns="${ns}/package/2006/relationships">`
+        + `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>`
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: `${xmlHeader}<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships">`
+        + `<sheets><sheet name="${escapeXML(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `${xmlHeader}<Relationships xmlns="${ns}/package/2006/relationships">`
+        + `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>`
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      data: `${xmlHeader}<worksheet xmlns="${ns}/spreadsheetml/2006/main"><sheetData>${sheetRows}</sheetData></worksheet>`
+    }
+  ]);
+};
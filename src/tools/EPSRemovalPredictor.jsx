@@ -1,5 +1,12 @@
-import React, { useState, useMemo } from 'react';
+import React, { useMemo } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar, Cell, ScatterChart, Scatter, ReferenceLine } from 'recharts';
+import MonteCarloPanel from '../components/MonteCarloPanel';
+import SensitivityPanel from '../components/SensitivityPanel';
+import { REGRESSION_MODELS, PREDICTORS } from '../lib/regressionModels';
+import ExportableChart from '../components/ExportableChart';
+import { useUrlState } from '../hooks/useUrlState';
+import { useKeyOutputs } from '../hooks/useKeyOutputs';
+import { useCalculationReport } from '../hooks/useCalculationReport';
 
 // EPS-Based Removal Predictor
 // Based on: Bai, Samari-Kermani et al. (2024, 2025) - SSF removal regression models
@@ -8,182 +15,26 @@ import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, Responsi
 const EPSRemovalPredictor = () => {
   // ============== STATE ==============
   // EPS Parameters
-  const [protein, setProtein] = useState(150);           // µg/g
-  const [carbohydrate, setCarbohydrate] = useState(100); // µg/g
-  const [biomass, setBiomass] = useState(1e8);           // copies/g
+  const [protein, setProtein] = useUrlState('protein', 150);           // µg/g
+  const [carbohydrate, setCarbohydrate] = useUrlState('carbohydrate', 100); // µg/g
+  const [biomass, setBiomass] = useUrlState('biomass', 1e8);           // copies/g
   
   // Abiotic Parameters
-  const [sdAge, setSdAge] = useState(90);                // days
-  const [grainSize, setGrainSize] = useState(0.3);       // mm (D50)
-  const [inoculated, setInoculated] = useState(true);    // boolean
+  const [sdAge, setSdAge] = useUrlState('sdAge', 90);                // days
+  const [grainSize, setGrainSize] = useUrlState('grainSize', 0.3);       // mm (D50)
+  const [inoculated, setInoculated] = useUrlState('inoculated', true);    // boolean
   
   // Scale and Model Selection
-  const [selectedScale, setSelectedScale] = useState('pilot');
-  const [selectedModel, setSelectedModel] = useState('A');
+  const [selectedScale, setSelectedScale] = useUrlState('selectedScale', 'pilot');
+  const [selectedModel, setSelectedModel] = useUrlState('selectedModel', 'A');
   
   // UI State
-  const [activePreset, setActivePreset] = useState(null);
-  const [showAllModels, setShowAllModels] = useState(true);
+  const [activePreset, setActivePreset] = useUrlState('activePreset', null);
+  const [showAllModels, setShowAllModels] = useUrlState('showAllModels', true);
 
   // ============== MODEL COEFFICIENTS ==============
-  // From thesis Tables 4.4, 5.4, 5.5, 5.6, 6.3
-  
-  const models = {
-    // Chapter 4: Mini-scale (75 days operation)
-    mini_ch4: {
-      name: 'Mini-scale (Ch. 4)',
-      description: '75-day mini SSF — protein/carbohydrate ratio as key predictor',
-      models: {
-        A: {
-          name: 'Model A (Biochemical)',
-          equation: 'λ = a₀ + a₁ × (protein/carbohydrate)',
-          coefficients: { a0: -0.17, a1: 2.14 },
-          rSquared: 0.81,
-          pValue: 5.62e-4,
-          calculate: (params) => {
-            const ratio = params.protein / Math.max(params.carbohydrate, 0.1);
-            return -0.17 + 2.14 * ratio;
-          }
-        },
-        B: {
-          name: 'Model B (Abiotic)',
-          equation: 'λ = a₀ + a₁ × grain_size + a₂ × SD_inoc',
-          coefficients: { a0: 0.86, a1: -1.44, a2: 0.64 },
-          rSquared: 0.55,
-          pValue: 0.039,
-          calculate: (params) => {
-            const inoc = params.inoculated ? 1 : 0;
-            return 0.86 + (-1.44) * params.grainSize + 0.64 * inoc;
-          }
-        },
-        C: {
-          name: 'Model C (Combined)',
-          equation: 'λ = a₀ + a₁ × (protein/carbohydrate) + a₂ × SD_inoc',
-          coefficients: { a0: -0.22, a1: 1.90, a2: 0.34 },
-          rSquared: 0.89,
-          pValue: 5.97e-4,
-          calculate: (params) => {
-            const ratio = params.protein / Math.max(params.carbohydrate, 0.1);
-            const inoc = params.inoculated ? 1 : 0;
-            return -0.22 + 1.90 * ratio + 0.34 * inoc;
-          }
-        }
-      }
-    },
-    
-    // Chapter 5: Mini-scale (4 months)
-    mini_ch5: {
-      name: 'Mini-scale (Ch. 5)',
-      description: '4-month mini SSF — protein as sole significant predictor',
-      models: {
-        A: {
-          name: 'Model A & C (Protein)',
-          equation: 'λ = a₀ + a₁ × protein',
-          coefficients: { a0: -0.21, a1: 5.71e-3 },
-          rSquared: 0.37,
-          pValue: 0.0477,
-          calculate: (params) => {
-            return -0.21 + 5.71e-3 * params.protein;
-          }
-        }
-      }
-    },
-    
-    // Chapter 5: Midi-scale (1 year)
-    midi: {
-      name: 'Midi-scale (Ch. 5)',
-      description: '1-year midi SSF — biomass and age as predictors',
-      models: {
-        A: {
-          name: 'Model A (Biomass)',
-          equation: 'λ = a₀ + a₁ × biomass',
-          coefficients: { a0: 0.128, a1: 1.85e-9 },
-          rSquared: 0.35,
-          pValue: 0.0113,
-          calculate: (params) => {
-            return 0.128 + 1.85e-9 * params.biomass;
-          }
-        },
-        B: {
-          name: 'Model B & C (Age)',
-          equation: 'λ = a₀ + a₁ × SD_age',
-          coefficients: { a0: -0.0106, a1: 1.36e-3 },
-          rSquared: 0.71,
-          pValue: 4.8e-5,
-          calculate: (params) => {
-            return -0.0106 + 1.36e-3 * params.sdAge;
-          }
-        }
-      }
-    },
-    
-    // Chapter 5: Combined scales
-    combined: {
-      name: 'Combined Scales (Ch. 5)',
-      description: 'Mini + Midi combined — biomass and age as predictors',
-      models: {
-        A: {
-          name: 'Model A (Biomass)',
-          equation: 'λ = a₀ + a₁ × biomass',
-          coefficients: { a0: 0.0884, a1: 2.10e-9 },
-          rSquared: 0.43,
-          pValue: 3.30e-4,
-          calculate: (params) => {
-            return 0.0884 + 2.10e-9 * params.biomass;
-          }
-        },
-        B: {
-          name: 'Model B (Age)',
-          equation: 'λ = a₀ + a₁ × SD_age',
-          coefficients: { a0: -0.017, a1: 1.37e-3 },
-          rSquared: 0.70,
-          pValue: 1.9e-7,
-          calculate: (params) => {
-            return -0.017 + 1.37e-3 * params.sdAge;
-          }
-        }
-      }
-    },
-    
-    // Chapter 6: Pilot-scale (top 10 cm layer)
-    pilot: {
-      name: 'Pilot-scale (Ch. 6)',
-      description: 'Pilot SSF top 10 cm — EPS composition explains 95-99% of variance',
-      models: {
-        A: {
-          name: 'Model A (EPS Components)',
-          equation: 'λ = a₀ + a₁ × carbohydrate + a₂ × protein',
-          coefficients: { a0: -2.1110, a1: 4.16e-3, a2: 0.0133 },
-          rSquared: 0.95,
-          pValue: 0.0059,
-          calculate: (params) => {
-            return -2.1110 + 4.16e-3 * params.carbohydrate + 0.0133 * params.protein;
-          }
-        },
-        B: {
-          name: 'Model B (Age Only)',
-          equation: 'λ = a₀ + a₁ × SD_age',
-          coefficients: { a0: -0.3748, a1: 0.0029 },
-          rSquared: 0.83,
-          pValue: 0.0074,
-          calculate: (params) => {
-            return -0.3748 + 0.0029 * params.sdAge;
-          }
-        },
-        C: {
-          name: 'Model C (Full)',
-          equation: 'λ = a₀ + a₁ × carb + a₂ × prot + a₃ × inoc',
-          coefficients: { a0: -2.2556, a1: 4.78e-3, a2: 0.0124, a3: -0.1935 },
-          rSquared: 0.99,
-          pValue: 0.0041,
-          calculate: (params) => {
-            const inoc = params.inoculated ? 1 : 0;
-            return -2.2556 + 4.78e-3 * params.carbohydrate + 0.0124 * params.protein + (-0.1935) * inoc;
-          }
-        }
-      }
-    }
-  };
+  // From thesis Tables 4.4, 5.4, 5.5, 5.6, 6.3 — shared with the other tools via lib/regressionModels
+  const models = REGRESSION_MODELS;
 
   // ============== PRESETS ==============
   const presets = {
@@ -276,6 +127,68 @@ const EPSRemovalPredictor = () => {
     return predictions[selectedScale]?.[selectedModel];
   }, [selectedScale, selectedModel, predictions]);
 
+  useKeyOutputs([
+    { label: 'Log₁₀ removal', value: currentPrediction?.value, unit: 'log' },
+    { label: 'Model R²', value: currentPrediction?.model.rSquared, unit: '' },
+    { label: 'Protein/carbohydrate', value: proteinCarbRatio, unit: '' }
+  ]);
+
+  // Monte Carlo: measured predictors plus a regression residual term (log units)
+  const mcModelData = models[selectedScale]?.models[selectedModel] || Object.values(models[selectedScale]?.models || {})[0];
+  const mcInputs = [
+    { key: 'protein', label: 'Protein', unit: 'µg/g', value: protein, lower: 0 },
+    { key: 'carbohydrate', label: 'Carbohydrate', unit: 'µg/g', value: carbohydrate, lower: 0.1 },
+    { key: 'biomass', label: 'Biomass', unit: 'copies/g', value: biomass, lower: 0 },
+    { key: 'sdAge', label: 'Schmutzdecke age', unit: 'd', value: sdAge, lower: 0 },
+    { key: 'grainSize', label: 'Grain size D50', unit: 'mm', value: grainSize, lower: 0.01 },
+    { key: 'residual', label: 'Model residual', unit: 'log', value: 0 }
+  ];
+  const mcModel = (p) => {
+    const logRemoval = Math.max(0, mcModelData.calculate({ ...p, inoculated }) + p.residual);
+    return { logRemoval, effluent: Math.pow(10, -logRemoval) };
+  };
+
+  // Global sensitivity over the measured predictors (slider ranges), without the residual term
+  const saInputs = [
+    { key: 'protein', label: 'Protein', unit: 'µg/g', value: protein, min: 10, max: 500 },
+    { key: 'carbohydrate', label: 'Carbohydrate', unit: 'µg/g', value: carbohydrate, min: 10, max: 500 },
+    { key: 'biomass', label: 'Biomass', unit: 'copies/g', value: biomass, min: 1e6, max: 1e10, log: true },
+    { key: 'sdAge', label: 'Schmutzdecke age', unit: 'd', value: sdAge, min: 0, max: 730 },
+    { key: 'grainSize', label: 'Grain size D50', unit: 'mm', value: grainSize, min: 0.1, max: 0.8 }
+  ];
+  const saModel = (p) => ({ logRemoval: Math.max(0, mcModelData.calculate({ ...p, inoculated })) });
+
+  const rawPrediction = mcModelData.calculate(currentParams);
+  useCalculationReport({
+    inputs: [
+      { label: 'Dataset', value: models[selectedScale]?.name },
+      { label: 'Regression model', value: mcModelData.name },
+      ...Object.entries(PREDICTORS).map(([key, p]) => ({
+        label: p.label, value: currentParams[key], unit: p.unit === 'boolean' ? '' : p.unit
+      }))
+    ],
+    equations: [
+      { label: `${mcModelData.name}, R² = ${mcModelData.rSquared}, p = ${mcModelData.pValue}`, expression: mcModelData.equation },
+      { label: 'Coefficients', expression: Object.entries(mcModelData.coefficients).map(([k, v]) => `${k} = ${v}`).join(', ') },
+      { label: 'Log₁₀ removal', expression: 'log₁₀ removal = max(0, λ)' }
+    ],
+    intermediates: [
+      { label: 'Protein/carbohydrate ratio', value: proteinCarbRatio, unit: '–' },
+      { label: 'λ before clipping', value: rawPrediction, unit: 'log' },
+      { label: 'Predictors used', value: mcModelData.predictors.map((k) => PREDICTORS[k].label).join(', ') }
+    ],
+    warnings: rawPrediction < 0
+      ? [`The regression predicts λ = ${rawPrediction.toFixed(2)} < 0 for these inputs, outside the range it was fitted on; removal is reported as 0`]
+      : [],
+    references: [
+      selectedScale === 'mini_ch4'
+        ? 'Bai, X., Samari-Kermani, M., et al. (2024). Enhancing slow sand filtration for safe drinking water production: effect of sand media and Schmutzdecke inoculation. (Thesis Chapter 4, Table 4.4)'
+        : selectedScale === 'pilot'
+          ? 'Bai, X., Samari-Kermani, M., et al. (2025). Schmutzdecke maturation and layers\' contribution to removal performance in slow sand filters. (Thesis Chapter 6, Table 6.3)'
+          : 'Bai, X., Samari-Kermani, M., et al. (2025). Consistency and challenges in replicating slow sand filtration performance for safe drinking water production. (Thesis Chapter 5, Tables 5.4–5.6)'
+    ]
+  });
+
   // Model comparison data for bar chart
   const modelComparison = useMemo(() => {
     const data = [];
@@ -623,98 +536,122 @@ const EPSRemovalPredictor = () => {
                   {showAllModels ? 'Show selected only' : 'Show all models'}
                 </button>
               </div>
-              <ResponsiveContainer width="100%" height={220}>
-                <BarChart 
-                  data={showAllModels ? modelComparison : modelComparison.filter(d => d.isSelected)}
-                  margin={{ top: 10, right: 30, left: 10, bottom: 40 }}
-                >
-                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
-                  <XAxis 
-                    dataKey="name" 
-                    fontSize={10}
-                    angle={-30}
-                    textAnchor="end"
-                    height={60}
-                  />
-                  <YAxis 
-                    label={{ value: 'Log₁₀ Removal', angle: -90, position: 'insideLeft', fontSize: 12 }}
-                    fontSize={11}
-                  />
-                  <Tooltip 
-                    formatter={(value, name, props) => [
-                      `${value.toFixed(2)} log₁₀`,
-                      props.payload.fullName
-                    ]}
-                    labelFormatter={() => ''}
-                  />
-                  <Bar dataKey="value" radius={[4, 4, 0, 0]}>
-                    {modelComparison.map((entry, index) => (
-                      <Cell 
-                        key={`cell-${index}`} 
-                        fill={entry.isSelected ? '#2563eb' : '#94a3b8'}
-                        stroke={entry.isSelected ? '#1d4ed8' : 'none'}
-                        strokeWidth={entry.isSelected ? 2 : 0}
-                      />
-                    ))}
-                  </Bar>
-                </BarChart>
-              </ResponsiveContainer>
+              <ExportableChart title="Cross-Scale Model Comparison" data={showAllModels ? modelComparison : modelComparison.filter(d => d.isSelected)}>
+                <ResponsiveContainer width="100%" height={220}>
+                  <BarChart 
+                    data={showAllModels ? modelComparison : modelComparison.filter(d => d.isSelected)}
+                    margin={{ top: 10, right: 30, left: 10, bottom: 40 }}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis 
+                      dataKey="name" 
+                      fontSize={10}
+                      angle={-30}
+                      textAnchor="end"
+                      height={60}
+                    />
+                    <YAxis 
+                      label={{ value: 'Log₁₀ Removal', angle: -90, position: 'insideLeft', fontSize: 12 }}
+                      fontSize={11}
+                    />
+                    <Tooltip 
+                      formatter={(value, name, props) => [
+                        `${value.toFixed(2)} log₁₀`,
+                        props.payload.fullName
+                      ]}
+                      labelFormatter={() => ''}
+                    />
+                    <Bar dataKey="value" radius={[4, 4, 0, 0]}>
+                      {modelComparison.map((entry, index) => (
+                        <Cell 
+                          key={`cell-${index}`} 
+                          fill={entry.isSelected ? '#2563eb' : '#94a3b8'}
+                          stroke={entry.isSelected ? '#1d4ed8' : 'none'}
+                          strokeWidth={entry.isSelected ? 2 : 0}
+                        />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </ExportableChart>
             </div>
 
             {/* Sensitivity: P/C Ratio */}
             <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
               <h2 className="text-sm font-semibold text-gray-700 mb-3">Sensitivity: Protein/Carbohydrate Ratio Effect</h2>
-              <ResponsiveContainer width="100%" height={220}>
-                <LineChart data={ratioSensitivity} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
-                  <XAxis 
-                    dataKey="ratio" 
-                    label={{ value: 'Protein/Carbohydrate Ratio', position: 'bottom', offset: 0, fontSize: 12 }}
-                    fontSize={11}
-                  />
-                  <YAxis 
-                    label={{ value: 'Log₁₀ Removal', angle: -90, position: 'insideLeft', fontSize: 12 }}
-                    fontSize={11}
-                  />
-                  <Tooltip 
-                    formatter={(value, name) => [`${value.toFixed(2)}`, name === 'mini_ch4' ? 'Mini (Ch.4)' : 'Pilot (Ch.6)']}
-                    labelFormatter={(label) => `P/C Ratio: ${label.toFixed(2)}`}
-                  />
-                  <Legend verticalAlign="top" height={36} />
-                  <ReferenceLine x={proteinCarbRatio} stroke="#ef4444" strokeDasharray="5 5" label={{ value: 'Current', position: 'top', fontSize: 10, fill: '#ef4444' }} />
-                  <Line type="monotone" dataKey="mini_ch4" stroke="#22c55e" strokeWidth={2} dot={false} name="Mini-scale (Ch.4)" />
-                  <Line type="monotone" dataKey="pilot" stroke="#3b82f6" strokeWidth={2} dot={false} name="Pilot-scale (Ch.6)" />
-                </LineChart>
-              </ResponsiveContainer>
+              <ExportableChart title="Protein/Carbohydrate Ratio Sensitivity" data={ratioSensitivity}>
+                <ResponsiveContainer width="100%" height={220}>
+                  <LineChart data={ratioSensitivity} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis 
+                      dataKey="ratio" 
+                      label={{ value: 'Protein/Carbohydrate Ratio', position: 'bottom', offset: 0, fontSize: 12 }}
+                      fontSize={11}
+                    />
+                    <YAxis 
+                      label={{ value: 'Log₁₀ Removal', angle: -90, position: 'insideLeft', fontSize: 12 }}
+                      fontSize={11}
+                    />
+                    <Tooltip 
+                      formatter={(value, name) => [`${value.toFixed(2)}`, name === 'mini_ch4' ? 'Mini (Ch.4)' : 'Pilot (Ch.6)']}
+                      labelFormatter={(label) => `P/C Ratio: ${label.toFixed(2)}`}
+                    />
+                    <Legend verticalAlign="top" height={36} />
+                    <ReferenceLine x={proteinCarbRatio} stroke="#ef4444" strokeDasharray="5 5" label={{ value: 'Current', position: 'top', fontSize: 10, fill: '#ef4444' }} />
+                    <Line type="monotone" dataKey="mini_ch4" stroke="#22c55e" strokeWidth={2} dot={false} name="Mini-scale (Ch.4)" />
+                    <Line type="monotone" dataKey="pilot" stroke="#3b82f6" strokeWidth={2} dot={false} name="Pilot-scale (Ch.6)" />
+                  </LineChart>
+                </ResponsiveContainer>
+              </ExportableChart>
             </div>
 
             {/* Sensitivity: Age Effect */}
             <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
               <h2 className="text-sm font-semibold text-gray-700 mb-3">Sensitivity: Schmutzdecke Age Effect (Model B)</h2>
-              <ResponsiveContainer width="100%" height={220}>
-                <LineChart data={ageSensitivity} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
-                  <XAxis 
-                    dataKey="age" 
-                    label={{ value: 'Schmutzdecke Age (days)', position: 'bottom', offset: 0, fontSize: 12 }}
-                    fontSize={11}
-                  />
-                  <YAxis 
-                    label={{ value: 'Log₁₀ Removal', angle: -90, position: 'insideLeft', fontSize: 12 }}
-                    fontSize={11}
-                  />
-                  <Tooltip 
-                    formatter={(value, name) => [`${value.toFixed(2)}`, name === 'midi' ? 'Midi (Ch.5)' : 'Pilot (Ch.6)']}
-                    labelFormatter={(label) => `Age: ${label} days`}
-                  />
-                  <Legend verticalAlign="top" height={36} />
-                  <ReferenceLine x={sdAge} stroke="#ef4444" strokeDasharray="5 5" label={{ value: 'Current', position: 'top', fontSize: 10, fill: '#ef4444' }} />
-                  <Line type="monotone" dataKey="midi" stroke="#f59e0b" strokeWidth={2} dot={false} name="Midi-scale (Ch.5)" />
-                  <Line type="monotone" dataKey="pilot" stroke="#8b5cf6" strokeWidth={2} dot={false} name="Pilot-scale (Ch.6)" />
-                </LineChart>
-              </ResponsiveContainer>
+              <ExportableChart title="Schmutzdecke Age Sensitivity" data={ageSensitivity}>
+                <ResponsiveContainer width="100%" height={220}>
+                  <LineChart data={ageSensitivity} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis 
+                      dataKey="age" 
+                      label={{ value: 'Schmutzdecke Age (days)', position: 'bottom', offset: 0, fontSize: 12 }}
+                      fontSize={11}
+                    />
+                    <YAxis 
+                      label={{ value: 'Log₁₀ Removal', angle: -90, position: 'insideLeft', fontSize: 12 }}
+                      fontSize={11}
+                    />
+                    <Tooltip 
+                      formatter={(value, name) => [`${value.toFixed(2)}`, name === 'midi' ? 'Midi (Ch.5)' : 'Pilot (Ch.6)']}
+                      labelFormatter={(label) => `Age: ${label} days`}
+                    />
+                    <Legend verticalAlign="top" height={36} />
+                    <ReferenceLine x={sdAge} stroke="#ef4444" strokeDasharray="5 5" label={{ value: 'Current', position: 'top', fontSize: 10, fill: '#ef4444' }} />
+                    <Line type="monotone" dataKey="midi" stroke="#f59e0b" strokeWidth={2} dot={false} name="Midi-scale (Ch.5)" />
+                    <Line type="monotone" dataKey="pilot" stroke="#8b5cf6" strokeWidth={2} dot={false} name="Pilot-scale (Ch.6)" />
+                  </LineChart>
+                </ResponsiveContainer>
+              </ExportableChart>
             </div>
 
+            {/* Monte Carlo Uncertainty */}
+            <MonteCarloPanel
+              title={`Monte Carlo Uncertainty — ${models[selectedScale]?.name} ${mcModelData?.name}`}
+              inputs={mcInputs}
+              model={mcModel}
+              outputs={[
+                { key: 'logRemoval', label: 'Log₁₀ removal', unit: 'log' },
+                { key: 'effluent', label: 'Effluent C/C₀', unit: '–', log: true }
+              ]}
+            />
+
+            <SensitivityPanel
+              title={`Global Sensitivity — ${models[selectedScale]?.name} ${mcModelData?.name}`}
+              inputs={saInputs}
+              model={saModel}
+              outputs={[{ key: 'logRemoval', label: 'Log₁₀ removal', unit: 'log' }]}
+            />
+
             {/* Key Insight Box */}
             <div className="bg-gradient-to-r from-green-50 to-blue-50 rounded-xl shadow-sm p-4 border border-green-200">
               <h2 className="text-sm font-semibold text-gray-700 mb-2">💡 Key Thesis Insight</h2>
@@ -1,5 +1,13 @@
 import React, { useState, useMemo } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar, Cell, ReferenceLine } from 'recharts';
+import { bedHeadloss, normalizedConductivity } from '../lib/hydraulics';
+import { EXTENDED_CFT_PARAMETERS, EXTENDED_CFT_REGRESSION, MICROFLUIDIC_DEFAULTS, extendedCFT, extendedCFTRegression } from '../lib/extendedCFT';
+import ImageAnalysisPanel from '../components/ImageAnalysisPanel';
+import SensitivityPanel from '../components/SensitivityPanel';
+import ExportableChart from '../components/ExportableChart';
+import { useUrlState } from '../hooks/useUrlState';
+import { useKeyOutputs } from '../hooks/useKeyOutputs';
+import { useCalculationReport } from '../hooks/useCalculationReport';
 
 // Extended CFT Calculator
 // Based on: Samari-Kermani et al. (2025) - From Roughness to Occlusion: 
@@ -8,25 +16,41 @@ import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, Responsi
 const ExtendedCFTCalculator = () => {
   // ============== STATE ==============
   // System-wide hydraulic properties
-  const [porosity, setPorosity] = useState(0.26);           // θ [-]
-  const [hydraulicCond, setHydraulicCond] = useState(0.68); // HC (normalized) [-]
-  const [tortuosity, setTortuosity] = useState(1.25);       // τ [-]
+  const [porosity, setPorosity] = useUrlState('porosity', 0.26);           // θ [-]
+  const [hydraulicCond, setHydraulicCond] = useUrlState('hydraulicCond', 0.68); // HC (normalized) [-]
+  const [tortuosity, setTortuosity] = useUrlState('tortuosity', 1.25);       // τ [-]
   
   // Morphological descriptor
-  const [svr, setSvr] = useState(0.21);                     // Surface-to-Volume Ratio [μm⁻¹]
+  const [svr, setSvr] = useUrlState('svr', 0.21);                     // Surface-to-Volume Ratio [μm⁻¹]
   
+  // Bed hydraulics (Kozeny–Carman)
+  const [hcFromPorosity, setHcFromPorosity] = useUrlState('hcFromPorosity', false);
+  const [cleanPorosity, setCleanPorosity] = useUrlState('cleanPorosity', 0.35);  // θ₀ [-]
+  const [kozenyExponent, setKozenyExponent] = useUrlState('kozenyExponent', 3);   // n in θⁿ/(1−θ)² [-]
+  const [grainSize, setGrainSize] = useUrlState('grainSize', 0.3);           // d₅₀ [mm]
+  const [filtrationRate, setFiltrationRate] = useUrlState('filtrationRate', 0.2); // m/h
+  const [bedDepth, setBedDepth] = useUrlState('bedDepth', 0.8);             // m
+  const [biofilmDepth, setBiofilmDepth] = useUrlState('biofilmDepth', 0.05);    // m (biofilm-clogged top layer)
+  const [waterTemp, setWaterTemp] = useUrlState('waterTemp', 10);            // °C
+  const [maxHeadloss, setMaxHeadloss] = useUrlState('maxHeadloss', 1.0);       // m
+
+  // Mechanistic η₁–η₃ model inputs (microfluidic defaults)
+  const [particleDiameter, setParticleDiameter] = useUrlState('particleDiameter', MICROFLUIDIC_DEFAULTS.particleDiameter);       // µm
+  const [grainDiameter, setGrainDiameter] = useUrlState('grainDiameter', MICROFLUIDIC_DEFAULTS.cleanGrainDiameter);           // µm (clean)
+  const [throatDiameter, setThroatDiameter] = useUrlState('throatDiameter', MICROFLUIDIC_DEFAULTS.cleanThroatDiameter);        // µm (clean)
+  const [darcyVelocity, setDarcyVelocity] = useUrlState('darcyVelocity', MICROFLUIDIC_DEFAULTS.darcyVelocity);                // m/h
+  const [alpha, setAlpha] = useUrlState('alpha', MICROFLUIDIC_DEFAULTS.alpha);                                        // [-]
+  const [fShape, setFShape] = useUrlState('fShape', MICROFLUIDIC_DEFAULTS.fShape);                                     // [-]
+  const [fConcave, setFConcave] = useUrlState('fConcave', MICROFLUIDIC_DEFAULTS.fConcave);                               // [-]
+  const [roughnessCoefficient, setRoughnessCoefficient] = useUrlState('roughnessCoefficient', MICROFLUIDIC_DEFAULTS.roughnessCoefficient); // R_C [-]
+
   // UI state
-  const [activePreset, setActivePreset] = useState(null);
+  const [activePreset, setActivePreset] = useUrlState('activePreset', null);
+  const [modelView, setModelView] = useUrlState('modelView', 'regression'); // 'regression' | 'mechanistic'
+  const [showImagePanel, setShowImagePanel] = useState(false);
 
   // ============== REGRESSION COEFFICIENTS (Table 6, Eq. 31) ==============
-  const coefficients = {
-    beta0: 18.33,    // Intercept
-    beta1: -13.29,   // Porosity (θ)
-    beta2: -15.34,   // Hydraulic Conductivity (HC)
-    beta3: -10.12,   // Tortuosity (τ)
-    beta4: -0.11,    // Surface-to-Volume Ratio (SVR)
-    rSquared: 0.98
-  };
+  const coefficients = EXTENDED_CFT_REGRESSION;
 
   // ============== BIOFILM STAGE PRESETS (from experimental data) ==============
   const presets = {
@@ -73,19 +97,39 @@ const ExtendedCFTCalculator = () => {
     setActivePreset(presetKey);
   };
 
+  // Image-derived inputs, clamped to the slider ranges
+  const applyImageAnalysis = (r) => {
+    const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+    setPorosity(clamp(r.porosity, 0.02, 0.45));
+    setCleanPorosity(clamp(r.cleanPorosity, 0.25, 0.45));
+    if (Number.isFinite(r.tortuosity)) setTortuosity(clamp(r.tortuosity, 1.0, 2.0));
+    if (Number.isFinite(r.hydraulicCond)) {
+      setHydraulicCond(clamp(r.hydraulicCond, 0.0001, 1.0));
+      setHcFromPorosity(false);
+    }
+    setSvr(clamp(r.svr, 0, 1.5));
+    setFShape(clamp(r.fShape, 1, 2));
+    setFConcave(clamp(r.fConcave, 0, 0.5));
+    setActivePreset(null);
+  };
+
   // ============== CALCULATIONS ==============
+
+  // HC either from the slider (image-measured) or Kozeny–Carman on the biofilm-reduced porosity
+  const effectiveHC = useMemo(() => (
+    hcFromPorosity ? normalizedConductivity(porosity, cleanPorosity, kozenyExponent) : hydraulicCond
+  ), [hcFromPorosity, porosity, cleanPorosity, kozenyExponent, hydraulicCond]);
   
   // Extended CFT: λ from regression model (Eq. 31)
   const lambdaExtended = useMemo(() => {
-    const { beta0, beta1, beta2, beta3, beta4 } = coefficients;
-    return beta0 + beta1 * porosity + beta2 * hydraulicCond + beta3 * tortuosity + beta4 * svr;
-  }, [porosity, hydraulicCond, tortuosity, svr]);
+    return extendedCFTRegression({ porosity, hydraulicCond: effectiveHC, tortuosity, svr });
+  }, [porosity, effectiveHC, tortuosity, svr]);
 
   // Parameter contributions to λ
   const contributions = useMemo(() => {
     const { beta0, beta1, beta2, beta3, beta4 } = coefficients;
     const porosityContrib = beta1 * porosity;
-    const hcContrib = beta2 * hydraulicCond;
+    const hcContrib = beta2 * effectiveHC;
     const tortuosityContrib = beta3 * tortuosity;
     const svrContrib = beta4 * svr;
     const total = beta0 + porosityContrib + hcContrib + tortuosityContrib + svrContrib;
@@ -97,12 +141,11 @@ const ExtendedCFTCalculator = () => {
       tortuosity: { value: tortuosityContrib, percent: (Math.abs(tortuosityContrib) / Math.abs(total)) * 100, label: 'Tortuosity (τ)' },
       svr: { value: svrContrib, percent: (Math.abs(svrContrib) / Math.abs(total)) * 100, label: 'SVR' }
     };
-  }, [porosity, hydraulicCond, tortuosity, svr]);
+  }, [porosity, effectiveHC, tortuosity, svr]);
 
   // Clean-bed baseline: regression with θ₀=0.35, HC₀=1.0, τ₀=1.15, SVR₀=0
   const cleanBedLambda = useMemo(() => {
-    const { beta0, beta1, beta2, beta3, beta4 } = coefficients;
-    return beta0 + beta1 * 0.35 + beta2 * 1.0 + beta3 * 1.15 + beta4 * 0.0;
+    return extendedCFTRegression({ porosity: 0.35, hydraulicCond: 1.0, tortuosity: 1.15, svr: 0 });
   }, []);
 
   // Derived removal metrics
@@ -117,9 +160,9 @@ const ExtendedCFTCalculator = () => {
   // Porosity sensitivity data: how removal changes as porosity decreases (biofilm grows)
   const porositySensitivity = useMemo(() => {
     const data = [];
-    const { beta0, beta1, beta2, beta3, beta4 } = coefficients;
     for (let theta = 0.35; theta >= 0.02; theta -= 0.01) {
-      const lambda = beta0 + beta1 * theta + beta2 * hydraulicCond + beta3 * tortuosity + beta4 * svr;
+      const hc = hcFromPorosity ? normalizedConductivity(theta, cleanPorosity, kozenyExponent) : hydraulicCond;
+      const lambda = extendedCFTRegression({ porosity: theta, hydraulicCond: hc, tortuosity, svr });
       const log10 = Math.max(0, lambda / Math.LN10);
       data.push({
         porosity: theta,
@@ -128,14 +171,13 @@ const ExtendedCFTCalculator = () => {
       });
     }
     return data;
-  }, [hydraulicCond, tortuosity, svr]);
+  }, [hcFromPorosity, cleanPorosity, kozenyExponent, hydraulicCond, tortuosity, svr]);
 
   // Biofilm stage comparison data
   const stageComparison = useMemo(() => {
     return Object.entries(presets).map(([key, preset]) => {
       const p = preset.params;
-      const { beta0, beta1, beta2, beta3, beta4 } = coefficients;
-      const lambda = beta0 + beta1 * p.porosity + beta2 * p.hydraulicCond + beta3 * p.tortuosity + beta4 * p.svr;
+      const lambda = extendedCFTRegression(p);
       return {
         name: preset.name,
         stage: preset.stage,
@@ -147,6 +189,202 @@ const ExtendedCFTCalculator = () => {
     });
   }, []);
 
+  // Headloss across the bed at the current biofilm-reduced porosity
+  const hydraulics = useMemo(() => bedHeadloss({
+    filtrationRate, bedDepth, biofilmDepth, porosity, cleanPorosity, grainSize,
+    temperature: waterTemp, exponent: kozenyExponent
+  }), [filtrationRate, bedDepth, biofilmDepth, porosity, cleanPorosity, grainSize, waterTemp, kozenyExponent]);
+
+  // Trade-off as biofilm grows: λ rises while headloss climbs (HC always coupled to θ here)
+  const headlossTradeoff = useMemo(() => {
+    const data = [];
+    let limit = null;
+    for (let theta = cleanPorosity; theta >= 0.02 - 1e-9; theta -= 0.005) {
+      const h = bedHeadloss({
+        filtrationRate, bedDepth, biofilmDepth, porosity: theta, cleanPorosity, grainSize,
+        temperature: waterTemp, exponent: kozenyExponent
+      });
+      const lambda = extendedCFTRegression({ porosity: theta, hydraulicCond: h.hc, tortuosity, svr });
+      const point = { porosity: theta, lnRemoval: Math.max(0, lambda), headloss: h.totalHeadloss, hc: h.hc };
+      if (h.totalHeadloss <= maxHeadloss) limit = point;
+      data.push(point);
+    }
+    return { data, limit };
+  }, [cleanPorosity, filtrationRate, bedDepth, biofilmDepth, grainSize, waterTemp, kozenyExponent, tortuosity, svr, maxHeadloss]);
+
+  // Mechanistic model at the current state; HC sweeps follow θ via Kozeny–Carman
+  const mechanisticInputs = {
+    ...MICROFLUIDIC_DEFAULTS,
+    theta0: cleanPorosity,
+    tau: tortuosity,
+    svr,
+    particleDiameter,
+    cleanGrainDiameter: grainDiameter,
+    cleanThroatDiameter: throatDiameter,
+    darcyVelocity,
+    alpha,
+    fShape,
+    fConcave,
+    roughnessCoefficient
+  };
+
+  const mechanistic = useMemo(() => (
+    extendedCFT({ ...mechanisticInputs, theta: porosity, hcRatio: effectiveHC })
+  ), [porosity, effectiveHC, cleanPorosity, tortuosity, svr, particleDiameter, grainDiameter, throatDiameter,
+    darcyVelocity, alpha, fShape, fConcave, roughnessCoefficient]);
+
+  useKeyOutputs([
+    { label: 'λ regression, −ln(C/C₀)', value: lambdaExtended, unit: '' },
+    { label: 'Log₁₀ removal', value: removalMetrics.log10Removal, unit: 'log' },
+    { label: 'λ mechanistic, −ln(C/C₀)', value: mechanistic.lnRemoval, unit: '' },
+    { label: 'η_total', value: mechanistic.etaTotal, unit: '–' },
+    { label: 'Bed headloss', value: hydraulics.totalHeadloss, unit: 'm' }
+  ]);
+
+  const { beta0, beta1, beta2, beta3, beta4 } = coefficients;
+  useCalculationReport({
+    inputs: [
+      { label: 'Porosity θ', value: porosity, unit: '–' },
+      hcFromPorosity
+        ? { label: 'Normalised hydraulic conductivity HC', value: 'Kozeny–Carman from θ' }
+        : { label: 'Normalised hydraulic conductivity HC', value: hydraulicCond, unit: '–' },
+      { label: 'Tortuosity τ', value: tortuosity, unit: '–' },
+      { label: 'Surface-to-volume ratio SVR', value: svr, unit: 'µm⁻¹' },
+      { label: 'Clean-bed porosity θ₀', value: cleanPorosity, unit: '–' },
+      { label: 'Kozeny–Carman exponent n', value: kozenyExponent, unit: '–' },
+      { label: 'Grain size d₅₀', value: grainSize, unit: 'mm' },
+      { label: 'Filtration rate q', value: filtrationRate, unit: 'm/h' },
+      { label: 'Bed depth L', value: bedDepth, unit: 'm' },
+      { label: 'Biofilm layer depth L_b', value: biofilmDepth, unit: 'm' },
+      { label: 'Water temperature', value: waterTemp, unit: '°C' },
+      { label: 'Maximum headloss', value: maxHeadloss, unit: 'm' },
+      { label: 'Particle diameter d_p', value: particleDiameter, unit: 'µm' },
+      { label: 'Clean grain diameter d_g,0', value: grainDiameter, unit: 'µm' },
+      { label: 'Clean throat diameter d_th,0', value: throatDiameter, unit: 'µm' },
+      { label: 'Darcy velocity U', value: darcyVelocity, unit: 'm/h' },
+      { label: 'Sticking efficiency α', value: alpha, unit: '–' },
+      { label: 'Shape factor f_shape', value: fShape, unit: '–' },
+      { label: 'Concavity factor f_concave', value: fConcave, unit: '–' },
+      { label: 'Roughness coefficient R_C', value: roughnessCoefficient, unit: '–' }
+    ],
+    equations: [
+      {
+        label: 'Regression model (Eq. 31, Table 6)',
+        expression: `−ln(C/C₀) = β₀ + β₁θ + β₂HC + β₃τ + β₄SVR\n`
+          + `β₀ = ${beta0}, β₁ = ${beta1}, β₂ = ${beta2}, β₃ = ${beta3}, β₄ = ${beta4} (R² = ${coefficients.rSquared})`
+      },
+      ...(hcFromPorosity ? [{ label: 'Kozeny–Carman conductivity ratio', expression: `HC = (θ/θ₀)^n · ((1−θ₀)/(1−θ))², n = ${kozenyExponent}` }] : []),
+      { label: 'Headloss (biofilm layer in series with clean sand)', expression: 'Δh = q·[L_b/K(θ) + (L − L_b)/K(θ₀)];  K = (ρg/μ)(d²/180)·θⁿ/(1−θ)²' },
+      {
+        label: 'Mechanistic extended CFT',
+        expression: 'η₁ = c₁((f_shape + f_concave)/GM₁)^n;  η₂ = c₂((SVR·d_p/R_C)/GM₂)^m;  η₃ = c₃((1 − √(HC/HC₀))·d_p/(d_p + d_th,eff)/GM₃)^p\n'
+          + 'η_j ← (1 − e^(−η_j))·(1 − η_base)/(ΣB + k_shrink(1 − η_base));  η_base = η_D + η_I + η_G,mod\n'
+          + 'K_CFT^mod = γα[(η_D + η_I + Ση_j)(U/θ)A_vx + η_G,mod·v_s·A_G];  A_vx = 4(1−θ)/(πd_g)·(θ/θ₀)·τ;  A_G = θ/(hτ)\n'
+          + `λ = ${EXTENDED_CFT_PARAMETERS.lambda}, n = ${EXTENDED_CFT_PARAMETERS.n}, m = ${EXTENDED_CFT_PARAMETERS.m}, p = ${EXTENDED_CFT_PARAMETERS.p}, `
+          + `γ = ${EXTENDED_CFT_PARAMETERS.gamma}, k_shrink = ${EXTENDED_CFT_PARAMETERS.kShrink}`
+      }
+    ],
+    intermediates: [
+      { label: 'HC used', value: effectiveHC, unit: '–' },
+      { label: 'Clean-bed λ (regression)', value: cleanBedLambda, unit: '–' },
+      { label: 'Removal', value: removalMetrics.percentRemoval, unit: '%' },
+      { label: 'Clean-bed conductivity K(θ₀)', value: hydraulics.kClean, unit: 'm/s' },
+      { label: 'Biofilm-layer conductivity K(θ)', value: hydraulics.kBiofilm, unit: 'm/s' },
+      { label: 'Biofilm-layer headloss', value: hydraulics.biofilmHeadloss, unit: 'm' },
+      { label: 'Clean-sand headloss', value: hydraulics.cleanHeadloss, unit: 'm' },
+      { label: 'Stage weights c₁ / c₂ / c₃', value: [mechanistic.weights.c1, mechanistic.weights.c2, mechanistic.weights.c3].map((c) => c.toFixed(3)).join(' / ') },
+      { label: 'Coated grain diameter d_g', value: mechanistic.dg, unit: 'µm' },
+      { label: 'Effective throat diameter d_th,eff', value: mechanistic.dthEff, unit: 'µm' },
+      { label: 'η_D', value: mechanistic.etaD, unit: '–' },
+      { label: 'η_I', value: mechanistic.etaI, unit: '–' },
+      { label: 'η_G,mod', value: mechanistic.etaGmod, unit: '–' },
+      { label: 'η₁ (roughness)', value: mechanistic.eta1, unit: '–' },
+      { label: 'η₂ (network)', value: mechanistic.eta2, unit: '–' },
+      { label: 'η₃ (occlusion)', value: mechanistic.eta3, unit: '–' },
+      { label: 'A_vx', value: mechanistic.Avx, unit: 'm⁻¹' },
+      { label: 'A_G', value: mechanistic.AG, unit: 'm⁻¹' },
+      { label: 'K_CFT^mod', value: mechanistic.kAtt, unit: 's⁻¹' }
+    ],
+    warnings: [
+      ...(lambdaExtended < 0 ? [`The regression gives −ln(C/C₀) = ${lambdaExtended.toFixed(2)} < 0: the inputs lie outside the calibrated biofilm stages, and removal is reported as 0`] : []),
+      ...(hydraulics.totalHeadloss > maxHeadloss ? [`Bed headloss ${hydraulics.totalHeadloss.toFixed(2)} m exceeds the maximum of ${maxHeadloss} m`] : []),
+      ...(porosity > EXTENDED_CFT_PARAMETERS.thetaMax ? [`θ = ${porosity} is above the porosity range of the mechanistic calibration (≤ ${EXTENDED_CFT_PARAMETERS.thetaMax})`] : [])
+    ],
+    references: [
+      'Samari-Kermani, M., et al. (2025). From Roughness to Occlusion: Image-Informed Extended Colloid Filtration Theory for Biofilm-Laden Porous Media. (Thesis Chapter 3)',
+      'Tufenkji, N., & Elimelech, M. (2004). Environ. Sci. Technol., 38(2), 529–536.'
+    ]
+  });
+
+  const mechanisticSweep = useMemo(() => {
+    const data = [];
+    for (let theta = cleanPorosity; theta >= 0.01 - 1e-9; theta -= 0.005) {
+      const r = extendedCFT({ ...mechanisticInputs, theta });
+      data.push({
+        porosity: theta,
+        c1: r.weights.c1,
+        c2: r.weights.c2,
+        c3: r.weights.c3,
+        eta1: r.eta1,
+        eta2: r.eta2,
+        eta3: r.eta3,
+        etaBase: r.etaBase,
+        etaTotal: r.etaTotal,
+        kAtt: r.kAtt
+      });
+    }
+    return data;
+  }, [cleanPorosity, tortuosity, svr, particleDiameter, grainDiameter, throatDiameter,
+    darcyVelocity, alpha, fShape, fConcave, roughnessCoefficient]);
+
+  // ============== GLOBAL SENSITIVITY ==============
+  // Inputs of the active model view over their slider ranges; HC is either an input or follows θ
+  const saInputs = [
+    { key: 'porosity', label: 'Porosity θ', unit: '', value: porosity, min: 0.02, max: 0.45 },
+    ...(hcFromPorosity
+      ? [
+        { key: 'cleanPorosity', label: 'Clean porosity θ₀', unit: '', value: cleanPorosity, min: 0.25, max: 0.45 },
+        { key: 'kozenyExponent', label: 'Porosity exponent n', unit: '', value: kozenyExponent, min: 1, max: 5 }
+      ]
+      : [{ key: 'hydraulicCond', label: 'Hydraulic cond. HC', unit: '', value: hydraulicCond, min: 0.0001, max: 1.0 }]),
+    { key: 'tortuosity', label: 'Tortuosity τ', unit: '', value: tortuosity, min: 1.0, max: 2.0 },
+    { key: 'svr', label: 'SVR', unit: 'µm⁻¹', value: svr, min: 0, max: 1.5 },
+    ...(modelView === 'mechanistic' ? [
+      { key: 'particleDiameter', label: 'Particle d_p', unit: 'µm', value: particleDiameter, min: 0.1, max: 5, log: true },
+      { key: 'darcyVelocity', label: 'Darcy velocity U', unit: 'm/h', value: darcyVelocity, min: 0.05, max: 2, log: true },
+      { key: 'alpha', label: 'Sticking α', unit: '', value: alpha, min: 0.01, max: 1, log: true },
+      { key: 'grainDiameter', label: 'Grain d_g,0', unit: 'µm', value: grainDiameter, min: 50, max: 800 },
+      { key: 'throatDiameter', label: 'Throat d_th,0', unit: 'µm', value: throatDiameter, min: 10, max: 200 },
+      { key: 'fShape', label: 'f_shape', unit: '', value: fShape, min: 1, max: 2 },
+      { key: 'fConcave', label: 'f_concave', unit: '', value: fConcave, min: 0, max: 0.5 },
+      { key: 'roughnessCoefficient', label: 'Roughness R_C', unit: '', value: roughnessCoefficient, min: 0.5, max: 5 }
+    ] : [])
+  ];
+  const saModel = (p) => {
+    const hc = hcFromPorosity ? normalizedConductivity(p.porosity, p.cleanPorosity, p.kozenyExponent) : p.hydraulicCond;
+    if (modelView === 'regression') {
+      const lambda = extendedCFTRegression({ ...p, hydraulicCond: hc });
+      return { log10Removal: Math.max(0, lambda / Math.LN10) };
+    }
+    const r = extendedCFT({
+      ...mechanisticInputs,
+      theta: p.porosity,
+      theta0: hcFromPorosity ? p.cleanPorosity : cleanPorosity,
+      hcRatio: hc,
+      tau: p.tortuosity,
+      svr: p.svr,
+      particleDiameter: p.particleDiameter,
+      cleanGrainDiameter: p.grainDiameter,
+      cleanThroatDiameter: p.throatDiameter,
+      darcyVelocity: p.darcyVelocity,
+      alpha: p.alpha,
+      fShape: p.fShape,
+      fConcave: p.fConcave,
+      roughnessCoefficient: p.roughnessCoefficient
+    });
+    return { log10Removal: r.log10Removal, logKAtt: Math.log10(r.kAtt) };
+  };
+
   // Contribution bar chart data
   const contributionData = useMemo(() => {
     return [
@@ -219,8 +457,35 @@ const ExtendedCFTCalculator = () => {
             <span className="text-xs px-2 py-1 bg-green-100 text-green-700 rounded-full">R² = 0.98</span>
             <span className="text-xs px-2 py-1 bg-purple-100 text-purple-700 rounded-full">4 biofilm stages</span>
           </div>
+          <div className="flex gap-2 mt-3">
+            {[['regression', 'System Regression (Eq. 3.31)'], ['mechanistic', 'Mechanistic η₁–η₃ Model']].map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => setModelView(key)}
+                className={`px-3 py-1 text-xs rounded-lg border transition-colors ${
+                  modelView === key ? 'bg-blue-600 border-blue-600 text-white' : 'bg-gray-50 border-gray-200 text-gray-600 hover:border-gray-300'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+            <button
+              onClick={() => setShowImagePanel(!showImagePanel)}
+              className={`px-3 py-1 text-xs rounded-lg border transition-colors ${
+                showImagePanel ? 'bg-green-600 border-green-600 text-white' : 'bg-gray-50 border-gray-200 text-gray-600 hover:border-gray-300'
+              }`}
+            >
+              📷 Derive from image
+            </button>
+          </div>
         </div>
 
+        {showImagePanel && (
+          <div className="mb-4">
+            <ImageAnalysisPanel onApply={applyImageAnalysis} />
+          </div>
+        )}
+
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
           {/* Left Panel: Parameters */}
           <div className="lg:col-span-1 space-y-4">
@@ -266,14 +531,24 @@ const ExtendedCFTCalculator = () => {
                 description="Available pore space fraction"
               />
               
-              <Slider 
-                label="Hydraulic Conductivity (HC)" 
-                value={hydraulicCond} 
-                setValue={setHydraulicCond} 
-                min={0.0001} max={1.0} step={0.01} 
-                unit="–"
-                description="Normalized flow capacity (0–1)"
-              />
+              {hcFromPorosity ? (
+                <div className="mb-4">
+                  <div className="flex justify-between text-sm mb-1">
+                    <span className="text-gray-700 font-medium">Hydraulic Conductivity (HC)</span>
+                    <span className="font-mono text-green-700 font-semibold">{effectiveHC.toPrecision(3)} –</span>
+                  </div>
+                  <p className="text-xs text-gray-500">Derived from θ by Kozeny–Carman (see Bed Hydraulics)</p>
+                </div>
+              ) : (
+                <Slider 
+                  label="Hydraulic Conductivity (HC)" 
+                  value={hydraulicCond} 
+                  setValue={setHydraulicCond} 
+                  min={0.0001} max={1.0} step={0.01} 
+                  unit="–"
+                  description="Normalized flow capacity (0–1)"
+                />
+              )}
               
               <Slider 
                 label="Tortuosity (τ)" 
@@ -306,210 +581,535 @@ const ExtendedCFTCalculator = () => {
               </div>
             </div>
 
-          </div>
-
-          {/* Right Panel: Results */}
-          <div className="lg:col-span-2 space-y-4">
-            {/* Key Metrics */}
-            <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
-              <h2 className="text-sm font-semibold text-gray-700 mb-3">Model Output</h2>
-              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
-                <MetricCard
-                  title="−ln(C/C₀)"
-                  value={lambdaExtended.toFixed(2)}
-                  unit=""
-                  subtitle="Natural log removal"
-                  color="blue"
-                />
-                <MetricCard
-                  title="Log₁₀ Removal"
-                  value={removalMetrics.log10Removal.toFixed(2)}
-                  unit=""
-                  subtitle="= −ln(C/C₀) / 2.303"
-                  color="green"
+            {/* Mechanistic Inputs */}
+            {modelView === 'mechanistic' && (
+              <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+                <h2 className="text-sm font-semibold text-gray-700 mb-3">Pore Geometry &amp; Particle (η₁–η₃ Model)</h2>
+                <Slider label="Particle diameter (d_p)" value={particleDiameter} setValue={setParticleDiameter} min={0.1} max={5} step={0.1} unit="µm" />
+                <Slider label="Darcy velocity (U)" value={darcyVelocity} setValue={setDarcyVelocity} min={0.05} max={2} step={0.01} unit="m/h" />
+                <Slider label="Sticking efficiency (α)" value={alpha} setValue={setAlpha} min={0.01} max={1} step={0.01} unit="–" />
+                <Slider
+                  label="Clean grain diameter (d_g,0)"
+                  value={grainDiameter}
+                  setValue={setGrainDiameter}
+                  min={50} max={800} step={10}
+                  unit="µm"
+                  description="Coated diameter follows (1−θ) ∝ d_g³"
                 />
-                <MetricCard
-                  title="% Removal"
-                  value={removalMetrics.percentRemoval.toFixed(1)}
-                  unit="%"
-                  subtitle="1 − C/C₀"
-                  color="amber"
-                />
-                <MetricCard
-                  title="vs Clean Bed"
-                  value={removalMetrics.enhancementRatio > 0 && isFinite(removalMetrics.enhancementRatio) ? removalMetrics.enhancementRatio.toFixed(1) : '—'}
-                  unit="×"
-                  subtitle={`Clean bed: ${cleanBedLambda.toFixed(1)}`}
-                  color="purple"
+                <Slider label="Clean throat diameter (d_th,0)" value={throatDiameter} setValue={setThroatDiameter} min={10} max={200} step={5} unit="µm" />
+                <Slider
+                  label="Shape factor (f_shape)"
+                  value={fShape}
+                  setValue={setFShape}
+                  min={1} max={2} step={0.01}
+                  unit="–"
+                  description="1 / circularity; 1 for a smooth sphere"
                 />
+                <Slider label="Concavity (f_concave)" value={fConcave} setValue={setFConcave} min={0} max={0.5} step={0.01} unit="–" description="1 − solidity" />
+                <Slider label="Topographic roughness (R_C)" value={roughnessCoefficient} setValue={setRoughnessCoefficient} min={0.5} max={5} step={0.1} unit="–" />
+                <p className="text-xs text-gray-500">
+                  Channel {MICROFLUIDIC_DEFAULTS.channelLength} mm × {MICROFLUIDIC_DEFAULTS.channelHeight} µm,
+                  ρ_p = {MICROFLUIDIC_DEFAULTS.particleDensity} kg/m³, T = {MICROFLUIDIC_DEFAULTS.temperature} °C.
+                  θ₀ is the clean-bed porosity set under Bed Hydraulics.
+                </p>
               </div>
-            </div>
+            )}
 
-            {/* Parameter Contributions */}
+            {/* Bed Hydraulics */}
             <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
-              <h2 className="text-sm font-semibold text-gray-700 mb-3">Parameter Contributions to −ln(C/C₀)</h2>
-              <ResponsiveContainer width="100%" height={200}>
-                <BarChart data={contributionData} layout="vertical" margin={{ top: 5, right: 30, left: 50, bottom: 5 }}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
-                  <XAxis type="number" fontSize={11} />
-                  <YAxis dataKey="name" type="category" fontSize={11} width={40} />
-                  <Tooltip 
-                    formatter={(value) => [`${value.toFixed(2)}`, 'Contribution']}
-                    contentStyle={{ fontSize: '12px' }}
-                  />
-                  <ReferenceLine x={0} stroke="#94a3b8" />
-                  <Bar dataKey="value" radius={[0, 4, 4, 0]}>
-                    {contributionData.map((entry, index) => (
-                      <Cell key={`cell-${index}`} fill={entry.fill} />
-                    ))}
-                  </Bar>
-                </BarChart>
-              </ResponsiveContainer>
-              <div className="mt-2 grid grid-cols-5 gap-2 text-xs">
-                <div className="text-center">
-                  <div className="font-mono text-indigo-600">{coefficients.beta0.toFixed(2)}</div>
-                  <div className="text-gray-500">Baseline</div>
-                </div>
-                <div className="text-center">
-                  <div className="font-mono text-blue-600">{contributions.porosity.value.toFixed(2)}</div>
-                  <div className="text-gray-500">θ effect</div>
-                </div>
-                <div className="text-center">
-                  <div className="font-mono text-green-600">{contributions.hydraulicCond.value.toFixed(2)}</div>
-                  <div className="text-gray-500">HC effect</div>
-                </div>
-                <div className="text-center">
-                  <div className="font-mono text-amber-600">{contributions.tortuosity.value.toFixed(2)}</div>
-                  <div className="text-gray-500">τ effect</div>
-                </div>
-                <div className="text-center">
-                  <div className="font-mono text-red-600">{contributions.svr.value.toFixed(2)}</div>
-                  <div className="text-gray-500">SVR effect</div>
-                </div>
+              <div className="flex justify-between items-center mb-3">
+                <h2 className="text-sm font-semibold text-gray-700">Bed Hydraulics (Kozeny–Carman)</h2>
+                <label className="flex items-center gap-1 text-xs text-gray-600">
+                  <input type="checkbox" checked={hcFromPorosity} onChange={(e) => setHcFromPorosity(e.target.checked)} />
+                  HC from θ
+                </label>
               </div>
+              <Slider
+                label="Clean-bed porosity (θ₀)"
+                value={cleanPorosity}
+                setValue={setCleanPorosity}
+                min={0.25} max={0.45} step={0.01}
+                unit="–"
+              />
+              <Slider
+                label="Porosity exponent (n)"
+                value={kozenyExponent}
+                setValue={setKozenyExponent}
+                min={1} max={5} step={0.1}
+                unit="–"
+                description="HC = (θ/θ₀)ⁿ · ((1−θ₀)/(1−θ))²; n = 3 is classical Kozeny–Carman"
+              />
+              <Slider label="Grain size (d₅₀)" value={grainSize} setValue={setGrainSize} min={0.1} max={1.0} step={0.01} unit="mm" />
+              <Slider label="Filtration rate" value={filtrationRate} setValue={setFiltrationRate} min={0.05} max={0.5} step={0.01} unit="m/h" />
+              <Slider label="Bed depth" value={bedDepth} setValue={setBedDepth} min={0.3} max={1.5} step={0.05} unit="m" />
+              <Slider
+                label="Biofilm-clogged layer"
+                value={biofilmDepth}
+                setValue={setBiofilmDepth}
+                min={0.005} max={0.3} step={0.005}
+                unit="m"
+                description="Depth over which porosity is reduced to θ"
+              />
+              <Slider label="Water temperature" value={waterTemp} setValue={setWaterTemp} min={1} max={25} step={1} unit="°C" />
+              <Slider label="Maximum allowable headloss" value={maxHeadloss} setValue={setMaxHeadloss} min={0.2} max={2.0} step={0.05} unit="m" />
             </div>
 
-            {/* Biofilm Stage Comparison */}
-            <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
-              <h2 className="text-sm font-semibold text-gray-700 mb-3">Removal Coefficient Across Biofilm Stages</h2>
-              <ResponsiveContainer width="100%" height={220}>
-                <BarChart data={stageComparison} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
-                  <XAxis 
-                    dataKey="name" 
-                    fontSize={11}
-                    angle={-15}
-                    textAnchor="end"
-                    height={50}
+          </div>
+
+          {/* Right Panel: Results */}
+          <div className="lg:col-span-2 space-y-4">
+            {modelView === 'regression' && (
+              <>
+              {/* Key Metrics */}
+              <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+                <h2 className="text-sm font-semibold text-gray-700 mb-3">Model Output</h2>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                  <MetricCard
+                    title="−ln(C/C₀)"
+                    value={lambdaExtended.toFixed(2)}
+                    unit=""
+                    subtitle="Natural log removal"
+                    color="blue"
                   />
-                  <YAxis
-                    label={{ value: '−ln(C/C₀)', angle: -90, position: 'insideLeft', fontSize: 12 }}
-                    fontSize={11}
+                  <MetricCard
+                    title="Log₁₀ Removal"
+                    value={removalMetrics.log10Removal.toFixed(2)}
+                    unit=""
+                    subtitle="= −ln(C/C₀) / 2.303"
+                    color="green"
                   />
-                  <Tooltip
-                    formatter={(value, name, props) => [
-                      `${value.toFixed(2)} (${(Math.max(0, value) / Math.LN10).toFixed(2)} log₁₀)`,
-                      `${props.payload.stage}`
-                    ]}
-                    labelFormatter={(label) => label}
+                  <MetricCard
+                    title="% Removal"
+                    value={removalMetrics.percentRemoval.toFixed(1)}
+                    unit="%"
+                    subtitle="1 − C/C₀"
+                    color="amber"
                   />
-                  <Bar dataKey="lambda" radius={[4, 4, 0, 0]}>
-                    {stageComparison.map((entry, index) => (
-                      <Cell key={`cell-${index}`} fill={entry.color} />
-                    ))}
-                  </Bar>
-                  {activePreset && (
-                    <ReferenceLine 
-                      y={lambdaExtended} 
-                      stroke="#1e40af" 
-                      strokeWidth={2}
-                      strokeDasharray="5 5"
-                      label={{ value: 'Current', position: 'right', fontSize: 10, fill: '#1e40af' }}
-                    />
-                  )}
-                </BarChart>
-              </ResponsiveContainer>
-            </div>
+                  <MetricCard
+                    title="vs Clean Bed"
+                    value={removalMetrics.enhancementRatio > 0 && isFinite(removalMetrics.enhancementRatio) ? removalMetrics.enhancementRatio.toFixed(1) : '—'}
+                    unit="×"
+                    subtitle={`Clean bed: ${cleanBedLambda.toFixed(1)}`}
+                    color="purple"
+                  />
+                </div>
+              </div>
 
-            {/* Porosity Sensitivity */}
-            <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
-              <h2 className="text-sm font-semibold text-gray-700 mb-3">Removal vs Porosity (Biofilm Growth Effect)</h2>
-              <ResponsiveContainer width="100%" height={250}>
-                <LineChart data={porositySensitivity} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
-                  <XAxis
-                    dataKey="porosity"
-                    label={{ value: 'Porosity (θ) — decreases as biofilm grows →', position: 'bottom', offset: 0, fontSize: 12 }}
-                    fontSize={11}
-                    reversed
-                    tickFormatter={(v) => v.toFixed(2)}
+              {/* Parameter Contributions */}
+              <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+                <h2 className="text-sm font-semibold text-gray-700 mb-3">Parameter Contributions to −ln(C/C₀)</h2>
+                <ExportableChart title="Parameter Contributions to −ln(C/C₀)" data={contributionData}>
+                  <ResponsiveContainer width="100%" height={200}>
+                    <BarChart data={contributionData} layout="vertical" margin={{ top: 5, right: 30, left: 50, bottom: 5 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                      <XAxis type="number" fontSize={11} />
+                      <YAxis dataKey="name" type="category" fontSize={11} width={40} />
+                      <Tooltip 
+                        formatter={(value) => [`${value.toFixed(2)}`, 'Contribution']}
+                        contentStyle={{ fontSize: '12px' }}
+                      />
+                      <ReferenceLine x={0} stroke="#94a3b8" />
+                      <Bar dataKey="value" radius={[0, 4, 4, 0]}>
+                        {contributionData.map((entry, index) => (
+                          <Cell key={`cell-${index}`} fill={entry.fill} />
+                        ))}
+                      </Bar>
+                    </BarChart>
+                  </ResponsiveContainer>
+                </ExportableChart>
+                <div className="mt-2 grid grid-cols-5 gap-2 text-xs">
+                  <div className="text-center">
+                    <div className="font-mono text-indigo-600">{coefficients.beta0.toFixed(2)}</div>
+                    <div className="text-gray-500">Baseline</div>
+                  </div>
+                  <div className="text-center">
+                    <div className="font-mono text-blue-600">{contributions.porosity.value.toFixed(2)}</div>
+                    <div className="text-gray-500">θ effect</div>
+                  </div>
+                  <div className="text-center">
+                    <div className="font-mono text-green-600">{contributions.hydraulicCond.value.toFixed(2)}</div>
+                    <div className="text-gray-500">HC effect</div>
+                  </div>
+                  <div className="text-center">
+                    <div className="font-mono text-amber-600">{contributions.tortuosity.value.toFixed(2)}</div>
+                    <div className="text-gray-500">τ effect</div>
+                  </div>
+                  <div className="text-center">
+                    <div className="font-mono text-red-600">{contributions.svr.value.toFixed(2)}</div>
+                    <div className="text-gray-500">SVR effect</div>
+                  </div>
+                </div>
+              </div>
+
+              {/* Biofilm Stage Comparison */}
+              <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+                <h2 className="text-sm font-semibold text-gray-700 mb-3">Removal Coefficient Across Biofilm Stages</h2>
+                <ExportableChart title="Removal Coefficient Across Biofilm Stages" data={stageComparison}>
+                  <ResponsiveContainer width="100%" height={220}>
+                    <BarChart data={stageComparison} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                      <XAxis 
+                        dataKey="name" 
+                        fontSize={11}
+                        angle={-15}
+                        textAnchor="end"
+                        height={50}
+                      />
+                      <YAxis
+                        label={{ value: '−ln(C/C₀)', angle: -90, position: 'insideLeft', fontSize: 12 }}
+                        fontSize={11}
+                      />
+                      <Tooltip
+                        formatter={(value, name, props) => [
+                          `${value.toFixed(2)} (${(Math.max(0, value) / Math.LN10).toFixed(2)} log₁₀)`,
+                          `${props.payload.stage}`
+                        ]}
+                        labelFormatter={(label) => label}
+                      />
+                      <Bar dataKey="lambda" radius={[4, 4, 0, 0]}>
+                        {stageComparison.map((entry, index) => (
+                          <Cell key={`cell-${index}`} fill={entry.color} />
+                        ))}
+                      </Bar>
+                      {activePreset && (
+                        <ReferenceLine 
+                          y={lambdaExtended} 
+                          stroke="#1e40af" 
+                          strokeWidth={2}
+                          strokeDasharray="5 5"
+                          label={{ value: 'Current', position: 'right', fontSize: 10, fill: '#1e40af' }}
+                        />
+                      )}
+                    </BarChart>
+                  </ResponsiveContainer>
+                </ExportableChart>
+              </div>
+
+              {/* Porosity Sensitivity */}
+              <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+                <h2 className="text-sm font-semibold text-gray-700 mb-3">Removal vs Porosity (Biofilm Growth Effect)</h2>
+                <ExportableChart title="Removal vs Porosity" data={porositySensitivity}>
+                  <ResponsiveContainer width="100%" height={250}>
+                    <LineChart data={porositySensitivity} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                      <XAxis
+                        dataKey="porosity"
+                        label={{ value: 'Porosity (θ) — decreases as biofilm grows →', position: 'bottom', offset: 0, fontSize: 12 }}
+                        fontSize={11}
+                        reversed
+                        tickFormatter={(v) => v.toFixed(2)}
+                      />
+                      <YAxis
+                        label={{ value: 'Log₁₀ Removal', angle: -90, position: 'insideLeft', fontSize: 12 }}
+                        fontSize={11}
+                      />
+                      <Tooltip
+                        formatter={(value, name) => [
+                          `${value.toFixed(2)}`,
+                          name === 'log10Removal' ? 'Log₁₀ removal' : '−ln(C/C₀)'
+                        ]}
+                        labelFormatter={(label) => `θ = ${parseFloat(label).toFixed(2)}`}
+                      />
+                      <Legend verticalAlign="top" height={36} />
+                      <ReferenceLine x={porosity} stroke="#ef4444" strokeDasharray="5 5" label={{ value: 'Current θ', position: 'top', fontSize: 10, fill: '#ef4444' }} />
+                      <Line
+                        type="monotone"
+                        dataKey="log10Removal"
+                        stroke="#2563eb"
+                        strokeWidth={2.5}
+                        dot={false}
+                        name="Log₁₀ removal"
+                      />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </ExportableChart>
+                <div className="mt-2 text-xs text-gray-500 text-center">
+                  As biofilm grows, porosity decreases and removal increases non-linearly due to combined θ, HC, and τ effects.
+                </div>
+              </div>
+
+              {/* Headloss Trade-off */}
+              <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+                <h2 className="text-sm font-semibold text-gray-700 mb-3">Removal vs Headloss Trade-off</h2>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-3">
+                  <MetricCard
+                    title="Bed Headloss"
+                    value={hydraulics.totalHeadloss < 100 ? hydraulics.totalHeadloss.toFixed(2) : hydraulics.totalHeadloss.toExponential(1)}
+                    unit="m"
+                    subtitle={`Clean bed ${hydraulics.cleanBedHeadloss.toFixed(2)} m`}
+                    color={hydraulics.totalHeadloss > maxHeadloss ? 'red' : 'green'}
                   />
-                  <YAxis
-                    label={{ value: 'Log₁₀ Removal', angle: -90, position: 'insideLeft', fontSize: 12 }}
-                    fontSize={11}
+                  <MetricCard
+                    title="HC (Kozeny–Carman)"
+                    value={hydraulics.hc.toPrecision(2)}
+                    unit=""
+                    subtitle={`Measured/slider: ${hydraulicCond.toFixed(2)}`}
+                    color="blue"
                   />
-                  <Tooltip
-                    formatter={(value, name) => [
-                      `${value.toFixed(2)}`,
-                      name === 'log10Removal' ? 'Log₁₀ removal' : '−ln(C/C₀)'
-                    ]}
-                    labelFormatter={(label) => `θ = ${parseFloat(label).toFixed(2)}`}
+                  <MetricCard
+                    title="K Clean Sand"
+                    value={(hydraulics.kClean * 3600).toFixed(2)}
+                    unit="m/h"
+                    subtitle={`Biofilm layer ${(hydraulics.kBiofilm * 3600).toExponential(1)} m/h`}
+                    color="purple"
                   />
-                  <Legend verticalAlign="top" height={36} />
-                  <ReferenceLine x={porosity} stroke="#ef4444" strokeDasharray="5 5" label={{ value: 'Current θ', position: 'top', fontSize: 10, fill: '#ef4444' }} />
-                  <Line
-                    type="monotone"
-                    dataKey="log10Removal"
-                    stroke="#2563eb"
-                    strokeWidth={2.5}
-                    dot={false}
-                    name="Log₁₀ removal"
+                  <MetricCard
+                    title="Max −ln(C/C₀) Within Limit"
+                    value={headlossTradeoff.limit ? headlossTradeoff.limit.lnRemoval.toFixed(2) : '—'}
+                    unit=""
+                    subtitle={headlossTradeoff.limit ? `at θ ≥ ${headlossTradeoff.limit.porosity.toFixed(3)}` : 'Clean bed already exceeds limit'}
+                    color="amber"
                   />
-                </LineChart>
-              </ResponsiveContainer>
-              <div className="mt-2 text-xs text-gray-500 text-center">
-                As biofilm grows, porosity decreases and removal increases non-linearly due to combined θ, HC, and τ effects.
+                </div>
+                <ExportableChart title="Removal vs Headloss Trade-off" data={headlossTradeoff.data}>
+                  <ResponsiveContainer width="100%" height={260}>
+                    <LineChart data={headlossTradeoff.data} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                      <XAxis
+                        dataKey="porosity"
+                        type="number"
+                        domain={['dataMin', 'dataMax']}
+                        reversed
+                        tickFormatter={(v) => v.toFixed(2)}
+                        label={{ value: 'Porosity (θ) of biofilm layer — decreases as biofilm grows →', position: 'bottom', offset: 0, fontSize: 12 }}
+                        fontSize={11}
+                      />
+                      <YAxis yAxisId="left" fontSize={11} label={{ value: '−ln(C/C₀)', angle: -90, position: 'insideLeft', fontSize: 12 }} />
+                      <YAxis
+                        yAxisId="right"
+                        orientation="right"
+                        scale="log"
+                        domain={['auto', 'auto']}
+                        tickFormatter={(v) => (v >= 1 ? v.toFixed(0) : v.toFixed(2))}
+                        label={{ value: 'Headloss (m)', angle: 90, position: 'insideRight', fontSize: 12 }}
+                        fontSize={11}
+                      />
+                      <Tooltip
+                        formatter={(value, name) => [value.toFixed(3), name]}
+                        labelFormatter={(label) => `θ = ${parseFloat(label).toFixed(3)}`}
+                      />
+                      <Legend verticalAlign="top" height={36} />
+                      <ReferenceLine yAxisId="right" y={maxHeadloss} stroke="#ef4444" strokeDasharray="5 5" label={{ value: 'Max headloss', position: 'insideTopRight', fontSize: 10, fill: '#ef4444' }} />
+                      <ReferenceLine yAxisId="left" x={porosity} stroke="#1e40af" strokeDasharray="3 3" label={{ value: 'Current θ', position: 'top', fontSize: 10, fill: '#1e40af' }} />
+                      {headlossTradeoff.limit && (
+                        <ReferenceLine yAxisId="left" x={headlossTradeoff.limit.porosity} stroke="#f59e0b" strokeDasharray="3 3" />
+                      )}
+                      <Line yAxisId="left" type="monotone" dataKey="lnRemoval" stroke="#2563eb" strokeWidth={2.5} dot={false} name="−ln(C/C₀)" />
+                      <Line yAxisId="right" type="monotone" dataKey="headloss" stroke="#ef4444" strokeWidth={2} dot={false} name="Headloss (m)" />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </ExportableChart>
+                <div className="mt-2 text-xs text-gray-500 text-center">
+                  HC follows θ via Kozeny–Carman along this curve; τ and SVR are held at their current values.
+                  Δh = q·[L<sub>b</sub>/K(θ) + (L − L<sub>b</sub>)/K(θ₀)]
+                </div>
               </div>
-            </div>
 
-            {/* Governing Equation */}
-            <div className="bg-gray-800 rounded-xl shadow-sm p-4 text-white">
-              <h2 className="text-sm font-semibold mb-3">Governing Equation (Eq. 31)</h2>
-              <div className="font-mono text-sm space-y-2">
-                <div className="text-blue-300">
-                  −ln(C/C₀) = β₀ + β₁·θ + β₂·HC + β₃·τ + β₄·SVR
+              {/* Governing Equation */}
+              <div className="bg-gray-800 rounded-xl shadow-sm p-4 text-white">
+                <h2 className="text-sm font-semibold mb-3">Governing Equation (Eq. 31)</h2>
+                <div className="font-mono text-sm space-y-2">
+                  <div className="text-blue-300">
+                    −ln(C/C₀) = β₀ + β₁·θ + β₂·HC + β₃·τ + β₄·SVR
+                  </div>
+                  <div className="text-gray-400 text-xs mt-3">Fitted coefficients:</div>
+                  <div className="grid grid-cols-5 gap-2 text-xs">
+                    <div className="bg-gray-700 rounded p-2 text-center">
+                      <div className="text-indigo-300">β₀</div>
+                      <div className="font-bold">{coefficients.beta0}</div>
+                    </div>
+                    <div className="bg-gray-700 rounded p-2 text-center">
+                      <div className="text-blue-300">β₁ (θ)</div>
+                      <div className="font-bold">{coefficients.beta1}</div>
+                    </div>
+                    <div className="bg-gray-700 rounded p-2 text-center">
+                      <div className="text-green-300">β₂ (HC)</div>
+                      <div className="font-bold">{coefficients.beta2}</div>
+                    </div>
+                    <div className="bg-gray-700 rounded p-2 text-center">
+                      <div className="text-amber-300">β₃ (τ)</div>
+                      <div className="font-bold">{coefficients.beta3}</div>
+                    </div>
+                    <div className="bg-gray-700 rounded p-2 text-center">
+                      <div className="text-red-300">β₄ (SVR)</div>
+                      <div className="font-bold">{coefficients.beta4}</div>
+                    </div>
+                  </div>
+                  {hcFromPorosity && (
+                    <div className="text-green-300 text-xs mt-3">
+                      HC = (θ/θ₀)<sup>n</sup> · ((1−θ₀)/(1−θ))² &nbsp;(Kozeny–Carman, n = {kozenyExponent})
+                    </div>
+                  )}
                 </div>
-                <div className="text-gray-400 text-xs mt-3">Fitted coefficients:</div>
-                <div className="grid grid-cols-5 gap-2 text-xs">
-                  <div className="bg-gray-700 rounded p-2 text-center">
-                    <div className="text-indigo-300">β₀</div>
-                    <div className="font-bold">{coefficients.beta0}</div>
+                <div className="mt-4 pt-3 border-t border-gray-700">
+                  <div className="text-xs text-gray-400">
+                    <strong>Key insight:</strong> Dynamic hydraulic properties (θ, HC, τ) outperform chronological 
+                    age as predictors of biofilm state. SVR reflects compaction-driven obstruction (negative coefficient).
                   </div>
-                  <div className="bg-gray-700 rounded p-2 text-center">
-                    <div className="text-blue-300">β₁ (θ)</div>
-                    <div className="font-bold">{coefficients.beta1}</div>
+                </div>
+              </div>
+              </>
+            )}
+
+            {modelView === 'mechanistic' && (
+              <>
+                {/* Mechanistic Output */}
+                <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+                  <h2 className="text-sm font-semibold text-gray-700 mb-3">Mechanistic Model Output</h2>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    <MetricCard
+                      title="η_total"
+                      value={mechanistic.etaTotal.toFixed(3)}
+                      unit=""
+                      subtitle={`η_base ${mechanistic.etaBase.toExponential(2)}`}
+                      color="blue"
+                    />
+                    <MetricCard
+                      title="K_CFT^mod"
+                      value={mechanistic.kAtt.toExponential(2)}
+                      unit="1/s"
+                      subtitle={`γ = ${EXTENDED_CFT_PARAMETERS.gamma}`}
+                      color="purple"
+                    />
+                    <MetricCard
+                      title="−ln(C/C₀)"
+                      value={mechanistic.lnRemoval.toFixed(2)}
+                      unit=""
+                      subtitle={`Over ${MICROFLUIDIC_DEFAULTS.channelLength} mm channel`}
+                      color="green"
+                    />
+                    <MetricCard
+                      title="Stage coordinate t"
+                      value={mechanistic.weights.t.toFixed(2)}
+                      unit=""
+                      subtitle={`d_th,eff ${mechanistic.dthEff.toFixed(1)} µm`}
+                      color="amber"
+                    />
                   </div>
-                  <div className="bg-gray-700 rounded p-2 text-center">
-                    <div className="text-green-300">β₂ (HC)</div>
-                    <div className="font-bold">{coefficients.beta2}</div>
+                  <div className="grid grid-cols-3 gap-3 mt-3">
+                    {[
+                      ['η₁ Roughness', mechanistic.eta1, mechanistic.weights.c1, mechanistic.drivers.T1, 'green'],
+                      ['η₂ Network', mechanistic.eta2, mechanistic.weights.c2, mechanistic.drivers.T2, 'amber'],
+                      ['η₃ Occlusion', mechanistic.eta3, mechanistic.weights.c3, mechanistic.drivers.T3, 'red']
+                    ].map(([label, eta, weight, driver, color]) => (
+                      <MetricCard
+                        key={label}
+                        title={label}
+                        value={eta.toFixed(3)}
+                        unit=""
+                        subtitle={`c = ${weight.toFixed(3)}, T = ${driver.toPrecision(3)}`}
+                        color={color}
+                      />
+                    ))}
                   </div>
-                  <div className="bg-gray-700 rounded p-2 text-center">
-                    <div className="text-amber-300">β₃ (τ)</div>
-                    <div className="font-bold">{coefficients.beta3}</div>
+                </div>
+
+                {/* Stage Weights */}
+                <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+                  <h2 className="text-sm font-semibold text-gray-700 mb-3">Bernstein-Softmax Stage Weights</h2>
+                  <ExportableChart title="Bernstein-Softmax Stage Weights" data={mechanisticSweep}>
+                    <ResponsiveContainer width="100%" height={240}>
+                      <LineChart data={mechanisticSweep} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                        <XAxis
+                          dataKey="porosity"
+                          type="number"
+                          domain={['dataMin', 'dataMax']}
+                          reversed
+                          tickFormatter={(v) => v.toFixed(2)}
+                          label={{ value: 'Porosity (θ) — decreases as biofilm grows →', position: 'bottom', offset: 0, fontSize: 12 }}
+                          fontSize={11}
+                        />
+                        <YAxis domain={[0, 1]} fontSize={11} label={{ value: 'Weight c_i', angle: -90, position: 'insideLeft', fontSize: 12 }} />
+                        <Tooltip
+                          formatter={(value, name) => [value.toFixed(3), name]}
+                          labelFormatter={(label) => `θ = ${parseFloat(label).toFixed(3)}`}
+                        />
+                        <Legend verticalAlign="top" height={36} />
+                        <ReferenceLine x={porosity} stroke="#1e40af" strokeDasharray="5 5" label={{ value: 'Current θ', position: 'top', fontSize: 10, fill: '#1e40af' }} />
+                        <Line type="monotone" dataKey="c1" stroke="#22c55e" strokeWidth={2} dot={false} name="c₁ (early)" />
+                        <Line type="monotone" dataKey="c2" stroke="#f59e0b" strokeWidth={2} dot={false} name="c₂ (mid)" />
+                        <Line type="monotone" dataKey="c3" stroke="#ef4444" strokeWidth={2} dot={false} name="c₃ (late)" />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </ExportableChart>
+                  <div className="mt-2 text-xs text-gray-500 text-center">
+                    t = (θ_max − θ)/(θ_max − θ_min), b = [(1−t)², 2t(1−t), t²], c_i = softmax(λ·b_i) with λ = {EXTENDED_CFT_PARAMETERS.lambda}
                   </div>
-                  <div className="bg-gray-700 rounded p-2 text-center">
-                    <div className="text-red-300">β₄ (SVR)</div>
-                    <div className="font-bold">{coefficients.beta4}</div>
+                </div>
+
+                {/* Efficiency Terms vs Porosity */}
+                <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+                  <h2 className="text-sm font-semibold text-gray-700 mb-3">Collector Efficiencies vs Porosity</h2>
+                  <ExportableChart title="Collector Efficiencies vs Porosity" data={mechanisticSweep}>
+                    <ResponsiveContainer width="100%" height={260}>
+                      <LineChart data={mechanisticSweep} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                        <XAxis
+                          dataKey="porosity"
+                          type="number"
+                          domain={['dataMin', 'dataMax']}
+                          reversed
+                          tickFormatter={(v) => v.toFixed(2)}
+                          label={{ value: 'Porosity (θ) — decreases as biofilm grows →', position: 'bottom', offset: 0, fontSize: 12 }}
+                          fontSize={11}
+                        />
+                        <YAxis fontSize={11} label={{ value: 'η', angle: -90, position: 'insideLeft', fontSize: 12 }} />
+                        <Tooltip
+                          formatter={(value, name) => [value.toExponential(2), name]}
+                          labelFormatter={(label) => `θ = ${parseFloat(label).toFixed(3)}`}
+                        />
+                        <Legend verticalAlign="top" height={36} />
+                        <ReferenceLine x={porosity} stroke="#1e40af" strokeDasharray="5 5" />
+                        <Line type="monotone" dataKey="etaBase" stroke="#6366f1" strokeWidth={1.5} strokeDasharray="4 2" dot={false} name="η_base (D + I + G,mod)" />
+                        <Line type="monotone" dataKey="eta1" stroke="#22c55e" strokeWidth={2} dot={false} name="η₁" />
+                        <Line type="monotone" dataKey="eta2" stroke="#f59e0b" strokeWidth={2} dot={false} name="η₂" />
+                        <Line type="monotone" dataKey="eta3" stroke="#ef4444" strokeWidth={2} dot={false} name="η₃" />
+                        <Line type="monotone" dataKey="etaTotal" stroke="#1e293b" strokeWidth={2.5} dot={false} name="η_total" />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </ExportableChart>
+                  <div className="mt-2 text-xs text-gray-500 text-center">
+                    Along the sweep HC follows θ via Kozeny–Carman and the coated grain grows as (1−θ)^⅓; τ and SVR are held at their current values.
                   </div>
                 </div>
-              </div>
-              <div className="mt-4 pt-3 border-t border-gray-700">
-                <div className="text-xs text-gray-400">
-                  <strong>Key insight:</strong> Dynamic hydraulic properties (θ, HC, τ) outperform chronological 
-                  age as predictors of biofilm state. SVR reflects compaction-driven obstruction (negative coefficient).
+
+                {/* Mechanistic Equations */}
+                <div className="bg-gray-800 rounded-xl shadow-sm p-4 text-white">
+                  <h2 className="text-sm font-semibold mb-3">Mechanistic Extended CFT</h2>
+                  <div className="font-mono text-xs space-y-2">
+                    <div className="text-green-300">η₁ = c₁ · ((f_shape + f_concave)/GM₁)<sup>n</sup></div>
+                    <div className="text-amber-300">η₂ = c₂ · ((SVR · d_p / R_C)/GM₂)<sup>m</sup></div>
+                    <div className="text-red-300">η₃ = c₃ · ((1 − √(HC/HC₀)) · d_p/(d_p + d_th,eff) / GM₃)<sup>p</sup></div>
+                    <div className="text-gray-300">η_j ← (1 − e<sup>−η_j</sup>) · (1 − η_base) / (ΣB + k_shrink(1 − η_base))</div>
+                    <div className="text-blue-300">K_CFT^mod = γ · α · [(η_D + η_I + Ση_j)(U/θ)A_vx + η_G,mod · v_s · A_G]</div>
+                    <div className="text-gray-400">A_vx = 4(1−θ)/(π d_g) · (θ/θ₀) · τ &nbsp; A_G = θ/(h τ)</div>
+                  </div>
+                  <div className="grid grid-cols-3 md:grid-cols-6 gap-2 text-xs mt-3">
+                    {[['λ', 'lambda'], ['n', 'n'], ['m', 'm'], ['p', 'p'], ['γ', 'gamma'], ['k_shrink', 'kShrink']].map(([label, key]) => (
+                      <div key={key} className="bg-gray-700 rounded p-2 text-center">
+                        <div className="text-indigo-300">{label}</div>
+                        <div className="font-bold">{EXTENDED_CFT_PARAMETERS[key]}</div>
+                      </div>
+                    ))}
+                  </div>
                 </div>
-              </div>
-            </div>
+              </>
+            )}
+
+            {/* Global Sensitivity */}
+            <SensitivityPanel
+              key={`${modelView}-${hcFromPorosity}`}
+              title={`Global Sensitivity — ${modelView === 'regression' ? 'Regression (Eq. 31)' : 'Mechanistic η₁–η₃'} Model`}
+              inputs={saInputs}
+              model={saModel}
+              outputs={modelView === 'regression'
+                ? [{ key: 'log10Removal', label: 'Log₁₀ removal', unit: 'log' }]
+                : [
+                  { key: 'log10Removal', label: 'Log₁₀ removal', unit: 'log' },
+                  { key: 'logKAtt', label: 'log₁₀ K_att', unit: '' }
+                ]}
+            />
 
             {/* Three Biofilm Efficiencies */}
             <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
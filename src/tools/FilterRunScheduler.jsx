@@ -0,0 +1,479 @@
+import React, { useMemo } from 'react';
+import { ComposedChart, LineChart, Line, BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { SSF_PRESETS, DEFAULT_TEMPERATURE_SETTINGS } from '../lib/schijven';
+import { simulateFilterRun, compareSchedules, RIPENING_MODELS } from '../lib/filterRun';
+import SensitivityPanel from '../components/SensitivityPanel';
+import ExportableChart from '../components/ExportableChart';
+import { useUrlState } from '../hooks/useUrlState';
+import { useKeyOutputs } from '../hooks/useKeyOutputs';
+import { useCalculationReport } from '../hooks/useCalculationReport';
+
+// Filter-Run Scheduler
+// Day-by-day operation of a slow sand filter through successive scraping cycles:
+// Schijven et al. (2013) removal with post-scraping ripening (Chapter 6 layer
+// behaviour) and headloss build-up in the Schmutzdecke.
+
+const CANDIDATE_INTERVALS = [30, 60, 90, 120, 180, 270, 365, null];
+
+const FilterRunScheduler = () => {
+  // ============== STATE ==============
+  // Filter
+  const [filterPreset, setFilterPreset] = useUrlState('filterPreset', 'dutchSSF');
+  const [velocity, setVelocity] = useUrlState('velocity', 3.6);          // m/d pore velocity
+  const [targetLogRemoval, setTargetLogRemoval] = useUrlState('targetLogRemoval', 1.0);
+
+  // Schedule
+  const [scrapeInterval, setScrapeInterval] = useUrlState('scrapeInterval', 90); // d
+  const [years, setYears] = useUrlState('years', 3);
+  const [startMonth, setStartMonth] = useUrlState('startMonth', 3);         // 0 = Jan
+  const [offlineDays, setOfflineDays] = useUrlState('offlineDays', 2);
+
+  // Ripening
+  const [ripeningModel, setRipeningModel] = useUrlState('ripeningModel', 'exponential');
+  const [schmutzdeckeShare, setSchmutzdeckeShare] = useUrlState('schmutzdeckeShare', 0.9);
+  const [tau1, setTau1] = useUrlState('tau1', 30);                    // d
+  const [tau2, setTau2] = useUrlState('tau2', 14);                    // d
+
+  // Headloss
+  const [cleanHeadloss, setCleanHeadloss] = useUrlState('cleanHeadloss', 0.05); // m
+  const [headlossRate, setHeadlossRate] = useUrlState('headlossRate', 0.5);    // cm/d
+  const [maxHeadloss, setMaxHeadloss] = useUrlState('maxHeadloss', 1.0);      // m
+
+  // Temperature cycle
+  const [meanTemperature, setMeanTemperature] = useUrlState('meanTemperature', 11.5); // °C
+  const [temperatureAmplitude, setTemperatureAmplitude] = useUrlState('temperatureAmplitude', 8.5); // °C
+
+  // ============== CALCULATIONS ==============
+  const settings = useMemo(() => {
+    const p = SSF_PRESETS[filterPreset].params;
+    return {
+      rates: { kAtt1: p.kAtt1, kDet1: p.kDet1, muS1: p.muS1, kAtt2: p.kAtt2, kDet2: p.kDet2, muS2: p.muS2, muL: p.muL },
+      velocity,
+      dispersivity: p.dispersivity,
+      filterDepth: p.filterDepth,
+      years,
+      startDay: Math.round(startMonth * 365 / 12),
+      tau1,
+      tau2,
+      ripeningModel,
+      schmutzdeckeShare,
+      cleanHeadloss,
+      headlossRate: headlossRate / 100,
+      maxHeadloss,
+      offlineDays,
+      targetLogRemoval,
+      temperatureCycle: { mean: meanTemperature, amplitude: temperatureAmplitude },
+      temperatureSettings: DEFAULT_TEMPERATURE_SETTINGS
+    };
+  }, [filterPreset, velocity, years, startMonth, tau1, tau2, ripeningModel, schmutzdeckeShare,
+    cleanHeadloss, headlossRate, maxHeadloss, offlineDays, targetLogRemoval, meanTemperature, temperatureAmplitude]);
+
+  const run = useMemo(() => simulateFilterRun({ ...settings, scrapeInterval }), [settings, scrapeInterval]);
+
+  useKeyOutputs([
+    { label: 'Mean log₁₀ removal', value: run.summary.meanLogRemoval, unit: 'log' },
+    { label: 'Minimum log₁₀ removal', value: run.summary.minLogRemoval, unit: 'log' },
+    { label: 'Days below target', value: run.summary.fractionBelowTarget * 100, unit: '%' },
+    { label: 'Scrapes per year', value: run.summary.scrapesPerYear, unit: '' },
+    { label: 'Availability', value: run.summary.availability * 100, unit: '%' }
+  ]);
+
+  useCalculationReport({
+    inputs: [
+      { label: 'Filter preset (rates, dispersivity, depth)', value: SSF_PRESETS[filterPreset].name },
+      { label: 'Filter depth', value: settings.filterDepth, unit: 'm' },
+      { label: 'Dispersivity α_L', value: settings.dispersivity, unit: 'm' },
+      { label: 'Pore water velocity v', value: velocity, unit: 'm/d' },
+      { label: 'Target log₁₀ removal', value: targetLogRemoval, unit: 'log' },
+      { label: 'Scraping interval', value: scrapeInterval ?? 'headloss limit only', unit: scrapeInterval ? 'd' : '' },
+      { label: 'Simulated period', value: years, unit: 'years' },
+      { label: 'Start month (0 = January)', value: startMonth },
+      { label: 'Out of service after scraping', value: offlineDays, unit: 'd' },
+      { label: 'Ripening model', value: RIPENING_MODELS[ripeningModel].name },
+      ...(ripeningModel === 'exponential' ? [{ label: 'Schmutzdecke share s', value: schmutzdeckeShare, unit: '–' }] : []),
+      { label: 'Ripening time τ₁', value: tau1, unit: 'd' },
+      { label: 'Ripening time τ₂', value: tau2, unit: 'd' },
+      { label: 'Clean-bed headloss', value: cleanHeadloss, unit: 'm' },
+      { label: 'Headloss build-up', value: headlossRate, unit: 'cm/d' },
+      { label: 'Maximum headloss', value: maxHeadloss, unit: 'm' },
+      { label: 'Mean water temperature', value: meanTemperature, unit: '°C' },
+      { label: 'Seasonal temperature amplitude', value: temperatureAmplitude, unit: '°C' }
+    ],
+    equations: [
+      { label: 'Ripening after scraping', expression: RIPENING_MODELS[ripeningModel].description },
+      { label: 'Water temperature', expression: 'T(day) = T_mean + A · cos(2π(day − 213)/365)' },
+      { label: 'Rates at T (Arrhenius)', expression: 'k(T) = k(T_ref) · exp[E_a/R · (1/T_ref − 1/T)]' },
+      { label: 'Daily log removal (Schijven et al., 2013)', expression: 'λ = μ_l + Σ k_att,i/(1 + k_det,i/μ_s,i);  LR = −x · (1 − √(1 + 4α_Lλ/v)) / (2α_L) / ln 10' },
+      { label: 'Headloss', expression: 'h = h_clean + r · age; scrape when age ≥ interval or h ≥ h_max' }
+    ],
+    intermediates: [
+      { label: 'Scrapes in period', value: run.scrapes.length, unit: '' },
+      { label: 'Scrapes forced by headloss', value: run.summary.forcedScrapes, unit: '' },
+      { label: 'Service days below target', value: run.summary.daysBelowTarget, unit: 'd' },
+      { label: 'Highest headloss', value: run.summary.maxHeadloss, unit: 'm' }
+    ],
+    warnings: run.summary.forcedScrapes > 0
+      ? [`${run.summary.forcedScrapes} scrape${run.summary.forcedScrapes === 1 ? ' was' : 's were'} forced by the ${maxHeadloss} m headloss limit before the scheduled interval`]
+      : [],
+    references: [
+      'Schijven, J.F., et al. (2013). Removal of microorganisms by slow sand filtration.',
+      'Bai, X., Samari-Kermani, M., et al. (2025). Schmutzdecke maturation and layers\' contribution to removal performance in slow sand filters. (Thesis Chapter 6)'
+    ]
+  });
+
+  // Global sensitivity over the operating choices (slider ranges); each run simulates the full period
+  const saInputs = [
+    { key: 'velocity', label: 'Pore velocity', unit: 'm/d', value: velocity, min: 1, max: 20 },
+    { key: 'scrapeInterval', label: 'Scraping interval', unit: 'd', value: scrapeInterval, min: 14, max: 365 },
+    { key: 'schmutzdeckeShare', label: 'Schmutzdecke share', unit: '', value: schmutzdeckeShare, min: 0, max: 1 },
+    { key: 'tau1', label: 'Ripening time τ₁', unit: 'd', value: tau1, min: 1, max: 120 },
+    { key: 'tau2', label: 'Ripening time τ₂', unit: 'd', value: tau2, min: 1, max: 120 },
+    { key: 'headlossRate', label: 'Headloss build-up', unit: 'cm/d', value: headlossRate, min: 0.1, max: 3 },
+    { key: 'maxHeadloss', label: 'Maximum headloss', unit: 'm', value: maxHeadloss, min: 0.3, max: 2 },
+    { key: 'meanTemperature', label: 'Mean temperature', unit: '°C', value: meanTemperature, min: 4, max: 20 },
+    { key: 'temperatureAmplitude', label: 'Seasonal amplitude', unit: '°C', value: temperatureAmplitude, min: 0, max: 12 }
+  ];
+  const saModel = (p) => {
+    const { summary } = simulateFilterRun({
+      ...settings,
+      velocity: p.velocity,
+      scrapeInterval: Math.round(p.scrapeInterval),
+      schmutzdeckeShare: p.schmutzdeckeShare,
+      tau1: p.tau1,
+      tau2: p.tau2,
+      headlossRate: p.headlossRate / 100,
+      maxHeadloss: p.maxHeadloss,
+      temperatureCycle: { mean: p.meanTemperature, amplitude: p.temperatureAmplitude }
+    });
+    return {
+      meanLogRemoval: summary.meanLogRemoval,
+      minLogRemoval: summary.minLogRemoval,
+      percentBelow: summary.fractionBelowTarget * 100
+    };
+  };
+
+  const comparison = useMemo(() => {
+    const intervals = CANDIDATE_INTERVALS.includes(scrapeInterval)
+      ? CANDIDATE_INTERVALS
+      : [...CANDIDATE_INTERVALS.filter((i) => i !== null), scrapeInterval].sort((a, b) => a - b).concat([null]);
+    return compareSchedules(intervals, settings).map((r) => ({
+      ...r,
+      label: r.scrapeInterval ? `${r.scrapeInterval} d` : 'Headloss only',
+      percentBelow: r.fractionBelowTarget * 100,
+      isCurrent: r.scrapeInterval === scrapeInterval
+    }));
+  }, [settings, scrapeInterval]);
+
+  const bestSchedule = comparison.reduce((b, r) => (r.fractionBelowTarget < b.fractionBelowTarget ? r : b), comparison[0]);
+
+  // ============== UI COMPONENTS ==============
+  const Slider = ({ label, value, setValue, min, max, step, unit, description }) => (
+    <div className="mb-4">
+      <div className="flex justify-between text-sm mb-1">
+        <span className="text-gray-700 font-medium">{label}</span>
+        <span className="font-mono text-indigo-700 font-semibold">
+          {value.toFixed(step < 0.01 ? 3 : step < 0.1 ? 2 : step < 1 ? 1 : 0)} {unit}
+        </span>
+      </div>
+      {description && <p className="text-xs text-gray-500 mb-2">{description}</p>}
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => setValue(parseFloat(e.target.value))}
+        className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-indigo-600"
+      />
+    </div>
+  );
+
+  const MetricCard = ({ title, value, unit, subtitle, color = 'blue' }) => {
+    const colorClasses = {
+      blue: 'bg-blue-50 text-blue-600 border-blue-200',
+      green: 'bg-green-50 text-green-600 border-green-200',
+      amber: 'bg-amber-50 text-amber-600 border-amber-200',
+      red: 'bg-red-50 text-red-600 border-red-200',
+      purple: 'bg-purple-50 text-purple-600 border-purple-200'
+    };
+    return (
+      <div className={`rounded-lg p-3 border ${colorClasses[color]}`}>
+        <div className="text-xs font-medium mb-1">{title}</div>
+        <div className="text-xl font-bold">{value} <span className="text-sm font-normal">{unit}</span></div>
+        {subtitle && <div className="text-xs mt-1 opacity-75">{subtitle}</div>}
+      </div>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="bg-white rounded-xl shadow-sm p-4 mb-4 border border-gray-100">
+          <h1 className="text-xl font-bold text-gray-800">Filter-Run Scheduler</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            Multi-year day-by-day simulation of removal and headloss through scraping cycles — compare candidate scraping schedules
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          {/* ============== INPUTS ============== */}
+          <div className="lg:col-span-1 space-y-4">
+            {/* Filter */}
+            <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+              <h2 className="text-sm font-semibold text-gray-700 mb-3">Filter (mature rates)</h2>
+              <div className="grid grid-cols-2 gap-2 mb-4">
+                {Object.entries(SSF_PRESETS).map(([key, preset]) => (
+                  <button
+                    key={key}
+                    onClick={() => { setFilterPreset(key); setVelocity(preset.params.velocity); }}
+                    className={`text-xs p-2 rounded border transition-colors ${
+                      filterPreset === key ? 'bg-indigo-100 border-indigo-400 text-indigo-700' : 'bg-gray-50 border-gray-200 text-gray-600 hover:border-gray-300'
+                    }`}
+                  >
+                    {preset.name}
+                  </button>
+                ))}
+              </div>
+              <Slider label="Pore velocity (v)" value={velocity} setValue={setVelocity} min={1} max={20} step={0.1} unit="m/d" />
+              <Slider label="Removal target" value={targetLogRemoval} setValue={setTargetLogRemoval} min={0.5} max={4} step={0.1} unit="log" />
+            </div>
+
+            {/* Schedule */}
+            <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+              <h2 className="text-sm font-semibold text-gray-700 mb-3">Scraping Schedule</h2>
+              <Slider label="Scraping interval" value={scrapeInterval} setValue={setScrapeInterval} min={14} max={365} step={1} unit="d" />
+              <Slider label="Simulated period" value={years} setValue={setYears} min={1} max={5} step={1} unit="years" />
+              <Slider
+                label="Start month"
+                value={startMonth}
+                setValue={setStartMonth}
+                min={0}
+                max={11}
+                step={1}
+                unit=""
+                description="Month of the first scrape (0 = January)"
+              />
+              <Slider label="Out of service after scraping" value={offlineDays} setValue={setOfflineDays} min={0} max={14} step={1} unit="d" />
+            </div>
+
+            {/* Ripening */}
+            <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+              <h2 className="text-sm font-semibold text-gray-700 mb-3">Post-Scraping Ripening</h2>
+              <div className="flex gap-1 mb-2">
+                {Object.entries(RIPENING_MODELS).map(([key, m]) => (
+                  <button
+                    key={key}
+                    onClick={() => setRipeningModel(key)}
+                    className={`flex-1 text-xs p-2 rounded border transition-colors ${
+                      ripeningModel === key ? 'bg-indigo-100 border-indigo-400 text-indigo-700' : 'bg-gray-50 border-gray-200 text-gray-600'
+                    }`}
+                  >
+                    {m.name}
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 mb-3 italic">{RIPENING_MODELS[ripeningModel].description}</p>
+              {ripeningModel === 'exponential' && (
+                <>
+                  <Slider label="Schmutzdecke share of katt (s)" value={schmutzdeckeShare} setValue={setSchmutzdeckeShare} min={0} max={1} step={0.05} unit="" />
+                  <Slider label="Ripening time, site 1 (τ₁)" value={tau1} setValue={setTau1} min={1} max={120} step={1} unit="d" />
+                  <Slider label="Ripening time, site 2 (τ₂)" value={tau2} setValue={setTau2} min={1} max={120} step={1} unit="d" />
+                </>
+              )}
+            </div>
+
+            {/* Headloss & temperature */}
+            <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+              <h2 className="text-sm font-semibold text-gray-700 mb-3">Headloss & Temperature</h2>
+              <Slider label="Clean-bed headloss" value={cleanHeadloss} setValue={setCleanHeadloss} min={0} max={0.3} step={0.01} unit="m" />
+              <Slider label="Headloss build-up" value={headlossRate} setValue={setHeadlossRate} min={0.1} max={3} step={0.1} unit="cm/d" />
+              <Slider
+                label="Maximum headloss"
+                value={maxHeadloss}
+                setValue={setMaxHeadloss}
+                min={0.3}
+                max={2}
+                step={0.05}
+                unit="m"
+                description="Reaching this forces an early scrape"
+              />
+              <Slider label="Mean water temperature" value={meanTemperature} setValue={setMeanTemperature} min={4} max={20} step={0.5} unit="°C" />
+              <Slider label="Seasonal amplitude" value={temperatureAmplitude} setValue={setTemperatureAmplitude} min={0} max={12} step={0.5} unit="°C" />
+            </div>
+          </div>
+
+          {/* ============== RESULTS ============== */}
+          <div className="lg:col-span-2 space-y-4">
+            {/* Metrics */}
+            <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+              <h2 className="text-sm font-semibold text-gray-700 mb-3">Current Schedule — every {scrapeInterval} d</h2>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                <MetricCard
+                  title="Days Below Target"
+                  value={(run.summary.fractionBelowTarget * 100).toFixed(1)}
+                  unit="%"
+                  subtitle={`${run.summary.daysBelowTarget} of the in-service days`}
+                  color={run.summary.fractionBelowTarget > 0.1 ? 'red' : 'green'}
+                />
+                <MetricCard
+                  title="Mean Log Removal"
+                  value={run.summary.meanLogRemoval.toFixed(2)}
+                  unit="log"
+                  subtitle={`Minimum ${run.summary.minLogRemoval.toFixed(2)} log`}
+                  color="blue"
+                />
+                <MetricCard
+                  title="Scrapes per Year"
+                  value={run.summary.scrapesPerYear.toFixed(1)}
+                  unit=""
+                  subtitle={`${run.summary.forcedScrapes} forced by headloss`}
+                  color={run.summary.forcedScrapes > 0 ? 'amber' : 'purple'}
+                />
+                <MetricCard
+                  title="Availability"
+                  value={(run.summary.availability * 100).toFixed(1)}
+                  unit="%"
+                  subtitle="Days in service"
+                  color="green"
+                />
+              </div>
+            </div>
+
+            {/* Daily series */}
+            <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+              <h2 className="text-sm font-semibold text-gray-700 mb-3">Log₁₀ Removal and Headloss Through Successive Cycles</h2>
+              <ExportableChart title="Log₁₀ Removal and Headloss Through Successive Cycles" data={run.daily}>
+                <ResponsiveContainer width="100%" height={300}>
+                  <ComposedChart data={run.daily} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis
+                      dataKey="year"
+                      type="number"
+                      domain={[0, years]}
+                      tickFormatter={(v) => v.toFixed(1)}
+                      label={{ value: 'Time (years)', position: 'bottom', offset: 0, fontSize: 12 }}
+                      fontSize={11}
+                    />
+                    <YAxis
+                      yAxisId="left"
+                      domain={[0, 'auto']}
+                      tickFormatter={(v) => v.toFixed(1)}
+                      label={{ value: '-log₁₀(C/C₀)', angle: -90, position: 'insideLeft', offset: 10, fontSize: 12 }}
+                      fontSize={11}
+                    />
+                    <YAxis
+                      yAxisId="right"
+                      orientation="right"
+                      domain={[0, Math.ceil(maxHeadloss * 10) / 10]}
+                      tickFormatter={(v) => v.toFixed(1)}
+                      label={{ value: 'Headloss (m)', angle: 90, position: 'insideRight', fontSize: 12 }}
+                      fontSize={11}
+                    />
+                    <Tooltip
+                      formatter={(value, name) => [value.toFixed(3), name]}
+                      labelFormatter={(label) => `Day ${Math.round(label * 365)}`}
+                    />
+                    <Legend verticalAlign="top" height={30} />
+                    <ReferenceLine yAxisId="left" y={targetLogRemoval} stroke="#f59e0b" strokeDasharray="5 5" />
+                    <ReferenceLine yAxisId="right" y={maxHeadloss} stroke="#ef4444" strokeDasharray="3 3" />
+                    <Line yAxisId="left" type="linear" dataKey="logRemoval" stroke="#059669" strokeWidth={1.5} dot={false} isAnimationActive={false} name="Log removal" />
+                    <Line yAxisId="right" type="linear" dataKey="headloss" stroke="#6366f1" strokeWidth={1} dot={false} isAnimationActive={false} name="Headloss (m)" />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </ExportableChart>
+            </div>
+
+            {/* Temperature through the run */}
+            <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+              <h2 className="text-sm font-semibold text-gray-700 mb-3">Water Temperature and Bed Age</h2>
+              <ExportableChart title="Water Temperature and Bed Age" data={run.daily}>
+                <ResponsiveContainer width="100%" height={180}>
+                  <LineChart data={run.daily} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis dataKey="year" type="number" domain={[0, years]} tickFormatter={(v) => v.toFixed(1)} fontSize={11} />
+                    <YAxis yAxisId="left" fontSize={11} label={{ value: 'T (°C)', angle: -90, position: 'insideLeft', fontSize: 12 }} />
+                    <YAxis yAxisId="right" orientation="right" fontSize={11} label={{ value: 'Age (d)', angle: 90, position: 'insideRight', fontSize: 12 }} />
+                    <Tooltip formatter={(value) => value.toFixed(1)} labelFormatter={(label) => `Day ${Math.round(label * 365)}`} />
+                    <Line yAxisId="left" type="linear" dataKey="temperature" stroke="#0891b2" dot={false} isAnimationActive={false} name="Temperature" />
+                    <Line yAxisId="right" type="stepAfter" dataKey="age" stroke="#9ca3af" dot={false} isAnimationActive={false} name="Days since scraping" />
+                  </LineChart>
+                </ResponsiveContainer>
+              </ExportableChart>
+            </div>
+
+            {/* Schedule comparison */}
+            <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+              <h2 className="text-sm font-semibold text-gray-700 mb-3">Candidate Scraping Schedules — Fraction of Days Below Target</h2>
+              <ExportableChart title="Candidate Scraping Schedules" data={comparison}>
+                <ResponsiveContainer width="100%" height={220}>
+                  <BarChart data={comparison} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis dataKey="label" fontSize={11} />
+                    <YAxis tickFormatter={(v) => `${v.toFixed(0)}%`} fontSize={11} />
+                    <Tooltip formatter={(value) => [`${value.toFixed(1)}%`, 'Days below target']} />
+                    <Bar dataKey="percentBelow" radius={[4, 4, 0, 0]}>
+                      {comparison.map((r) => (
+                        <Cell key={r.label} fill={r.isCurrent ? '#4f46e5' : r === bestSchedule ? '#059669' : '#a5b4fc'} />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </ExportableChart>
+              <table className="w-full text-xs mt-3">
+                <thead>
+                  <tr className="text-gray-500 border-b border-gray-100">
+                    <th className="text-left py-1">Interval</th>
+                    <th className="text-right py-1">Below target</th>
+                    <th className="text-right py-1">Mean LR</th>
+                    <th className="text-right py-1">Min LR</th>
+                    <th className="text-right py-1">Scrapes/yr</th>
+                    <th className="text-right py-1">Forced</th>
+                    <th className="text-right py-1">Availability</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparison.map((r) => (
+                    <tr key={r.label} className={`border-b border-gray-50 font-mono ${r.isCurrent ? 'bg-indigo-50' : ''}`}>
+                      <td className="py-1 font-sans">{r.label}{r === bestSchedule && ' ★'}</td>
+                      <td className="text-right">{r.percentBelow.toFixed(1)}%</td>
+                      <td className="text-right">{r.meanLogRemoval.toFixed(2)}</td>
+                      <td className="text-right">{r.minLogRemoval.toFixed(2)}</td>
+                      <td className="text-right">{r.scrapesPerYear.toFixed(1)}</td>
+                      <td className="text-right">{r.forcedScrapes}</td>
+                      <td className="text-right">{(r.availability * 100).toFixed(1)}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-500 mt-2">
+                "Headloss only" scrapes whenever the maximum headloss is reached. ★ = fewest days below target.
+              </p>
+            </div>
+
+            {/* Global sensitivity */}
+            <SensitivityPanel
+              inputs={saInputs}
+              model={saModel}
+              outputs={[
+                { key: 'percentBelow', label: 'Days below target', unit: '%' },
+                { key: 'meanLogRemoval', label: 'Mean log removal', unit: 'log' },
+                { key: 'minLogRemoval', label: 'Minimum log removal', unit: 'log' }
+              ]}
+              sampleCounts={[64, 128, 256]}
+            />
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="mt-4 text-center text-xs text-gray-500">
+          Based on: Schijven et al. (2013) two-site model; Bai, Samari-Kermani et al. (2025) Schmutzdecke layer contributions.
+          <br />
+          PhD Thesis: <em>From Pores to Pilot Filters</em> — Utrecht University
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FilterRunScheduler;
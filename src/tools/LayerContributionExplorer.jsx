@@ -1,5 +1,12 @@
-import React, { useState, useMemo } from 'react';
+import React, { useMemo } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar, Cell, AreaChart, Area, ComposedChart, ReferenceLine, PieChart, Pie } from 'recharts';
+import { upperLayerFraction, estimateLayers } from '../lib/layers';
+import { REGRESSION_MODELS } from '../lib/regressionModels';
+import SensitivityPanel from '../components/SensitivityPanel';
+import ExportableChart from '../components/ExportableChart';
+import { useUrlState } from '../hooks/useUrlState';
+import { useKeyOutputs } from '../hooks/useKeyOutputs';
+import { useCalculationReport } from '../hooks/useCalculationReport';
 
 // Schmutzdecke Layer Contribution Explorer
 // Based on: Bai, Samari-Kermani et al. (2025) - Schmutzdecke maturation and layers' contribution
@@ -8,17 +15,17 @@ import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, Responsi
 const LayerContributionExplorer = () => {
   // ============== STATE ==============
   // EPS Composition (Schmutzdecke top 10 cm)
-  const [protein, setProtein] = useState(180);           // µg/g
-  const [carbohydrate, setCarbohydrate] = useState(350); // µg/g
-  const [biomass, setBiomass] = useState(1e8);           // copies/g
+  const [protein, setProtein] = useUrlState('protein', 180);           // µg/g
+  const [carbohydrate, setCarbohydrate] = useUrlState('carbohydrate', 350); // µg/g
+  const [biomass, setBiomass] = useUrlState('biomass', 1e8);           // copies/g
   
   // Filter Parameters
-  const [sdAge, setSdAge] = useState(365);               // days
-  const [inoculated, setInoculated] = useState(true);
+  const [sdAge, setSdAge] = useUrlState('sdAge', 365);               // days
+  const [inoculated, setInoculated] = useUrlState('inoculated', true);
   
   // Visualization
-  const [selectedModel, setSelectedModel] = useState('C');
-  const [activePreset, setActivePreset] = useState(null);
+  const [selectedModel, setSelectedModel] = useUrlState('selectedModel', 'C');
+  const [activePreset, setActivePreset] = useUrlState('activePreset', null);
 
   // ============== PILOT FILTER SPECIFICATIONS ==============
   const pilotSpecs = {
@@ -31,40 +38,11 @@ const LayerContributionExplorer = () => {
 
   // ============== REGRESSION MODELS (Table 6.3) ==============
   // Note: These models are for UPPER LAYER removal (top 10 cm only)
+  const pilot = REGRESSION_MODELS.pilot.models;
   const models = {
-    A: {
-      name: 'Model A (EPS Components)',
-      equation: 'λ = a₀ + a₁ × carbohydrate + a₂ × protein',
-      description: 'Biochemical parameters only',
-      coefficients: { a0: -2.1110, a1: 4.16e-3, a2: 0.0133 },
-      rSquared: 0.95,
-      pValue: 0.0059,
-      color: '#22c55e',
-      calculate: (params) => -2.1110 + 4.16e-3 * params.carbohydrate + 0.0133 * params.protein
-    },
-    B: {
-      name: 'Model B (Age Only)',
-      equation: 'λ = a₀ + a₁ × SD_age',
-      description: 'Physical parameters only',
-      coefficients: { a0: -0.3748, a1: 0.0029 },
-      rSquared: 0.83,
-      pValue: 0.0074,
-      color: '#f59e0b',
-      calculate: (params) => -0.3748 + 0.0029 * params.sdAge
-    },
-    C: {
-      name: 'Model C (Full Model)',
-      equation: 'λ = a₀ + a₁ × carb + a₂ × prot + a₃ × inoc',
-      description: 'All parameters combined',
-      coefficients: { a0: -2.2556, a1: 4.78e-3, a2: 0.0124, a3: -0.1935 },
-      rSquared: 0.99,
-      pValue: 0.0041,
-      color: '#8b5cf6',
-      calculate: (params) => {
-        const inoc = params.inoculated ? 1 : 0;
-        return -2.2556 + 4.78e-3 * params.carbohydrate + 0.0124 * params.protein + (-0.1935) * inoc;
-      }
-    }
+    A: { ...pilot.A, description: 'Biochemical parameters only', color: '#22c55e' },
+    B: { ...pilot.B, description: 'Physical parameters only', color: '#f59e0b' },
+    C: { ...pilot.C, name: 'Model C (Full Model)', description: 'All parameters combined', color: '#8b5cf6' }
   };
 
   // ============== EXPERIMENTAL DATA (from Figure 6.3) ==============
@@ -156,38 +134,68 @@ const LayerContributionExplorer = () => {
   // Current selected model prediction
   const currentPrediction = predictions[selectedModel];
 
-  // Estimate layer contributions based on age
-  const layerContributions = useMemo(() => {
-    // Based on experimental observations: upper layer contribution increases with age
-    // At 6 months: ~30% upper, ~70% deeper
-    // At 24 months: ~90% upper, ~10% deeper
-    const ageMonths = sdAge / 30;
-    
-    // Logistic-like transition
-    const upperFraction = Math.min(0.95, 0.25 + 0.70 * (1 - Math.exp(-0.15 * ageMonths)));
-    const deeperFraction = 1 - upperFraction;
-    
-    // Inoculation accelerates transition
-    const inocBonus = inoculated ? 0.1 : 0;
-    const adjustedUpperFraction = Math.min(0.98, upperFraction + inocBonus);
-    
-    const totalRemoval = currentPrediction?.value || 0;
-    
-    return {
-      upperFraction: adjustedUpperFraction,
-      deeperFraction: 1 - adjustedUpperFraction,
-      upperRemoval: totalRemoval, // Upper layer removal is what model predicts
-      // Deeper layer removal decreases as filter matures
-      deeperRemoval: totalRemoval * (1 - adjustedUpperFraction) / adjustedUpperFraction * 0.3,
-      totalRemoval: totalRemoval + totalRemoval * (1 - adjustedUpperFraction) / adjustedUpperFraction * 0.3
-    };
-  }, [sdAge, inoculated, currentPrediction]);
+  const layerContributions = useMemo(() => (
+    estimateLayers({ sdAge, inoculated }, currentPrediction?.value || 0)
+  ), [sdAge, inoculated, currentPrediction]);
+
+  useKeyOutputs([
+    { label: 'Log₁₀ removal', value: layerContributions.totalRemoval, unit: 'log' },
+    { label: 'Upper 10 cm removal', value: layerContributions.upperRemoval, unit: 'log' },
+    { label: 'Deeper bed removal', value: layerContributions.deeperRemoval, unit: 'log' },
+    { label: 'Upper layer share', value: layerContributions.upperFraction * 100, unit: '%' }
+  ]);
+
+  const reportModel = models[selectedModel];
+  const rawPrediction = reportModel.calculate(currentParams);
+  useCalculationReport({
+    inputs: [
+      { label: 'Regression model', value: reportModel.name },
+      { label: 'Protein (top 10 cm)', value: protein, unit: 'µg/g' },
+      { label: 'Carbohydrate (top 10 cm)', value: carbohydrate, unit: 'µg/g' },
+      { label: 'Biomass (16S rRNA)', value: biomass, unit: 'copies/g' },
+      { label: 'Schmutzdecke age', value: sdAge, unit: 'd' },
+      { label: 'Inoculated', value: inoculated }
+    ],
+    equations: [
+      {
+        label: `Upper-layer removal — ${reportModel.name} (Table 6.3), R² = ${reportModel.rSquared}`,
+        expression: `${reportModel.equation};  ${Object.entries(reportModel.coefficients).map(([k, v]) => `${k} = ${v}`).join(', ')}`
+      },
+      { label: 'Upper-layer share of removal', expression: 'f_upper = min(0.95, 0.25 + 0.70(1 − exp(−0.15 · age/30 d))) + 0.10 if inoculated, at most 0.98' },
+      { label: 'Deeper bed and total removal', expression: 'R_deeper = 0.3 · R_upper · (1 − f_upper)/f_upper;  R_total = R_upper + R_deeper;  R_upper = max(0, λ)' }
+    ],
+    intermediates: [
+      { label: 'λ before clipping', value: rawPrediction, unit: 'log' },
+      { label: 'Schmutzdecke age', value: sdAge / 30, unit: 'months' },
+      { label: 'Upper-layer share f_upper', value: layerContributions.upperFraction, unit: '–' }
+    ],
+    warnings: [
+      ...(rawPrediction < 0 ? [`The regression predicts λ = ${rawPrediction.toFixed(2)} < 0 for these inputs, outside the range it was fitted on; removal is reported as 0`] : []),
+      ...(sdAge / 30 > pilotSpecs.operationPeriod ? [`Schmutzdecke age beyond the ${pilotSpecs.operationPeriod}-month pilot observation period`] : [])
+    ],
+    references: [
+      'Bai, X., Samari-Kermani, M., et al. (2025). Schmutzdecke maturation and layers\' contribution to removal performance in slow sand filters. (Thesis Chapter 6)'
+    ]
+  });
+
+  // Global sensitivity of the selected model (slider ranges); biomass enters none of the models
+  const saInputs = [
+    { key: 'protein', label: 'Protein', unit: 'µg/g', value: protein, min: 30, max: 350 },
+    { key: 'carbohydrate', label: 'Carbohydrate', unit: 'µg/g', value: carbohydrate, min: 100, max: 500 },
+    { key: 'biomass', label: 'Biomass', unit: 'copies/g', value: biomass, min: 1e7, max: 5e8, log: true },
+    { key: 'sdAge', label: 'Schmutzdecke age', unit: 'd', value: sdAge, min: 30, max: 730 }
+  ];
+  const saModel = (p) => {
+    const params = { ...p, inoculated };
+    const layers = estimateLayers(params, Math.max(0, models[selectedModel].calculate(params)));
+    return { totalRemoval: layers.totalRemoval, upperRemoval: layers.upperRemoval };
+  };
 
   // Layer contribution over time data
   const layerTimeData = useMemo(() => {
     const data = [];
     for (let month = 1; month <= 24; month++) {
-      const upperFrac = Math.min(0.95, 0.25 + 0.70 * (1 - Math.exp(-0.15 * month)));
+      const upperFrac = upperLayerFraction(month);
       const deeperFrac = 1 - upperFrac;
       
       // Estimate removal based on age
@@ -499,25 +507,31 @@ const LayerContributionExplorer = () => {
               {/* Pie Chart */}
               <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
                 <h2 className="text-sm font-semibold text-gray-700 mb-3">Current Layer Contribution</h2>
-                <ResponsiveContainer width="100%" height={180}>
-                  <PieChart>
-                    <Pie
-                      data={pieData}
-                      cx="50%"
-                      cy="50%"
-                      innerRadius={40}
-                      outerRadius={70}
-                      dataKey="value"
-                      label={({ name, value }) => `${value.toFixed(0)}%`}
-                      labelLine={false}
-                    >
-                      {pieData.map((entry, index) => (
-                        <Cell key={`cell-${index}`} fill={entry.fill} />
-                      ))}
-                    </Pie>
-                    <Tooltip formatter={(value) => `${value.toFixed(1)}%`} />
-                  </PieChart>
-                </ResponsiveContainer>
+                <ExportableChart
+                  title="Current Layer Contribution"
+                  data={pieData}
+                  columns={[{ key: 'name', label: 'Layer' }, { key: 'value', label: 'Share of removal', unit: '%' }]}
+                >
+                  <ResponsiveContainer width="100%" height={180}>
+                    <PieChart>
+                      <Pie
+                        data={pieData}
+                        cx="50%"
+                        cy="50%"
+                        innerRadius={40}
+                        outerRadius={70}
+                        dataKey="value"
+                        label={({ name, value }) => `${value.toFixed(0)}%`}
+                        labelLine={false}
+                      >
+                        {pieData.map((entry, index) => (
+                          <Cell key={`cell-${index}`} fill={entry.fill} />
+                        ))}
+                      </Pie>
+                      <Tooltip formatter={(value) => `${value.toFixed(1)}%`} />
+                    </PieChart>
+                  </ResponsiveContainer>
+                </ExportableChart>
                 <div className="flex justify-center gap-4 text-xs mt-2">
                   <div className="flex items-center gap-1">
                     <div className="w-3 h-3 rounded bg-green-500"></div>
@@ -533,55 +547,59 @@ const LayerContributionExplorer = () => {
               {/* Model Comparison */}
               <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
                 <h2 className="text-sm font-semibold text-gray-700 mb-3">Model Comparison</h2>
-                <ResponsiveContainer width="100%" height={180}>
-                  <BarChart data={modelComparisonData} margin={{ top: 10, right: 10, left: 10, bottom: 20 }}>
-                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
-                    <XAxis dataKey="name" fontSize={11} />
-                    <YAxis fontSize={11} />
-                    <Tooltip formatter={(value) => [`${value.toFixed(2)} log₁₀`, 'Removal']} />
-                    <Bar dataKey="value" radius={[4, 4, 0, 0]}>
-                      {modelComparisonData.map((entry, index) => (
-                        <Cell 
-                          key={`cell-${index}`} 
-                          fill={entry.color}
-                          stroke={entry.isSelected ? '#1e40af' : 'none'}
-                          strokeWidth={entry.isSelected ? 3 : 0}
-                        />
-                      ))}
-                    </Bar>
-                  </BarChart>
-                </ResponsiveContainer>
+                <ExportableChart title="Model Comparison" data={modelComparisonData}>
+                  <ResponsiveContainer width="100%" height={180}>
+                    <BarChart data={modelComparisonData} margin={{ top: 10, right: 10, left: 10, bottom: 20 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                      <XAxis dataKey="name" fontSize={11} />
+                      <YAxis fontSize={11} />
+                      <Tooltip formatter={(value) => [`${value.toFixed(2)} log₁₀`, 'Removal']} />
+                      <Bar dataKey="value" radius={[4, 4, 0, 0]}>
+                        {modelComparisonData.map((entry, index) => (
+                          <Cell 
+                            key={`cell-${index}`} 
+                            fill={entry.color}
+                            stroke={entry.isSelected ? '#1e40af' : 'none'}
+                            strokeWidth={entry.isSelected ? 3 : 0}
+                          />
+                        ))}
+                      </Bar>
+                    </BarChart>
+                  </ResponsiveContainer>
+                </ExportableChart>
               </div>
             </div>
 
             {/* Layer Contribution Over Time */}
             <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
               <h2 className="text-sm font-semibold text-gray-700 mb-3">Layer Contribution Over Filter Maturation</h2>
-              <ResponsiveContainer width="100%" height={250}>
-                <AreaChart data={layerTimeData} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
-                  <XAxis 
-                    dataKey="month" 
-                    label={{ value: 'Filter Age (months)', position: 'bottom', offset: 0, fontSize: 12 }}
-                    fontSize={11}
-                  />
-                  <YAxis 
-                    label={{ value: 'Log₁₀ Removal', angle: -90, position: 'insideLeft', fontSize: 12 }}
-                    fontSize={11}
-                  />
-                  <Tooltip 
-                    formatter={(value, name) => [
-                      `${value.toFixed(2)} log₁₀`,
-                      name === 'upperLayer' ? 'Upper Layer (0–10 cm)' : 'Deeper Layer (10–80 cm)'
-                    ]}
-                    labelFormatter={(label) => `Month ${label}`}
-                  />
-                  <Legend verticalAlign="top" height={36} />
-                  <Area type="monotone" dataKey="deeperLayer" stackId="1" stroke="#94a3b8" fill="#cbd5e1" name="Deeper Layer" />
-                  <Area type="monotone" dataKey="upperLayer" stackId="1" stroke="#22c55e" fill="#86efac" name="Upper Layer" />
-                  <ReferenceLine x={sdAge / 30} stroke="#ef4444" strokeDasharray="5 5" />
-                </AreaChart>
-              </ResponsiveContainer>
+              <ExportableChart title="Layer Contribution Over Filter Maturation" data={layerTimeData}>
+                <ResponsiveContainer width="100%" height={250}>
+                  <AreaChart data={layerTimeData} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis 
+                      dataKey="month" 
+                      label={{ value: 'Filter Age (months)', position: 'bottom', offset: 0, fontSize: 12 }}
+                      fontSize={11}
+                    />
+                    <YAxis 
+                      label={{ value: 'Log₁₀ Removal', angle: -90, position: 'insideLeft', fontSize: 12 }}
+                      fontSize={11}
+                    />
+                    <Tooltip 
+                      formatter={(value, name) => [
+                        `${value.toFixed(2)} log₁₀`,
+                        name === 'upperLayer' ? 'Upper Layer (0–10 cm)' : 'Deeper Layer (10–80 cm)'
+                      ]}
+                      labelFormatter={(label) => `Month ${label}`}
+                    />
+                    <Legend verticalAlign="top" height={36} />
+                    <Area type="monotone" dataKey="deeperLayer" stackId="1" stroke="#94a3b8" fill="#cbd5e1" name="Deeper Layer" />
+                    <Area type="monotone" dataKey="upperLayer" stackId="1" stroke="#22c55e" fill="#86efac" name="Upper Layer" />
+                    <ReferenceLine x={sdAge / 30} stroke="#ef4444" strokeDasharray="5 5" />
+                  </AreaChart>
+                </ResponsiveContainer>
+              </ExportableChart>
               <div className="mt-2 text-xs text-gray-500 text-center">
                 The upper ~10 cm (Schmutzdecke) progressively dominates removal as the filter matures.
               </div>
@@ -590,30 +608,44 @@ const LayerContributionExplorer = () => {
             {/* EPS Sensitivity */}
             <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
               <h2 className="text-sm font-semibold text-gray-700 mb-3">Protein Effect on Upper Layer Removal</h2>
-              <ResponsiveContainer width="100%" height={220}>
-                <LineChart data={epsSensitivityData} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
-                  <XAxis 
-                    dataKey="protein" 
-                    label={{ value: 'Protein (µg/g)', position: 'bottom', offset: 0, fontSize: 12 }}
-                    fontSize={11}
-                  />
-                  <YAxis 
-                    label={{ value: 'Log₁₀ Removal', angle: -90, position: 'insideLeft', fontSize: 12 }}
-                    fontSize={11}
-                  />
-                  <Tooltip 
-                    formatter={(value, name) => [`${value.toFixed(2)}`, name === 'modelA' ? 'Model A' : 'Model C']}
-                    labelFormatter={(label) => `Protein: ${label} µg/g`}
-                  />
-                  <Legend verticalAlign="top" height={36} />
-                  <ReferenceLine x={protein} stroke="#ef4444" strokeDasharray="5 5" label={{ value: 'Current', position: 'top', fontSize: 10, fill: '#ef4444' }} />
-                  <Line type="monotone" dataKey="modelA" stroke="#22c55e" strokeWidth={2} dot={false} name="Model A (EPS only)" />
-                  <Line type="monotone" dataKey="modelC" stroke="#8b5cf6" strokeWidth={2} dot={false} name="Model C (Full)" />
-                </LineChart>
-              </ResponsiveContainer>
+              <ExportableChart title="Protein Effect on Upper Layer Removal" data={epsSensitivityData}>
+                <ResponsiveContainer width="100%" height={220}>
+                  <LineChart data={epsSensitivityData} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis 
+                      dataKey="protein" 
+                      label={{ value: 'Protein (µg/g)', position: 'bottom', offset: 0, fontSize: 12 }}
+                      fontSize={11}
+                    />
+                    <YAxis 
+                      label={{ value: 'Log₁₀ Removal', angle: -90, position: 'insideLeft', fontSize: 12 }}
+                      fontSize={11}
+                    />
+                    <Tooltip 
+                      formatter={(value, name) => [`${value.toFixed(2)}`, name === 'modelA' ? 'Model A' : 'Model C']}
+                      labelFormatter={(label) => `Protein: ${label} µg/g`}
+                    />
+                    <Legend verticalAlign="top" height={36} />
+                    <ReferenceLine x={protein} stroke="#ef4444" strokeDasharray="5 5" label={{ value: 'Current', position: 'top', fontSize: 10, fill: '#ef4444' }} />
+                    <Line type="monotone" dataKey="modelA" stroke="#22c55e" strokeWidth={2} dot={false} name="Model A (EPS only)" />
+                    <Line type="monotone" dataKey="modelC" stroke="#8b5cf6" strokeWidth={2} dot={false} name="Model C (Full)" />
+                  </LineChart>
+                </ResponsiveContainer>
+              </ExportableChart>
             </div>
 
+            {/* Global Sensitivity */}
+            <SensitivityPanel
+              key={selectedModel}
+              title={`Global Sensitivity — ${models[selectedModel].name}`}
+              inputs={saInputs}
+              model={saModel}
+              outputs={[
+                { key: 'totalRemoval', label: 'Total log removal (upper + deeper)', unit: 'log' },
+                { key: 'upperRemoval', label: 'Upper-layer log removal', unit: 'log' }
+              ]}
+            />
+
             {/* Current Model Equation */}
             <div className="bg-gray-800 rounded-xl shadow-sm p-4 text-white">
               <h2 className="text-sm font-semibold mb-2">{models[selectedModel].name}</h2>
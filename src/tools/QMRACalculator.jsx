@@ -0,0 +1,533 @@
+import React, { useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine, BarChart, Bar, Cell } from 'recharts';
+import { computeLambda, steadyStateCoefficient, correctRatesForTemperature, SSF_PRESETS, DEFAULT_TEMPERATURE_SETTINGS } from '../lib/schijven';
+import { PATHOGENS, assessRisk, ANNUAL_RISK_TARGET, DEFAULT_CONSUMPTION } from '../lib/qmra';
+import MonteCarloPanel from '../components/MonteCarloPanel';
+import SensitivityPanel from '../components/SensitivityPanel';
+import ExportableChart from '../components/ExportableChart';
+import { useUrlState } from '../hooks/useUrlState';
+import { useKeyOutputs } from '../hooks/useKeyOutputs';
+import { useCalculationReport } from '../hooks/useCalculationReport';
+
+// QMRA Annual Infection Risk Calculator
+// Links SSF log removal (Schijven et al., 2013) to the Dutch Drinking Water Decree
+// health-based target of 10⁻⁴ infections per person per year.
+
+const PATHOGEN_COLORS = {
+  campylobacter: '#2563eb',
+  cryptosporidium: '#9333ea',
+  enterovirus: '#dc2626',
+  ecoliO157: '#059669'
+};
+
+const DEFAULT_SOURCE_CONCENTRATIONS = Object.fromEntries(
+  Object.entries(PATHOGENS).map(([key, p]) => [key, p.sourceConcentration])
+);
+
+const QMRACalculator = () => {
+  // ============== STATE ==============
+  const [removalSource, setRemovalSource] = useUrlState('removalSource', 'schijven'); // 'schijven' | 'manual'
+  const [ssfPreset, setSsfPreset] = useUrlState('ssfPreset', 'dutchSSF');
+  const [velocity, setVelocity] = useUrlState('velocity', SSF_PRESETS.dutchSSF.params.velocity);       // m/d
+  const [filterDepth, setFilterDepth] = useUrlState('filterDepth', SSF_PRESETS.dutchSSF.params.filterDepth); // m
+  const [temperature, setTemperature] = useUrlState('temperature', 10); // °C
+  const [manualLogRemoval, setManualLogRemoval] = useUrlState('manualLogRemoval', 2.0);
+  const [otherCredits, setOtherCredits] = useUrlState('otherCredits', 2.0); // log credits from the rest of the treatment train
+  const [consumption, setConsumption] = useUrlState('consumption', DEFAULT_CONSUMPTION); // L/d
+  const [sourceConcentrations, setSourceConcentrations] = useUrlState('sourceConcentrations', DEFAULT_SOURCE_CONCENTRATIONS);
+  const [selectedPathogen, setSelectedPathogen] = useUrlState('selectedPathogen', 'campylobacter');
+
+  const selectPreset = (key) => {
+    setSsfPreset(key);
+    setVelocity(SSF_PRESETS[key].params.velocity);
+    setFilterDepth(SSF_PRESETS[key].params.filterDepth);
+  };
+
+  // ============== CALCULATIONS ==============
+
+  // SSF log removal from the steady-state two-site model
+  const ssfModel = useMemo(() => {
+    const p = SSF_PRESETS[ssfPreset].params;
+    const rates = correctRatesForTemperature(p, { temperature, ...DEFAULT_TEMPERATURE_SETTINGS });
+    const lambda = computeLambda(rates);
+    const coeff = steadyStateCoefficient(lambda, velocity, p.dispersivity);
+    return { lambda, logRemoval: -coeff * filterDepth / Math.LN10 };
+  }, [ssfPreset, velocity, filterDepth, temperature]);
+
+  const ssfLogRemoval = removalSource === 'schijven' ? ssfModel.logRemoval : manualLogRemoval;
+  const totalLogRemoval = ssfLogRemoval + otherCredits;
+
+  const results = useMemo(() => Object.fromEntries(Object.entries(PATHOGENS).map(([key, pathogen]) => [
+    key,
+    assessRisk(pathogen, { sourceConcentration: sourceConcentrations[key], logRemoval: totalLogRemoval, consumption })
+  ])), [sourceConcentrations, totalLogRemoval, consumption]);
+
+  // Annual risk as a function of total treatment log removal
+  const riskCurve = useMemo(() => {
+    const data = [];
+    for (let lr = 0; lr <= 10.001; lr += 0.1) {
+      const point = { logRemoval: lr };
+      Object.entries(PATHOGENS).forEach(([key, pathogen]) => {
+        const r = assessRisk(pathogen, { sourceConcentration: sourceConcentrations[key], logRemoval: lr, consumption });
+        point[key] = Math.max(r.annualRisk, 1e-12);
+      });
+      data.push(point);
+    }
+    return data;
+  }, [sourceConcentrations, consumption]);
+
+  const creditData = Object.entries(PATHOGENS).map(([key, p]) => ({
+    key,
+    name: p.name,
+    required: results[key].requiredLogRemoval,
+    extra: results[key].extraLogCredits
+  }));
+
+  const selected = results[selectedPathogen];
+  const pathogen = PATHOGENS[selectedPathogen];
+
+  useKeyOutputs([
+    { label: 'Log₁₀ removal', value: totalLogRemoval, unit: 'log' },
+    { label: `Annual risk, ${pathogen.name}`, value: selected.annualRisk, unit: 'pppy' },
+    { label: `Required log removal, ${pathogen.name}`, value: selected.requiredLogRemoval, unit: 'log' },
+    { label: `Additional log removal needed, ${pathogen.name}`, value: selected.extraLogCredits, unit: 'log' }
+  ]);
+
+  const doseResponse = (p) => (p.model === 'exponential'
+    ? `exponential, r = ${p.r}`
+    : `beta-Poisson, α = ${p.alpha}, β = ${p.beta}`);
+  useCalculationReport({
+    inputs: [
+      ...(removalSource === 'schijven' ? [
+        { label: 'SSF log removal', value: 'Schijven steady-state model' },
+        { label: 'SSF preset', value: SSF_PRESETS[ssfPreset].name },
+        { label: 'Pore water velocity v', value: velocity, unit: 'm/d' },
+        { label: 'Filter depth', value: filterDepth, unit: 'm' },
+        { label: 'Water temperature', value: temperature, unit: '°C' }
+      ] : [
+        { label: 'SSF log removal (entered)', value: manualLogRemoval, unit: 'log' }
+      ]),
+      { label: 'Other treatment log credits', value: otherCredits, unit: 'log' },
+      { label: 'Unboiled tap water consumption V', value: consumption, unit: 'L/d' },
+      ...Object.entries(PATHOGENS).map(([key, p]) => ({
+        label: `Source concentration, ${p.name}`, value: sourceConcentrations[key], unit: '/L'
+      })),
+      { label: 'Annual risk target', value: ANNUAL_RISK_TARGET, unit: 'pppy' }
+    ],
+    equations: [
+      ...(removalSource === 'schijven' ? [{
+        label: 'SSF log removal (Schijven et al., 2013, rates at the water temperature)',
+        expression: 'LR_SSF = −x · (1 − √(1 + 4α_Lλ/v)) / (2α_L) / ln 10'
+      }] : []),
+      { label: 'Daily dose', expression: 'd = C_source · 10^(−LR) · V,  LR = LR_SSF + other credits' },
+      { label: 'Dose–response', expression: 'P_inf,d = 1 − exp(−r·d)  or  1 − (1 + d/β)^(−α)' },
+      { label: 'Annual risk', expression: 'P_inf,y = 1 − (1 − P_inf,d)^365 ≤ 10⁻⁴' },
+      ...Object.values(PATHOGENS).map((p) => ({ label: p.name, expression: doseResponse(p) }))
+    ],
+    intermediates: [
+      ...(removalSource === 'schijven' ? [
+        { label: 'λ at water temperature', value: ssfModel.lambda, unit: 'd⁻¹' },
+        { label: 'SSF log removal', value: ssfModel.logRemoval, unit: 'log' }
+      ] : []),
+      ...Object.entries(PATHOGENS).flatMap(([key, p]) => [
+        { label: `${p.name}: drinking-water concentration`, value: results[key].drinkingWaterConcentration, unit: '/L' },
+        { label: `${p.name}: daily dose`, value: results[key].dailyDose, unit: 'organisms/d' },
+        { label: `${p.name}: daily infection risk`, value: results[key].dailyRisk, unit: '–' },
+        { label: `${p.name}: annual infection risk`, value: results[key].annualRisk, unit: 'pppy' },
+        { label: `${p.name}: required log removal`, value: results[key].requiredLogRemoval, unit: 'log' }
+      ])
+    ],
+    warnings: Object.entries(PATHOGENS).filter(([key]) => !results[key].meetsTarget).map(([key, p]) => (
+      `Annual infection risk for ${p.name} (${results[key].annualRisk.toExponential(2)} pppy) exceeds the 10⁻⁴ target; `
+      + `${results[key].extraLogCredits.toFixed(2)} more log credits are needed`
+    )),
+    references: [
+      'Schijven, J.F., et al. (2013). Removal of microorganisms by slow sand filtration.',
+      'Dutch Drinking Water Decree (Drinkwaterbesluit): health-based target of 10⁻⁴ infections per person per year.',
+      ...Object.values(PATHOGENS).map((p) => `${p.reference} — dose–response for ${p.name}`)
+    ]
+  });
+
+  // Monte Carlo over source concentration, treatment performance and consumption
+  const mcInputs = [
+    { key: 'sourceConcentration', label: `${pathogen.name} in source`, unit: '/L', value: sourceConcentrations[selectedPathogen], lower: 0 },
+    { key: 'ssfLogRemoval', label: 'SSF log removal', unit: 'log', value: ssfLogRemoval, lower: 0 },
+    { key: 'otherCredits', label: 'Other treatment credits', unit: 'log', value: otherCredits, lower: 0 },
+    { key: 'consumption', label: 'Consumption', unit: 'L/d', value: consumption, lower: 0 }
+  ];
+  const mcModel = (p) => {
+    const r = assessRisk(pathogen, {
+      sourceConcentration: p.sourceConcentration,
+      logRemoval: p.ssfLogRemoval + p.otherCredits,
+      consumption: p.consumption
+    });
+    return { annualRisk: r.annualRisk, dailyDose: r.dailyDose, totalLogRemoval: p.ssfLogRemoval + p.otherCredits };
+  };
+
+  // Global sensitivity on log₁₀ risk; source concentration spans two decades either side
+  const saInputs = [
+    { ...mcInputs[0], min: mcInputs[0].value / 100, max: mcInputs[0].value * 100, log: true },
+    { ...mcInputs[1], min: 0, max: 6 },
+    { ...mcInputs[2], min: 0, max: 6 },
+    { ...mcInputs[3], min: 0.05, max: 2, log: true }
+  ];
+  const saModel = (p) => {
+    const out = mcModel(p);
+    return { logAnnualRisk: Math.log10(out.annualRisk), logDailyDose: Math.log10(out.dailyDose) };
+  };
+
+  // ============== UI COMPONENTS ==============
+  const Slider = ({ label, value, setValue, min, max, step, unit, description }) => (
+    <div className="mb-4">
+      <div className="flex justify-between text-sm mb-1">
+        <span className="text-gray-700 font-medium">{label}</span>
+        <span className="font-mono text-amber-700 font-semibold">
+          {value.toFixed(step < 0.01 ? 3 : step < 1 ? 2 : 0)} {unit}
+        </span>
+      </div>
+      {description && <p className="text-xs text-gray-500 mb-2">{description}</p>}
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => setValue(parseFloat(e.target.value))}
+        className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-amber-600"
+      />
+    </div>
+  );
+
+  const MetricCard = ({ title, value, unit, subtitle, color = 'amber' }) => {
+    const colorClasses = {
+      blue: 'bg-blue-50 text-blue-600 border-blue-200',
+      green: 'bg-green-50 text-green-600 border-green-200',
+      amber: 'bg-amber-50 text-amber-600 border-amber-200',
+      red: 'bg-red-50 text-red-600 border-red-200',
+      purple: 'bg-purple-50 text-purple-600 border-purple-200'
+    };
+    return (
+      <div className={`rounded-lg p-3 border ${colorClasses[color]}`}>
+        <div className="text-xs font-medium mb-1">{title}</div>
+        <div className="text-xl font-bold">{value} <span className="text-sm font-normal">{unit}</span></div>
+        {subtitle && <div className="text-xs mt-1 opacity-75">{subtitle}</div>}
+      </div>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="bg-white rounded-xl shadow-sm p-4 mb-4 border border-gray-100">
+          <h1 className="text-xl font-bold text-gray-800">QMRA Annual Infection Risk</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            Dose–response risk assessment for drinking water produced by slow sand filtration — Dutch target {ANNUAL_RISK_TARGET.toExponential(0)} infections per person per year
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          {/* ============== INPUTS ============== */}
+          <div className="lg:col-span-1 space-y-4">
+            {/* Log removal source */}
+            <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+              <h2 className="text-sm font-semibold text-gray-700 mb-3">SSF Log Removal</h2>
+              <div className="flex gap-1 mb-4">
+                {[['schijven', 'Schijven model'], ['manual', 'Typed value']].map(([key, label]) => (
+                  <button
+                    key={key}
+                    onClick={() => setRemovalSource(key)}
+                    className={`flex-1 text-xs p-2 rounded border transition-colors ${
+                      removalSource === key ? 'bg-amber-100 border-amber-400 text-amber-700' : 'bg-gray-50 border-gray-200 text-gray-600'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              {removalSource === 'schijven' ? (
+                <>
+                  <div className="grid grid-cols-2 gap-2 mb-4">
+                    {Object.entries(SSF_PRESETS).map(([key, preset]) => (
+                      <button
+                        key={key}
+                        onClick={() => selectPreset(key)}
+                        className={`text-xs p-2 rounded border transition-colors ${
+                          ssfPreset === key ? 'bg-blue-100 border-blue-400 text-blue-700' : 'bg-gray-50 border-gray-200 text-gray-600 hover:border-gray-300'
+                        }`}
+                      >
+                        {preset.name}
+                      </button>
+                    ))}
+                  </div>
+                  <Slider label="Pore velocity (v)" value={velocity} setValue={setVelocity} min={1} max={20} step={0.1} unit="m/d" />
+                  <Slider label="Filter depth (L)" value={filterDepth} setValue={setFilterDepth} min={0.3} max={1.5} step={0.05} unit="m" />
+                  <Slider
+                    label="Water temperature"
+                    value={temperature}
+                    setValue={setTemperature}
+                    min={0}
+                    max={25}
+                    step={0.5}
+                    unit="°C"
+                    description="Arrhenius-corrected from 10 °C with the SSF explorer's default activation energies"
+                  />
+                  <p className="text-xs text-gray-600">
+                    λ = {ssfModel.lambda.toFixed(2)} d⁻¹ → <strong>{ssfModel.logRemoval.toFixed(2)} log</strong>
+                  </p>
+                </>
+              ) : (
+                <Slider label="SSF log removal" value={manualLogRemoval} setValue={setManualLogRemoval} min={0} max={6} step={0.1} unit="log" />
+              )}
+            </div>
+
+            {/* Treatment train and exposure */}
+            <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+              <h2 className="text-sm font-semibold text-gray-700 mb-3">Treatment Train & Exposure</h2>
+              <Slider
+                label="Other treatment credits"
+                value={otherCredits}
+                setValue={setOtherCredits}
+                min={0}
+                max={8}
+                step={0.1}
+                unit="log"
+                description="Pre-treatment, RSF, UV, dune infiltration, …"
+              />
+              <Slider
+                label="Unboiled water consumption"
+                value={consumption}
+                setValue={setConsumption}
+                min={0.05}
+                max={2}
+                step={0.001}
+                unit="L/d"
+                description={`Dutch mean ${DEFAULT_CONSUMPTION} L/d; WHO default 2 L/d`}
+              />
+            </div>
+
+            {/* Source water */}
+            <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+              <h2 className="text-sm font-semibold text-gray-700 mb-1">Source-Water Concentrations</h2>
+              <p className="text-xs text-gray-500 mb-3">Organisms per litre of raw water (site-specific monitoring)</p>
+              {Object.entries(PATHOGENS).map(([key, p]) => (
+                <label key={key} className="flex items-center justify-between text-sm mb-2 gap-2">
+                  <span className="text-gray-700" style={{ color: PATHOGEN_COLORS[key] }}>{p.name}</span>
+                  <input
+                    type="number"
+                    min={0}
+                    step="any"
+                    value={sourceConcentrations[key]}
+                    onChange={(e) => setSourceConcentrations({ ...sourceConcentrations, [key]: Math.max(0, parseFloat(e.target.value) || 0) })}
+                    className="w-24 p-1 border border-gray-200 rounded text-right font-mono text-xs"
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {/* ============== RESULTS ============== */}
+          <div className="lg:col-span-2 space-y-4">
+            {/* Pathogen selector and metrics */}
+            <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+              <div className="flex gap-2 mb-4 flex-wrap">
+                {Object.entries(PATHOGENS).map(([key, p]) => (
+                  <button
+                    key={key}
+                    onClick={() => setSelectedPathogen(key)}
+                    className={`text-xs px-3 py-1 rounded-full border transition-colors ${
+                      selectedPathogen === key ? 'text-white' : 'bg-gray-50 border-gray-200 text-gray-600'
+                    }`}
+                    style={selectedPathogen === key ? { backgroundColor: PATHOGEN_COLORS[key], borderColor: PATHOGEN_COLORS[key] } : {}}
+                  >
+                    {p.name}
+                  </button>
+                ))}
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                <MetricCard
+                  title="Total Log Removal"
+                  value={totalLogRemoval.toFixed(2)}
+                  unit="log"
+                  subtitle={`SSF ${ssfLogRemoval.toFixed(2)} + other ${otherCredits.toFixed(1)}`}
+                  color="blue"
+                />
+                <MetricCard
+                  title="Daily Infection Risk"
+                  value={selected.dailyRisk.toExponential(2)}
+                  unit=""
+                  subtitle={`Dose ${selected.dailyDose.toExponential(2)} /d`}
+                  color="purple"
+                />
+                <MetricCard
+                  title="Annual Infection Risk"
+                  value={selected.annualRisk.toExponential(2)}
+                  unit="pppy"
+                  subtitle={selected.meetsTarget ? 'Meets 10⁻⁴ target' : 'Exceeds 10⁻⁴ target'}
+                  color={selected.meetsTarget ? 'green' : 'red'}
+                />
+                <MetricCard
+                  title="Extra Log Credits Needed"
+                  value={selected.extraLogCredits.toFixed(2)}
+                  unit="log"
+                  subtitle={`Required total ${selected.requiredLogRemoval.toFixed(2)} log`}
+                  color={selected.extraLogCredits > 0 ? 'red' : 'green'}
+                />
+              </div>
+              <p className="text-xs text-gray-500 mt-3">
+                {pathogen.model === 'exponential'
+                  ? `Exponential dose–response, r = ${pathogen.r}`
+                  : `Beta-Poisson dose–response, α = ${pathogen.alpha}, β = ${pathogen.beta}`} — {pathogen.reference}
+              </p>
+            </div>
+
+            {/* Summary table */}
+            <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+              <h2 className="text-sm font-semibold text-gray-700 mb-3">All Reference Pathogens</h2>
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-gray-500 border-b border-gray-100">
+                    <th className="text-left py-1">Pathogen</th>
+                    <th className="text-right py-1">Drinking water (/L)</th>
+                    <th className="text-right py-1">Daily risk</th>
+                    <th className="text-right py-1">Annual risk</th>
+                    <th className="text-right py-1">Required LR</th>
+                    <th className="text-right py-1">Extra credits</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(PATHOGENS).map(([key, p]) => {
+                    const r = results[key];
+                    return (
+                      <tr key={key} className={`border-b border-gray-50 font-mono ${selectedPathogen === key ? 'bg-amber-50' : ''}`}>
+                        <td className="py-1 font-sans" style={{ color: PATHOGEN_COLORS[key] }}>{p.name}</td>
+                        <td className="text-right">{r.drinkingWaterConcentration.toExponential(2)}</td>
+                        <td className="text-right">{r.dailyRisk.toExponential(2)}</td>
+                        <td className={`text-right ${r.meetsTarget ? 'text-green-700' : 'text-red-600 font-semibold'}`}>{r.annualRisk.toExponential(2)}</td>
+                        <td className="text-right">{r.requiredLogRemoval.toFixed(2)}</td>
+                        <td className="text-right">{r.extraLogCredits > 0 ? `+${r.extraLogCredits.toFixed(2)}` : '—'}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Monte Carlo Uncertainty */}
+            <MonteCarloPanel
+              key={selectedPathogen}
+              title={`Monte Carlo Uncertainty — ${pathogen.name}`}
+              inputs={mcInputs}
+              model={mcModel}
+              outputs={[
+                { key: 'annualRisk', label: 'Annual risk', unit: 'pppy', log: true, threshold: { value: ANNUAL_RISK_TARGET, label: '10⁻⁴', direction: 'above' } },
+                { key: 'dailyDose', label: 'Daily dose', unit: 'org/d', log: true },
+                { key: 'totalLogRemoval', label: 'Total log removal', unit: 'log' }
+              ]}
+            />
+
+            <SensitivityPanel
+              key={`sa-${selectedPathogen}`}
+              title={`Global Sensitivity — ${pathogen.name}`}
+              inputs={saInputs}
+              model={saModel}
+              outputs={[
+                { key: 'logAnnualRisk', label: 'log₁₀ annual risk', unit: 'log pppy' },
+                { key: 'logDailyDose', label: 'log₁₀ daily dose', unit: 'log org/d' }
+              ]}
+            />
+
+            {/* Risk vs log removal */}
+            <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+              <h2 className="text-sm font-semibold text-gray-700 mb-3">Annual Infection Risk vs Total Treatment Log Removal</h2>
+              <ExportableChart title="Annual Infection Risk vs Total Treatment Log Removal" data={riskCurve}>
+                <ResponsiveContainer width="100%" height={300}>
+                  <LineChart data={riskCurve} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis
+                      dataKey="logRemoval"
+                      type="number"
+                      domain={[0, 10]}
+                      label={{ value: 'Total log₁₀ removal', position: 'bottom', offset: 0, fontSize: 12 }}
+                      fontSize={11}
+                    />
+                    <YAxis
+                      scale="log"
+                      domain={[1e-10, 1]}
+                      allowDataOverflow
+                      ticks={[1e-10, 1e-8, 1e-6, 1e-4, 1e-2, 1]}
+                      tickFormatter={(v) => v.toExponential(0)}
+                      label={{ value: 'Annual risk (pppy)', angle: -90, position: 'insideLeft', offset: 10, fontSize: 12 }}
+                      fontSize={11}
+                    />
+                    <Tooltip
+                      formatter={(value, name) => [value.toExponential(2), PATHOGENS[name]?.name || name]}
+                      labelFormatter={(label) => `${Number(label).toFixed(1)} log`}
+                    />
+                    <Legend verticalAlign="top" height={36} formatter={(value) => PATHOGENS[value]?.name || value} />
+                    <ReferenceLine y={ANNUAL_RISK_TARGET} stroke="#f59e0b" strokeDasharray="5 5" label={{ value: '10⁻⁴ target', position: 'right', fontSize: 10, fill: '#f59e0b' }} />
+                    <ReferenceLine x={totalLogRemoval} stroke="#1e40af" strokeDasharray="3 3" label={{ value: 'Current', position: 'top', fontSize: 10, fill: '#1e40af' }} />
+                    {Object.keys(PATHOGENS).map((key) => (
+                      <Line
+                        key={key}
+                        type="monotone"
+                        dataKey={key}
+                        stroke={PATHOGEN_COLORS[key]}
+                        strokeWidth={selectedPathogen === key ? 3 : 1.5}
+                        dot={false}
+                        name={key}
+                      />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </ExportableChart>
+            </div>
+
+            {/* Required log credits */}
+            <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+              <h2 className="text-sm font-semibold text-gray-700 mb-3">Required Total Log Removal per Pathogen</h2>
+              <ExportableChart title="Required Total Log Removal per Pathogen" data={creditData}>
+                <ResponsiveContainer width="100%" height={220}>
+                  <BarChart data={creditData} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis dataKey="name" fontSize={10} />
+                    <YAxis label={{ value: 'Log₁₀ removal', angle: -90, position: 'insideLeft', fontSize: 12 }} fontSize={11} />
+                    <Tooltip formatter={(value) => [`${value.toFixed(2)} log`, 'Required']} />
+                    <ReferenceLine y={totalLogRemoval} stroke="#1e40af" strokeDasharray="5 5" label={{ value: 'Achieved', position: 'right', fontSize: 10, fill: '#1e40af' }} />
+                    <Bar dataKey="required" radius={[4, 4, 0, 0]}>
+                      {creditData.map((entry) => (
+                        <Cell key={entry.key} fill={entry.extra > 0 ? '#ef4444' : PATHOGEN_COLORS[entry.key]} />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </ExportableChart>
+            </div>
+
+            {/* Equations */}
+            <div className="bg-gray-800 rounded-xl shadow-sm p-4 text-white">
+              <h2 className="text-sm font-semibold mb-3">Risk Chain</h2>
+              <div className="space-y-2 font-mono text-sm">
+                <div className="text-blue-300">d = C<sub>source</sub> · 10<sup>−LR</sup> · V</div>
+                <div className="text-purple-300">P<sub>inf,d</sub> = 1 − exp(−r·d) &nbsp;or&nbsp; 1 − (1 + d/β)<sup>−α</sup></div>
+                <div className="text-green-300">P<sub>inf,y</sub> = 1 − (1 − P<sub>inf,d</sub>)<sup>365</sup> ≤ 10<sup>−4</sup></div>
+              </div>
+              <p className="text-xs text-gray-400 mt-3">
+                SSF removal from the bacterial two-site model is applied to all pathogens; protozoa and viruses are
+                typically removed less efficiently, so use the typed-value mode for organism-specific credits.
+              </p>
+            </div>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="mt-4 text-center text-xs text-gray-500">
+          Dose–response: Medema et al. (1996), Haas et al. (1996), Schiff et al. (1984), Teunis et al. (2004).
+          Risk target: Dutch Drinking Water Decree (Drinkwaterbesluit, 2011).
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QMRACalculator;
@@ -1,5 +1,11 @@
-import React, { useState, useMemo } from 'react';
+import React, { useMemo } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar, Cell, ScatterChart, Scatter, ReferenceLine, ComposedChart, Area } from 'recharts';
+import SensitivityPanel from '../components/SensitivityPanel';
+import { REGRESSION_MODELS } from '../lib/regressionModels';
+import ExportableChart from '../components/ExportableChart';
+import { useUrlState } from '../hooks/useUrlState';
+import { useKeyOutputs } from '../hooks/useKeyOutputs';
+import { useCalculationReport } from '../hooks/useCalculationReport';
 
 // Scale-Dependent Removal Predictor
 // Based on: Bai, Samari-Kermani et al. (2025) - Consistency and Challenges in Replicating SSF
@@ -8,18 +14,18 @@ import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, Responsi
 const ScaleDependentPredictor = () => {
   // ============== STATE ==============
   // Biochemical Parameters
-  const [protein, setProtein] = useState(100);           // µg/g
-  const [carbohydrate, setCarbohydrate] = useState(80);  // µg/g
-  const [biomass, setBiomass] = useState(5e7);           // copies/g
+  const [protein, setProtein] = useUrlState('protein', 100);           // µg/g
+  const [carbohydrate, setCarbohydrate] = useUrlState('carbohydrate', 80);  // µg/g
+  const [biomass, setBiomass] = useUrlState('biomass', 5e7);           // copies/g
   
   // Abiotic Parameters
-  const [sdAge, setSdAge] = useState(100);               // days
-  const [sandType, setSandType] = useState('fine');      // fine, coarse, mixed
-  const [inoculated, setInoculated] = useState(true);
+  const [sdAge, setSdAge] = useUrlState('sdAge', 100);               // days
+  const [sandType, setSandType] = useUrlState('sandType', 'fine');      // fine, coarse, mixed
+  const [inoculated, setInoculated] = useUrlState('inoculated', true);
   
   // UI State
-  const [activePreset, setActivePreset] = useState(null);
-  const [showExperimentalData, setShowExperimentalData] = useState(true);
+  const [activePreset, setActivePreset] = useUrlState('activePreset', null);
+  const [showExperimentalData, setShowExperimentalData] = useUrlState('showExperimentalData', true);
 
   // ============== FILTER SPECIFICATIONS ==============
   const filterSpecs = {
@@ -42,20 +48,13 @@ const ScaleDependentPredictor = () => {
   };
 
   // ============== MODEL COEFFICIENTS (from Tables 4, 5, 6) ==============
+  // Coefficients and equations come from lib/regressionModels; only the labels are scale-specific
   const scaleModels = {
     mini: {
       name: 'Mini-scale',
       description: '4-month operation, protein as key predictor',
       models: {
-        A: {
-          name: 'Model A (Protein)',
-          equation: 'λ = a₀ + a₁ × protein',
-          coefficients: { a0: -0.21, a1: 5.71e-3 },
-          rSquared: 0.37,
-          pValue: 0.0477,
-          keyPredictor: 'protein',
-          calculate: (params) => -0.21 + 5.71e-3 * params.protein
-        }
+        A: { ...REGRESSION_MODELS.mini_ch5.models.A, name: 'Model A (Protein)', keyPredictor: 'protein' }
       },
       note: 'Model B (abiotic only) not significant (p > 0.05). Protein correlated with age (r = 0.88).'
     },
@@ -63,24 +62,8 @@ const ScaleDependentPredictor = () => {
       name: 'Midi-scale',
       description: '12-month operation, biomass and age as predictors',
       models: {
-        A: {
-          name: 'Model A (Biomass)',
-          equation: 'λ = a₀ + a₁ × biomass',
-          coefficients: { a0: 0.128, a1: 1.85e-9 },
-          rSquared: 0.35,
-          pValue: 0.0113,
-          keyPredictor: 'biomass',
-          calculate: (params) => 0.128 + 1.85e-9 * params.biomass
-        },
-        B: {
-          name: 'Model B (Age)',
-          equation: 'λ = a₀ + a₁ × SD_age',
-          coefficients: { a0: -0.0106, a1: 1.36e-3 },
-          rSquared: 0.71,
-          pValue: 4.8e-5,
-          keyPredictor: 'age',
-          calculate: (params) => -0.0106 + 1.36e-3 * params.sdAge
-        }
+        A: { ...REGRESSION_MODELS.midi.models.A, keyPredictor: 'biomass' },
+        B: { ...REGRESSION_MODELS.midi.models.B, name: 'Model B (Age)', keyPredictor: 'age' }
       },
       note: 'Protein not significant at midi-scale due to minimal temporal variation in EPS.'
     },
@@ -88,24 +71,8 @@ const ScaleDependentPredictor = () => {
       name: 'Combined Scales',
       description: 'Mini + Midi data pooled (24 data points)',
       models: {
-        A: {
-          name: 'Model A (Biomass)',
-          equation: 'λ = a₀ + a₁ × biomass',
-          coefficients: { a0: 0.0884, a1: 2.10e-9 },
-          rSquared: 0.43,
-          pValue: 3.30e-4,
-          keyPredictor: 'biomass',
-          calculate: (params) => 0.0884 + 2.10e-9 * params.biomass
-        },
-        B: {
-          name: 'Model B (Age)',
-          equation: 'λ = a₀ + a₁ × SD_age',
-          coefficients: { a0: -0.017, a1: 1.37e-3 },
-          rSquared: 0.70,
-          pValue: 1.9e-7,
-          keyPredictor: 'age',
-          calculate: (params) => -0.017 + 1.37e-3 * params.sdAge
-        }
+        A: { ...REGRESSION_MODELS.combined.models.A, keyPredictor: 'biomass' },
+        B: { ...REGRESSION_MODELS.combined.models.B, keyPredictor: 'age' }
       },
       note: 'Scale parameters (length, diameter ratios) not significant — retention mechanisms consistent.'
     }
@@ -229,6 +196,57 @@ const ScaleDependentPredictor = () => {
     combined: Math.max(predictions.combined?.A?.value || 0, predictions.combined?.B?.value || 0)
   }), [predictions]);
 
+  useKeyOutputs([
+    { label: 'Mini-scale log₁₀ removal', value: bestPredictions.mini, unit: 'log' },
+    { label: 'Midi-scale log₁₀ removal', value: bestPredictions.midi, unit: 'log' },
+    { label: 'Combined log₁₀ removal', value: bestPredictions.combined, unit: 'log' }
+  ]);
+
+  const reportModels = Object.entries(scaleModels).flatMap(([scaleKey, scale]) => (
+    Object.entries(scale.models).map(([modelKey, model]) => ({
+      scaleKey, modelKey, scale, model, raw: model.calculate(currentParams)
+    }))
+  ));
+  useCalculationReport({
+    inputs: [
+      { label: 'Protein', value: protein, unit: 'µg/g' },
+      { label: 'Carbohydrate', value: carbohydrate, unit: 'µg/g' },
+      { label: 'Biomass (16S rRNA)', value: biomass, unit: 'copies/g' },
+      { label: 'Schmutzdecke age', value: sdAge, unit: 'd' },
+      { label: 'Sand type', value: sandType },
+      { label: 'Inoculated', value: inoculated }
+    ],
+    equations: [
+      ...reportModels.map(({ scale, model }) => ({
+        label: `${scale.name} — ${model.name}, R² = ${model.rSquared}`,
+        expression: `${model.equation};  ${Object.entries(model.coefficients).map(([k, v]) => `${k} = ${v}`).join(', ')}`
+      })),
+      { label: 'Scale prediction', expression: 'log₁₀ removal = max(0, λ) of the best model at each scale' }
+    ],
+    intermediates: reportModels.map(({ scale, model, raw }) => ({
+      label: `λ ${scale.name}, ${model.name}`, value: raw, unit: 'log'
+    })),
+    warnings: reportModels.filter((m) => m.raw < 0).map(({ scale, model, raw }) => (
+      `${scale.name} ${model.name} predicts λ = ${raw.toFixed(2)} < 0, outside the range it was fitted on; clipped to 0`
+    )),
+    references: [
+      'Bai, X., Samari-Kermani, M., et al. (2025). Consistency and challenges in replicating slow sand filtration performance for safe drinking water production. (Thesis Chapter 5)'
+    ]
+  });
+
+  // Global sensitivity of the best prediction at each scale (slider ranges)
+  const saInputs = [
+    { key: 'protein', label: 'Protein', unit: 'µg/g', value: protein, min: 10, max: 300 },
+    { key: 'carbohydrate', label: 'Carbohydrate', unit: 'µg/g', value: carbohydrate, min: 10, max: 200 },
+    { key: 'biomass', label: 'Biomass', unit: 'copies/g', value: biomass, min: 1e6, max: 1e10, log: true },
+    { key: 'sdAge', label: 'Schmutzdecke age', unit: 'd', value: sdAge, min: 1, max: 400 }
+  ];
+  const saModel = (p) => {
+    const params = { ...currentParams, ...p };
+    const best = (scale) => Math.max(0, ...Object.values(scaleModels[scale].models).map((m) => m.calculate(params)));
+    return { mini: best('mini'), midi: best('midi'), combined: best('combined') };
+  };
+
   // Age-removal relationship data for both scales
   const ageRemovalData = useMemo(() => {
     const data = [];
@@ -588,33 +606,35 @@ const ScaleDependentPredictor = () => {
             {/* Model Comparison Bar Chart */}
             <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
               <h2 className="text-sm font-semibold text-gray-700 mb-3">All Model Predictions</h2>
-              <ResponsiveContainer width="100%" height={200}>
-                <BarChart data={modelComparisonData} margin={{ top: 10, right: 30, left: 10, bottom: 30 }}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
-                  <XAxis 
-                    dataKey="name" 
-                    fontSize={10}
-                    angle={-20}
-                    textAnchor="end"
-                    height={50}
-                  />
-                  <YAxis 
-                    label={{ value: 'Log₁₀ Removal', angle: -90, position: 'insideLeft', fontSize: 12 }}
-                    fontSize={11}
-                  />
-                  <Tooltip 
-                    formatter={(value, name, props) => [
-                      `${value.toFixed(3)} log₁₀ (R² = ${props.payload.rSquared})`,
-                      'Predicted Removal'
-                    ]}
-                  />
-                  <Bar dataKey="value" radius={[4, 4, 0, 0]}>
-                    {modelComparisonData.map((entry, index) => (
-                      <Cell key={`cell-${index}`} fill={entry.fill} />
-                    ))}
-                  </Bar>
-                </BarChart>
-              </ResponsiveContainer>
+              <ExportableChart title="All Model Predictions" data={modelComparisonData}>
+                <ResponsiveContainer width="100%" height={200}>
+                  <BarChart data={modelComparisonData} margin={{ top: 10, right: 30, left: 10, bottom: 30 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis 
+                      dataKey="name" 
+                      fontSize={10}
+                      angle={-20}
+                      textAnchor="end"
+                      height={50}
+                    />
+                    <YAxis 
+                      label={{ value: 'Log₁₀ Removal', angle: -90, position: 'insideLeft', fontSize: 12 }}
+                      fontSize={11}
+                    />
+                    <Tooltip 
+                      formatter={(value, name, props) => [
+                        `${value.toFixed(3)} log₁₀ (R² = ${props.payload.rSquared})`,
+                        'Predicted Removal'
+                      ]}
+                    />
+                    <Bar dataKey="value" radius={[4, 4, 0, 0]}>
+                      {modelComparisonData.map((entry, index) => (
+                        <Cell key={`cell-${index}`} fill={entry.fill} />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </ExportableChart>
             </div>
 
             {/* Age vs Removal with Experimental Data */}
@@ -631,88 +651,103 @@ const ScaleDependentPredictor = () => {
                   Show experimental data
                 </label>
               </div>
-              <ResponsiveContainer width="100%" height={280}>
-                <ComposedChart data={ageRemovalData} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
-                  <XAxis 
-                    dataKey="age" 
-                    label={{ value: 'Schmutzdecke Age (days)', position: 'bottom', offset: 0, fontSize: 12 }}
-                    fontSize={11}
-                  />
-                  <YAxis 
-                    label={{ value: 'Log₁₀ Removal', angle: -90, position: 'insideLeft', fontSize: 12 }}
-                    fontSize={11}
-                    domain={[0, 'auto']}
-                  />
-                  <Tooltip 
-                    formatter={(value, name) => {
-                      if (name === 'mini') return [`${value.toFixed(3)}`, 'Mini (protein-based)'];
-                      if (name === 'midi') return [`${value.toFixed(3)}`, 'Midi (age-based)'];
-                      if (name === 'combined') return [`${value.toFixed(3)}`, 'Combined'];
-                      return [value, name];
-                    }}
-                    labelFormatter={(label) => `Age: ${label} days`}
-                  />
-                  <Legend verticalAlign="top" height={36} />
+              <ExportableChart title="Age–Removal Relationship" data={showExperimentalData ? [...ageRemovalData, ...filteredExperimentalData] : ageRemovalData}>
+                <ResponsiveContainer width="100%" height={280}>
+                  <ComposedChart data={ageRemovalData} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis 
+                      dataKey="age" 
+                      label={{ value: 'Schmutzdecke Age (days)', position: 'bottom', offset: 0, fontSize: 12 }}
+                      fontSize={11}
+                    />
+                    <YAxis 
+                      label={{ value: 'Log₁₀ Removal', angle: -90, position: 'insideLeft', fontSize: 12 }}
+                      fontSize={11}
+                      domain={[0, 'auto']}
+                    />
+                    <Tooltip 
+                      formatter={(value, name) => {
+                        if (name === 'mini') return [`${value.toFixed(3)}`, 'Mini (protein-based)'];
+                        if (name === 'midi') return [`${value.toFixed(3)}`, 'Midi (age-based)'];
+                        if (name === 'combined') return [`${value.toFixed(3)}`, 'Combined'];
+                        return [value, name];
+                      }}
+                      labelFormatter={(label) => `Age: ${label} days`}
+                    />
+                    <Legend verticalAlign="top" height={36} />
                   
-                  {/* Model lines */}
-                  <Line type="monotone" dataKey="mini" stroke="#22c55e" strokeWidth={2} dot={false} name="Mini-scale" />
-                  <Line type="monotone" dataKey="midi" stroke="#3b82f6" strokeWidth={2} dot={false} name="Midi-scale" />
-                  <Line type="monotone" dataKey="combined" stroke="#8b5cf6" strokeWidth={2} strokeDasharray="5 5" dot={false} name="Combined" />
+                    {/* Model lines */}
+                    <Line type="monotone" dataKey="mini" stroke="#22c55e" strokeWidth={2} dot={false} name="Mini-scale" />
+                    <Line type="monotone" dataKey="midi" stroke="#3b82f6" strokeWidth={2} dot={false} name="Midi-scale" />
+                    <Line type="monotone" dataKey="combined" stroke="#8b5cf6" strokeWidth={2} strokeDasharray="5 5" dot={false} name="Combined" />
                   
-                  {/* Experimental data points */}
-                  {showExperimentalData && (
-                    <>
-                      <Scatter 
-                        data={filteredExperimentalData.filter(d => d.scale === 'mini')}
-                        dataKey="removal"
-                        fill="#22c55e"
-                        shape="circle"
-                        name="Mini exp."
-                      />
-                      <Scatter 
-                        data={filteredExperimentalData.filter(d => d.scale === 'midi')}
-                        dataKey="removal"
-                        fill="#3b82f6"
-                        shape="diamond"
-                        name="Midi exp."
-                      />
-                    </>
-                  )}
+                    {/* Experimental data points */}
+                    {showExperimentalData && (
+                      <>
+                        <Scatter 
+                          data={filteredExperimentalData.filter(d => d.scale === 'mini')}
+                          dataKey="removal"
+                          fill="#22c55e"
+                          shape="circle"
+                          name="Mini exp."
+                        />
+                        <Scatter 
+                          data={filteredExperimentalData.filter(d => d.scale === 'midi')}
+                          dataKey="removal"
+                          fill="#3b82f6"
+                          shape="diamond"
+                          name="Midi exp."
+                        />
+                      </>
+                    )}
                   
-                  <ReferenceLine x={sdAge} stroke="#ef4444" strokeDasharray="5 5" />
-                </ComposedChart>
-              </ResponsiveContainer>
+                    <ReferenceLine x={sdAge} stroke="#ef4444" strokeDasharray="5 5" />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </ExportableChart>
             </div>
 
             {/* Biomass vs Removal */}
             <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
               <h2 className="text-sm font-semibold text-gray-700 mb-3">Biomass–Removal Relationship (Midi & Combined)</h2>
-              <ResponsiveContainer width="100%" height={220}>
-                <LineChart data={biomassRemovalData} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
-                  <XAxis 
-                    dataKey="biomass" 
-                    label={{ value: 'Biomass (log₁₀ copies/g)', position: 'bottom', offset: 0, fontSize: 12 }}
-                    fontSize={11}
-                    tickFormatter={(v) => `10^${v}`}
-                  />
-                  <YAxis 
-                    label={{ value: 'Log₁₀ Removal', angle: -90, position: 'insideLeft', fontSize: 12 }}
-                    fontSize={11}
-                  />
-                  <Tooltip 
-                    formatter={(value, name) => [`${value.toFixed(3)}`, name === 'midi' ? 'Midi (biomass)' : 'Combined (biomass)']}
-                    labelFormatter={(label) => `Biomass: 10^${label} copies/g`}
-                  />
-                  <Legend verticalAlign="top" height={36} />
-                  <ReferenceLine x={Math.log10(biomass)} stroke="#ef4444" strokeDasharray="5 5" />
-                  <Line type="monotone" dataKey="midi" stroke="#60a5fa" strokeWidth={2} dot={false} name="Midi-scale" />
-                  <Line type="monotone" dataKey="combined" stroke="#a78bfa" strokeWidth={2} dot={false} name="Combined" />
-                </LineChart>
-              </ResponsiveContainer>
+              <ExportableChart title="Biomass–Removal Relationship" data={biomassRemovalData}>
+                <ResponsiveContainer width="100%" height={220}>
+                  <LineChart data={biomassRemovalData} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis 
+                      dataKey="biomass" 
+                      label={{ value: 'Biomass (log₁₀ copies/g)', position: 'bottom', offset: 0, fontSize: 12 }}
+                      fontSize={11}
+                      tickFormatter={(v) => `10^${v}`}
+                    />
+                    <YAxis 
+                      label={{ value: 'Log₁₀ Removal', angle: -90, position: 'insideLeft', fontSize: 12 }}
+                      fontSize={11}
+                    />
+                    <Tooltip 
+                      formatter={(value, name) => [`${value.toFixed(3)}`, name === 'midi' ? 'Midi (biomass)' : 'Combined (biomass)']}
+                      labelFormatter={(label) => `Biomass: 10^${label} copies/g`}
+                    />
+                    <Legend verticalAlign="top" height={36} />
+                    <ReferenceLine x={Math.log10(biomass)} stroke="#ef4444" strokeDasharray="5 5" />
+                    <Line type="monotone" dataKey="midi" stroke="#60a5fa" strokeWidth={2} dot={false} name="Midi-scale" />
+                    <Line type="monotone" dataKey="combined" stroke="#a78bfa" strokeWidth={2} dot={false} name="Combined" />
+                  </LineChart>
+                </ResponsiveContainer>
+              </ExportableChart>
             </div>
 
+            {/* Global Sensitivity */}
+            <SensitivityPanel
+              inputs={saInputs}
+              model={saModel}
+              outputs={[
+                { key: 'midi', label: 'Midi-scale log removal', unit: 'log' },
+                { key: 'mini', label: 'Mini-scale log removal', unit: 'log' },
+                { key: 'combined', label: 'Combined-scale log removal', unit: 'log' }
+              ]}
+            />
+
             {/* Key Findings */}
             <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
               <h2 className="text-sm font-semibold text-gray-700 mb-3">Scale-Specific Key Predictors</h2>
@@ -1,25 +1,41 @@
-import React, { useState, useMemo } from 'react';
+import React, { useMemo } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar, Cell, ReferenceLine } from 'recharts';
+import { CORRELATIONS, collectorEfficiency, validityWarnings } from '../lib/collectorEfficiency';
+import {
+  EXAMPLE_SIEVE_TABLE, lognormalFromPercentiles, lognormalClasses, sieveClasses, classPercentile, gradedBedRemoval
+} from '../lib/grainSize';
+import DLVOPanel from '../components/DLVOPanel';
+import AlphaInversionPanel from '../components/AlphaInversionPanel';
+import SensitivityPanel from '../components/SensitivityPanel';
+import ExportableChart from '../components/ExportableChart';
+import { useUrlState } from '../hooks/useUrlState';
+import { useKeyOutputs } from '../hooks/useKeyOutputs';
+import { useCalculationReport } from '../hooks/useCalculationReport';
 
 // Tufenkji-Elimelech (2004) Single-Collector Contact Efficiency Calculator
 // Reference: Tufenkji, N. & Elimelech, M. (2004). Environ. Sci. Technol., 38(2), 529-536.
 
 const TufenkjiElimelech = () => {
-  // ============== PHYSICAL CONSTANTS ==============
-  const kB = 1.38065e-23;  // Boltzmann constant [J/K]
-  const g = 9.81;           // Gravitational acceleration [m/s²]
-
   // ============== STATE ==============
-  const [dp, setDp] = useState(1.0);           // Particle diameter [µm]
-  const [dc, setDc] = useState(0.5);           // Collector diameter [mm]
-  const [velocity, setVelocity] = useState(0.5); // Darcy velocity [m/h]
-  const [porosity, setPorosity] = useState(0.4);  // Bed porosity [-]
-  const [rhoP, setRhoP] = useState(1050);      // Particle density [kg/m³]
-  const [temp, setTemp] = useState(20);         // Temperature [°C]
-  const [hamaker, setHamaker] = useState(1.0);  // Hamaker constant [×10⁻²⁰ J]
-  const [alpha, setAlpha] = useState(0.1);      // Sticking efficiency [-]
-
-  const [activePreset, setActivePreset] = useState(null);
+  const [dp, setDp] = useUrlState('dp', 1.0);           // Particle diameter [µm]
+  const [dc, setDc] = useUrlState('dc', 0.5);           // Collector diameter [mm]
+  const [velocity, setVelocity] = useUrlState('velocity', 0.5); // Darcy velocity [m/h]
+  const [porosity, setPorosity] = useUrlState('porosity', 0.4);  // Bed porosity [-]
+  const [rhoP, setRhoP] = useUrlState('rhoP', 1050);      // Particle density [kg/m³]
+  const [temp, setTemp] = useUrlState('temp', 20);         // Temperature [°C]
+  const [hamaker, setHamaker] = useUrlState('hamaker', 1.0);  // Hamaker constant [×10⁻²⁰ J]
+  const [alpha, setAlpha] = useUrlState('alpha', 0.1);      // Sticking efficiency [-]
+
+  const [activePreset, setActivePreset] = useUrlState('activePreset', null);
+  const [correlation, setCorrelation] = useUrlState('correlation', 'te'); // key of CORRELATIONS
+  const [overlay, setOverlay] = useUrlState('overlay', false);        // plot η₀ of every correlation
+
+  const [bedDepth, setBedDepth] = useUrlState('bedDepth', 0.8);        // Filter bed depth [m]
+  const [grading, setGrading] = useUrlState('grading', 'uniform');    // 'uniform' | 'percentiles' | 'sieve'
+  const [d10, setD10] = useUrlState('d10', 0.2);                  // Grain-size percentiles [mm]
+  const [d50, setD50] = useUrlState('d50', 0.3);
+  const [d60, setD60] = useUrlState('d60', 0.35);
+  const [sieveText, setSieveText] = useUrlState('sieveText', EXAMPLE_SIEVE_TABLE);
 
   // ============== PRESETS ==============
   const presets = {
@@ -56,35 +72,6 @@ const TufenkjiElimelech = () => {
     setActivePreset(key);
   };
 
-  // ============== CORE TE CALCULATION ==============
-  const computeTE = (dpM, dcM, U, f, rhoParticle, T_K, A) => {
-    // Fluid properties from temperature
-    const mu = 2.414e-5 * Math.pow(10, 247.8 / (T_K - 140)); // Dynamic viscosity [Pa·s]
-    const rhoF = 1000 * (1 - Math.pow(T_K - 273.15 - 4, 2) / 180000); // Water density [kg/m³]
-
-    // Stokes-Einstein diffusion coefficient
-    const D_inf = kB * T_K / (3 * Math.PI * mu * dpM);
-
-    // Happel parameter
-    const gamma = Math.pow(1 - f, 1 / 3);
-    const As = 2 * (1 - Math.pow(gamma, 5)) / (2 - 3 * gamma + 3 * Math.pow(gamma, 5) - 2 * Math.pow(gamma, 6));
-
-    // Dimensionless numbers
-    const NR = dpM / dcM;
-    const NPe = U * dcM / D_inf;
-    const NvdW = A / (kB * T_K);
-    const NG = (2 / 9) * (rhoParticle - rhoF) * g * Math.pow(dpM, 2) / (mu * U);
-    const NA = A / (12 * Math.PI * mu * Math.pow(dpM, 2) * U);
-
-    // TE correlation (Eq. 17)
-    const etaD = 2.4 * Math.pow(As, 1 / 3) * Math.pow(NR, -0.081) * Math.pow(NPe, -0.715) * Math.pow(NvdW, 0.052);
-    const etaI = 0.55 * As * Math.pow(NR, 1.675) * Math.pow(NA, 0.125);
-    const etaG = 0.22 * Math.pow(NR, -0.24) * Math.pow(NG, 1.11) * Math.pow(NvdW, 0.053);
-    const eta0 = etaD + etaI + etaG;
-
-    return { D_inf, As, gamma, NR, NPe, NvdW, NG, NA, etaD, etaI, etaG, eta0, mu, rhoF };
-  };
-
   // ============== MAIN RESULT ==============
   const teResults = useMemo(() => {
     const dpM = dp * 1e-6;        // µm → m
@@ -93,24 +80,59 @@ const TufenkjiElimelech = () => {
     const T_K = temp + 273.15;     // °C → K
     const A = hamaker * 1e-20;     // ×10⁻²⁰ J → J
 
-    const res = computeTE(dpM, dcM, U, porosity, rhoP, T_K, A);
-
-    // Filter-scale removal
-    const katt = (3 / 2) * ((1 - porosity) / dcM) * U * alpha * res.eta0;
-    const L = 0.8; // m
-    const logRemoval = (3 / 2) * ((1 - porosity) / dcM) * (L / Math.LN10) * alpha * res.eta0;
+    const res = collectorEfficiency(correlation, dpM, dcM, U, porosity, rhoP, T_K, A);
 
     // Dominant mechanism
     const dominant = res.etaD >= res.etaI && res.etaD >= res.etaG ? 'Diffusion'
       : res.etaI >= res.etaG ? 'Interception' : 'Gravity';
 
-    // Validity checks
-    const validNR = res.NR >= 0.01 && res.NR <= 0.1;
-    const validNPe = res.NPe >= 1e2 && res.NPe <= 1e7;
-    const isValid = validNR && validNPe;
+    // Validity checks against the selected correlation's calibration range
+    const warnings = validityWarnings(correlation, res, porosity);
+
+    return { ...res, dominant, warnings, isValid: warnings.length === 0 };
+  }, [correlation, dp, dc, velocity, porosity, rhoP, temp, hamaker]);
 
-    return { ...res, katt, logRemoval, dominant, validNR, validNPe, isValid };
-  }, [dp, dc, velocity, porosity, rhoP, temp, hamaker, alpha]);
+  // ============== FILTER BED (GRADED) ==============
+  const gradedBed = useMemo(() => {
+    const classes = grading === 'percentiles' ? lognormalClasses(lognormalFromPercentiles({ d10, d50, d60 }))
+      : grading === 'sieve' ? sieveClasses(sieveText)
+        : [{ d: dc, fraction: 1 }];
+    if (classes.length === 0) return null;
+
+    const dpM = dp * 1e-6;
+    const U = velocity / 3600;
+    const T_K = temp + 273.15;
+    const A = hamaker * 1e-20;
+    const etaOf = (dMm) => collectorEfficiency(correlation, dpM, dMm * 1e-3, U, porosity, rhoP, T_K, A).eta0;
+    const bed = gradedBedRemoval(classes, etaOf, { porosity, alpha, bedDepth, velocity: U });
+    const p10 = grading === 'uniform' ? dc : classPercentile(classes, 10);
+    const p60 = grading === 'uniform' ? dc : classPercentile(classes, 60);
+    return { ...bed, d10: p10, d60: p60, uniformity: p60 / p10 };
+  }, [grading, d10, d50, d60, sieveText, correlation, dp, dc, velocity, porosity, rhoP, temp, hamaker, alpha, bedDepth]);
+
+  useKeyOutputs([
+    { label: 'η₀', value: teResults.eta0, unit: '–' },
+    { label: 'k_att', value: gradedBed?.katt, unit: 's⁻¹' },
+    { label: 'Log₁₀ removal', value: gradedBed?.logRemoval, unit: 'log' }
+  ]);
+
+  // ============== CORRELATION COMPARISON ==============
+  const correlationComparison = useMemo(() => {
+    const dpM = dp * 1e-6;
+    const dcM = dc * 1e-3;
+    const U = velocity / 3600;
+    const T_K = temp + 273.15;
+    const A = hamaker * 1e-20;
+    return Object.entries(CORRELATIONS).map(([key, c]) => {
+      const res = collectorEfficiency(key, dpM, dcM, U, porosity, rhoP, T_K, A);
+      return { key, ...c, ...res, warnings: validityWarnings(key, res, porosity) };
+    });
+  }, [dp, dc, velocity, porosity, rhoP, temp, hamaker]);
+
+  // η₀ of every correlation at one sweep point, keyed eta0_<correlation>
+  const overlayPoint = (dpM, dcM, U, T_K, A) => Object.fromEntries(
+    Object.keys(CORRELATIONS).map((key) => [`eta0_${key}`, collectorEfficiency(key, dpM, dcM, U, porosity, rhoP, T_K, A).eta0])
+  );
 
   // ============== PARTICLE SIZE SWEEP ==============
   const particleSizeSweep = useMemo(() => {
@@ -124,17 +146,18 @@ const TufenkjiElimelech = () => {
     for (let exp = -2; exp <= 1; exp += 0.05) {
       const dpUm = Math.pow(10, exp);
       const dpM = dpUm * 1e-6;
-      const res = computeTE(dpM, dcM, U, porosity, rhoP, T_K, A);
+      const res = collectorEfficiency(correlation, dpM, dcM, U, porosity, rhoP, T_K, A);
       data.push({
         dp: parseFloat(dpUm.toFixed(4)),
         etaD: res.etaD,
         etaI: res.etaI,
         etaG: res.etaG,
-        eta0: res.eta0
+        eta0: res.eta0,
+        ...(overlay ? overlayPoint(dpM, dcM, U, T_K, A) : {})
       });
     }
     return data;
-  }, [dc, velocity, porosity, rhoP, temp, hamaker]);
+  }, [correlation, overlay, dc, velocity, porosity, rhoP, temp, hamaker]);
 
   // ============== VELOCITY SWEEP ==============
   const velocitySweep = useMemo(() => {
@@ -146,17 +169,18 @@ const TufenkjiElimelech = () => {
 
     for (let v = 0.05; v <= 5.0; v += 0.1) {
       const U = v / 3600;
-      const res = computeTE(dpM, dcM, U, porosity, rhoP, T_K, A);
+      const res = collectorEfficiency(correlation, dpM, dcM, U, porosity, rhoP, T_K, A);
       data.push({
         velocity: parseFloat(v.toFixed(2)),
         etaD: res.etaD,
         etaI: res.etaI,
         etaG: res.etaG,
-        eta0: res.eta0
+        eta0: res.eta0,
+        ...(overlay ? overlayPoint(dpM, dcM, U, T_K, A) : {})
       });
     }
     return data;
-  }, [dp, dc, porosity, rhoP, temp, hamaker]);
+  }, [correlation, overlay, dp, dc, porosity, rhoP, temp, hamaker]);
 
   // ============== MECHANISM BREAKDOWN DATA ==============
   const mechanismData = useMemo(() => {
@@ -169,6 +193,28 @@ const TufenkjiElimelech = () => {
     ];
   }, [teResults]);
 
+  // ============== GLOBAL SENSITIVITY ==============
+  // Uniform bed of d_c with the selected correlation; slider ranges as default bounds
+  const saInputs = [
+    { key: 'dp', label: 'Particle diameter', unit: 'µm', value: dp, min: 0.01, max: 10, log: true },
+    { key: 'dc', label: 'Collector diameter', unit: 'mm', value: dc, min: 0.1, max: 2.0 },
+    { key: 'velocity', label: 'Darcy velocity', unit: 'm/h', value: velocity, min: 0.05, max: 5.0, log: true },
+    { key: 'porosity', label: 'Porosity', unit: '', value: porosity, min: 0.25, max: 0.55 },
+    { key: 'rhoP', label: 'Particle density', unit: 'kg/m³', value: rhoP, min: 900, max: 2500 },
+    { key: 'temp', label: 'Temperature', unit: '°C', value: temp, min: 5, max: 35 },
+    { key: 'hamaker', label: 'Hamaker constant', unit: '×10⁻²⁰ J', value: hamaker, min: 0.1, max: 10, log: true },
+    { key: 'alpha', label: 'Sticking efficiency', unit: '', value: alpha, min: 0.001, max: 1, log: true },
+    { key: 'bedDepth', label: 'Bed depth', unit: 'm', value: bedDepth, min: 0.1, max: 2.0 }
+  ];
+  const saModel = (p) => {
+    const dcM = p.dc * 1e-3;
+    const res = collectorEfficiency(correlation, p.dp * 1e-6, dcM, p.velocity / 3600, p.porosity, p.rhoP, p.temp + 273.15, p.hamaker * 1e-20);
+    return {
+      logRemoval: (1.5 * (1 - p.porosity) * p.alpha * res.eta0 * p.bedDepth) / (dcM * Math.LN10),
+      logEta0: Math.log10(res.eta0)
+    };
+  };
+
   // ============== UI COMPONENTS ==============
   const Slider = ({ label, value, setValue, min, max, step, unit, description }) => (
     <div className="mb-4">
@@ -215,6 +261,88 @@ const TufenkjiElimelech = () => {
     return val.toExponential(digits);
   };
 
+  const formatRange = ({ min, max }) => (
+    max === Infinity ? `≥ ${formatSci(min)}` : min === 0 ? `≤ ${formatSci(max)}` : `${formatSci(min)}–${formatSci(max)}`
+  );
+
+  useCalculationReport({
+    inputs: [
+      { label: 'Correlation', value: CORRELATIONS[correlation].name },
+      { label: 'Particle diameter d_p', value: dp, unit: 'µm' },
+      ...(grading === 'uniform' ? [{ label: 'Collector diameter d_c', value: dc, unit: 'mm' }] : []),
+      ...(grading === 'percentiles' ? [
+        { label: 'Grain size d₁₀', value: d10, unit: 'mm' },
+        { label: 'Grain size d₅₀', value: d50, unit: 'mm' },
+        { label: 'Grain size d₆₀', value: d60, unit: 'mm' }
+      ] : []),
+      ...(grading === 'sieve' ? [{ label: 'Grain-size distribution', value: `sieve table, ${gradedBed?.classes.length ?? 0} classes` }] : []),
+      { label: 'Darcy velocity U', value: velocity, unit: 'm/h' },
+      { label: 'Porosity f', value: porosity, unit: '–' },
+      { label: 'Particle density ρ_p', value: rhoP, unit: 'kg/m³' },
+      { label: 'Temperature T', value: temp, unit: '°C' },
+      { label: 'Hamaker constant A', value: hamaker, unit: '×10⁻²⁰ J' },
+      { label: 'Sticking efficiency α', value: alpha, unit: '–' },
+      { label: 'Bed depth L', value: bedDepth, unit: 'm' }
+    ],
+    equations: [
+      { label: 'Single-collector efficiency (TE Eq. 17)', expression: 'η₀ = η_D + η_I + η_G' },
+      { label: 'Diffusion', expression: 'η_D = 2.4 A_s^(1/3) N_R^(−0.081) N_Pe^(−0.715) N_vdW^(0.052)' },
+      { label: 'Interception', expression: 'η_I = 0.55 A_s N_R^(1.675) N_A^(0.125)' },
+      { label: 'Gravity', expression: 'η_G = 0.22 N_R^(−0.24) N_G^(1.11) N_vdW^(0.053)' },
+      {
+        label: 'Dimensionless numbers',
+        expression: 'D∞ = kT / (3πμd_p);  N_R = d_p/d_c;  N_Pe = U d_c / D∞;  N_vdW = A / kT\n'
+          + 'N_A = A / (12πμa_p²U);  N_G = (2/9)(ρ_p − ρ_f) g a_p² / (μU);  a_p = d_p/2\n'
+          + 'γ = (1 − f)^(1/3);  A_s = 2(1 − γ⁵) / (2 − 3γ + 3γ⁵ − 2γ⁶)'
+      },
+      ...(correlation !== 'te' ? [{ label: `Selected correlation: ${CORRELATIONS[correlation].name} (TE above for reference)`, expression: CORRELATIONS[correlation].reference }] : []),
+      {
+        label: 'Bed removal (graded bed, size classes i with mass fraction x_i)',
+        expression: 'λ = (3/2)(1 − f) α Σ x_i η₀,i / d_i;  k_att = λU;  log₁₀ removal = λL / ln 10'
+      }
+    ],
+    intermediates: [
+      { label: 'Water viscosity μ', value: teResults.mu, unit: 'Pa·s' },
+      { label: 'Water density ρ_f', value: teResults.rhoF, unit: 'kg/m³' },
+      { label: 'Diffusion coefficient D∞', value: teResults.D_inf, unit: 'm²/s' },
+      { label: 'Happel parameter A_s', value: teResults.As, unit: '–' },
+      { label: 'Aspect ratio N_R', value: teResults.NR, unit: '–' },
+      { label: 'Péclet number N_Pe', value: teResults.NPe, unit: '–' },
+      { label: 'van der Waals number N_vdW', value: teResults.NvdW, unit: '–' },
+      { label: 'Attraction number N_A', value: teResults.NA, unit: '–' },
+      { label: 'Gravity number N_G', value: teResults.NG, unit: '–' },
+      { label: 'η_D', value: teResults.etaD, unit: '–' },
+      { label: 'η_I', value: teResults.etaI, unit: '–' },
+      { label: 'η_G', value: teResults.etaG, unit: '–' },
+      { label: 'Dominant mechanism', value: teResults.dominant },
+      { label: 'Filter coefficient λ', value: gradedBed?.lambda, unit: 'm⁻¹' },
+      ...(grading !== 'uniform' ? [
+        { label: 'Equivalent (Sauter) diameter', value: gradedBed?.dEquivalent, unit: 'mm' },
+        { label: 'Uniformity coefficient d₆₀/d₁₀', value: gradedBed?.uniformity, unit: '–' }
+      ] : [])
+    ],
+    warnings: teResults.warnings.map((w) => (
+      `${w.label} = ${formatSci(w.value)} is outside the ${CORRELATIONS[correlation].shortName} calibration range (${formatRange(w)})`
+    )),
+    references: [
+      CORRELATIONS.te.reference,
+      ...(correlation !== 'te' ? [CORRELATIONS[correlation].reference] : [])
+    ]
+  });
+
+  // Sweep lines: component breakdown for the selected correlation, or η₀ of every correlation
+  const sweepLines = (short) => (overlay
+    ? Object.entries(CORRELATIONS).map(([key, c]) => (
+      <Line key={key} type="monotone" dataKey={`eta0_${key}`} stroke={c.color}
+        strokeWidth={key === correlation ? 2.5 : 1.5} dot={false} name={`η₀ ${c.shortName}`} />
+    ))
+    : [
+      <Line key="eta0" type="monotone" dataKey="eta0" stroke="#06b6d4" strokeWidth={2.5} dot={false} name="η₀ (total)" />,
+      <Line key="etaD" type="monotone" dataKey="etaD" stroke="#3b82f6" strokeWidth={1.5} dot={false} name={short ? 'η_D' : 'η_D (diffusion)'} strokeDasharray="4 2" />,
+      <Line key="etaI" type="monotone" dataKey="etaI" stroke="#22c55e" strokeWidth={1.5} dot={false} name={short ? 'η_I' : 'η_I (interception)'} strokeDasharray="4 2" />,
+      <Line key="etaG" type="monotone" dataKey="etaG" stroke="#f59e0b" strokeWidth={1.5} dot={false} name={short ? 'η_G' : 'η_G (gravity)'} strokeDasharray="4 2" />
+    ]);
+
   // ============== RENDER ==============
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 to-cyan-50 p-4">
@@ -235,6 +363,23 @@ const TufenkjiElimelech = () => {
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
           {/* Left Panel: Controls */}
           <div className="lg:col-span-1 space-y-4">
+            {/* Correlation */}
+            <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+              <h2 className="text-sm font-semibold text-gray-700 mb-3">Collector Efficiency Correlation</h2>
+              <select
+                value={correlation}
+                onChange={(e) => setCorrelation(e.target.value)}
+                className="w-full text-sm border border-gray-200 rounded-lg p-2"
+              >
+                {Object.entries(CORRELATIONS).map(([key, c]) => <option key={key} value={key}>{c.name}</option>)}
+              </select>
+              <p className="text-xs text-gray-500 mt-2">{CORRELATIONS[correlation].reference}</p>
+              <label className="flex items-center gap-2 text-xs text-gray-600 mt-3">
+                <input type="checkbox" checked={overlay} onChange={(e) => setOverlay(e.target.checked)} />
+                Overlay η₀ from all correlations on the sweep charts
+              </label>
+            </div>
+
             {/* Presets */}
             <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
               <h2 className="text-sm font-semibold text-gray-700 mb-3">Scenario Presets</h2>
@@ -302,19 +447,20 @@ const TufenkjiElimelech = () => {
                 description="Particle-water-grain attraction" />
               <Slider label="Sticking efficiency (α)" value={alpha} setValue={setAlpha}
                 min={0.001} max={1.0} step={0.001} unit=""
-                description="Fraction of collisions that attach (0–1)" />
+                description="Fraction of collisions that attach (0–1); estimate it from DLVO below" />
             </div>
 
             {/* Validity Check */}
             {!teResults.isValid && (
               <div className="p-3 bg-amber-50 rounded-lg border border-amber-200">
-                <p className="text-xs text-amber-800 font-semibold mb-1">Outside recommended validity range:</p>
-                {!teResults.validNR && (
-                  <p className="text-xs text-amber-700">N_R = {formatSci(teResults.NR)} (valid: 0.01–0.1)</p>
-                )}
-                {!teResults.validNPe && (
-                  <p className="text-xs text-amber-700">N_Pe = {formatSci(teResults.NPe)} (valid: 10²–10⁷)</p>
-                )}
+                <p className="text-xs text-amber-800 font-semibold mb-1">
+                  Outside {CORRELATIONS[correlation].shortName} validity range:
+                </p>
+                {teResults.warnings.map((w) => (
+                  <p key={w.label} className="text-xs text-amber-700">
+                    {w.label} = {formatSci(w.value)} (valid: {formatRange(w)})
+                  </p>
+                ))}
               </div>
             )}
           </div>
@@ -380,17 +526,19 @@ const TufenkjiElimelech = () => {
             {/* Mechanism Breakdown */}
             <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
               <h2 className="text-sm font-semibold text-gray-700 mb-3">Mechanism Breakdown</h2>
-              <ResponsiveContainer width="100%" height={80}>
-                <BarChart data={[{ name: 'Efficiency', etaD: teResults.etaD, etaI: teResults.etaI, etaG: teResults.etaG }]}
-                  layout="vertical" margin={{ top: 5, right: 30, left: 30, bottom: 5 }}>
-                  <XAxis type="number" fontSize={11} tickFormatter={(v) => formatSci(v)} />
-                  <YAxis dataKey="name" type="category" fontSize={11} hide />
-                  <Tooltip formatter={(value) => formatSci(value, 4)} contentStyle={{ fontSize: '12px' }} />
-                  <Bar dataKey="etaD" stackId="a" fill="#3b82f6" name="Diffusion (η_D)" />
-                  <Bar dataKey="etaI" stackId="a" fill="#22c55e" name="Interception (η_I)" />
-                  <Bar dataKey="etaG" stackId="a" fill="#f59e0b" name="Gravity (η_G)" />
-                </BarChart>
-              </ResponsiveContainer>
+              <ExportableChart title="Mechanism Breakdown" data={[{ etaD: teResults.etaD, etaI: teResults.etaI, etaG: teResults.etaG, eta0: teResults.eta0 }]}>
+                <ResponsiveContainer width="100%" height={80}>
+                  <BarChart data={[{ name: 'Efficiency', etaD: teResults.etaD, etaI: teResults.etaI, etaG: teResults.etaG }]}
+                    layout="vertical" margin={{ top: 5, right: 30, left: 30, bottom: 5 }}>
+                    <XAxis type="number" fontSize={11} tickFormatter={(v) => formatSci(v)} />
+                    <YAxis dataKey="name" type="category" fontSize={11} hide />
+                    <Tooltip formatter={(value) => formatSci(value, 4)} contentStyle={{ fontSize: '12px' }} />
+                    <Bar dataKey="etaD" stackId="a" fill="#3b82f6" name="Diffusion (η_D)" />
+                    <Bar dataKey="etaI" stackId="a" fill="#22c55e" name="Interception (η_I)" />
+                    <Bar dataKey="etaG" stackId="a" fill="#f59e0b" name="Gravity (η_G)" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </ExportableChart>
               <div className="flex justify-center gap-4 mt-2 text-xs">
                 {mechanismData.map((m) => (
                   <span key={m.name} className="flex items-center gap-1">
@@ -401,44 +549,83 @@ const TufenkjiElimelech = () => {
               </div>
             </div>
 
+            {/* Correlation Comparison */}
+            {overlay && (
+              <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
+                <h2 className="text-sm font-semibold text-gray-700 mb-3">Correlation Comparison at Current Inputs</h2>
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-gray-500 border-b border-gray-200">
+                      <th className="text-left py-1">Correlation</th>
+                      <th className="text-right py-1">η_D</th>
+                      <th className="text-right py-1">η_I</th>
+                      <th className="text-right py-1">η_G</th>
+                      <th className="text-right py-1">η₀</th>
+                      <th className="text-right py-1">η₀ / TE</th>
+                      <th className="text-left py-1 pl-3">Validity</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {correlationComparison.map((c) => (
+                      <tr key={c.key} className={`border-b border-gray-100 ${c.key === correlation ? 'bg-cyan-50' : ''}`}>
+                        <td className="py-1">
+                          <span className="inline-block w-2 h-2 rounded-full mr-1" style={{ backgroundColor: c.color }} />
+                          {c.name}
+                        </td>
+                        <td className="py-1 text-right font-mono">{formatSci(c.etaD)}</td>
+                        <td className="py-1 text-right font-mono">{formatSci(c.etaI)}</td>
+                        <td className="py-1 text-right font-mono">{formatSci(c.etaG)}</td>
+                        <td className="py-1 text-right font-mono font-semibold">{formatSci(c.eta0, 3)}</td>
+                        <td className="py-1 text-right font-mono">{(c.eta0 / correlationComparison[0].eta0).toFixed(2)}</td>
+                        <td className="py-1 pl-3">
+                          {c.warnings.length === 0
+                            ? <span className="text-green-600">✓ in range</span>
+                            : <span className="text-amber-600">⚠ {c.warnings.map((w) => `${w.label} ${formatRange(w)}`).join(', ')}</span>}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
             {/* η₀ vs Particle Size — the signature TE curve */}
             <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
               <h2 className="text-sm font-semibold text-gray-700 mb-3">
                 Collection Efficiency vs Particle Size
               </h2>
-              <ResponsiveContainer width="100%" height={280}>
-                <LineChart data={particleSizeSweep} margin={{ top: 10, right: 30, left: 10, bottom: 25 }}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
-                  <XAxis
-                    dataKey="dp"
-                    scale="log"
-                    domain={[0.01, 10]}
-                    type="number"
-                    fontSize={11}
-                    tickFormatter={(v) => v >= 1 ? v.toFixed(0) : v < 0.1 ? v.toFixed(2) : v.toFixed(1)}
-                    label={{ value: 'Particle diameter d_p (µm)', position: 'bottom', offset: 5, fontSize: 12 }}
-                  />
-                  <YAxis
-                    scale="log"
-                    domain={['auto', 'auto']}
-                    fontSize={11}
-                    tickFormatter={(v) => formatSci(v)}
-                    label={{ value: 'η', angle: -90, position: 'insideLeft', fontSize: 12 }}
-                  />
-                  <Tooltip
-                    formatter={(value, name) => [formatSci(value, 4), name]}
-                    labelFormatter={(label) => `d_p = ${label} µm`}
-                    contentStyle={{ fontSize: '12px' }}
-                  />
-                  <Legend verticalAlign="top" height={36} />
-                  <ReferenceLine x={dp} stroke="#ef4444" strokeDasharray="5 5"
-                    label={{ value: 'Current', position: 'top', fontSize: 10, fill: '#ef4444' }} />
-                  <Line type="monotone" dataKey="eta0" stroke="#06b6d4" strokeWidth={2.5} dot={false} name="η₀ (total)" />
-                  <Line type="monotone" dataKey="etaD" stroke="#3b82f6" strokeWidth={1.5} dot={false} name="η_D (diffusion)" strokeDasharray="4 2" />
-                  <Line type="monotone" dataKey="etaI" stroke="#22c55e" strokeWidth={1.5} dot={false} name="η_I (interception)" strokeDasharray="4 2" />
-                  <Line type="monotone" dataKey="etaG" stroke="#f59e0b" strokeWidth={1.5} dot={false} name="η_G (gravity)" strokeDasharray="4 2" />
-                </LineChart>
-              </ResponsiveContainer>
+              <ExportableChart title="Collection Efficiency vs Particle Size" data={particleSizeSweep}>
+                <ResponsiveContainer width="100%" height={280}>
+                  <LineChart data={particleSizeSweep} margin={{ top: 10, right: 30, left: 10, bottom: 25 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis
+                      dataKey="dp"
+                      scale="log"
+                      domain={[0.01, 10]}
+                      type="number"
+                      fontSize={11}
+                      tickFormatter={(v) => v >= 1 ? v.toFixed(0) : v < 0.1 ? v.toFixed(2) : v.toFixed(1)}
+                      label={{ value: 'Particle diameter d_p (µm)', position: 'bottom', offset: 5, fontSize: 12 }}
+                    />
+                    <YAxis
+                      scale="log"
+                      domain={['auto', 'auto']}
+                      fontSize={11}
+                      tickFormatter={(v) => formatSci(v)}
+                      label={{ value: 'η', angle: -90, position: 'insideLeft', fontSize: 12 }}
+                    />
+                    <Tooltip
+                      formatter={(value, name) => [formatSci(value, 4), name]}
+                      labelFormatter={(label) => `d_p = ${label} µm`}
+                      contentStyle={{ fontSize: '12px' }}
+                    />
+                    <Legend verticalAlign="top" height={36} />
+                    <ReferenceLine x={dp} stroke="#ef4444" strokeDasharray="5 5"
+                      label={{ value: 'Current', position: 'top', fontSize: 10, fill: '#ef4444' }} />
+                    {sweepLines(false)}
+                  </LineChart>
+                </ResponsiveContainer>
+              </ExportableChart>
               <div className="mt-2 text-xs text-gray-500 text-center">
                 The classic TE curve shows a minimum efficiency near 0.5–2 µm where neither diffusion nor interception/gravity dominates.
               </div>
@@ -449,71 +636,238 @@ const TufenkjiElimelech = () => {
               <h2 className="text-sm font-semibold text-gray-700 mb-3">
                 Collection Efficiency vs Flow Velocity
               </h2>
-              <ResponsiveContainer width="100%" height={220}>
-                <LineChart data={velocitySweep} margin={{ top: 10, right: 30, left: 10, bottom: 25 }}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
-                  <XAxis
-                    dataKey="velocity"
-                    fontSize={11}
-                    label={{ value: 'Darcy velocity U (m/h)', position: 'bottom', offset: 5, fontSize: 12 }}
-                  />
-                  <YAxis
-                    fontSize={11}
-                    tickFormatter={(v) => formatSci(v)}
-                    label={{ value: 'η', angle: -90, position: 'insideLeft', fontSize: 12 }}
-                  />
-                  <Tooltip
-                    formatter={(value, name) => [formatSci(value, 4), name]}
-                    labelFormatter={(label) => `U = ${label} m/h`}
-                    contentStyle={{ fontSize: '12px' }}
-                  />
-                  <Legend verticalAlign="top" height={36} />
-                  <ReferenceLine x={velocity} stroke="#ef4444" strokeDasharray="5 5"
-                    label={{ value: 'Current', position: 'top', fontSize: 10, fill: '#ef4444' }} />
-                  <Line type="monotone" dataKey="eta0" stroke="#06b6d4" strokeWidth={2.5} dot={false} name="η₀ (total)" />
-                  <Line type="monotone" dataKey="etaD" stroke="#3b82f6" strokeWidth={1.5} dot={false} name="η_D" strokeDasharray="4 2" />
-                  <Line type="monotone" dataKey="etaI" stroke="#22c55e" strokeWidth={1.5} dot={false} name="η_I" strokeDasharray="4 2" />
-                  <Line type="monotone" dataKey="etaG" stroke="#f59e0b" strokeWidth={1.5} dot={false} name="η_G" strokeDasharray="4 2" />
-                </LineChart>
-              </ResponsiveContainer>
+              <ExportableChart title="Collection Efficiency vs Flow Velocity" data={velocitySweep}>
+                <ResponsiveContainer width="100%" height={220}>
+                  <LineChart data={velocitySweep} margin={{ top: 10, right: 30, left: 10, bottom: 25 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis
+                      dataKey="velocity"
+                      fontSize={11}
+                      label={{ value: 'Darcy velocity U (m/h)', position: 'bottom', offset: 5, fontSize: 12 }}
+                    />
+                    <YAxis
+                      fontSize={11}
+                      tickFormatter={(v) => formatSci(v)}
+                      label={{ value: 'η', angle: -90, position: 'insideLeft', fontSize: 12 }}
+                    />
+                    <Tooltip
+                      formatter={(value, name) => [formatSci(value, 4), name]}
+                      labelFormatter={(label) => `U = ${label} m/h`}
+                      contentStyle={{ fontSize: '12px' }}
+                    />
+                    <Legend verticalAlign="top" height={36} />
+                    <ReferenceLine x={velocity} stroke="#ef4444" strokeDasharray="5 5"
+                      label={{ value: 'Current', position: 'top', fontSize: 10, fill: '#ef4444' }} />
+                    {sweepLines(true)}
+                  </LineChart>
+                </ResponsiveContainer>
+              </ExportableChart>
             </div>
 
-            {/* Filter-Scale Removal */}
+            {/* Filter-Bed Removal */}
             <div className="bg-white rounded-xl shadow-sm p-4 border border-gray-100">
-              <h2 className="text-sm font-semibold text-gray-700 mb-3">Filter-Scale Removal (0.8 m bed)</h2>
-              <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
-                <MetricCard
-                  title="k_att"
-                  value={formatSci(teResults.katt)}
-                  unit="s⁻¹"
-                  subtitle="Attachment rate"
-                  color="cyan"
-                />
-                <MetricCard
-                  title="Log₁₀ Removal"
-                  value={teResults.logRemoval.toFixed(2)}
-                  unit=""
-                  subtitle={`α = ${alpha}, L = 0.8 m`}
-                  color="blue"
-                />
-                <MetricCard
-                  title="% Removal"
-                  value={teResults.logRemoval > 0 ? ((1 - Math.pow(10, -teResults.logRemoval)) * 100).toFixed(1) : '0.0'}
-                  unit="%"
-                  subtitle="1 − C/C₀"
-                  color="green"
-                />
-              </div>
-              <div className="mt-3 p-3 bg-gray-50 rounded-lg text-xs text-gray-600 font-mono">
-                −log₁₀(C/C₀) = (3/2) × (1−f)/d_c × (L/ln10) × α × η₀
-                = (3/2) × {((1 - porosity) / (dc * 1e-3)).toFixed(0)} × {(0.8 / Math.LN10).toFixed(2)} × {alpha} × {formatSci(teResults.eta0)}
-                = {teResults.logRemoval.toFixed(3)}
+              <h2 className="text-sm font-semibold text-gray-700 mb-3">Filter-Bed Removal ({bedDepth} m bed)</h2>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <Slider label="Bed depth (L)" value={bedDepth} setValue={setBedDepth}
+                    min={0.1} max={2.0} step={0.05} unit="m" />
+                  <div className="text-sm text-gray-700 font-medium mb-1">Grain-size distribution</div>
+                  <div className="flex gap-2 mb-3">
+                    {[
+                      { key: 'uniform', label: 'Uniform d_c' },
+                      { key: 'percentiles', label: 'd10 / d50 / d60' },
+                      { key: 'sieve', label: 'Sieve table' }
+                    ].map(({ key, label }) => (
+                      <button
+                        key={key}
+                        onClick={() => setGrading(key)}
+                        className={`px-3 py-1 text-xs rounded-lg border ${
+                          grading === key ? 'bg-cyan-600 border-cyan-600 text-white' : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  {grading === 'uniform' && (
+                    <p className="text-xs text-gray-500">
+                      Single collector of d_c = {dc} mm from Filter Media.
+                    </p>
+                  )}
+                  {grading === 'percentiles' && (
+                    <>
+                      <Slider label="d10" value={d10} setValue={setD10} min={0.05} max={2.0} step={0.01} unit="mm" />
+                      <Slider label="d50" value={d50} setValue={setD50} min={0.05} max={2.0} step={0.01} unit="mm" />
+                      <Slider label="d60" value={d60} setValue={setD60} min={0.05} max={2.0} step={0.01} unit="mm" />
+                      {!(d10 < d50 && d50 <= d60) && (
+                        <p className="text-xs text-amber-700">Percentiles should satisfy d10 &lt; d50 ≤ d60.</p>
+                      )}
+                      <p className="text-xs text-gray-500">
+                        Lognormal fitted to the three percentiles, split into 12 classes between d1 and d99.
+                      </p>
+                    </>
+                  )}
+                  {grading === 'sieve' && (
+                    <>
+                      <textarea
+                        value={sieveText}
+                        onChange={(e) => setSieveText(e.target.value)}
+                        placeholder={'sieve_mm,percent_passing\n0.18,8\n0.25,25\n...'}
+                        rows={7}
+                        className="w-full p-2 border border-gray-200 rounded font-mono text-xs"
+                      />
+                      <div className="flex justify-between items-center mt-1">
+                        <p className="text-xs text-gray-500">Sieve opening (mm), cumulative % passing.</p>
+                        <button onClick={() => setSieveText(EXAMPLE_SIEVE_TABLE)} className="text-xs text-cyan-700 hover:underline">
+                          Load example
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </div>
+                <div>
+                  {gradedBed ? (
+                    <ExportableChart title="Log₁₀ Removal vs Depth, Graded Bed" data={gradedBed.profile}>
+                      <ResponsiveContainer width="100%" height={220}>
+                        <LineChart data={gradedBed.profile} margin={{ top: 10, right: 20, left: 10, bottom: 25 }}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                          <XAxis
+                            dataKey="z"
+                            type="number"
+                            domain={[0, bedDepth]}
+                            fontSize={11}
+                            tickFormatter={(v) => v.toFixed(2)}
+                            label={{ value: 'Depth z (m)', position: 'bottom', offset: 5, fontSize: 12 }}
+                          />
+                          <YAxis
+                            fontSize={11}
+                            tickFormatter={(v) => v.toFixed(1)}
+                            label={{ value: 'log₁₀ C/C₀', angle: -90, position: 'insideLeft', fontSize: 12 }}
+                          />
+                          <Tooltip
+                            formatter={(value) => [value.toFixed(3), 'log₁₀ C/C₀']}
+                            labelFormatter={(label) => `z = ${parseFloat(label).toFixed(2)} m`}
+                            contentStyle={{ fontSize: '12px' }}
+                          />
+                          <Line type="monotone" dataKey="logCC0" stroke="#06b6d4" strokeWidth={2.5} dot={false} />
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </ExportableChart>
+                  ) : (
+                    <p className="text-xs text-amber-700">
+                      The sieve table needs at least two rows of sieve opening and % passing.
+                    </p>
+                  )}
+                </div>
               </div>
+              {gradedBed && (
+                <>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-3">
+                    <MetricCard
+                      title="k_att"
+                      value={formatSci(gradedBed.katt)}
+                      unit="s⁻¹"
+                      subtitle="Attachment rate"
+                      color="cyan"
+                    />
+                    <MetricCard
+                      title="Log₁₀ Removal"
+                      value={gradedBed.logRemoval.toFixed(2)}
+                      unit=""
+                      subtitle={`α = ${alpha}, L = ${bedDepth} m`}
+                      color="blue"
+                    />
+                    <MetricCard
+                      title="% Removal"
+                      value={gradedBed.logRemoval > 0 ? ((1 - Math.pow(10, -gradedBed.logRemoval)) * 100).toFixed(1) : '0.0'}
+                      unit="%"
+                      subtitle="1 − C/C₀"
+                      color="green"
+                    />
+                    <MetricCard
+                      title="Equivalent d_c"
+                      value={gradedBed.dEquivalent.toFixed(3)}
+                      unit="mm"
+                      subtitle={`η₀,eq = ${formatSci(gradedBed.etaEquivalent)}, UC = ${gradedBed.uniformity.toFixed(2)}`}
+                      color="purple"
+                    />
+                  </div>
+                  {grading !== 'uniform' && (
+                    <table className="w-full text-xs mt-3">
+                      <thead>
+                        <tr className="text-gray-500 border-b border-gray-200">
+                          <th className="text-right py-1">d (mm)</th>
+                          <th className="text-right py-1">Mass %</th>
+                          <th className="text-right py-1">η₀</th>
+                          <th className="text-right py-1">Share of removal</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {gradedBed.classes.map((c) => (
+                          <tr key={c.d} className="border-b border-gray-100">
+                            <td className="py-1 text-right font-mono">{c.d.toFixed(3)}</td>
+                            <td className="py-1 text-right font-mono">{(c.fraction * 100).toFixed(1)}</td>
+                            <td className="py-1 text-right font-mono">{formatSci(c.eta0, 3)}</td>
+                            <td className="py-1 text-right font-mono">{(c.share * 100).toFixed(1)}%</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                  <div className="mt-3 p-3 bg-gray-50 rounded-lg text-xs text-gray-600 font-mono">
+                    λ = (3/2) × (1−f) × α × Σ x_i η₀,i / d_i = {formatSci(gradedBed.lambda)} m⁻¹;
+                    −log₁₀(C/C₀) = λL / ln10 = {formatSci(gradedBed.lambda)} × {(bedDepth / Math.LN10).toFixed(3)}
+                    = {gradedBed.logRemoval.toFixed(3)}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-2">
+                    η₀ is evaluated per size class with {CORRELATIONS[correlation].shortName}. Fine grains carry most of the
+                    removal because collector surface per bed volume scales with 1/d; d10 = {gradedBed.d10.toFixed(3)} mm,
+                    d60 = {gradedBed.d60.toFixed(3)} mm.
+                  </p>
+                </>
+              )}
             </div>
 
+            {/* Inverse: α from observed removal */}
+            <AlphaInversionPanel
+              correlation={correlation}
+              dp={dp}
+              rhoP={rhoP}
+              temp={temp}
+              hamaker={hamaker}
+              porosity={porosity}
+              bedDepth={bedDepth}
+              filterCoefficientPerAlpha={gradedBed ? gradedBed.lambda / alpha : 0}
+              onApply={(a) => { setAlpha(a); setActivePreset(null); }}
+            />
+
+            {/* DLVO / XDLVO */}
+            <DLVOPanel
+              particleDiameter={dp}
+              hamaker={hamaker}
+              temperature={temp}
+              onApply={(a) => { setAlpha(a); setActivePreset(null); }}
+            />
+
+            {/* Global sensitivity */}
+            <SensitivityPanel
+              title={`Global Sensitivity — ${CORRELATIONS[correlation].shortName}, uniform d_c`}
+              inputs={saInputs}
+              model={saModel}
+              outputs={[
+                { key: 'logRemoval', label: 'Log₁₀ removal', unit: 'log' },
+                { key: 'logEta0', label: 'log₁₀ η₀', unit: '' }
+              ]}
+            />
+
             {/* Governing Equation */}
             <div className="bg-gray-800 rounded-xl shadow-sm p-4 text-white">
               <h2 className="text-sm font-semibold mb-3">Governing Equation (Tufenkji & Elimelech, 2004 — Eq. 17)</h2>
+              {correlation !== 'te' && (
+                <p className="text-xs text-gray-400 mb-2">
+                  Results above use {CORRELATIONS[correlation].name}; the TE equation is shown for reference.
+                </p>
+              )}
               <div className="font-mono text-sm space-y-2">
                 <div>
                   <span className="text-cyan-300 font-bold">η₀</span> = <span className="text-blue-300">η_D</span> + <span className="text-green-300">η_I</span> + <span className="text-amber-300">η_G</span>
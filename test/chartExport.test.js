@@ -0,0 +1,78 @@
+// Chart data exports: CSV with metadata header lines and a stored-zip XLSX workbook
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportColumns, chartCSV, chartXLSX, exportFilename } from '../src/lib/chartExport.js';
+import { crc32, columnName, buildXLSX } from '../src/lib/xlsx.js';
+import { parseCSV } from '../src/lib/csv.js';
+
+const profile = [
+  { depth: 0, concentration: 100, logRemoval: 0, fill: '#2563eb' },
+  { depth: 0.4, concentration: 10, logRemoval: 1, note: 'a, "b"' }
+];
+
+// Entries of a zip archive as { name: text }, checking each stored entry's CRC
+const readZip = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const files = {};
+  let pos = 0;
+  while (view.getUint32(pos, true) === 0x04034b50) {
+    assert.equal(view.getUint16(pos + 8, true), 0, 'stored, not compressed');
+    const crc = view.getUint32(pos + 14, true);
+    const size = view.getUint32(pos + 18, true);
+    const nameLength = view.getUint16(pos + 26, true);
+    const name = decoder.decode(bytes.subarray(pos + 30, pos + 30 + nameLength));
+    const data = bytes.subarray(pos + 30 + nameLength, pos + 30 + nameLength + size);
+    assert.equal(crc32(data), crc, `CRC of ${name}`);
+    files[name] = decoder.decode(data);
+    pos += 30 + nameLength + size;
+  }
+  assert.equal(view.getUint32(bytes.length - 22, true), 0x06054b50, 'end of central directory');
+  assert.equal(view.getUint16(bytes.length - 12, true), Object.keys(files).length);
+  return files;
+};
+
+test('default columns skip styling and nested values', () => {
+  assert.deepEqual(exportColumns([...profile, { depth: 0.8, series: { a: 1 } }]).map((c) => c.key),
+    ['depth', 'concentration', 'logRemoval', 'note']);
+  assert.deepEqual(exportColumns(profile, ['depth', { key: 'logRemoval', label: 'Log removal', unit: 'log' }]), [
+    { key: 'depth', label: 'depth' },
+    { key: 'logRemoval', label: 'Log removal', unit: 'log' }
+  ]);
+});
+
+test('CSV carries metadata as comment lines and reads back with parseCSV', () => {
+  const text = chartCSV({
+    data: profile,
+    columns: [{ key: 'depth', label: 'Depth', unit: 'm' }, 'concentration', 'note'],
+    metadata: { chart: 'Concentration Profile', velocity: 3.6, rates: { kAtt1: 12 }, missing: undefined }
+  });
+  const lines = text.split('\n');
+  assert.deepEqual(lines.slice(0, 3), ['# chart: Concentration Profile', '# velocity: 3.6', '# rates: {"kAtt1":12}']);
+  const { header, rows } = parseCSV(text);
+  assert.deepEqual(header, ['Depth (m)', 'concentration', 'note']);
+  assert.deepEqual(rows, [['0', '100', ''], ['0.4', '10', 'a, "b"']]);
+});
+
+test('XLSX is a valid stored zip with typed cells after the metadata rows', () => {
+  const files = readZip(chartXLSX({ data: profile, metadata: { tool: 'ssf-model' }, sheetName: 'Profile: C/C₀' }));
+  assert.deepEqual(Object.keys(files).sort(), [
+    '[Content_Types].xml', '_rels/.rels', 'xl/_rels/workbook.xml.rels', 'xl/workbook.xml', 'xl/worksheets/sheet1.xml'
+  ]);
+  assert.match(files['xl/workbook.xml'], /<sheet name="Profile  C C₀"/);
+  const sheet = files['xl/worksheets/sheet1.xml'];
+  assert.match(sheet, /<row r="1"><c r="A1" t="inlineStr"><is><t xml:space="preserve">tool<\/t><\/is><\/c>/);
+  assert.match(sheet, /<row r="2"><\/row><row r="3"><c r="A3" t="inlineStr">/);
+  assert.match(sheet, /<c r="A5"><v>0.4<\/v><\/c><c r="B5"><v>10<\/v><\/c>/);
+  assert.match(sheet, /<c r="D5" t="inlineStr"><is><t xml:space="preserve">a, &quot;b&quot;<\/t>/);
+});
+
+test('XLSX helpers', () => {
+  assert.equal(crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+  assert.deepEqual([0, 25, 26, 701, 702].map(columnName), ['A', 'Z', 'AA', 'ZZ', 'AAA']);
+  const sheet = readZip(buildXLSX([[NaN, 'x\u0001<y', true]]))['xl/worksheets/sheet1.xml'];
+  assert.match(sheet, /<row r="1"><c r="B1" t="inlineStr"><is><t xml:space="preserve">x&lt;y<\/t><\/is><\/c><c r="C1" t="b"><v>1<\/v><\/c><\/row>/);
+  assert.equal(exportFilename('Log₁₀ Removal vs Depth'), 'log10-removal-vs-depth');
+  assert.equal(exportFilename('λ'), 'chart');
+});
@@ -0,0 +1,116 @@
+// Core model registry, batch runner and command line, plus the remaining published constants
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import {
+  MODELS, runModel, runBatch, parseParameterSets,
+  EXTENDED_CFT_REGRESSION, PATHOGENS, assessRisk, ANNUAL_RISK_TARGET
+} from '../src/core/index.js';
+
+const close = (actual, expected, tolerance, message) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} vs ${expected} (±${tolerance})`);
+
+test('every registered model runs on its defaults and returns its declared outputs', () => {
+  Object.entries(MODELS).forEach(([id, model]) => {
+    const result = runModel(id);
+    assert.deepEqual(Object.keys(result).sort(), Object.keys(model.outputs).sort(), id);
+    Object.entries(result).forEach(([key, value]) => {
+      assert.ok(typeof value === 'boolean' || Number.isFinite(value), `${id}.${key} = ${value}`);
+    });
+  });
+});
+
+test('output names do not reuse input names, so batch results have unique columns', () => {
+  Object.entries(MODELS).forEach(([id, model]) => {
+    const shared = Object.keys(model.outputs).filter((key) => key in model.inputs);
+    assert.deepEqual(shared, [], id);
+  });
+});
+
+test('unknown models, unknown inputs and wrong types are rejected', () => {
+  assert.throws(() => runModel('nope'), /Unknown model/);
+  assert.throws(() => runModel('schijven', { speed: 1 }), /Unknown input "speed"/);
+  assert.throws(() => runModel('schijven', { velocity: 'fast' }), /finite number/);
+  assert.throws(() => runModel('collectorEfficiency', { correlation: 'xyz' }), /must be one of/);
+  [
+    ['schijven', ['velocity', 'dispersivity', 'filterDepth']],
+    ['collectorEfficiency', ['particleDiameter', 'grainSize', 'velocity', 'porosity']],
+    ['filterRun', ['velocity', 'dispersivity', 'filterDepth']]
+  ].forEach(([id, keys]) => keys.forEach((key) => {
+    assert.throws(() => runModel(id, { [key]: 0 }), new RegExp(`"${key}" must be greater than 0`), `${id}.${key}`);
+    assert.throws(() => runModel(id, { [key]: -1 }), /greater than 0/, `${id}.${key}`);
+  }));
+});
+
+test('Extended CFT regression matches Eq. 3.31 and converts ln to log₁₀', () => {
+  assert.deepEqual(
+    [EXTENDED_CFT_REGRESSION.beta0, EXTENDED_CFT_REGRESSION.beta1, EXTENDED_CFT_REGRESSION.beta2,
+      EXTENDED_CFT_REGRESSION.beta3, EXTENDED_CFT_REGRESSION.beta4, EXTENDED_CFT_REGRESSION.rSquared],
+    [18.33, -13.29, -15.34, -10.12, -0.11, 0.98]
+  );
+  const r = runModel('extendedCFTRegression', { porosity: 0.05, hydraulicCond: 0.0009, tortuosity: 1.24, svr: 1.0 });
+  close(r.lambda, 18.33 - 13.29 * 0.05 - 15.34 * 0.0009 - 10.12 * 1.24 - 0.11, 1e-12, 'λ');
+  close(r.log10Removal, r.lambda / Math.LN10, 1e-12, 'log₁₀');
+});
+
+test('QMRA required removal puts the annual risk exactly on the target', () => {
+  Object.values(PATHOGENS).forEach((pathogen) => {
+    const { requiredLogRemoval } = assessRisk(pathogen, { logRemoval: 0 });
+    const { annualRisk } = assessRisk(pathogen, { logRemoval: requiredLogRemoval });
+    close(annualRisk / ANNUAL_RISK_TARGET, 1, 1e-6, pathogen.name);
+  });
+});
+
+test('batch runs coerce CSV cells, keep label columns and record row errors', () => {
+  const sets = parseParameterSets('scenario,protein,carbohydrate,inoculated\nyoung,80,200,no\nbad,x,200,yes\n');
+  const { columns, results } = runBatch('epsRegression', sets, { model: 'pilot.C' });
+  assert.equal(columns[0], 'scenario');
+  assert.ok(columns.includes('error'));
+  assert.equal(results[0].inoculated, false);
+  close(results[0].logRemoval, Math.max(0, -2.2556 + 4.78e-3 * 200 + 0.0124 * 80), 1e-12, 'young');
+  assert.match(results[1].error, /protein/);
+  assert.throws(() => runBatch('epsRegression', sets, { colour: 'red' }), /Unknown input/);
+});
+
+test('command line evaluates a CSV from stdin', () => {
+  const bin = fileURLToPath(new URL('../bin/ssf.js', import.meta.url));
+  const { status, stdout } = spawnSync(process.execPath, [bin, 'run', 'eps', '-', '--variant', 'pilot.B', '-f', 'json'], {
+    input: 'sdAge\n365\n730\n',
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  assert.equal(status, 0);
+  const rows = JSON.parse(stdout);
+  assert.equal(rows.length, 2);
+  close(rows[1].logRemoval, -0.3748 + 0.0029 * 730, 1e-12, 'pilot.B at 730 d');
+});
+
+test('command line writes one CSV column per name for the ecft model', () => {
+  const bin = fileURLToPath(new URL('../bin/ssf.js', import.meta.url));
+  const { status, stdout } = spawnSync(process.execPath, [bin, 'run', 'ecft', '-'], {
+    input: 'porosity,cleanPorosity\n0.2,0.35\n',
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  assert.equal(status, 0);
+  const [header, row] = stdout.trim().split('\n').map((line) => line.split(','));
+  assert.equal(new Set(header).size, header.length, header.join(','));
+  assert.equal(row[header.indexOf('hydraulicCond')], '0.68');
+  assert.ok(Number(row[header.indexOf('hydraulicCondUsed')]) < 0.68, 'HC derived from the clean porosity');
+});
+
+test('command line fails rows with a non-positive velocity instead of writing Infinity', () => {
+  const bin = fileURLToPath(new URL('../bin/ssf.js', import.meta.url));
+  const { status, stdout } = spawnSync(process.execPath, [bin, 'run', 'schijven', '-', '-f', 'json'], {
+    input: 'velocity\n0\n3.6\n',
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  assert.equal(status, 1);
+  const [bad, good] = JSON.parse(stdout);
+  assert.match(bad.error, /velocity/);
+  assert.equal(bad.logRemoval, undefined);
+  assert.ok(Number.isFinite(good.logRemoval));
+});
@@ -0,0 +1,31 @@
+// Grain-size classes from sieve tables and percentiles for the graded-bed TE calculation
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sieveClasses, lognormalClasses, lognormalFromPercentiles, EXAMPLE_SIEVE_TABLE } from '../src/lib/grainSize.js';
+
+const sum = (classes) => classes.reduce((s, c) => s + c.fraction, 0);
+
+test('sieve classes keep the mass above the coarsest and below the finest sieve', () => {
+  const classes = sieveClasses('sieve_mm,percent_passing\n0.25,10\n0.5,60\n1.0,80\n');
+  assert.deepEqual(classes.map((c) => c.fraction), [0.1, 0.5, 0.2, 0.2]);
+  assert.equal(classes[0].d, 0.125);
+  assert.equal(classes[1].d, Math.sqrt(0.125));
+  assert.equal(classes[3].d, 2, 'retained on the 1 mm sieve');
+  assert.equal(sum(classes), 1);
+});
+
+test('a sieve table reaching 100% passing adds no coarse class', () => {
+  const classes = sieveClasses(EXAMPLE_SIEVE_TABLE);
+  assert.equal(classes.length, 7);
+  assert.ok(classes.every((c) => c.d < 1));
+  assert.ok(Math.abs(sum(classes) - 1) < 1e-12);
+  assert.deepEqual(sieveClasses('sieve_mm,percent_passing\n0.5,50\n'), []);
+});
+
+test('lognormal classes sum to one around the fitted median', () => {
+  const classes = lognormalClasses(lognormalFromPercentiles({ d10: 0.2, d50: 0.3, d60: 0.35 }));
+  assert.equal(classes.length, 12);
+  assert.ok(Math.abs(sum(classes) - 1) < 1e-12);
+  assert.ok(classes[5].d < 0.3 && classes[6].d > 0.3);
+});
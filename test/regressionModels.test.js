@@ -0,0 +1,127 @@
+// Regression coefficients and predictions against docs/regression-equations.md and the
+// measured removal in docs/experimental-data.md (Tables 4.3 and 5.3, Figure 6.3)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { REGRESSION_MODELS, predictRemoval } from '../src/lib/regressionModels.js';
+import { estimateLayers } from '../src/lib/layers.js';
+
+const close = (actual, expected, tolerance, message) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} vs ${expected} (±${tolerance})`);
+
+const meanAbsolute = (values) => values.reduce((s, v) => s + Math.abs(v), 0) / values.length;
+
+// Coefficients, R² and model p-values as printed in docs/regression-equations.md
+const PUBLISHED = {
+  'mini_ch4.A': { coefficients: [-0.17, 2.14], rSquared: 0.81, pValue: 5.62e-4 },
+  'mini_ch4.B': { coefficients: [0.86, -1.44, 0.64], rSquared: 0.55, pValue: 0.039 },
+  'mini_ch4.C': { coefficients: [-0.22, 1.90, 0.34], rSquared: 0.89, pValue: 5.97e-4 },
+  'mini_ch5.A': { coefficients: [-0.21, 5.71e-3], rSquared: 0.37, pValue: 0.0477 },
+  'midi.A': { coefficients: [0.128, 1.85e-9], rSquared: 0.35, pValue: 0.0113 },
+  'midi.B': { coefficients: [-0.0106, 1.36e-3], rSquared: 0.71, pValue: 4.8e-5 },
+  'combined.A': { coefficients: [0.0884, 2.10e-9], rSquared: 0.43, pValue: 3.30e-4 },
+  'combined.B': { coefficients: [-0.017, 1.37e-3], rSquared: 0.70, pValue: 1.9e-7 },
+  'pilot.A': { coefficients: [-2.1110, 4.16e-3, 0.0133], rSquared: 0.95, pValue: 0.0059 },
+  'pilot.B': { coefficients: [-0.3748, 0.0029], rSquared: 0.83, pValue: 0.0074 },
+  'pilot.C': { coefficients: [-2.2556, 4.78e-3, 0.0124, -0.1935], rSquared: 0.99, pValue: 0.0041 }
+};
+
+// Predictor values each a₁…a₃ multiplies, in the order of the published equations
+const TERMS = {
+  'mini_ch4.A': (p) => [p.protein / p.carbohydrate],
+  'mini_ch4.B': (p) => [p.grainSize, p.inoculated ? 1 : 0],
+  'mini_ch4.C': (p) => [p.protein / p.carbohydrate, p.inoculated ? 1 : 0],
+  'mini_ch5.A': (p) => [p.protein],
+  'midi.A': (p) => [p.biomass],
+  'midi.B': (p) => [p.sdAge],
+  'combined.A': (p) => [p.biomass],
+  'combined.B': (p) => [p.sdAge],
+  'pilot.A': (p) => [p.carbohydrate, p.protein],
+  'pilot.B': (p) => [p.sdAge],
+  'pilot.C': (p) => [p.carbohydrate, p.protein, p.inoculated ? 1 : 0]
+};
+
+const SAMPLES = [
+  { protein: 150, carbohydrate: 320, biomass: 1e8, sdAge: 365, grainSize: 0.3, inoculated: true },
+  { protein: 80, carbohydrate: 200, biomass: 5e7, sdAge: 180, grainSize: 0.57, inoculated: false },
+  { protein: 250, carbohydrate: 450, biomass: 2e8, sdAge: 600, grainSize: 0.16, inoculated: true }
+];
+
+test('every regression model is covered by the published table', () => {
+  const keys = Object.entries(REGRESSION_MODELS).flatMap(([d, s]) => Object.keys(s.models).map((m) => `${d}.${m}`));
+  assert.deepEqual(keys.sort(), Object.keys(PUBLISHED).sort());
+});
+
+test('coefficients, R² and p-values match docs/regression-equations.md', () => {
+  Object.entries(PUBLISHED).forEach(([key, published]) => {
+    const [dataset, model] = key.split('.');
+    const m = REGRESSION_MODELS[dataset].models[model];
+    assert.deepEqual(Object.values(m.coefficients), published.coefficients, key);
+    assert.equal(m.rSquared, published.rSquared, key);
+    assert.equal(m.pValue, published.pValue, key);
+  });
+});
+
+test('each model evaluates its published linear equation', () => {
+  Object.entries(PUBLISHED).forEach(([key, { coefficients }]) => {
+    const [dataset, model] = key.split('.');
+    SAMPLES.forEach((p) => {
+      const expected = coefficients[0] + TERMS[key](p).reduce((s, x, i) => s + coefficients[i + 1] * x, 0);
+      close(REGRESSION_MODELS[dataset].models[model].calculate(p), expected, 1e-12, key);
+    });
+  });
+});
+
+test('predictions are clipped at zero and unknown models throw', () => {
+  assert.equal(predictRemoval('pilot', 'B', { sdAge: 0 }), 0);
+  assert.throws(() => predictRemoval('pilot', 'D', {}), /Unknown regression model/);
+});
+
+test('Chapter 4 Model C follows the 75-day removal of Table 4.3', () => {
+  // [filter, P/C ratio, inoculated, observed log₁₀ removal]; the P/C ratios are the rounded
+  // Schmutzdecke values of the experimental-data tables, hence the loose tolerance
+  const filters = [
+    ['WC-', 0.44, false, 0.36], ['WC+', 0.48, true, 0.55], ['VC-', 0.45, false, 0.30],
+    ['VC+', 0.52, true, 0.91], ['VF-', 0.79, false, 1.02], ['VF+', 0.86, true, 1.58]
+  ];
+  const predicted = filters.map(([, pc, inoculated]) => predictRemoval('mini_ch4', 'C', { protein: pc, carbohydrate: 1, inoculated }));
+  const observed = filters.map((f) => f[3]);
+  assert.ok(meanAbsolute(predicted.map((p, i) => p - observed[i])) < 0.35);
+
+  const mean = (v) => v.reduce((s, x) => s + x, 0) / v.length;
+  const [mp, mo] = [mean(predicted), mean(observed)];
+  const cov = predicted.reduce((s, p, i) => s + (p - mp) * (observed[i] - mo), 0);
+  const r = cov / Math.sqrt(predicted.reduce((s, p) => s + (p - mp) ** 2, 0) * observed.reduce((s, o) => s + (o - mo) ** 2, 0));
+  assert.ok(r > 0.9, `correlation ${r}`);
+});
+
+test('Chapter 5 age models follow the midi-scale removal of Table 5.3', () => {
+  // [month, observed log₁₀ removal] for MD-C, MD-F and MD-M
+  const observations = [
+    [0, 0.06], [3, 0.18], [7, 0.28], [8, 0.42], [12, 0.50], [12, 0.52],
+    [0, 0.10], [3, 0.32], [7, 0.25], [8, 0.37], [12, 0.54], [12, 0.60],
+    [0, 0.02], [0, 0.00], [3, 0.00], [7, 0.32], [7, 0.45], [12, 0.58], [12, 0.68]
+  ];
+  ['midi', 'combined'].forEach((dataset) => {
+    const residuals = observations.map(([month, observed]) => predictRemoval(dataset, 'B', { sdAge: month * 30 }) - observed);
+    assert.ok(meanAbsolute(residuals) < 0.12, `${dataset} mean absolute error`);
+    assert.ok(Math.abs(residuals.reduce((s, r) => s + r, 0) / residuals.length) < 0.1, `${dataset} bias`);
+  });
+});
+
+// Figure 6.3: [month, PF-1 upper, PF-1 total, PF-2 upper, PF-2 total] (log₁₀)
+const FIGURE_6_3 = [[6, 0.35, 1.10, 0.20, 1.00], [12, 0.85, 1.20, 0.60, 1.10], [18, 1.20, 1.35, 1.00, 1.25], [24, 1.30, 1.40, 1.25, 1.37]];
+
+test('Chapter 6 Model B follows the upper-layer removal of Figure 6.3 up to 18 months', () => {
+  // Model B is linear in age and overshoots the 24-month plateau, so that point is excluded
+  FIGURE_6_3.filter(([month]) => month <= 18).forEach(([month, pf1, , pf2]) => {
+    close(predictRemoval('pilot', 'B', { sdAge: month * 30 }), (pf1 + pf2) / 2, 0.15, `month ${month}`);
+  });
+});
+
+test('mature Schmutzdecke carries the upper-layer share of Figure 6.3', () => {
+  FIGURE_6_3.filter(([month]) => month >= 18).forEach(([month, pf1Upper, pf1Total, pf2Upper, pf2Total]) => {
+    close(estimateLayers({ sdAge: month * 30, inoculated: true }, pf1Upper).upperFraction, pf1Upper / pf1Total, 0.12, `PF-1 month ${month}`);
+    close(estimateLayers({ sdAge: month * 30, inoculated: false }, pf2Upper).upperFraction, pf2Upper / pf2Total, 0.12, `PF-2 month ${month}`);
+  });
+});
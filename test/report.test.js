@@ -0,0 +1,56 @@
+// Calculation report: self-contained HTML with every section, escaped text and traceable values
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReportHTML, formatReportValue, escapeHTML, TOOLKIT_DOI } from '../src/lib/report.js';
+import { computeTE } from '../src/lib/tufenkjiElimelech.js';
+
+const te = computeTE(1e-6, 0.5e-3, 0.5 / 3600, 0.4, 1050, 293.15, 1e-20);
+
+const report = {
+  tool: { name: 'Tufenkji-Elimelech Collector Efficiency', source: 'Tufenkji & Elimelech (2004)', chapter: 'Classical CFT' },
+  generated: '2025-03-01T12:00:00.000Z',
+  link: 'https://porouslab.github.io/ssf-toolkit/#/te-efficiency?dp=1&alpha=0.1',
+  version: '1.0.0',
+  inputs: [{ label: 'Particle diameter d_p', value: 1, unit: 'µm' }, { label: 'Correlation', value: 'Tufenkji–Elimelech (2004)' }],
+  equations: [{ label: 'Single-collector efficiency', expression: 'η₀ = η_D + η_I + η_G' }],
+  intermediates: [{ label: 'Péclet number N_Pe', value: te.NPe, unit: '–' }, { label: 'N_R', value: te.NR, unit: '–' }],
+  outputs: [{ label: 'η₀', value: te.eta0, unit: '–' }],
+  warnings: ['N_R = 2.00e-3 is outside the TE calibration range (0.01–0.1)'],
+  references: ['Tufenkji & Elimelech (2004) Environ. Sci. Technol. 38, 529–536'],
+  charts: [{ title: 'η₀ vs particle size', svg: '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><rect width="10" height="10"/></svg>' }]
+};
+
+test('report lists every section with values, units, version and DOI', () => {
+  const html = buildReportHTML(report);
+  assert.match(html, /^<!DOCTYPE html>/);
+  ['1. Inputs', '2. Governing equations', '3. Intermediate quantities', '4. Outputs', '5. Validity warnings', '6. Charts', '7. References']
+    .forEach((heading) => assert.ok(html.includes(`<h2>${heading}</h2>`), heading));
+  assert.ok(html.includes(`<td class="value">${formatReportValue(te.NPe)}</td>`));
+  assert.ok(html.includes('<td>Particle diameter d_p</td><td class="value">1</td><td>µm</td>'));
+  assert.ok(html.includes('<td>Correlation</td><td class="value">Tufenkji–Elimelech (2004)</td><td></td>'));
+  assert.ok(html.includes('<div class="equation">η₀ = η_D + η_I + η_G</div>'));
+  assert.ok(html.includes('<li class="warning">N_R = 2.00e-3'));
+  assert.ok(html.includes('<figcaption>Figure 1. η₀ vs particle size</figcaption>'));
+  assert.ok(html.includes(`<a href="https://doi.org/${TOOLKIT_DOI}">${TOOLKIT_DOI}</a>`));
+  assert.ok(html.includes('<tr><td>Toolkit version</td><td>1.0.0</td></tr>'));
+  assert.ok(html.includes('dp=1&amp;alpha=0.1'));
+  assert.doesNotMatch(html, /<script|<link|src="http/, 'no external resources');
+});
+
+test('empty sections say so and text is escaped', () => {
+  const html = buildReportHTML({ tool: { name: 'A <b>tool</b>' }, inputs: [{ label: 'x', value: NaN }] });
+  assert.ok(html.includes('<title>Calculation report — A &lt;b&gt;tool&lt;/b&gt;</title>'));
+  assert.ok(html.includes('<p>No validity warnings for these inputs.</p>'));
+  assert.ok(html.includes('<p>No charts shown.</p>'));
+  assert.ok(html.includes('<td class="value">—</td>'));
+  assert.doesNotMatch(html, /Toolkit version|<td>Link<\/td>/);
+  assert.equal(escapeHTML(`"a" & 'b'`), '&quot;a&quot; &amp; &#39;b&#39;');
+});
+
+test('report values keep four significant figures', () => {
+  assert.deepEqual(
+    [0, 1, 0.123456, 1234.5678, 1.5e-7, 2.5e8, -0.5, true, null, 'text'].map(formatReportValue),
+    ['0', '1', '0.1235', '1235', '1.500e-7', '2.500e+8', '-0.5', 'yes', '—', 'text']
+  );
+});
@@ -0,0 +1,101 @@
+// Scenario library: creation, edits, JSON round trip, storage and the comparison table
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createScenario, updateScenario, duplicateScenario, removeScenario, serializeScenarios, parseScenarios,
+  mergeScenarios, loadScenarios, storeScenarios, compareScenarios, SCENARIO_STORAGE_KEY
+} from '../src/lib/scenarios.js';
+
+const memoryStorage = (initial = {}) => {
+  const data = { ...initial };
+  return { getItem: (k) => (k in data ? data[k] : null), setItem: (k, v) => { data[k] = String(v); }, data };
+};
+
+const winter = createScenario({
+  tool: 'ssf-model',
+  name: '  Winter ',
+  notes: 'T = 4 °C',
+  params: { temperature: '4' },
+  outputs: [{ label: 'Log₁₀ removal', value: 1.2, unit: 'log' }, { label: 'Depth for 4-log', value: NaN, unit: 'm' }]
+}, new Date('2025-01-15T10:00:00Z'));
+
+test('scenarios keep params and finite outputs', () => {
+  assert.equal(winter.name, 'Winter');
+  assert.deepEqual(winter.params, { temperature: '4' });
+  assert.deepEqual(winter.outputs, [{ label: 'Log₁₀ removal', value: 1.2, unit: 'log' }]);
+  assert.equal(winter.created, '2025-01-15T10:00:00.000Z');
+  assert.throws(() => createScenario({ tool: 'qmra', name: ' ' }), /no name/);
+  assert.throws(() => createScenario({ tool: 'qmra', name: 'x', params: { velocity: 4 } }), /params must map names to strings/);
+});
+
+test('rename, duplicate and delete', () => {
+  const summer = createScenario({ tool: 'ssf-model', name: 'Summer', params: { temperature: '18' } });
+  let list = [winter, summer];
+  list = updateScenario(list, winter.id, { name: 'Cold winter' }, new Date('2025-02-01T00:00:00Z'));
+  assert.equal(list[0].name, 'Cold winter');
+  assert.equal(list[0].updated, '2025-02-01T00:00:00.000Z');
+  assert.equal(list[0].created, winter.created);
+
+  list = duplicateScenario(list, winter.id);
+  assert.deepEqual(list.map((s) => s.name), ['Cold winter', 'Cold winter (copy)', 'Summer']);
+  assert.notEqual(list[1].id, winter.id);
+  assert.deepEqual(list[1].params, winter.params);
+
+  list = removeScenario(list, winter.id);
+  assert.deepEqual(list.map((s) => s.name), ['Cold winter (copy)', 'Summer']);
+});
+
+test('JSON export round-trips and import merges by id', () => {
+  const summer = createScenario({ tool: 'ssf-model', name: 'Summer', params: { temperature: '18' } });
+  assert.deepEqual(parseScenarios(serializeScenarios([winter, summer])), [winter, summer]);
+
+  const edited = { ...winter, name: 'Winter (colleague)' };
+  const merged = mergeScenarios([winter], parseScenarios(serializeScenarios([edited, summer])));
+  assert.deepEqual(merged.map((s) => s.name), ['Winter (colleague)', 'Summer']);
+
+  // A bare array without ids, notes or outputs is accepted
+  const [bare] = parseScenarios('[{"tool":"qmra","name":"Campylobacter","params":{"selectedPathogen":"campylobacter"}}]');
+  assert.equal(typeof bare.id, 'string');
+  assert.deepEqual(bare.outputs, []);
+
+  assert.throws(() => parseScenarios('not json'), /Not a JSON file/);
+  assert.throws(() => parseScenarios('{"version":1}'), /No scenarios/);
+  assert.throws(() => parseScenarios('[{"name":"x","params":{}}]'), /Scenario 1 has no tool/);
+});
+
+test('storage survives missing and corrupted data', () => {
+  const storage = memoryStorage();
+  assert.deepEqual(loadScenarios(storage), []);
+  storeScenarios(storage, [winter]);
+  assert.deepEqual(loadScenarios(storage), [winter]);
+  assert.deepEqual(loadScenarios(memoryStorage({ [SCENARIO_STORAGE_KEY]: '{broken' })), []);
+  assert.deepEqual(loadScenarios(null), []);
+});
+
+test('comparison aligns outputs and parameters across scenarios', () => {
+  const summer = createScenario({
+    tool: 'ssf-model',
+    name: 'Summer',
+    params: { temperature: '18', velocity: '4' },
+    outputs: [{ label: 'Log₁₀ removal', value: 2.1, unit: 'log' }, { label: 'λ', value: 9, unit: 'd⁻¹' }]
+  });
+  const { outputs, params } = compareScenarios([winter, summer]);
+  assert.deepEqual(outputs, [
+    { label: 'Log₁₀ removal', unit: 'log', values: [1.2, 2.1] },
+    { label: 'λ', unit: 'd⁻¹', values: [undefined, 9] }
+  ]);
+  assert.deepEqual(params, [
+    { key: 'temperature', values: ['4', '18'], differs: true },
+    { key: 'velocity', values: [undefined, '4'], differs: true }
+  ]);
+  assert.equal(compareScenarios([winter, { ...winter, id: 'x' }]).params[0].differs, false);
+});
+
+test('data sets too large for a link are saved with the scenario', () => {
+  const fit = createScenario({ tool: 'ssf-model', name: 'Column 3', params: { activeView: 'fit' }, data: { fitData: 'time,C/C0\n1,0.01' } });
+  assert.deepEqual(fit.data, { fitData: 'time,C/C0\n1,0.01' });
+  assert.deepEqual(parseScenarios(serializeScenarios([fit]))[0].data, fit.data);
+  assert.deepEqual(parseScenarios(JSON.stringify([{ tool: 'qmra', name: 'Old', params: {} }]))[0].data, {});
+  assert.throws(() => createScenario({ tool: 'qmra', name: 'x', data: { rows: [1, 2] } }), /data must map names to strings/);
+});
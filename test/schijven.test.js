@@ -0,0 +1,73 @@
+// Schijven et al. (2013) two-site model: steady-state analytic solution and the transient solver
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  computeLambda, steadyStateCoefficient, simulateBreakthrough, fitBreakthrough, referenceRatesFor,
+  correctRatesForAge, correctRatesForTemperature, SSF_PRESETS, DEFAULT_TEMPERATURE_SETTINGS
+} from '../src/lib/schijven.js';
+
+const close = (actual, expected, tolerance, message) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} vs ${expected} (±${tolerance})`);
+
+test('λ adds liquid inactivation and the two reversible sites', () => {
+  const rates = { kAtt1: 12, kDet1: 0.05, muS1: 0.2, kAtt2: 4, kDet2: 1.5, muS2: 0.2, muL: 0.05 };
+  close(computeLambda(rates), 0.05 + 12 / (1 + 0.05 / 0.2) + 4 / (1 + 1.5 / 0.2), 1e-12, 'λ');
+  close(computeLambda({ ...rates, kDet1: 0, kDet2: 0 }), 0.05 + 12 + 4, 1e-12, 'irreversible sites');
+});
+
+test('C = C₀·exp(k·x) solves the steady advection–dispersion–removal equation', () => {
+  // α_L v k² − v k − λ = 0
+  [[10, 3.6, 0.005], [0.5, 8, 0.05], [40, 1, 0.002]].forEach(([lambda, v, aL]) => {
+    const k = steadyStateCoefficient(lambda, v, aL);
+    close(aL * v * k * k - v * k - lambda, 0, 1e-9 * lambda, `λ=${lambda}`);
+    assert.ok(k < 0);
+  });
+});
+
+test('without dispersion the profile reduces to plug flow, k = −λ/v', () => {
+  close(steadyStateCoefficient(10, 3.6, 1e-9), -10 / 3.6, 1e-6, 'plug flow');
+});
+
+test('presets give the log removal their descriptions state', () => {
+  const expected = { cleanBed: 0.3, matureFilter: 1.9, dutchSSF: 1.2, highLoading: 0.7 };
+  Object.entries(expected).forEach(([key, logRemoval]) => {
+    const p = SSF_PRESETS[key].params;
+    const k = steadyStateCoefficient(computeLambda(p), p.velocity, p.dispersivity);
+    close(-k * p.filterDepth / Math.LN10, logRemoval, 0.05, key);
+  });
+});
+
+test('transient step response settles on the analytic steady state', () => {
+  ['cleanBed', 'dutchSSF'].forEach((key) => {
+    const p = SSF_PRESETS[key].params;
+    const analytic = Math.exp(steadyStateCoefficient(computeLambda(p), p.velocity, p.dispersivity) * p.filterDepth);
+    const { data } = simulateBreakthrough({ ...p, length: p.filterDepth, duration: 30 });
+    close(data[data.length - 1].concentration / analytic, 1, 0.01, key);
+  });
+});
+
+test('fitted rates survive the round trip through the explorer sliders', () => {
+  // Explorer at 4 °C with a 20-day-old bed: sliders hold T_ref / k_att,max rates
+  const settings = { temperature: 4, ...DEFAULT_TEMPERATURE_SETTINGS, referenceTemperature: 15 };
+  const ageSettings = { age: 20, tau1: 30, tau2: 14 };
+  const actual = (sliders) => correctRatesForTemperature(correctRatesForAge(sliders, ageSettings), settings);
+  const column = { velocity: 1, dispersivity: 0.01, length: 0.3, input: 'pulse', pulseDuration: 0.05, duration: 1.5, outputPoints: 40 };
+
+  const truth = { kAtt1: 2, kDet1: 0.3, muS1: 0.2, kAtt2: 1, kDet2: 1.5, muS2: 0.2, muL: 0.05 };
+  const observations = simulateBreakthrough({ ...column, ...truth }).data.filter((d) => d.time > 0);
+  const fit = fitBreakthrough(observations, { ...column, ...truth, kAtt1: 1, kAtt2: 3 }, ['kAtt1', 'kAtt2'], { residualScale: 'log' });
+  const fitted = { ...truth, ...fit.values };
+
+  const sliders = referenceRatesFor(fitted, { ...settings, ...ageSettings });
+  const reproduced = actual(sliders);
+  Object.keys(fitted).forEach((k) => close(reproduced[k], fitted[k], 1e-9 * fitted[k], k));
+  assert.ok(Math.abs(sliders.kAtt1 - fitted.kAtt1) > 0.5, 'sliders differ from the rates acting in the column');
+
+  const curve = (rates) => simulateBreakthrough({ ...column, ...rates }).data.map((d) => d.concentration);
+  const expected = curve(fitted);
+  curve(reproduced).forEach((c, i) => close(c, expected[i], 1e-9, `C/C₀ at point ${i}`));
+
+  assert.deepEqual(referenceRatesFor(fitted, { temperature: 10, referenceTemperature: 10 }), fitted);
+  assert.throws(() => referenceRatesFor(fitted, { ...settings, ...ageSettings, age: 0 }), /bed age 0/);
+});
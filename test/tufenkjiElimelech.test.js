@@ -0,0 +1,101 @@
+// Tufenkji–Elimelech (2004) single-collector efficiency: Eq. 17 and the Table 1 definitions,
+// water properties against tabulated data, size trends and the RT diffusion limit.
+// Published η values from the paper are not yet checked here.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeTE, stokesVelocity, BOLTZMANN, GRAVITY, waterViscosityK, waterDensityK } from '../src/lib/tufenkjiElimelech.js';
+import { collectorEfficiency } from '../src/lib/collectorEfficiency.js';
+
+const relative = (actual, expected, tolerance, message) =>
+  assert.ok(Math.abs(actual / expected - 1) <= tolerance, `${message}: ${actual} vs ${expected}`);
+
+// Typical granular-filter conditions: d_c = 0.5 mm, U = 4 m/d, f = 0.39, ρ_p = 1050 kg/m³,
+// T = 288 K, A = 10⁻²⁰ J
+const BASE = { dcM: 0.5e-3, U: 4 / 86400, f: 0.39, rhoP: 1050, T: 288, A: 1e-20 };
+const te = (dpMicron, o = BASE) => computeTE(dpMicron * 1e-6, o.dcM, o.U, o.f, o.rhoP, o.T, o.A);
+
+test('efficiency terms follow Eq. 17 written out from the paper', () => {
+  const dp = 1e-6;
+  const ap = dp / 2;
+  const { dcM, U, f, rhoP, T, A } = BASE;
+  const mu = waterViscosityK(T);
+  const g = Math.cbrt(1 - f);
+  const As = (2 * (1 - g ** 5)) / (2 - 3 * g + 3 * g ** 5 - 2 * g ** 6);
+  const NR = dp / dcM;
+  const NPe = (U * dcM * 3 * Math.PI * mu * dp) / (BOLTZMANN * T);
+  const NvdW = A / (BOLTZMANN * T);
+  const NA = A / (12 * Math.PI * mu * ap * ap * U);
+  const NG = ((2 / 9) * (rhoP - waterDensityK(T)) * GRAVITY * ap * ap) / (mu * U);
+
+  const r = te(1);
+  relative(r.As, As, 1e-12, 'A_s');
+  relative(r.etaD, 2.4 * As ** (1 / 3) * NR ** -0.081 * NPe ** -0.715 * NvdW ** 0.052, 1e-12, 'η_D');
+  relative(r.etaI, 0.55 * As * NR ** 1.675 * NA ** 0.125, 1e-12, 'η_I');
+  relative(r.etaG, 0.22 * NR ** -0.24 * NG ** 1.11 * NvdW ** 0.053, 1e-12, 'η_G');
+  relative(r.eta0, r.etaD + r.etaI + r.etaG, 1e-12, 'η₀');
+});
+
+// Regression snapshot of this implementation, not a published value
+test('values for the typical conditions are unchanged', () => {
+  const r = te(1);
+  relative(r.As, 40.4215, 1e-5, 'A_s');
+  relative(r.eta0, 5.9635e-3, 1e-4, 'η₀');
+});
+
+// Water properties entering N_Pe, N_A and N_G against tabulated data (CRC Handbook of Chemistry
+// and Physics, 'Viscosity of water' and 'Properties of water in the range 0–100 °C').
+// The Vogel fit stays within 1.5% of the viscosities and the density fit within 0.1% at 5–30 °C.
+test('water viscosity and density match tabulated values', () => {
+  const table = [
+    [5, 1.5182e-3, 999.967], [10, 1.3060e-3, 999.702], [15, 1.1375e-3, 999.103],
+    [20, 1.0016e-3, 998.207], [25, 0.8900e-3, 997.048], [30, 0.7972e-3, 995.650]
+  ];
+  table.forEach(([t, mu, rho]) => {
+    relative(waterViscosityK(t + 273.15), mu, 0.015, `μ at ${t} °C`);
+    relative(waterDensityK(t + 273.15), rho, 0.001, `ρ at ${t} °C`);
+  });
+});
+
+// N_G and N_A on the particle radius, as defined in TE Table 1
+test('gravity and attraction numbers match their physical definitions', () => {
+  const r = te(1);
+  relative(r.NG, stokesVelocity(1e-6, BASE.rhoP, BASE.T) / BASE.U, 1e-12, 'N_G = v_Stokes / U');
+  relative(r.NA, r.NvdW / (r.NR * r.NPe), 1e-12, 'N_A = N_vdW / (N_R · N_Pe)');
+});
+
+test('terms scale with particle size as the correlation exponents require', () => {
+  // η_D ∝ d_p^(−0.081−0.715), η_I ∝ d_p^(1.675−0.25), η_G ∝ d_p^(−0.24+2·1.11)
+  const [small, large] = [te(0.5), te(1)];
+  relative(large.etaD / small.etaD, 2 ** -0.796, 1e-9, 'diffusion');
+  relative(large.etaI / small.etaI, 2 ** 1.425, 1e-9, 'interception');
+  relative(large.etaG / small.etaG, 2 ** 1.98, 1e-9, 'gravity');
+});
+
+// Published behaviour: transport is least efficient for particles of about 1–2 µm
+test('minimum efficiency lies at 1–2 µm particles', () => {
+  let best = { dp: 0, eta0: Infinity };
+  for (let lg = -2; lg <= 1; lg += 0.01) {
+    const dp = 10 ** lg;
+    const { eta0 } = te(dp);
+    if (eta0 < best.eta0) best = { dp, eta0 };
+  }
+  assert.ok(best.dp > 1 && best.dp < 2, `minimum at ${best.dp} µm`);
+});
+
+// Below ~0.05 µm diffusion is > 99.9% of η₀ in both, so TE and RT differ only through
+// the fitted diffusion exponents and agree within about 15%
+test('RT and TE agree in the diffusion-dominated limit', () => {
+  const { dcM, U, f, rhoP, T, A } = BASE;
+  [0.01, 0.02, 0.05].forEach((dpMicron) => {
+    const [teR, rtR] = ['te', 'rt'].map((key) => collectorEfficiency(key, dpMicron * 1e-6, dcM, U, f, rhoP, T, A));
+    assert.ok(teR.etaD / teR.eta0 > 0.999 && rtR.etaD / rtR.eta0 > 0.999, `diffusion-dominated at ${dpMicron} µm`);
+    relative(teR.eta0, rtR.eta0, 0.15, `η₀ at ${dpMicron} µm`);
+  });
+});
+
+test('the TE correlation in the comparison set reproduces computeTE', () => {
+  const { dcM, U, f, rhoP, T, A } = BASE;
+  const r = collectorEfficiency('te', 1e-6, dcM, U, f, rhoP, T, A);
+  assert.equal(r.eta0, te(1).eta0);
+});
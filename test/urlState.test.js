@@ -0,0 +1,35 @@
+// Hash routes and typed parameter values used for shareable tool links
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRoute, formatRoute, encodeValue, decodeValue, withParam } from '../src/lib/urlState.js';
+
+test('routes round-trip through the hash', () => {
+  assert.deepEqual(parseRoute(''), { tool: 'home', params: {} });
+  assert.deepEqual(parseRoute('#/te-efficiency?dp=0.05&alpha=0.01'), { tool: 'te-efficiency', params: { dp: '0.05', alpha: '0.01' } });
+  assert.equal(formatRoute('home'), '#/');
+  assert.deepEqual(parseRoute(formatRoute('qmra', { note: 'a&b=c' })), { tool: 'qmra', params: { note: 'a&b=c' } });
+});
+
+test('values decode to the type of their default', () => {
+  assert.equal(decodeValue('0.05', 1), 0.05);
+  assert.equal(decodeValue('1e-8', 1), 1e-8);
+  assert.equal(decodeValue('abc', 1), 1);
+  assert.equal(decodeValue('', 1), 1);
+  assert.equal(decodeValue('0', true), false);
+  assert.equal(decodeValue(encodeValue(true, false), false), true);
+  assert.equal(decodeValue('pilot', 'mini_ch4'), 'pilot');
+  assert.equal(decodeValue('matureFilter', null), 'matureFilter');
+  assert.equal(decodeValue(undefined, null), null);
+  const concentrations = { campylobacter: 100, cryptosporidium: 1 };
+  assert.deepEqual(decodeValue(encodeValue({ ...concentrations, cryptosporidium: 5 }, concentrations), concentrations),
+    { ...concentrations, cryptosporidium: 5 });
+  assert.deepEqual(decodeValue('[1,2]', concentrations), concentrations);
+});
+
+test('defaults are left out of the URL', () => {
+  const hash = withParam('#/te-efficiency?dp=0.05', 'alpha', 0.01, 0.1);
+  assert.equal(hash, '#/te-efficiency?dp=0.05&alpha=0.01');
+  assert.equal(withParam(hash, 'dp', 1, 1), '#/te-efficiency?alpha=0.01');
+  assert.equal(withParam('#/eps-predictor', 'activePreset', null, null), '#/eps-predictor');
+});